@@ -2,24 +2,60 @@
 // - Auto-detect GUSDT/GUSDC
 // - Never sells below GAS_MIN_GALA
 // - Auto top-up GALA from stable when under reserve
-// - Alternates hourly: USDT→GALA, then USDT→ETH (GWETH)
-// - Only sells if round-trip profit ≥ MIN_PROFIT_BPS after estimating ~GALA fee
-// - Uses gswap.swaps.swap(...) (no .wait()); confirms via balance polling
+// - Buys from a configurable rotation (BUY_ROTATION): round-robin / weighted-random / deficit-to-target
+//   across any GalaChain class keys; default is the hourly GALA ↔ GWETH flip
+// - Records every buy / top-up fill as a lot in a FIFO cost-basis ledger (LEDGER_FILE); a lot booked
+//   from an unknown outcome stays pending (never sold) until a later run settles its txId
+// - Only sells if proceeds beat the FIFO lot cost by ≥ MIN_PROFIT_BPS after estimating ~GALA fee
+// - Confirms each swap by its own transaction id (event socket, with the explorer polled by id as a
+//   fallback), bounded by TX_WAIT_MS; every trade ends in a structured outcome: confirmed / failed
+//   (reason) / unknown (timeout)
+// - Every swap passes the shared risk engine (lib/risk.cjs): notional caps, trade count,
+//   per-asset exposure and a drawdown kill switch that halts the bot until re-armed
+// - One run per RUN_SLOT_MIN slot (lib/run-lock.cjs): lease lock + per-slot journal of planned /
+//   submitted swaps; re-running an executed slot is a no-op, crashed runs are reported next start
+// - PAPER_TRADING=true: balances and swaps go to a persisted virtual wallet (lib/paper-wallet.cjs)
+//   instead of the chain; ledger, risk state and run journal are kept apart from the live ones
+// - GSWAP_FAKE=default|scenario.json or GSWAP_MOCK_URL: the SDK runs against a simulated chain
+//   (lib/fake-gswap.cjs) with a dummy signer; the run journal is `flipflop-fake`
+// - Every decision (quote, skip + reason, submit, outcome, error) is a typed JSON event on stdout and in
+//   EVENT_LOG_DIR/<bot>.jsonl (lib/event-log.cjs), tagged with the run id; `npm run report` sums them up
 
 require('dotenv').config();
+const path = require('path');
 const { GSwap, PrivateKeySigner } = require('@gala-chain/gswap-sdk');
+const { emptyLedger, addLot, openQty, fifoCost, closeLots, holdLots, pendingLots, settleLot, settleSell } = require('./lib/ledger.cjs');
+const { loadRotation, pickRotationToken } = require('./lib/rotation.cjs');
+const { connectTxEvents, disconnectTxEvents, awaitTxOutcome, explorerTxLookup, outcomeSummary } = require('./lib/tx-outcome.cjs');
+const { createRiskGuard, riskStateFile } = require('./lib/risk.cjs');
+const { beginRun } = require('./lib/run-lock.cjs');
+const { stateStoreFromEnv } = require('./lib/state-store.cjs');
+const { createMarketData } = require('./lib/market-data.cjs');
+const { paperConfigFromEnv, paperPath, createPaperWallet } = require('./lib/paper-wallet.cjs');
+const { fakeSdkFromEnv } = require('./lib/fake-gswap.cjs');
+const { createEventLog } = require('./lib/event-log.cjs');
+const { createNotifier, lowBalances } = require('./lib/notifier.cjs');
+const { createTradeJournal } = require('./lib/trade-journal.cjs');
+const { createExplorer } = require('./lib/explorer.cjs');
 
 // -----------------------------
 // Env & constants
 // -----------------------------
 const WALLET        = (process.env.WALLET_ADDRESS || '').trim();   // e.g., "eth|0x..."
 const PRIVATE_KEY   = (process.env.PRIVATE_KEY || '').trim();      // 0x...
-const DRY_RUN       = ((process.env.DRY_RUN || 'true').toLowerCase() === 'true');
+const PAPER         = paperConfigFromEnv();                          // PAPER_TRADING=true → virtual wallet
+const DRY_RUN       = !PAPER.enabled && ((process.env.DRY_RUN || 'true').toLowerCase() === 'true');
+const FAKE          = fakeSdkFromEnv();                              // GSWAP_FAKE / GSWAP_MOCK_URL → simulated chain
+const BOT_NAME      = (PAPER.enabled ? 'flipflop-paper' : DRY_RUN ? 'flipflop-dry' : 'flipflop') + (FAKE ? '-fake' : '');
+
+// Event log (EVENT_LOG_DIR/<BOT_NAME>.jsonl + stdout); lines the libraries print become events too
+const ev = createEventLog({ bot: BOT_NAME });
+ev.captureConsole();
 
 const USD_CENTS     = Number(process.env.BOT_USD_CENTS || 100);    // 100 = $1
 const SLIPPAGE_BPS  = Math.max(0, Number(process.env.SLIPPAGE_BPS || 200)); // 2.0% default
 const MIN_PROFIT_BPS= Math.max(0, Number(process.env.MIN_PROFIT_BPS || 10)); // sell threshold (bps)
-const DEBUG         = ((process.env.DEBUG || 'false').toLowerCase() === 'true');
+const TX_WAIT_MS    = Math.max(1000, Number(process.env.TX_WAIT_MS || 120000)); // per-swap confirmation window
 
 // Gas reserve knobs
 const GAS_MIN_GALA        = Math.max(0, Number(process.env.GAS_MIN_GALA || 2));      // keep at least this much GALA
@@ -28,6 +64,27 @@ const GAS_TOPUP_USD_CENTS = Math.max(0, Number(process.env.GAS_TOPUP_USD_CENTS |
 // Approx per-swap fee in GALA (used in profit test)
 const GAS_FIXED_FEE_GALA  = Math.max(0, Number(process.env.GAS_FIXED_FEE_GALA || 1));
 
+// Cost-basis ledger, kept as `bot_ledger` in the shared state store (lib/state-store.cjs). With the
+// file backend it stays at LEDGER_FILE (restored/saved between CI runs by the workflow cache).
+// Paper trading books into `bot_ledger_paper` (next to it as bot_ledger.paper.json).
+const LIVE_LEDGER_FILE = process.env.LEDGER_FILE || path.join(process.cwd(), 'bot_ledger.json');
+const LEDGER_NAME = PAPER.enabled ? 'bot_ledger_paper' : 'bot_ledger';
+const LEDGER_FILE = PAPER.enabled ? paperPath(LIVE_LEDGER_FILE) : LIVE_LEDGER_FILE;
+const LEDGER_DOC  = { schema: 1, migrations: { 1: (l) => l }, defaults: emptyLedger }; // 0 → 1: bare pre-store file
+const stateStore  = stateStoreFromEnv(process.env, { writer: 'bot', files: { [LEDGER_NAME]: LEDGER_FILE } });
+
+// Webhook alerts (ALERT_WEBHOOKS): fills, failures, low balances, gas, risk halts — see lib/notifier.cjs
+const notifier = createNotifier({ store: stateStore });
+ev.subscribe(notifier.handle);
+// Trade journal (lib/trade-journal.cjs): every live swap outcome + a balance snapshot per run
+const journal = createTradeJournal({ store: stateStore });
+ev.subscribe(journal.handle);
+
+// Run lock + slot journal (RUN_STATE_DIR, default ./.bot-runs). Slot = schedule period.
+const RUN_SLOT_MIN    = Math.max(1, Number(process.env.RUN_SLOT_MIN || 10));
+const RUN_LOCK_TTL_MS = Math.max(60000, Number(process.env.RUN_LOCK_TTL_MS || 15 * 60 * 1000));
+const RUN_FORCE       = ((process.env.RUN_FORCE || 'false').toLowerCase() === 'true');
+
 // Optional: pin endpoints (recommended while debugging)
 const gatewayBaseUrl    = process.env.GATEWAY_BASE_URL;
 const bundlerBaseUrl    = process.env.BUNDLER_BASE_URL;
@@ -39,6 +96,15 @@ const GWETH  = 'GWETH|Unit|none|none';
 const GUSDT  = 'GUSDT|Unit|none|none';
 const GUSDC  = 'GUSDC|Unit|none|none';
 
+// Buy rotation (tokens, weights, caps, per-token SLIPPAGE_BPS / BOT_USD_CENTS overrides)
+let ROTATION;
+try {
+  ROTATION = loadRotation();
+} catch (e) {
+  console.error(`❌ Invalid BUY_ROTATION config: ${e?.message || e}`);
+  process.exit(1);
+}
+
 // -----------------------------
 // Guards
 // -----------------------------
@@ -46,92 +112,65 @@ if (!WALLET) {
   console.error('❌ WALLET_ADDRESS missing (include the "eth|" prefix).');
   process.exit(1);
 }
-if (!DRY_RUN && !PRIVATE_KEY) {
+if (!DRY_RUN && !PAPER.enabled && !FAKE && !PRIVATE_KEY) {
   console.error('❌ PRIVATE_KEY missing and DRY_RUN=false → cannot sign swaps.');
   process.exit(1);
 }
+if (ROTATION.tokens.some(t => t.classKey === GUSDT || t.classKey === GUSDC)) {
+  console.error('❌ BUY_ROTATION must not contain the stable (GUSDT/GUSDC) it buys with.');
+  process.exit(1);
+}
 
 // -----------------------------
 // SDK init
 // -----------------------------
 const gswap = new GSwap({
-  signer: new PrivateKeySigner(PRIVATE_KEY || '0x'), // harmless if DRY_RUN=true
+  signer: FAKE ? FAKE.sdk.signer : new PrivateKeySigner(PRIVATE_KEY || '0x'), // harmless if DRY_RUN=true
   walletAddress: WALLET,
   gatewayBaseUrl,
   bundlerBaseUrl,
   dexBackendBaseUrl,
+  transactionWaitTimeoutMs: TX_WAIT_MS,
+  ...(FAKE ? FAKE.sdk : {}), // simulated chain: its requestor / endpoints and a dummy signer
 });
 
-if (DEBUG) {
-  console.log('[ENDPOINTS]', { gatewayBaseUrl, bundlerBaseUrl, dexBackendBaseUrl, wallet: WALLET });
-}
+// Quotes + balances through the shared market-data client (cache, coalescing, rate limit, retries)
+const market = createMarketData({ gswap });
+
+// Tx status by id from the explorer (lib/explorer.cjs): the confirmation fallback when the socket is down
+const txLookup = explorerTxLookup(createExplorer({ store: stateStore, fetchImpl: FAKE?.chain?.fetch || fetch, request: market.request }));
+
+// Paper trading: seeded from PAPER_START or, on first use, from the real wallet's balances
+const paper = PAPER.enabled
+  ? createPaperWallet({ store: stateStore, market, config: PAPER, bot: 'flipflop', realBalances: () => market.balancesBySymbol(WALLET) })
+  : null;
+
+const risk = createRiskGuard({ bot: 'flipflop', ...(PAPER.enabled ? { file: paperPath(riskStateFile()) } : {}) });
+let PORTFOLIO = null; // { totalUsd, byAsset, balances } snapshot for exposure checks, refreshed each run
+
+ev.debug('ENDPOINTS', '', { gatewayBaseUrl, bundlerBaseUrl, dexBackendBaseUrl, wallet: WALLET });
+ev.debug('ROTATION', '', { rotation: ROTATION });
 
 // -----------------------------
 // Helpers
 // -----------------------------
 function slot(minutes = 60) { return Math.floor(Date.now() / (minutes * 60 * 1000)); }
-// Alternate each hour: even → GALA, odd → GWETH
-function nextBuyTokenKey() { return slot(60) % 2 === 0 ? 'GALA' : 'GWETH'; }
 
 function toDollars(cents) { return Math.max(0, Number(cents || 0)) / 100; }
 function isPositiveAmount(xStr) { const n = Number(xStr); return Number.isFinite(n) && n > 0; }
 function bpsMulStr(xStr, bps){ const x=Number(xStr); return ((x*(10000-bps))/10000).toString(); }
 function gainBps(inUSDC, outUSDC){ return ((outUSDC - inUSDC) / Math.max(1e-6, inUSDC)) * 10000; }
-function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
 
-// -------- Balances (robust attempts) --------
+// -------- Balances (all pages, retried on transient errors) --------
 async function getBalancesMap() {
-  const map = {};
+  let map = {};
   try {
-    const r = await gswap.assets.getUserAssets(WALLET);
-    const tokens = r?.tokens || [];
-    for (const t of tokens) {
-      const sym = (t.symbol || '').toUpperCase();
-      if (sym) map[sym] = Number(t.quantity || '0');
-    }
-    if (Object.keys(map).length > 0) {
-      if (DEBUG) console.log('[TOKENS]', Object.keys(map));
-      return map;
-    }
+    map = paper ? await paper.balances() : await market.balancesBySymbol(WALLET);
   } catch (e) {
-    if (DEBUG) console.log('[BALANCE-ERR default]', e?.message || e);
-  }
-
-  const attempts = [
-    { start: 1, limit: 100 },
-    { start: 1, limit: 50 },
-    { start: 0, limit: 100 },
-    { start: 0, limit: 50 },
-  ];
-  for (const { start, limit } of attempts) {
-    let page = start, got = false;
-    if (DEBUG) console.log(`[BALANCE-TRY] pageStart=${start} limit=${limit}`);
-    while (true) {
-      try {
-        const res = await gswap.assets.getUserAssets(WALLET, page, limit);
-        const tokens = res?.tokens || [];
-        if (tokens.length === 0 && !got) break;
-        got = true;
-        for (const t of tokens) {
-          const sym = (t.symbol || '').toUpperCase();
-          if (sym) map[sym] = Number(t.quantity || '0');
-        }
-        if (tokens.length < limit) break;
-        page += 1;
-      } catch (e) {
-        if (DEBUG) console.log(`[BALANCE-ERR] ${e?.message || e} (page=${page}, limit=${limit})`);
-        break;
-      }
-    }
-    if (Object.keys(map).length > 0) break;
+    ev.debug('BALANCE-ERR', e?.message || String(e));
   }
 
-  if (DEBUG) {
-    console.log('[TOKENS]', Object.keys(map));
-    if (map.GUSDT != null) console.log('[GUSDT]', map.GUSDT);
-    if (map.GUSDC != null) console.log('[GUSDC]', map.GUSDC);
-    if (map.GALA  != null) console.log('[GALA]',  map.GALA);
-  }
+  ev.debug('TOKENS', Object.keys(map).join(','), { balances: map });
   return map;
 }
 
@@ -146,17 +185,106 @@ function resolveStableFromBalances(b) {
 async function safeQuoteExactIn(IN_CLASS, OUT_CLASS, amountStr) {
   if (!isPositiveAmount(amountStr)) return null;
   try {
-    const q = await gswap.quoting.quoteExactInput(IN_CLASS, OUT_CLASS, amountStr);
+    const q = await market.quoteExactInput(IN_CLASS, OUT_CLASS, amountStr);
     const outStr = q?.outTokenAmount?.toString?.();
-    if (!isPositiveAmount(outStr)) return null;
-    if (q.feeTier == null) return null;
-    return q;
+    const bad = !isPositiveAmount(outStr) ? 'no-output' : q.feeTier == null ? 'no-fee-tier' : null;
+    if (bad) ev.debug('QUOTE-SKIP', `${IN_CLASS} -> ${OUT_CLASS} amount=${amountStr} ${bad}`, { tokenIn: IN_CLASS, tokenOut: OUT_CLASS, amount: amountStr, reason: bad });
+    return bad ? null : q;
   } catch (e) {
-    if (DEBUG) console.log(`[QUOTE-SKIP] ${IN_CLASS} -> ${OUT_CLASS} amount=${amountStr} err=${e?.message || e}`);
+    ev.debug('QUOTE-SKIP', `${IN_CLASS} -> ${OUT_CLASS} amount=${amountStr} err=${e?.message || e}`, { tokenIn: IN_CLASS, tokenOut: OUT_CLASS, amount: amountStr, reason: 'error', error: e?.message || String(e) });
     return null;
   }
 }
 
+// Submit one exact-in swap and wait for ITS transaction id to settle (no balance diffing).
+// Risk-gated: returns { status: 'rejected', reason } without submitting when a limit says no.
+// Every attempt ends in one `<tag>-OUTCOME` event (status, fill, gasGala) — what the report counts
+// and the trade journal records (with quotedOut, the quote minOut was cut from).
+async function submitAndConfirm(tag, IN, OUT, feeTier, exactIn, amountOutMinimum, notionalUsd, quotedOut = null) {
+  const trade = { in: IN, out: OUT, feeTier, exactIn, amountOutMinimum, notionalUsd, quotedOut, strategy: tag === 'GAS' ? 'gas-topup' : 'flipflop' };
+  const gate = risk.check({ tokenIn: IN, tokenOut: OUT, notionalUsd }, PORTFOLIO);
+  if (!gate.ok) {
+    const outcome = { status: 'rejected', txId: null, reason: gate.reason };
+    ev.emit(`${tag}-OUTCOME`, '', { ...outcomeSummary(tag, outcome, trade), gasGala: 0 });
+    return outcome;
+  }
+
+  // Journal the intent before anything leaves the process, so a crash mid-swap is visible next run
+  const jid = RUN ? await RUN.planSwap({ tag, tokenIn: IN, tokenOut: OUT, feeTier, exactIn, amountOutMinimum, notionalUsd }) : null;
+
+  if (paper) {
+    const outcome = await paper.swap({ tag, tokenIn: IN, tokenOut: OUT, feeTier, exactIn, amountOutMinimum });
+    if (jid) await RUN.markOutcome(jid, outcome);
+    if (outcome.status === 'confirmed') risk.record({ tokenIn: IN, tokenOut: OUT, notionalUsd, txId: outcome.txId });
+    ev.emit(`${tag}-PAPER`, '', outcomeSummary(tag, outcome, trade));
+    return outcome;
+  }
+
+  await connectTxEvents(bundlerBaseUrl); // must be connected before submit so the tx id is tracked
+  let pending;
+  try {
+    pending = await gswap.swaps.swap(IN, OUT, feeTier, { exactIn, amountOutMinimum }, WALLET);
+  } catch (e) {
+    const outcome = { status: 'failed', txId: null, reason: e?.message || String(e) };
+    if (jid) await RUN.markOutcome(jid, outcome);
+    ev.emit(`${tag}-OUTCOME`, '', { ...outcomeSummary(tag, outcome, trade), gasGala: 0 });
+    throw e;
+  }
+  ev.emit(`${tag}-SUBMIT`, '', { trade: tag, txId: pending?.transactionId, message: pending?.message });
+  if (jid) await RUN.markSubmitted(jid, pending?.transactionId);
+  // Counted as soon as it is submitted (an unknown outcome may still land); given back if it failed
+  risk.record({ tokenIn: IN, tokenOut: OUT, notionalUsd, txId: pending?.transactionId });
+  const outcome = await awaitTxOutcome(pending, { timeoutMs: TX_WAIT_MS, lookup: txLookup });
+  if (outcome.status === 'failed') risk.release(pending?.transactionId);
+  if (jid) await RUN.markOutcome(jid, outcome);
+  // Gas is an estimate on chain (GAS_FIXED_FEE_GALA); every settled or unsettled submit pays it
+  ev.emit(`${tag}-OUTCOME`, '', { ...outcomeSummary(tag, outcome, trade), gasGala: GAS_FIXED_FEE_GALA });
+  return outcome;
+}
+
+// -----------------------------
+// Ledger helpers
+// -----------------------------
+async function recordLot(lot) {
+  try {
+    let added;
+    await stateStore.update(LEDGER_NAME, (ledger) => { added = addLot(ledger, lot); }, LEDGER_DOC);
+    ev.emit('LEDGER', `+lot #${added.id} ${added.token} qty=${added.qty} cost=${(added.stableSpent + added.feeStable).toFixed(6)} src=${added.source}${added.confirmed ? '' : ' (unconfirmed)'}`, { lot: added });
+  } catch (e) {
+    ev.error('LEDGER-ERR', `Could not record lot: ${e?.message || e}`, { lot });
+  }
+}
+
+// Settle lots booked from unknown outcomes by their txId: confirmed → opened with the real fill,
+// failed → dropped, still unknown → left pending (excluded from sells) for the next run.
+// Held lots of unknown sells likewise: confirmed → closed at the fill, failed → back in their lots.
+async function reconcilePendingLots() {
+  const ledger = await stateStore.load(LEDGER_NAME, LEDGER_DOC);
+  for (const p of ledger.pendingSells || []) {
+    const o = p.txId ? await txLookup(p.txId).catch(() => null) : null;
+    if (!o) { ev.emit('LEDGER-PENDING', `sell of ${p.qty} ${p.token} tx=${p.txId} still unsettled`, { token: p.token, txId: p.txId, qty: p.qty }); continue; }
+    let settled = null;
+    await stateStore.update(LEDGER_NAME, (l) => { settled = settleSell(l, p.txId, { status: o.status, amountOut: o.fill?.amountOut }); }, LEDGER_DOC);
+    if (!settled) continue;
+    ev.emit('LEDGER', settled.restored
+      ? `sell tx=${p.txId} failed (${o.reason || 'failed on chain'}): ${settled.qty} ${p.token} back in ${settled.taken.length} lot(s)`
+      : `closed ${settled.slices.length} ${p.token} lot slice(s) for sell tx=${p.txId}: cost=${settled.cost.toFixed(6)} proceeds=${settled.proceeds.toFixed(6)} realized=${settled.realized.toFixed(6)}`,
+    { token: p.token, txId: p.txId, status: o.status, qty: settled.qty, ...(settled.restored ? {} : { slices: settled.slices.length, cost: settled.cost, proceeds: settled.proceeds, realized: settled.realized }) });
+  }
+  for (const lot of pendingLots(ledger)) {
+    if (!lot.txId) continue;
+    const o = await txLookup(lot.txId).catch(() => null);
+    if (!o) { ev.emit('LEDGER-PENDING', `lot #${lot.id} ${lot.token} tx=${lot.txId} still unsettled`, { lotId: lot.id, txId: lot.txId }); continue; }
+    let settled = null;
+    await stateStore.update(LEDGER_NAME, (l) => { settled = settleLot(l, lot.txId, { status: o.status, qty: o.fill?.amountOut }); }, LEDGER_DOC);
+    if (!settled) continue;
+    ev.emit('LEDGER', settled.dropped
+      ? `-lot #${settled.id} ${settled.token}: tx=${lot.txId} failed (${o.reason || 'failed on chain'})`
+      : `lot #${settled.id} ${settled.token} confirmed: tx=${lot.txId} qty=${settled.qty}`,
+    { lotId: settled.id, txId: lot.txId, status: o.status, qty: settled.qty });
+  }
+}
+
 // -----------------------------
 // Gas reserve helpers
 // -----------------------------
@@ -168,63 +296,70 @@ function needsGasTopUp(balances) {
 async function topUpGasIfNeeded() {
   const before = await getBalancesMap();
   if (!needsGasTopUp(before)) {
-    if (DEBUG) console.log(`[GAS] GALA balance OK (>= ${GAS_MIN_GALA})`);
+    ev.debug('GAS', `GALA balance OK (>= ${GAS_MIN_GALA})`, { gala: Number(before.GALA || 0), reserve: GAS_MIN_GALA });
     return false;
   }
+  const submitted = await topUpGas(before);
+  if (DRY_RUN) return submitted;
+
+  // Still under the reserve after the attempt (skipped, failed or too small) → GAS-LOW alert
+  const after = await getBalancesMap();
+  if (needsGasTopUp(after)) {
+    const gala = Number(after.GALA || 0);
+    ev.warn('GAS-LOW', `GALA ${gala} still under the ${GAS_MIN_GALA} reserve after the top-up attempt; swaps may fail for gas.`, { gala, reserve: GAS_MIN_GALA, submitted });
+  }
+  return submitted;
+}
 
+async function topUpGas(before) {
   const stable = resolveStableFromBalances(before);
   if (!stable.sym) {
-    console.log(`[GAS] Need GALA top-up but no GUSDT/GUSDC available.`);
+    ev.emit('GAS-SKIP', 'Need GALA top-up but no GUSDT/GUSDC available.', { reason: 'no-stable' });
     return false;
   }
 
   const usd = toDollars(GAS_TOPUP_USD_CENTS);
   if (!(stable.amount + 1e-9 >= usd)) {
-    console.log(`[GAS] Need GALA top-up but insufficient ${stable.sym}. Need ~$${usd}, have ~$${stable.amount}`);
+    ev.emit('GAS-SKIP', `Need GALA top-up but insufficient ${stable.sym}. Need ~$${usd}, have ~$${stable.amount}`, { reason: 'insufficient-stable', stable: stable.sym, needUsd: usd, have: stable.amount });
     return false;
   }
 
   const q = await safeQuoteExactIn(stable.classKey, GALA, usd.toString());
   if (!q) {
-    console.log(`[GAS] No valid quote for ${stable.sym}->GALA top-up ($${usd}).`);
+    ev.emit('GAS-SKIP', `No valid quote for ${stable.sym}->GALA top-up ($${usd}).`, { reason: 'no-quote', stable: stable.sym, usd });
     return false;
   }
 
   const minOut = bpsMulStr(q.outTokenAmount.toString(), SLIPPAGE_BPS);
-  console.log(`[GAS] Top-up: ${stable.sym}->GALA $${usd} feeTier=${q.feeTier} out=${q.outTokenAmount} minOut=${minOut}`);
+  ev.emit('GAS-QUOTE', `Top-up: ${stable.sym}->GALA $${usd} feeTier=${q.feeTier} out=${q.outTokenAmount} minOut=${minOut}`,
+    { tokenIn: stable.classKey, tokenOut: GALA, usd, feeTier: q.feeTier, out: String(q.outTokenAmount), minOut });
 
   if (DRY_RUN) {
-    console.log(`[GAS-DRY] Would top-up GALA gas reserve.`);
+    ev.emit('GAS-DRY', 'Would top-up GALA gas reserve.', { stable: stable.sym, usd, minOut });
     return true;
   }
 
   try {
-    const submitRes = await gswap.swaps.swap(
-      stable.classKey, GALA, q.feeTier,
-      { exactIn: usd.toString(), amountOutMinimum: minOut },
-      WALLET
-    );
-    if (DEBUG) console.log('[GAS-SUBMIT]', submitRes);
-
-    for (let i = 0; i < 12; i++) {
-      await sleep(5000);
-      const after = await getBalancesMap();
-      const galaBefore = Number(before.GALA || 0);
-      const galaAfter  = Number(after.GALA  || 0);
-      const stableBefore = Number(before[stable.sym] || 0);
-      const stableAfter  = Number(after[stable.sym]  || 0);
-      const stableDropped = stableAfter + 1e-6 <= stableBefore - usd + 1e-3;
-      const galaIncreased = galaAfter > galaBefore;
-
-      if (stableDropped && galaIncreased) {
-        console.log(`✅ GAS top-up confirmed: ${stable.sym} ${stableBefore}→${stableAfter}, GALA ${galaBefore}→${galaAfter}`);
-        return true;
-      }
+    const outcome = await submitAndConfirm('GAS', stable.classKey, GALA, q.feeTier, usd.toString(), minOut, usd, String(q.outTokenAmount));
+    if (outcome.status === 'rejected') return false;
+    if (outcome.status === 'failed') {
+      ev.emit('GAS-FAILED', `${outcome.txId}: ${outcome.reason}`, { txId: outcome.txId, reason: outcome.reason });
+      return false;
+    }
+
+    const feeStable = await galaFeeInStable(stable.classKey);
+    const quotedOut = Number(q.outTokenAmount.toString());
+    if (outcome.status === 'confirmed') {
+      const got = outcome.fill?.amountOut ?? quotedOut;
+      ev.emit('GAS-CONFIRMED', `✅ GAS top-up confirmed: tx=${outcome.txId} ${stable.sym} $${usd} → ${got} GALA`, { txId: outcome.txId, usd, got });
+      await recordLot({ token: 'GALA', qty: got, stableSpent: usd, feeStable, feeGala: GAS_FIXED_FEE_GALA, txId: outcome.txId, source: 'gas-topup' });
+    } else {
+      ev.emit('GAS-UNKNOWN', `tx=${outcome.txId} not settled within ${TX_WAIT_MS}ms (${outcome.reason}).`, { txId: outcome.txId, reason: outcome.reason });
+      await recordLot({ token: 'GALA', qty: quotedOut, stableSpent: usd, feeStable, feeGala: GAS_FIXED_FEE_GALA, txId: outcome.txId, source: 'gas-topup', confirmed: false });
     }
-    console.log('[GAS-NOCONFIRM] Top-up submitted but not yet reflected in balances.');
     return true; // submitted; not blocking main flow
   } catch (e) {
-    console.log(`[GAS-SUBMIT-ERR] ${e?.message || e}`);
+    ev.error('GAS-SUBMIT-ERR', e?.message || String(e));
     return false;
   }
 }
@@ -239,158 +374,247 @@ async function galaFeeInStable(OUT_CLASS) {
   return q ? Number(q.outTokenAmount.toString()) : 0;
 }
 
-async function trySellIfProfitable(symbolKey) {
+async function trySellIfProfitable(token) {
+  const symbolKey = token.symbol;
+  const slippageBps = token.slippageBps ?? SLIPPAGE_BPS;
   const balances = await getBalancesMap();
 
-  // If selling GALA, sell only the excess above reserve; for GWETH, sell any positive balance
+  // If selling GALA, sell only the excess above reserve; for other tokens, sell any positive balance
   let qty = Number(balances[symbolKey] || 0);
   if (symbolKey === 'GALA') {
     const excess = Math.max(0, qty - GAS_MIN_GALA);
     if (excess <= 0) {
-      console.log(`[SELL-SKIP] GALA at/below reserve (hold ${qty}, reserve ${GAS_MIN_GALA}).`);
+      ev.emit('SELL-SKIP', `GALA at/below reserve (hold ${qty}, reserve ${GAS_MIN_GALA}).`, { token: symbolKey, reason: 'reserve', qty, reserve: GAS_MIN_GALA });
       return;
     }
     qty = excess;
   } else {
-    if (!(qty > 0)) { console.log(`[SELL-SKIP] No ${symbolKey} balance`); return; }
+    if (!(qty > 0)) { ev.emit('SELL-SKIP', `No ${symbolKey} balance`, { token: symbolKey, reason: 'no-balance' }); return; }
   }
 
-  const IN  = symbolKey === 'GALA' ? GALA : GWETH;
+  // Only units with a known cost (open ledger lots) are eligible; FIFO decides which lots they are
+  const ledger = await stateStore.load(LEDGER_NAME, LEDGER_DOC);
+  const lotQty = openQty(ledger, symbolKey);
+  if (!(lotQty > 0)) { ev.emit('SELL-SKIP', `No open ${symbolKey} lots in ledger (cost basis unknown).`, { token: symbolKey, reason: 'no-lots', qty }); return; }
+  qty = Math.min(qty, lotQty);
+
+  const IN  = token.classKey;
   const stable = resolveStableFromBalances(balances);
   const OUT = stable.classKey || GUSDT;
 
   // 1) Quote selling qty → stable (pool fee/impact included)
   const qSell = await safeQuoteExactIn(IN, OUT, qty.toString());
-  if (!qSell) { console.log(`[SELL-SKIP] No valid quote for ${symbolKey}->${stable.sym || 'GUSDT'}`); return; }
+  if (!qSell) { ev.emit('SELL-SKIP', `No valid quote for ${symbolKey}->${stable.sym || 'GUSDT'}`, { token: symbolKey, reason: 'no-quote', qty }); return; }
   const sellOutStable = Number(qSell.outTokenAmount.toString());
 
   // 2) Subtract estimated on-chain swap fee (≈GAS_FIXED_FEE_GALA) valued in stable
   const feeNowStable = await galaFeeInStable(OUT);
   const netStable = Math.max(0, sellOutStable - feeNowStable);
-  if (!(netStable > 0)) { console.log('[SELL-SKIP] Fee exceeds proceeds.'); return; }
+  if (!(netStable > 0)) { ev.emit('SELL-SKIP', 'Fee exceeds proceeds.', { token: symbolKey, reason: 'fee-exceeds-proceeds', qty, out: sellOutStable, feeStable: feeNowStable }); return; }
 
-  // 3) Hypothetical buy-back test: stable → original token, using ONLY net proceeds
-  const qBuyBack = await safeQuoteExactIn(OUT, IN, netStable.toString());
-  if (!qBuyBack) { console.log(`[SELL-SKIP] No valid quote for round-trip back to ${symbolKey}`); return; }
-
-  const gotBack = Number(qBuyBack.outTokenAmount.toString());
-  const edgeBps = ((gotBack - qty) / Math.max(1e-12, qty)) * 10000; // profit AFTER fee & impact
+  // 3) Compare net proceeds with the FIFO cost of the lots this sell would close
+  const { cost } = fifoCost(ledger, symbolKey, qty);
+  const edgeBps = gainBps(cost, netStable); // profit AFTER fee & impact, vs. what we actually paid
 
   if (edgeBps < MIN_PROFIT_BPS) {
-    console.log(`[SELL-SKIP] Round-trip < threshold after fee (edge=${edgeBps.toFixed(2)} bps, need ≥ ${MIN_PROFIT_BPS}).`);
+    ev.emit('SELL-SKIP', `Proceeds < lot cost + threshold (cost=${cost.toFixed(6)}, net=${netStable.toFixed(6)}, edge=${edgeBps.toFixed(2)} bps, need ≥ ${MIN_PROFIT_BPS}).`,
+      { token: symbolKey, reason: 'below-threshold', qty, cost, net: netStable, edgeBps, minProfitBps: MIN_PROFIT_BPS });
     return;
   }
 
   // 4) Execute the sell with slippage protection
-  const minOut = bpsMulStr(qSell.outTokenAmount.toString(), SLIPPAGE_BPS);
-  if (DEBUG) console.log(`[SELL-QUOTE] ${symbolKey}->${stable.sym || 'GUSDT'} qty=${qty} feeTier=${qSell.feeTier} out=${qSell.outTokenAmount} feeNowStable≈${feeNowStable} minOut=${minOut}`);
+  const minOut = bpsMulStr(qSell.outTokenAmount.toString(), slippageBps);
+  ev.emit('SELL-QUOTE', `${symbolKey}->${stable.sym || 'GUSDT'} qty=${qty} feeTier=${qSell.feeTier} out=${qSell.outTokenAmount} feeNowStable≈${feeNowStable} minOut=${minOut}`,
+    { tokenIn: IN, tokenOut: OUT, qty, feeTier: qSell.feeTier, out: String(qSell.outTokenAmount), feeStable: feeNowStable, cost, edgeBps, minOut });
 
-  if (DRY_RUN) { console.log(`[SELL-DRY] ${symbolKey}->${stable.sym || 'GUSDT'} qty=${qty} minOut=${minOut}`); return; }
+  if (DRY_RUN) { ev.emit('SELL-DRY', `${symbolKey}->${stable.sym || 'GUSDT'} qty=${qty} minOut=${minOut}`, { token: symbolKey, qty, minOut }); return; }
 
   try {
-    const submitRes = await gswap.swaps.swap(
-      IN, OUT, qSell.feeTier,
-      { exactIn: qty.toString(), amountOutMinimum: minOut },
-      WALLET
-    );
-    if (DEBUG) console.log('[SELL-SUBMIT]', submitRes);
-
-    // Quick balance confirm (best-effort)
-    await sleep(5000);
-    const after = await getBalancesMap();
-    const stableSym = (OUT === GUSDT) ? 'GUSDT' : (OUT === GUSDC ? 'GUSDC' : 'GUSDT');
-    const soldBefore = Number(balances[symbolKey] || 0);
-    const soldAfter  = Number(after[symbolKey] || 0);
-    const stableBefore = Number(balances[stableSym] || 0);
-    const stableAfter  = Number(after[stableSym] || 0);
-
-    if (soldAfter < soldBefore && stableAfter > stableBefore) {
-      console.log(`✅ SELL likely executed: ${symbolKey} ${soldBefore}→${soldAfter}, ${stableSym} ${stableBefore}→${stableAfter}`);
-    } else {
-      console.log('[SELL-NOCONFIRM] Could not verify via balances immediately (may still settle).');
+    const outcome = await submitAndConfirm('SELL', IN, OUT, qSell.feeTier, qty.toString(), minOut, sellOutStable, String(qSell.outTokenAmount));
+    if (outcome.status === 'rejected') return;
+    if (outcome.status === 'failed') {
+      ev.emit('SELL-FAILED', `${symbolKey}->${stable.sym || 'GUSDT'} tx=${outcome.txId}: ${outcome.reason} (lots stay open)`, { txId: outcome.txId, reason: outcome.reason });
+      return;
+    }
+
+    if (outcome.status !== 'confirmed') {
+      // Outcome unknown: the lots wait under the tx id until a later run books or restores them
+      ev.emit('SELL-UNKNOWN', `tx=${outcome.txId} not settled within ${TX_WAIT_MS}ms (${outcome.reason}).`, { txId: outcome.txId, reason: outcome.reason });
+      let held;
+      await stateStore.update(LEDGER_NAME, (l) => { held = holdLots(l, symbolKey, qty, { txId: outcome.txId, proceeds: netStable, feeStable: feeNowStable }); }, LEDGER_DOC);
+      if (held) ev.emit('LEDGER-PENDING', `held ${held.taken.length} ${symbolKey} lot slice(s) (${held.qty}) until sell tx=${outcome.txId} settles`, { token: symbolKey, txId: outcome.txId, qty: held.qty, slices: held.taken.length });
+      return;
     }
+
+    const got = outcome.fill?.amountOut ?? sellOutStable;
+    const proceeds = Math.max(0, got - feeNowStable);
+    ev.emit('SELL-CONFIRMED', `✅ SELL confirmed: tx=${outcome.txId} ${qty} ${symbolKey} → ${got} ${stable.sym || 'GUSDT'}`, { txId: outcome.txId, qty, got });
+
+    // Close the consumed lots at the real proceeds
+    let closed;
+    await stateStore.update(LEDGER_NAME, (l) => { closed = closeLots(l, symbolKey, qty, { proceeds, txId: outcome.txId }); }, LEDGER_DOC);
+    ev.emit('LEDGER', `closed ${closed.slices.length} ${symbolKey} lot slice(s): cost=${closed.cost.toFixed(6)} proceeds=${proceeds.toFixed(6)} realized=${closed.realized.toFixed(6)}`,
+      { token: symbolKey, txId: outcome.txId, slices: closed.slices.length, cost: closed.cost, proceeds, realized: closed.realized });
   } catch (e) {
-    console.log(`[SELL-SUBMIT-ERR] ${symbolKey}->${stable.sym || 'GUSDT'}: ${e?.message || e}`);
+    ev.error('SELL-SUBMIT-ERR', `${symbolKey}->${stable.sym || 'GUSDT'}: ${e?.message || e}`);
   }
 }
 
-async function buyOneDollar() {
-  const usd = toDollars(USD_CENTS);
-  if (!(usd > 0)) { console.log('[BUY-SKIP] USD amount <= 0'); return; }
+// Value holdings in stable via sell quotes (pool fee/impact included); null = no quote
+async function valueHoldingsUsd(balances, stable, tokens) {
+  const values = {};
+  if (!stable.classKey) return values;
+  for (const t of tokens) {
+    const qty = Number(balances[t.symbol] || 0);
+    if (!(qty > 0)) { values[t.symbol] = 0; continue; }
+    const q = await safeQuoteExactIn(t.classKey, stable.classKey, qty.toString());
+    values[t.symbol] = q ? Number(q.outTokenAmount.toString()) : null;
+  }
+  return values;
+}
+
+// Value each rotation holding in stable (only needed for caps / deficit mode)
+async function rotationValuesUsd(balances, stable) {
+  const needed = ROTATION.mode === 'deficit' || ROTATION.tokens.some(t => t.maxUsd != null);
+  if (!needed) return {};
+  const values = await valueHoldingsUsd(balances, stable, ROTATION.tokens);
+  ev.debug('ROTATION-VALUES', '', { values });
+  return values;
+}
 
+// Whole-wallet value (stables + GALA + rotation tokens) for the risk engine.
+// `complete` is false when balances or a quote were missing — never mark equity from a partial view.
+async function portfolioSnapshot() {
+  const balances = await getBalancesMap();
+  const stable = resolveStableFromBalances(balances);
+  const tokens = [{ symbol: 'GALA', classKey: GALA }, ...ROTATION.tokens.filter(t => t.symbol !== 'GALA')];
+  const byAsset = await valueHoldingsUsd(balances, stable, tokens);
+  const complete = Object.keys(balances).length > 0 && Object.values(byAsset).every(v => v != null);
+  const totalUsd = Number(balances.GUSDT || 0) + Number(balances.GUSDC || 0)
+    + Object.values(byAsset).reduce((s, v) => s + Number(v || 0), 0);
+  return { totalUsd, byAsset, complete, balances };
+}
+
+async function buyOneDollar() {
   const balancesBefore = await getBalancesMap();
   const stable = resolveStableFromBalances(balancesBefore);
-  if (!stable.sym) { console.log('[BUY-SKIP] No GUSDT/GUSDC balance detected'); return; }
-  if (stable.amount + 1e-9 < usd) { console.log(`[BUY-SKIP] Not enough ${stable.sym} (need $${usd}, have ~$${stable.amount})`); return; }
+  if (!stable.sym) { ev.emit('BUY-SKIP', 'No GUSDT/GUSDC balance detected', { reason: 'no-stable' }); return; }
 
-  const buyKey = nextBuyTokenKey();              // 'GALA' or 'GWETH'
-  const OUT = buyKey === 'GALA' ? GALA : GWETH;
+  const valuesUsd = await rotationValuesUsd(balancesBefore, stable);
+  const target = pickRotationToken(ROTATION, { slot: slot(60), valuesUsd });
+  if (!target) { ev.emit('BUY-SKIP', 'Every rotation token is at its maxUsd cap', { reason: 'all-capped' }); return; }
+
+  const buyKey = target.symbol;
+  const OUT = target.classKey;
+  const slippageBps = target.slippageBps ?? SLIPPAGE_BPS;
+  const usd = toDollars(target.usdCents ?? USD_CENTS);
+  if (!(usd > 0)) { ev.emit('BUY-SKIP', `USD amount <= 0 for ${buyKey}`, { token: buyKey, reason: 'zero-amount' }); return; }
+  if (stable.amount + 1e-9 < usd) { ev.emit('BUY-SKIP', `Not enough ${stable.sym} (need $${usd}, have ~$${stable.amount})`, { token: buyKey, reason: 'insufficient-stable', usd, have: stable.amount }); return; }
 
   const q = await safeQuoteExactIn(stable.classKey, OUT, usd.toString());
-  if (!q) { console.log(`[BUY-SKIP] No valid quote for ${stable.sym}->${buyKey} (usd=${usd}).`); return; }
+  if (!q) { ev.emit('BUY-SKIP', `No valid quote for ${stable.sym}->${buyKey} (usd=${usd}).`, { token: buyKey, reason: 'no-quote', usd }); return; }
 
-  const minOut = bpsMulStr(q.outTokenAmount.toString(), SLIPPAGE_BPS);
-  console.log(`[BUY-QUOTE] ${stable.sym}->${buyKey} $${usd} feeTier=${q.feeTier} out=${q.outTokenAmount} minOut=${minOut}`);
+  const minOut = bpsMulStr(q.outTokenAmount.toString(), slippageBps);
+  ev.emit('BUY-QUOTE', `${stable.sym}->${buyKey} $${usd} feeTier=${q.feeTier} out=${q.outTokenAmount} minOut=${minOut}`,
+    { tokenIn: stable.classKey, tokenOut: OUT, usd, feeTier: q.feeTier, out: String(q.outTokenAmount), minOut });
 
-  if (DRY_RUN) { console.log(`[BUY-DRY] ${stable.sym}->${buyKey} $${usd} minOut=${minOut}`); return; }
+  if (DRY_RUN) { ev.emit('BUY-DRY', `${stable.sym}->${buyKey} $${usd} minOut=${minOut}`, { token: buyKey, usd, minOut }); return; }
 
   try {
-    const submitRes = await gswap.swaps.swap(
-      stable.classKey, OUT, q.feeTier,
-      { exactIn: usd.toString(), amountOutMinimum: minOut },
-      WALLET
-    );
-    if (DEBUG) console.log('[BUY-SUBMIT]', submitRes);
-
-    // Balance-based confirmation (6x over ~30s)
-    const targetSym = buyKey === 'GALA' ? 'GALA' : 'GWETH';
-    const beforeBought = Number(balancesBefore[targetSym] || 0);
-    const beforeStable = Number(balancesBefore[stable.sym] || 0);
-
-    let confirmed = false;
-    for (let i = 0; i < 6; i++) {
-      await sleep(5000);
-      const after = await getBalancesMap();
-      const afterBought = Number(after[targetSym] || 0);
-      const afterStable = Number(after[stable.sym] || 0);
-      const stableDropped = afterStable + 1e-6 <= beforeStable - usd + 1e-3;
-      const boughtIncreased = afterBought > beforeBought;
-
-      if (stableDropped && boughtIncreased) {
-        console.log(`✅ BUY likely executed (balance confirm): ${stable.sym} ${beforeStable}→${afterStable}, ${targetSym} ${beforeBought}→${afterBought}`);
-        confirmed = true;
-        break;
-      }
+    const outcome = await submitAndConfirm('BUY', stable.classKey, OUT, q.feeTier, usd.toString(), minOut, usd, String(q.outTokenAmount));
+    if (outcome.status === 'rejected') return;
+    if (outcome.status === 'failed') {
+      ev.emit('BUY-FAILED', `${stable.sym}->${buyKey} tx=${outcome.txId}: ${outcome.reason}`, { txId: outcome.txId, reason: outcome.reason });
+      return;
     }
 
-    if (!confirmed) {
-      console.log('[BUY-NOCONFIRM] Could not confirm via balances within ~30s. It may still settle shortly.');
+    const feeStable = await galaFeeInStable(stable.classKey);
+    const quotedOut = Number(q.outTokenAmount.toString());
+    if (outcome.status === 'confirmed') {
+      const got = outcome.fill?.amountOut ?? quotedOut;
+      ev.emit('BUY-CONFIRMED', `✅ BUY confirmed: tx=${outcome.txId} ${stable.sym} $${usd} → ${got} ${buyKey}`, { txId: outcome.txId, usd, got });
+      await recordLot({ token: buyKey, qty: got, stableSpent: usd, feeStable, feeGala: GAS_FIXED_FEE_GALA, txId: outcome.txId });
+    } else {
+      ev.emit('BUY-UNKNOWN', `tx=${outcome.txId} not settled within ${TX_WAIT_MS}ms (${outcome.reason}). It may still settle.`, { txId: outcome.txId, reason: outcome.reason });
+      await recordLot({ token: buyKey, qty: quotedOut, stableSpent: usd, feeStable, feeGala: GAS_FIXED_FEE_GALA, txId: outcome.txId, confirmed: false });
     }
-
   } catch (submitErr) {
     const msg  = submitErr?.message || submitErr;
     const body = submitErr?.response?.data ? JSON.stringify(submitErr.response.data) : '';
-    console.log(`[BUY-SUBMIT-ERR] ${stable.sym}->${buyKey}: ${msg} ${body}`);
-    console.log('Fix tips: endpoints (prod), correct stable (GUSDT/GUSDC), spendable balance, or adjust SLIPPAGE_BPS while testing.');
+    ev.error('BUY-SUBMIT-ERR', `${stable.sym}->${buyKey}: ${msg} ${body}`, {
+      hint: 'Fix tips: endpoints (prod), correct stable (GUSDT/GUSDC), spendable balance, or adjust SLIPPAGE_BPS while testing.',
+    });
   }
 }
 
 // -----------------------------
 // One-shot entry (with gas-first policy)
 // -----------------------------
+let RUN = null; // journal handle of the current run (null outside runOnce)
+
 async function runOnce() {
+  // Dry and paper runs get their own journal so they never consume a live slot
+  const runSlot = slot(RUN_SLOT_MIN);
+  ev.startRun({ slot: runSlot, mode: PAPER.enabled ? 'paper' : DRY_RUN ? 'dry' : 'live', fake: Boolean(FAKE) });
+  const run = await beginRun({
+    bot: BOT_NAME,
+    slot: runSlot,
+    ttlMs: RUN_LOCK_TTL_MS,
+    force: RUN_FORCE,
+    runId: ev.runId,
+  });
+  if (run.skip) {
+    ev.emit('RUN-SKIP', run.reason, { reason: run.reason.startsWith('locked') ? 'locked' : 'slot-done' });
+    ev.endRun('skipped');
+    return;
+  }
+  RUN = run;
+  let runStatus = 'done';
   try {
+    // Portfolio mark → drawdown kill switch (halts everything until `node lib/risk.cjs rearm`)
+    PORTFOLIO = await portfolioSnapshot();
+    if (!PAPER.enabled && Object.keys(PORTFOLIO.balances).length) {
+      await journal.snapshot({ balances: PORTFOLIO.balances, bot: BOT_NAME, runId: ev.runId, source: 'run' });
+    }
+    for (const low of lowBalances(PORTFOLIO.balances, notifier.config.minBalances)) {
+      ev.warn('BALANCE-LOW', `${low.symbol} balance ${low.qty} is under its ${low.min} floor`, low);
+    }
+    let halted;
+    if (PORTFOLIO.complete) {
+      const mark = risk.markEquity(PORTFOLIO.totalUsd);
+      halted = mark.halted;
+      ev.debug('RISK', '', { equityUsd: PORTFOLIO.totalUsd, drawdownPct: mark.drawdownPct });
+    } else {
+      ev.warn('RISK', 'Incomplete portfolio valuation; equity not marked this run.', { byAsset: PORTFOLIO.byAsset });
+      halted = Boolean(risk.isHalted());
+    }
+    if (halted) {
+      ev.emit('RISK-HALTED', 'Kill switch engaged; skipping all trading this run.', { reason: 'kill-switch' });
+      return;
+    }
+
+    // Lots and sells from earlier unknown outcomes are settled before anything is sold
+    if (!DRY_RUN && !PAPER.enabled) await reconcilePendingLots();
+
     // 0) GAS FIRST: top-up if below reserve
     await topUpGasIfNeeded();
 
-    // 1) Try to close profit on excess GALA (never below reserve) and any GWETH
-    await trySellIfProfitable('GALA');
-    await trySellIfProfitable('GWETH');
+    // 1) Try to close profit on every rotation token (GALA never below reserve)
+    for (const token of ROTATION.tokens) await trySellIfProfitable(token);
 
-    // 2) Alternate buy (hourly flip between GALA and GWETH)
+    // 2) Rotation buy (default: hourly flip between GALA and GWETH)
     await buyOneDollar();
   } catch (e) {
-    console.error('❌ Bot error:', e?.message || e);
+    runStatus = 'failed';
+    ev.error('BOT-ERROR', `❌ Bot error: ${e?.message || e}`);
+  } finally {
+    disconnectTxEvents();
+    RUN = null;
+    await run.finish(runStatus);
+    ev.debug('MARKET', '', { metrics: market.metricsSummary() });
+    await journal.flush();
+    await notifier.flush();
+    ev.endRun(runStatus);
   }
 }
 
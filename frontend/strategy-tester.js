@@ -5,14 +5,27 @@
 //   node strategy-tester.js --strategy=momentum --usd=2
 //   node strategy-tester.js --strategy=mean --usd=2 --execute
 //   node strategy-tester.js --strategy=fib --usd=2 --execute
+//   node strategy-tester.js --strategy=rsi --usd=2 --timeframe=1h
+//   node strategy-tester.js --strategy=bb --usd=2
 //
 // By default it SIMULATES. Add --execute AND set DRY_RUN=false in .env for real trades.
+// Executed swaps go through the shared risk engine (lib/risk.cjs) like the bots' swaps.
+// Signals start from hybrid-bot.cjs's EMA / price history in the shared state store (read-only).
+// GSWAP_FAKE=default|scenario.json or GSWAP_MOCK_URL runs it against a simulated chain (lib/fake-gswap.cjs).
 
 require('dotenv').config();
 const { GSwap, PrivateKeySigner } = require('@gala-chain/gswap-sdk');
+const { createRiskGuard } = require('../lib/risk.cjs');
+const { arbConfigFromEnv, scanCycles, gasPerLegInBase, quoterFromSdk } = require('../lib/arb-scanner.cjs');
+const { stateStoreFromEnv } = require('../lib/state-store.cjs');
+const { createMarketData } = require('../lib/market-data.cjs');
+const { fakeSdkFromEnv } = require('../lib/fake-gswap.cjs');
+const { aggregateCandles, closes } = require('../lib/candles.cjs');
+const { last, rsi, bollinger } = require('../lib/indicators.cjs');
 
 const args = require('minimist')(process.argv.slice(2));
-const STRAT = String(args.strategy || 'arb').toLowerCase(); // arb | momentum | mean | fib
+const STRAT = String(args.strategy || 'arb').toLowerCase(); // arb | momentum | mean | fib | rsi | bb
+const TIMEFRAME = String(args.timeframe || process.env.SIGNAL_TIMEFRAME || '5m'); // candles for rsi / bb
 const USD   = Number(args.usd || 2);
 const EXECUTE = !!args.execute;
 
@@ -29,9 +42,14 @@ const EMA_ALPHA     = Number(process.env.EMA_ALPHA || 0.2);
 const MOMENTUM_TH   = Number(process.env.MOMENTUM_TH || 0.004);
 const MEANREV_TH    = Number(process.env.MEANREV_TH || 0.006);
 const FIB_LOOKBACK  = Number(process.env.FIB_LOOKBACK || 96);
+const RSI_PERIOD     = Math.max(2, Number(process.env.RSI_PERIOD || 14));
+const RSI_OVERSOLD   = Number(process.env.RSI_OVERSOLD || 30);
+const RSI_OVERBOUGHT = Number(process.env.RSI_OVERBOUGHT || 70);
+const BB_PERIOD      = Math.max(2, Number(process.env.BB_PERIOD || 20));
+const BB_MULT        = Number(process.env.BB_MULT || 2);
 
-const ARB_PATH = (process.env.ARB_PATH || 'USDC-GALA-WETH-USDC').toUpperCase().split('-');
-const ARB_MIN_PROFIT_BPS = Number(process.env.ARB_MIN_PROFIT_BPS || 30);
+// Arb uses the shared cycle scanner (ARB_BASE / ARB_TOKENS / ARB_FEE_TIERS / ARB_MAX_LEGS / ARB_MIN_PROFIT_BPS)
+const ARB = arbConfigFromEnv(process.env, { USDC: TOKEN_USDC, GALA: TOKEN_GALA, WETH: TOKEN_WETH });
 
 const gatewayBaseUrl    = process.env.GATEWAY_BASE_URL || 'https://gateway-mainnet.galachain.com';
 const bundlerBaseUrl    = process.env.BUNDLER_BASE_URL || 'https://bundle-backend-prod1.defi.gala.com';
@@ -45,49 +63,42 @@ if (EXECUTE && DRY_RUN_ENV) {
   console.error('❌ You passed --execute but DRY_RUN=true in .env. Set DRY_RUN=false to actually trade.');
   process.exit(1);
 }
-if (EXECUTE && !PRIVATE_KEY) {
+const FAKE = fakeSdkFromEnv(); // GSWAP_FAKE / GSWAP_MOCK_URL → simulated chain, dummy signer
+if (EXECUTE && !PRIVATE_KEY && !FAKE) {
   console.error('❌ You passed --execute but PRIVATE_KEY is empty.');
   process.exit(1);
 }
 
 const gswap = new GSwap({
-  signer: new PrivateKeySigner(PRIVATE_KEY || '0x'),
+  signer: FAKE ? FAKE.sdk.signer : new PrivateKeySigner(PRIVATE_KEY || '0x'),
   walletAddress: WALLET,
   gatewayBaseUrl,
   bundlerBaseUrl,
   dexBackendBaseUrl,
+  ...(FAKE ? FAKE.sdk : {}),
 });
 
+// Quotes + balances through the shared market-data client (lib/market-data.cjs)
+const market = createMarketData({ gswap });
+
+const risk = createRiskGuard({ bot: 'tester' });
+let PORTFOLIO = null; // { totalUsd, byAsset } from the "before" snapshot
+
 // ──────────────────────────────────────────────────────────────
 // Helpers
 // ──────────────────────────────────────────────────────────────
 function bpsMul(x, bps){ const n=Number(x); return ((n*(10000-bps))/10000).toString(); }
 async function ensureSocket(){ if (!GSwap.events.isConnected?.()) await GSwap.events.connectEventSocket(); }
 
+// Wallet balances of the three tokens, all pages
 async function balances() {
-    // Page numbers start at 1; limit must be 1..100
-    const LIMIT = 100;
-    let page = 1;
-    const out = { USDC: 0, GALA: 0, WETH: 0 };
-  
-    while (true) {
-      const res = await gswap.assets.getUserAssets(WALLET, page, LIMIT);
-      const assets = res?.assets || [];
-      for (const a of assets) {
-        const bal = Number(a.balance || 0);
-        if (a.classKey === TOKEN_USDC) out.USDC = bal;
-        if (a.classKey === TOKEN_GALA) out.GALA = bal;
-        if (a.classKey === TOKEN_WETH) out.WETH = bal;
-      }
-      if (assets.length < LIMIT) break; // no more pages
-      page += 1;
-    }
-    return out;
+  const bySym = await market.balancesBySymbol(WALLET);
+  const sym = (key) => key.split('|')[0].toUpperCase();
+  return { USDC: bySym[sym(TOKEN_USDC)] || 0, GALA: bySym[sym(TOKEN_GALA)] || 0, WETH: bySym[sym(TOKEN_WETH)] || 0 };
 }
-  
 
 async function quoteExactIn(tokenIn, tokenOut, amountIn) {
-  const q = await gswap.quoting.quoteExactInput(tokenIn, tokenOut, String(amountIn));
+  const q = await market.quoteExactInput(tokenIn, tokenOut, String(amountIn));
   return { out: Number(q.outTokenAmount), feeTier: q.feeTier };
 }
 
@@ -126,53 +137,53 @@ function printReport(title, before, after, priceG, priceW, notes) {
 // ──────────────────────────────────────────────────────────────
 // Execution helpers
 // ──────────────────────────────────────────────────────────────
-async function swapExactIn(tokenIn, tokenOut, exactIn) {
-  const q = await gswap.quoting.quoteExactInput(tokenIn, tokenOut, String(exactIn));
+// Risk gate for one executed swap (or a whole cycle); records it when allowed → its risk ref, or false
+function riskAllows(tokenIn, tokenOut, notionalUsd, legs = 1) {
+  const gate = risk.check({ tokenIn, tokenOut, notionalUsd, legs }, PORTFOLIO);
+  return gate.ok ? risk.record({ tokenIn, tokenOut, notionalUsd, legs }) : false;
+}
+
+// notionalUsd: pass to risk-gate this swap on its own; null when the caller already gated it
+// feeTier: pin the pool (arb legs); undefined lets the SDK pick the best tier
+async function swapExactIn(tokenIn, tokenOut, exactIn, notionalUsd = null, feeTier = undefined) {
+  const q = await market.quoteExactInput(tokenIn, tokenOut, String(exactIn), feeTier);
   const minOut = bpsMul(String(q.outTokenAmount), SLIPPAGE_BPS);
   if (!EXECUTE) {
     return { simulated: true, expectedOut: Number(q.outTokenAmount), feeTier: q.feeTier };
   }
+  const riskRef = notionalUsd != null ? riskAllows(tokenIn, tokenOut, notionalUsd) : null;
+  if (riskRef === false) {
+    return { rejected: true, expectedOut: Number(q.outTokenAmount), feeTier: q.feeTier };
+  }
   await ensureSocket();
   const p = await gswap.swaps.swap(tokenIn, tokenOut, q.feeTier,
     { exactIn: String(exactIn), amountOutMinimum: minOut }, WALLET);
-  const r = await p.wait();
+  // A swap that failed on chain moved nothing: its risk record is given back
+  const r = await p.wait().catch((e) => { if (e?.code === 'TRANSACTION_WAIT_FAILED') risk.release(riskRef); throw e; });
   return { executed: true, receipt: { txId: r.txId, hash: r.transactionHash }, expectedOut: Number(q.outTokenAmount), feeTier: q.feeTier };
 }
 
-// ARB: USDC -> GALA -> WETH -> USDC
-function keyFromAlias(alias) {
-  const a = alias.toUpperCase();
-  if (a === 'USDC') return TOKEN_USDC;
-  if (a === 'GALA') return TOKEN_GALA;
-  if (a === 'WETH') return TOKEN_WETH;
-  return alias;
-}
-
+// ARB: best cycle through the base token (lib/arb-scanner.cjs), net of estimated gas
 async function runArb(startUsd) {
-  const t0 = keyFromAlias(ARB_PATH[0]);
-  const t1 = keyFromAlias(ARB_PATH[1]);
-  const t2 = keyFromAlias(ARB_PATH[2]);
-  const t3 = keyFromAlias(ARB_PATH[3]);
-  if (t0 !== t3) throw new Error('ARB_PATH must start and end with the same token');
-
-  // simulate first
-  const q01 = await quoteExactIn(t0, t1, startUsd);
-  const q12 = await quoteExactIn(t1, t2, q01.out);
-  const q23 = await quoteExactIn(t2, t3, q12.out);
-  const profit = q23.out - startUsd;
-  const profitBps = (profit / startUsd) * 10000;
-  console.log(`Simulated triangle: ${startUsd} → ${q01.out} → ${q12.out} → ${q23.out} (profit ${profit.toFixed(6)} USDC, ${profitBps.toFixed(2)} bps)`);
-
-  if (!EXECUTE || profitBps < ARB_MIN_PROFIT_BPS) {
-    return { simulated: true, profit, profitBps, legs: [q01, q12, q23] };
+  const quote = quoterFromSdk(market.sdk);
+  const gasPerLegBase = await gasPerLegInBase(quote, ARB.base, ARB.gasGalaPerLeg, ARB.feeTiers);
+  const ranked = await scanCycles({ quote, ...ARB, startAmount: startUsd, gasPerLegBase });
+  for (const c of ranked.slice(0, 5)) {
+    console.log(`Cycle ${c.path}: ${c.legs.map(l => l.out.toPrecision(8)).join(' → ')} (net ${c.netProfit.toFixed(6)}, ${c.netBps.toFixed(2)} bps)`);
   }
+  const best = ranked[0];
+  if (!best) return { simulated: true, profit: 0, profitBps: 0, legs: [] };
+  const res = { path: best.path, profit: best.netProfit, profitBps: best.netBps, legs: best.legs };
+
+  if (!EXECUTE || !best.ok) return { simulated: true, ...res };
 
-  // execute legs
+  // execute legs (one risk gate for the whole cycle)
+  const n = best.legs.length;
+  if (!riskAllows(best.legs[0].tokenIn, best.legs[n-1].tokenOut, startUsd * n, n)) return { rejected: true, ...res };
   await ensureSocket();
-  const e01 = await swapExactIn(t0, t1, startUsd);
-  const e12 = await swapExactIn(t1, t2, q01.out);
-  const e23 = await swapExactIn(t2, t3, q12.out);
-  return { executed: true, profit, profitBps, legs: [e01, e12, e23] };
+  const executed = [];
+  for (const leg of best.legs) executed.push(await swapExactIn(leg.tokenIn, leg.tokenOut, leg.in, null, leg.feeTier));
+  return { executed: true, ...res, legs: executed };
 }
 
 // Momentum / Mean-revert / Fib signals (simple)
@@ -226,16 +237,33 @@ function fibSignal(price){
   return { action:'NONE', reason:'no fib entry' };
 }
 
+// RSI reversion / Bollinger breakout on candles built from the price history (same rules as hybrid-bot.cjs)
+function rsiSignal(){
+  const r = last(rsi(closes(aggregateCandles(STATE.prices, TIMEFRAME)), RSI_PERIOD));
+  if (r == null) return { action:'NONE', reason:`RSI needs ${RSI_PERIOD + 1} ${TIMEFRAME} candles` };
+  if (r < RSI_OVERSOLD) return { action:'BUY', reason:`RSI ${r.toFixed(1)} < ${RSI_OVERSOLD}` };
+  if (r > RSI_OVERBOUGHT) return { action:'SELL', reason:`RSI ${r.toFixed(1)} > ${RSI_OVERBOUGHT}` };
+  return { action:'NONE', reason:`RSI ${r.toFixed(1)}` };
+}
+function bollingerSignal(price){
+  const bb = bollinger(closes(aggregateCandles(STATE.prices, TIMEFRAME)), BB_PERIOD, BB_MULT);
+  const upper = last(bb.upper), lower = last(bb.lower);
+  if (upper == null) return { action:'NONE', reason:`Bollinger needs ${BB_PERIOD} ${TIMEFRAME} candles` };
+  if (price > upper) return { action:'BUY', reason:`breakout above ${upper.toPrecision(6)}` };
+  if (price < lower) return { action:'SELL', reason:`breakdown below ${lower.toPrecision(6)}` };
+  return { action:'NONE', reason:'inside bands' };
+}
+
 async function runDirectional(action, usdNotional) {
   if (action === 'BUY') {
     // exactIn in USDC
-    return swapExactIn(TOKEN_USDC, TOKEN_GALA, usdNotional);
+    return swapExactIn(TOKEN_USDC, TOKEN_GALA, usdNotional, usdNotional);
   }
   if (action === 'SELL') {
     // convert usd to GALA size first
     const pG = await spotUSDCPerGALA();
     const galaAmt = usdNotional / pG;
-    return swapExactIn(TOKEN_GALA, TOKEN_USDC, galaAmt);
+    return swapExactIn(TOKEN_GALA, TOKEN_USDC, galaAmt, usdNotional);
   }
   return { simulated: true, skipped: true };
 }
@@ -252,7 +280,21 @@ async function runDirectional(action, usdNotional) {
     const pG = await spotUSDCPerGALA();
     const pW = await spotUSDCPerWETH();
 
-    // Build EMA and minimal history (pull a few latest prices quickly)
+    // Risk: mark equity (kill switch) before anything can execute
+    PORTFOLIO = { totalUsd: before.USDC + before.GALA * pG + before.WETH * pW, byAsset: { GALA: before.GALA * pG, GWETH: before.WETH * pW } };
+    if (EXECUTE && risk.markEquity(PORTFOLIO.totalUsd).halted) {
+      console.error('❌ Risk kill switch engaged — re-arm with `node lib/risk.cjs rearm` before executing.');
+      process.exit(1);
+    }
+
+    // Build EMA and history: hybrid-bot.cjs's saved series when there is one, then a few fresh prices
+    const shared = await stateStoreFromEnv(process.env, { writer: 'strategy-tester' })
+      .load('hybrid_state', { defaults: () => ({ ema: null, prices: [] }) })
+      .catch((e) => { console.warn(`Shared state unavailable (${e?.message || e}); starting fresh.`); return { ema: null, prices: [] }; });
+    if (Array.isArray(shared.prices) && shared.prices.length) {
+      STATE = { ema: shared.ema, prices: shared.prices.slice() };
+      console.log(`Seeded ${STATE.prices.length} prices from hybrid_state.`);
+    }
     STATE.ema = STATE.ema ?? pG; // seed with current GALA price in USDC units
     for (let i=0;i<10;i++) { // tiny seed history
       const { out } = await quoteExactIn(TOKEN_GALA, TOKEN_USDC, 1);
@@ -263,7 +305,7 @@ async function runDirectional(action, usdNotional) {
     let notes = '';
     if (STRAT === 'arb') {
       const result = await runArb(USD);
-      notes = `Arb simulatedProfit=${result.profit?.toFixed(6)} USDC (${result.profitBps?.toFixed(2)} bps)${!EXECUTE ? ' [simulation]' : ''}`;
+      notes = `Arb ${result.path || 'no cycle'} netProfit=${result.profit?.toFixed(6)} (${result.profitBps?.toFixed(2)} bps)${!EXECUTE ? ' [simulation]' : ''}`;
     } else if (STRAT === 'momentum') {
       const sig = momentumSignal(STATE.prices.at(-1).p, STATE.ema);
       notes = `Momentum signal → ${sig.action} (${sig.reason})`;
@@ -276,8 +318,16 @@ async function runDirectional(action, usdNotional) {
       const sig = fibSignal(STATE.prices.at(-1).p);
       notes = `Fibonacci signal → ${sig.action} (${sig.reason})`;
       if (sig.action !== 'NONE') await runDirectional(sig.action, USD);
+    } else if (STRAT === 'rsi') {
+      const sig = rsiSignal();
+      notes = `RSI signal → ${sig.action} (${sig.reason})`;
+      if (sig.action !== 'NONE') await runDirectional(sig.action, USD);
+    } else if (STRAT === 'bb') {
+      const sig = bollingerSignal(STATE.prices.at(-1).p);
+      notes = `Bollinger signal → ${sig.action} (${sig.reason})`;
+      if (sig.action !== 'NONE') await runDirectional(sig.action, USD);
     } else {
-      console.log('Unknown --strategy. Use arb | momentum | mean | fib');
+      console.log('Unknown --strategy. Use arb | momentum | mean | fib | rsi | bb');
     }
 
     // 3) After balances (real execution only changes balances; simulation will likely match before)
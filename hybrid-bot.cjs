@@ -0,0 +1,995 @@
+// hybrid-bot.cjs
+// Runs every ~30 minutes (loop mode) or once (cron/sim). Priority: try cycle ARBITRAGE first
+// (best 2–4 leg cycle through the base token across every fee tier, net of estimated gas).
+// If no profitable arb, a bandit allocator (lib/allocator.cjs) picks one of MOMENTUM, MEAN_REVERT,
+// FIBONACCI, RSI_REVERT, BOLLINGER_BREAKOUT from their scored track record; shadow strategies are
+// scored without trading. Signals read OHLC candles (lib/candles.cjs) through lib/indicators.cjs.
+// A live BUY / SELL opens a tracked long / short (lib/positions.cjs); every tick first checks its stop,
+// TP1 (partial + break-even stop), TP2 and trailing stop, and no new entry is taken while it is open.
+// Fallback: if NOTHING trades on a tick, rebalance toward REBALANCE_TARGETS (lib/rebalancer.cjs).
+// Every swap passes the shared risk engine (lib/risk.cjs); a tripped drawdown kill switch skips the tick.
+// One tick per BOT_INTERVAL_MIN slot across loop + cron (lib/run-lock.cjs): a slot already traded is
+// skipped, and a tick that crashed mid-swap is reported at the next start.
+// PAPER_TRADING=true trades a persisted virtual wallet instead (lib/paper-wallet.cjs): live quotes, simulated
+// fills, its own hybrid_state_paper (seeded from the live price history), risk state, allocator and journal.
+// GSWAP_FAKE=default|scenario.json or GSWAP_MOCK_URL runs the SDK against a simulated chain (lib/fake-gswap.cjs).
+// Each tick is a run with its own id; quotes, signals, skips (with a reason code), submits, outcomes and
+// errors are typed JSON events on stdout and in EVENT_LOG_DIR/<bot>.jsonl (lib/event-log.cjs, `npm run report`).
+// Modes:
+//   - `node hybrid-bot.cjs`        → normal loop mode (local/VM only)
+//   - `node hybrid-bot.cjs once`   → enhanced simulation (no sockets/balances/swaps)
+//   - `node hybrid-bot.cjs cron`   → single real tick & exit (use this in Netlify Scheduled Functions)
+//   - `node hybrid-bot.cjs rebalance [--force]` → one rebalance check & exit (--force: ignore the trigger)
+
+require('dotenv').config();
+const path = require('path');
+const { GSwap, PrivateKeySigner } = require('@gala-chain/gswap-sdk');
+const { createRiskGuard, riskStateFile } = require('./lib/risk.cjs');
+const { beginRun } = require('./lib/run-lock.cjs');
+const { arbConfigFromEnv, scanCycles, gasPerLegInBase, quoterFromSdk } = require('./lib/arb-scanner.cjs');
+const { optimizeCycleSize, capAmount } = require('./lib/arb-sizing.cjs');
+const { createOfflineQuoter } = require('./lib/clmm.cjs');
+const { createMarketData } = require('./lib/market-data.cjs');
+const { paperConfigFromEnv, paperPath, createPaperWallet } = require('./lib/paper-wallet.cjs');
+const { fakeSdkFromEnv } = require('./lib/fake-gswap.cjs');
+const { createEventLog } = require('./lib/event-log.cjs');
+const { createNotifier, lowBalances } = require('./lib/notifier.cjs');
+const { createTradeJournal } = require('./lib/trade-journal.cjs');
+const { createPriceHistory } = require('./lib/price-history.cjs');
+const { executeCycle, resumePartials, partialsFile } = require('./lib/cycle-exec.cjs');
+const { connectTxEvents, awaitTxOutcome, explorerTxLookup, outcomeSummary } = require('./lib/tx-outcome.cjs');
+const { createExplorer } = require('./lib/explorer.cjs');
+const { createAllocator } = require('./lib/allocator.cjs');
+const { stateStoreFromEnv } = require('./lib/state-store.cjs');
+const { emptyCandleBook, candleBookFromSamples } = require('./lib/candles.cjs');
+const { last, rsi, bollinger } = require('./lib/indicators.cjs');
+const { signalConfigFromEnv, enabledStrategies, createSignals } = require('./lib/signals.cjs');
+const { rebalanceConfigFromEnv, enabled: rebalanceEnabled, dueTrigger, planRebalance, weightSummary } = require('./lib/rebalancer.cjs');
+const { positionConfigFromEnv, pctLevels, fibExitLevels, openPosition, evaluatePosition, applyClose, archivePosition } = require('./lib/positions.cjs');
+
+/* =========================================
+   CLI / TEST FLAGS
+   ========================================= */
+const ARG_MODE = process.argv[2];
+const ARG_ONCE = ARG_MODE === 'once'; // simulation-only mode
+const ARG_CRON = ARG_MODE === 'cron'; // one real tick & exit (serverless)
+const ARG_REBALANCE = ARG_MODE === 'rebalance'; // one rebalance & exit
+
+/* =========================================
+   ENV & CONSTANTS
+   ========================================= */
+const WALLET        = (process.env.WALLET_ADDRESS || '').trim();
+const PRIVATE_KEY   = (process.env.PRIVATE_KEY || '').trim();
+const PAPER         = paperConfigFromEnv(); // PAPER_TRADING=true → virtual wallet, never DRY_RUN
+const DRY_RUN       = !PAPER.enabled && (process.env.DRY_RUN || 'true').toLowerCase() === 'true';
+const FAKE          = fakeSdkFromEnv();     // GSWAP_FAKE / GSWAP_MOCK_URL → simulated chain (lib/fake-gswap.cjs)
+const BOT_NAME      = (PAPER.enabled ? 'hybrid-paper' : DRY_RUN ? 'hybrid-dry' : 'hybrid') + (FAKE ? '-fake' : '');
+
+// Event log (EVENT_LOG_DIR/<BOT_NAME>.jsonl + stdout); console lines of the libraries become events too
+const ev = createEventLog({ bot: BOT_NAME });
+ev.captureConsole();
+
+const TOKEN_USDC    = (process.env.TOKEN_USDC  || 'GUSDC|Unit|none|none').trim();
+const TOKEN_GALA    = (process.env.TOKEN_GALA  || 'GALA|Unit|none|none').trim();
+const TOKEN_WETH    = (process.env.TOKEN_WETH  || 'GWETH|Unit|none|none').trim();
+
+const INTERVAL_MIN  = Number(process.env.BOT_INTERVAL_MIN || 30);
+const JITTER_SEC    = Number(process.env.JITTER_SEC || 30);
+
+const SLIPPAGE_BPS  = Number(process.env.SLIPPAGE_BPS || 50); // 0.50%
+const BASE_TRADE_USD= Number(process.env.BASE_TRADE_USD || 2);
+const MAX_TRADE_USD = Number(process.env.MAX_TRADE_USD || 25);
+
+// Arbitrage: ARB_BASE / ARB_TOKENS / ARB_FEE_TIERS / ARB_MAX_LEGS / ARB_MIN_PROFIT_BPS (lib/arb-scanner.cjs);
+// ARB_PATH still seeds the token set + base when ARB_TOKENS is unset
+const ARB_START_USD = Number(process.env.ARB_START_USD || 3); // probe size for ranking cycles (USD, converted to base units)
+// Size search (lib/arb-sizing.cjs): best input in [ARB_MIN_USD, ARB_MAX_USD], capped by balance + risk headroom
+const ARB_MIN_USD   = Number(process.env.ARB_MIN_USD || 0.5);
+const ARB_MAX_USD   = Number(process.env.ARB_MAX_USD || MAX_TRADE_USD);
+const ARB_SIZE_CANDIDATES = Math.max(1, Number(process.env.ARB_SIZE_CANDIDATES || 3)); // top cycles to size
+const ARB_SIZE_EVALS      = Math.max(4, Number(process.env.ARB_SIZE_EVALS || 12));     // cycle quotes per search
+// Leg recovery (lib/cycle-exec.cjs): retries per failed leg, slippage widening per retry, unwind slippage
+const ARB_LEG_RETRIES         = Math.max(0, Number(process.env.ARB_LEG_RETRIES || 1));
+const ARB_RETRY_STEP_BPS      = Math.max(0, Number(process.env.ARB_RETRY_STEP_BPS || 50));
+const ARB_MAX_SLIPPAGE_BPS    = Number(process.env.ARB_MAX_SLIPPAGE_BPS || 300);
+const ARB_UNWIND_SLIPPAGE_BPS = Number(process.env.ARB_UNWIND_SLIPPAGE_BPS || 200);
+const TX_WAIT_MS              = Math.max(1000, Number(process.env.TX_WAIT_MS || 120000)); // per-swap confirmation window
+
+// Signals (lib/signals.cjs) run on OHLC candles of SIGNAL_TIMEFRAME (5m | 1h | 4h | 1d, lib/candles.cjs),
+// so lookbacks are fixed time spans however irregularly the ticks sample.
+// SIGNAL_EMA_PERIOD >0: trend = EMA(n) of closes; 0: per-sample EMA_ALPHA. Momentum / mean-revert:
+// MOMENTUM_TH / MEANREV_TH. RSI_PERIOD / RSI_OVERSOLD / RSI_OVERBOUGHT, BB_PERIOD / BB_MULT.
+// Fibonacci: FIB_LOOKBACK candles, FIB_ENTRY_50_618 (only enter in the 50–61.8% pocket).
+const SIG = signalConfigFromEnv();
+const {
+  timeframe: SIGNAL_TIMEFRAME, emaPeriod: SIGNAL_EMA_PERIOD, emaAlpha: EMA_ALPHA, momentumTh: MOMENTUM_TH, meanrevTh: MEANREV_TH,
+  rsiPeriod: RSI_PERIOD, rsiOversold: RSI_OVERSOLD, rsiOverbought: RSI_OVERBOUGHT, bbPeriod: BB_PERIOD, bbMult: BB_MULT,
+  fibLookback: FIB_LOOKBACK,
+} = SIG;
+const signals = createSignals(SIG);
+
+// Exits (lib/positions.cjs): POS_STOP_PCT / POS_TP1_PCT / POS_TP2_PCT / POS_TP1_FRACTION / POS_TRAIL_PCT /
+// POS_MAX_HOLD_MIN; the fib strategy uses FIB_STOP_AT_786 (else swing extreme) and FIB_USE_TP2 (161.8% ext.)
+const POS = positionConfigFromEnv();
+
+// Endpoints
+const gatewayBaseUrl    = process.env.GATEWAY_BASE_URL || 'https://gateway-mainnet.galachain.com';
+const bundlerBaseUrl    = process.env.BUNDLER_BASE_URL || 'https://bundle-backend-prod1.defi.gala.com';
+const dexBackendBaseUrl = process.env.DEX_BACKEND_BASE_URL || undefined;
+
+// Bot state (EMA/FIB history, candles, positions, last rebalance) in the shared state store (lib/state-store.cjs):
+// STATE_BACKEND file (STATE_DIR, default cwd → hybrid_state.json) | sqlite | kv
+const LIVE_STATE_NAME = 'hybrid_state';
+const STATE_NAME   = PAPER.enabled ? 'hybrid_state_paper' : LIVE_STATE_NAME;
+const STATE_SCHEMA = 3;
+const STATE_MIGRATIONS = {
+  // 0 → 1: bare hybrid_state.json from before the store; older files lack flipDir / position history
+  1: (s) => ({ flipDir: 'USDC2WETH', positionHistory: [], nextPositionId: 1, ...s, prices: Array.isArray(s.prices) ? s.prices : [] }),
+  // 1 → 2: candles, rebuilt from the samples kept so far
+  2: (s) => ({ ...s, candles: candleBookFromSamples(s.prices || []) }),
+  // 2 → 3: the USDC↔WETH nudge is gone (flipDir); rebalance bookkeeping instead
+  3: ({ flipDir, ...s }) => ({ ...s, rebalance: { lastAt: 0, last: null } }),
+};
+const stateStore = stateStoreFromEnv(process.env, { writer: 'hybrid-bot' });
+
+// Webhook alerts (ALERT_WEBHOOKS): fills, failures, low balances, arb cycles, risk halts — lib/notifier.cjs
+const notifier = createNotifier({ store: stateStore });
+ev.subscribe(notifier.handle);
+// Trade journal (lib/trade-journal.cjs): every live swap outcome + a balance snapshot per tick
+const journal = createTradeJournal({ store: stateStore });
+ev.subscribe(journal.handle);
+// Each tick's GALA spot goes to the hourly price archive (lib/price-history.cjs, galaswap provider)
+const priceHistory = createPriceHistory({ store: stateStore });
+
+// Run lock + slot journal (RUN_STATE_DIR, default ./.bot-runs); slot length defaults to the interval
+const RUN_SLOT_MIN    = Math.max(1, Number(process.env.RUN_SLOT_MIN || INTERVAL_MIN));
+const RUN_LOCK_TTL_MS = Math.max(60000, Number(process.env.RUN_LOCK_TTL_MS || 15 * 60 * 1000));
+const RUN_FORCE       = (process.env.RUN_FORCE || 'false').toLowerCase() === 'true';
+
+/* =========================================
+   VALIDATION (skip signer/wallet checks in once-sim)
+   ========================================= */
+if (!ARG_ONCE) {
+  if (!WALLET) {
+    console.error('❌ WALLET_ADDRESS missing (format: eth|0x...)');
+    process.exit(1);
+  }
+  if (!DRY_RUN && !PAPER.enabled && !FAKE && !PRIVATE_KEY) {
+    console.error('❌ PRIVATE_KEY missing and DRY_RUN=false → cannot sign swaps.');
+    process.exit(1);
+  }
+}
+
+/* =========================================
+   SDK INIT
+   ========================================= */
+const gswap = new GSwap({
+  signer: FAKE ? FAKE.sdk.signer : new PrivateKeySigner(PRIVATE_KEY || '0x'),
+  walletAddress: WALLET || 'eth|sim', // harmless in "once" sim
+  gatewayBaseUrl,
+  bundlerBaseUrl,
+  dexBackendBaseUrl,
+  ...(FAKE ? FAKE.sdk : {}), // simulated chain: its requestor / endpoints and a dummy signer
+});
+
+// Every read (quotes, pool state, balances) goes through the shared market-data client
+// (lib/market-data.cjs): short quote cache, coalescing, rate limit, retry on transient errors
+const market = createMarketData({ gswap });
+// Tx status by id from the explorer (lib/explorer.cjs): the confirmation fallback when the socket is down
+const txLookup = explorerTxLookup(createExplorer({ store: stateStore, fetchImpl: FAKE?.chain?.fetch || fetch, request: market.request }));
+
+// Paper trading: seeded from PAPER_START or, on first use, from the real wallet's balances
+const paper = PAPER.enabled
+  ? createPaperWallet({ store: stateStore, market, config: PAPER, bot: 'hybrid', realBalances: () => market.balancesBySymbol(WALLET) })
+  : null;
+
+const risk = createRiskGuard({ bot: 'hybrid', ...(PAPER.enabled ? { file: paperPath(riskStateFile()) } : {}) });
+let PORTFOLIO = null; // { totalUsd, byAsset } refreshed each tick for exposure checks
+let RUN = null;       // journal handle of the current tick (null outside tick)
+let STRATEGY = null;  // strategy the swaps in flight are attributed to (trade journal); tag-based otherwise
+
+/* =========================================
+   COMMON HELPERS
+   ========================================= */
+function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+function bpsMul(x, bps){ const n=Number(x); return ((n*(10000-bps))/10000).toString(); }
+
+function emptyState(){
+  return { ema:null, prices:[], candles: emptyCandleBook(), position:null, positionHistory:[], nextPositionId:1, rebalance: { lastAt: 0, last: null } };
+}
+async function loadState(){
+  const doc = { schema: STATE_SCHEMA, migrations: STATE_MIGRATIONS, defaults: emptyState };
+  if (!PAPER.enabled) return stateStore.load(STATE_NAME, doc);
+  const state = await stateStore.load(STATE_NAME, { ...doc, defaults: () => null });
+  if (state) return { ...emptyState(), ...state };
+  // A new paper account starts from the live price history (EMA, candles), not its positions
+  const live = await stateStore.load(LIVE_STATE_NAME, doc);
+  return { ...emptyState(), ema: live.ema, prices: live.prices, candles: live.candles };
+}
+function saveState(s){ return stateStore.save(STATE_NAME, s, { schema: STATE_SCHEMA }); }
+
+// Wallet quantities by token symbol, all pages
+const getAssetQuantities = () => (paper ? paper.balances() : market.balancesBySymbol(WALLET));
+const symOf = (key) => String(key).split('|')[0].toUpperCase();
+
+async function getBalancesPaged() {
+  const out = await getAssetQuantities();
+  return {
+    USDC: out[symOf(TOKEN_USDC)] || 0,
+    GALA: out[symOf(TOKEN_GALA)] || 0,
+    WETH: out[symOf(TOKEN_WETH)] || 0,
+  };
+}
+
+// Balance of one class key, or null when the read fails
+async function balanceOf(token){
+  try { return (await getAssetQuantities())[symOf(token)] || 0; }
+  catch (e) { ev.warn('BALANCE-ERR', `Balance read failed: ${e?.message || e}`); return null; }
+}
+
+// Risk gate for one swap (or a whole multi-leg cycle); records it when allowed and returns its risk
+// ref (false when refused). A rejection is the trade's outcome (`<tag>-OUTCOME`, status rejected).
+// reduceOnly (position exits) only answers to the kill switch: notional and count caps must never
+// keep a stop from closing.
+function riskAllows(tag, tokenIn, tokenOut, notionalUsd, legs = 1, { reduceOnly = false } = {}){
+  const gate = reduceOnly
+    ? (risk.isHalted() ? { ok: false, reason: 'kill switch engaged' } : { ok: true })
+    : risk.check({ tokenIn, tokenOut, notionalUsd, legs }, PORTFOLIO);
+  if (gate.ok) return risk.record({ tokenIn, tokenOut, notionalUsd, legs });
+  ev.emit(`${tag}-OUTCOME`, '', { trade: tag, in: tokenIn, out: tokenOut, notionalUsd, legs, status: 'rejected', txId: null, reason: gate.reason, gasGala: 0 });
+  return false;
+}
+
+async function getPortfolio(balances, usdcPerGala){
+  const usdcPerWeth = balances.WETH > 0 ? await spotUsdcPerWeth() : 0;
+  const byAsset = { GALA: balances.GALA * usdcPerGala, GWETH: balances.WETH * usdcPerWeth };
+  return { totalUsd: balances.USDC + byAsset.GALA + byAsset.GWETH, byAsset };
+}
+
+// Quotes/Spots
+async function spotUsdcPerGala(){
+  const q = await market.quoteExactInput(TOKEN_GALA, TOKEN_USDC, '1');
+  return Number(q.outTokenAmount);
+}
+async function spotUsdcPerWeth(){
+  const q = await market.quoteExactInput(TOKEN_WETH, TOKEN_USDC, '1');
+  return Number(q.outTokenAmount);
+}
+// USD (TOKEN_USDC) per unit of any token, routed through GALA when there is no direct pool;
+// null when it cannot be quoted
+async function usdPerUnit(token){
+  if (token === TOKEN_USDC) return 1;
+  const unitQuote = async (tokenIn, tokenOut) => Number((await market.quoteExactInput(tokenIn, tokenOut, '1')).outTokenAmount);
+  let usd = await unitQuote(token, TOKEN_USDC).catch(() => null);
+  if (!(usd > 0) && token !== TOKEN_GALA) {
+    const gala = await unitQuote(token, TOKEN_GALA).catch(() => null);
+    usd = gala > 0 ? gala * await spotUsdcPerGala().catch(() => 0) : null;
+  }
+  return usd > 0 ? usd : null;
+}
+
+/* =========================================
+   EXEC HELPERS (writes; not used in "once")
+   ========================================= */
+// swap + confirm by tx id, journaled for the current run (planned → submitted → outcome).
+// Resolves to the structured outcome of lib/tx-outcome.cjs; never throws on a failed swap.
+// Gas on chain is the ARB_GAS_GALA_PER_LEG estimate, paid once the swap is submitted.
+// `quotedOut` is the quote amountOutMinimum was cut from (quoted vs filled in the trade journal).
+const strategyOfTag = (tag) => (/^(ARB|CYCLE)/.test(tag) ? 'arb' : tag.startsWith('REBALANCE') ? 'rebalance' : null);
+async function journaledSwapOutcome(tag, tokenIn, tokenOut, feeTier, amounts, quotedOut = null){
+  const trade = { in: tokenIn, out: tokenOut, feeTier, ...amounts, quotedOut, strategy: STRATEGY || strategyOfTag(tag) };
+  const jid = RUN ? await RUN.planSwap({ tag, tokenIn, tokenOut, feeTier, ...amounts }) : null;
+  if (paper) {
+    const outcome = await paper.swap({ tag, tokenIn, tokenOut, feeTier, ...amounts });
+    if (jid) await RUN.markOutcome(jid, outcome);
+    ev.emit(`${tag}-PAPER`, '', outcomeSummary(tag, outcome, trade));
+    return outcome;
+  }
+  await connectTxEvents(bundlerBaseUrl); // tx ids are only tracked while the socket is up
+  let pending;
+  try {
+    pending = await gswap.swaps.swap(tokenIn, tokenOut, feeTier, amounts, WALLET);
+  } catch (e) {
+    const outcome = { status: 'failed', txId: null, reason: e?.message || String(e) };
+    if (jid) await RUN.markOutcome(jid, outcome);
+    ev.emit(`${tag}-OUTCOME`, '', { ...outcomeSummary(tag, outcome, trade), gasGala: 0 }); // never left the process
+    return outcome;
+  }
+  ev.emit(`${tag}-SUBMIT`, '', { trade: tag, txId: pending?.transactionId, message: pending?.message });
+  if (jid) await RUN.markSubmitted(jid, pending?.transactionId);
+  const outcome = await awaitTxOutcome(pending, { timeoutMs: TX_WAIT_MS, lookup: txLookup });
+  if (jid) await RUN.markOutcome(jid, outcome);
+  ev.emit(`${tag}-OUTCOME`, '', { ...outcomeSummary(tag, outcome, trade), gasGala: ARB.gasGalaPerLeg });
+  return outcome;
+}
+
+// Single swaps keep the throw-on-failure contract and resolve to the confirmed outcome
+// ({ txId, hash, fill }): a confirmation polled by tx id carries no socket receipt.
+// A failed swap gives its risk record (riskRef from riskAllows) back.
+async function journaledSwap(tag, tokenIn, tokenOut, feeTier, amounts, quotedOut = null, riskRef = null){
+  const o = await journaledSwapOutcome(tag, tokenIn, tokenOut, feeTier, amounts, quotedOut);
+  if (o.status === 'failed') risk.release(riskRef);
+  if (o.status !== 'confirmed') throw new Error(`${tag} ${o.status}: ${o.reason}`);
+  return o;
+}
+
+// GALA buy / sell resolve to { txId, amountIn, expectedOut, filledOut } (quote vs fill → allocator
+// slippage, fills → position entry / exit prices)
+async function buyGalaByUsd(usd, tag = 'BUY_GALA', { reduceOnly = false } = {}){
+  const exactInUsdc = usd.toString();
+  const q = await market.quoteExactInput(TOKEN_USDC, TOKEN_GALA, exactInUsdc);
+  const minOut = bpsMul(String(q.outTokenAmount), SLIPPAGE_BPS);
+  ev.emit(`${tag}-QUOTE`, `BUY plan: ${exactInUsdc} USDC → ~${q.outTokenAmount} GALA (min ${minOut}, fee ${q.feeTier})`, { exactInUsdc, expectGala: String(q.outTokenAmount), minOut, feeTier:q.feeTier, DRY_RUN });
+  if (DRY_RUN) { ev.emit(`${tag}-DRY`, `USDC->GALA $${usd}`, { usd, minOut }); return { simulated:true, amountIn: usd, expectedOut: Number(q.outTokenAmount) }; }
+  const riskRef = riskAllows(tag, TOKEN_USDC, TOKEN_GALA, usd, 1, { reduceOnly });
+  if (!riskRef) return null;
+  const o = await journaledSwap(tag, TOKEN_USDC, TOKEN_GALA, q.feeTier,
+    { exactIn: exactInUsdc, amountOutMinimum: minOut }, String(q.outTokenAmount), riskRef);
+  ev.emit(`${tag}-CONFIRMED`, `✅ BUY done: tx=${o.txId}`, { txId: o.txId, hash: o.hash });
+  return { txId: o.txId, amountIn: usd, expectedOut: Number(q.outTokenAmount), filledOut: o.fill?.amountOut ?? null };
+}
+
+async function sellGalaByUsdNotional(usd){
+  const price = await spotUsdcPerGala();       // USDC per 1 GALA
+  return sellGalaExact(usd / price, usd);       // sell this many GALA
+}
+
+// Sell an exact GALA amount (`usd` = its notional for the risk gate)
+async function sellGalaExact(galaAmt, usd, tag = 'SELL_GALA', { reduceOnly = false } = {}){
+  const q = await market.quoteExactInput(TOKEN_GALA, TOKEN_USDC, String(galaAmt));
+  const minOut = bpsMul(String(q.outTokenAmount), SLIPPAGE_BPS);
+  ev.emit(`${tag}-QUOTE`, `SELL plan: ${galaAmt} GALA → ~${q.outTokenAmount} USDC (min ${minOut}, fee ${q.feeTier})`, { exactInGala: galaAmt.toString(), expectUsdc: String(q.outTokenAmount), minOut, feeTier:q.feeTier, DRY_RUN });
+  if (DRY_RUN) { ev.emit(`${tag}-DRY`, `${galaAmt} GALA->USDC`, { gala: galaAmt, minOut }); return { simulated:true, amountIn: galaAmt, expectedOut: Number(q.outTokenAmount) }; }
+  const riskRef = riskAllows(tag, TOKEN_GALA, TOKEN_USDC, usd, 1, { reduceOnly });
+  if (!riskRef) return null;
+  const o = await journaledSwap(tag, TOKEN_GALA, TOKEN_USDC, q.feeTier,
+    { exactIn: galaAmt.toString(), amountOutMinimum: minOut }, String(q.outTokenAmount), riskRef);
+  ev.emit(`${tag}-CONFIRMED`, `✅ SELL done: tx=${o.txId}`, { txId: o.txId, hash: o.hash });
+  return { txId: o.txId, amountIn: galaAmt, expectedOut: Number(q.outTokenAmount), filledOut: o.fill?.amountOut ?? null };
+}
+
+/* =========================================
+   ARBITRAGE (cycle search over the pool graph, lib/arb-scanner.cjs)
+   ========================================= */
+const aliasToKey = { USDC: TOKEN_USDC, GALA: TOKEN_GALA, WETH: TOKEN_WETH };
+const aliasOf = (key) => Object.keys(aliasToKey).find(a => aliasToKey[a] === key) || key;
+const ARB = arbConfigFromEnv(process.env, aliasToKey);
+const sdkQuote = quoterFromSdk(market.sdk);
+// Scans and size searches quote pool state simulated in memory (lib/clmm.cjs, one fetch per pool per
+// tick); execution re-quotes live, and the first leg is checked offline vs live before submitting
+const CLMM_OFFLINE       = (process.env.CLMM_OFFLINE || 'true').toLowerCase() === 'true';
+const CLMM_MAX_DRIFT_BPS = Math.max(0, Number(process.env.CLMM_MAX_DRIFT_BPS || 10));
+const clmm = createOfflineQuoter({ gswap: market.sdk });
+const scanQuote = CLMM_OFFLINE ? clmm.quote : sdkQuote;
+
+// Every 2..ARB_MAX_LEGS cycle through the base token, ranked by net profit after estimated gas
+async function scanArb(startAmount){
+  clmm.refresh();
+  const gasPerLegBase = await gasPerLegInBase(scanQuote, ARB.base, ARB.gasGalaPerLeg, ARB.feeTiers);
+  const ranked = await scanCycles({ quote: scanQuote, ...ARB, startAmount, gasPerLegBase });
+  return { ranked, gasPerLegBase };
+}
+
+// Re-size the top cycles: price impact only grows with size, so a cycle that loses before gas
+// at the probe size never wins bigger and is skipped. Sizes are base-token units; the USD bounds and
+// the risk headroom are converted at usdPerBase. Returns the best sized cycle (or null).
+async function sizeArb(ranked, gasPerLegBase, baseBal, usdPerBase){
+  if (!(usdPerBase > 0)) return null;
+  const minAmount = ARB_MIN_USD / usdPerBase;
+  let best = null;
+  for (const c of ranked.filter(c => c.grossProfit > 0).slice(0, ARB_SIZE_CANDIDATES)) {
+    const maxAmount = capAmount(ARB_MAX_USD / usdPerBase, baseBal, risk.headroomUsd() / c.legs.length / usdPerBase);
+    if (!(maxAmount >= minAmount)) continue;
+    const sized = await optimizeCycleSize({
+      quote: scanQuote, cycle: c, minAmount, maxAmount, gasPerLegBase, maxEvals: ARB_SIZE_EVALS,
+    });
+    if (sized && (!best || sized.netProfit > best.netProfit)) best = { ...sized, path: c.path, usdPerBase };
+  }
+  if (best) best.ok = best.netProfit > 0 && best.netBps >= ARB.minProfitBps;
+  if (CLMM_OFFLINE) ev.emit('CLMM', '', clmm.stats());
+  return best;
+}
+
+// Leg-aware executor (lib/cycle-exec.cjs): legs re-quoted from actual fills, failed legs retried
+// then unwound to base, unfinished cycles parked in ARB_PARTIALS_FILE for the next tick
+function cycleExecOptions(){
+  return {
+    bot: BOT_NAME,
+    base: ARB.base,
+    file: PAPER.enabled ? paperPath(partialsFile()) : partialsFile(),
+    feeTiers: ARB.feeTiers,
+    quote: sdkQuote,
+    balanceOf,
+    // Parked unknown legs settle by tx id; resumed legs pass the risk gate at their USD value
+    txStatus: async (txId) => { const o = await txLookup(txId); return o && { status: o.status, amountOut: o.fill?.amountOut, reason: o.reason }; },
+    riskGate: async ({ tag, tokenIn, tokenOut, amountIn, legs }) => {
+      const usd = await usdPerUnit(tokenIn);
+      if (!(usd > 0)) { ev.emit(`${tag}-OUTCOME`, '', { trade: tag, in: tokenIn, out: tokenOut, legs, status: 'rejected', txId: null, reason: 'no USD price', gasGala: 0 }); return false; }
+      return riskAllows(tag, tokenIn, tokenOut, amountIn * usd * legs, legs);
+    },
+    slippageBps: SLIPPAGE_BPS,
+    maxRetries: ARB_LEG_RETRIES,
+    retrySlippageStepBps: ARB_RETRY_STEP_BPS,
+    maxSlippageBps: ARB_MAX_SLIPPAGE_BPS,
+    unwindSlippageBps: ARB_UNWIND_SLIPPAGE_BPS,
+    swapLeg: async ({ tag, tokenIn, tokenOut, feeTier, amountIn, minOut, quotedOut }) => {
+      const o = await journaledSwapOutcome(tag, tokenIn, tokenOut, feeTier,
+        { exactIn: String(amountIn), amountOutMinimum: String(minOut) }, quotedOut == null ? null : String(quotedOut));
+      return { ...o, amountOut: o.fill?.amountOut };
+    },
+  };
+}
+
+async function execCycle(best){
+  if (DRY_RUN) {
+    ev.emit('CYCLE-DRY', `DRY RUN (cycle): ${best.path} net ${best.netProfit.toFixed(6)} (${best.netBps.toFixed(2)} bps)`, { path: best.path, netBps: best.netBps, netProfit: best.netProfit });
+    return { simulated: true };
+  }
+  if (CLMM_OFFLINE) {
+    const leg = best.legs[0];
+    const v = await clmm.verify(leg.tokenIn, leg.tokenOut, leg.in, leg.feeTier, CLMM_MAX_DRIFT_BPS);
+    if (!v.ok) {
+      ev.emit('CLMM-DRIFT', `${best.path}: offline ${v.offline} vs live ${v.live} (${v.diffBps.toFixed(2)} bps > ${CLMM_MAX_DRIFT_BPS}) — not submitting`,
+        { kind: 'skip', reason: 'clmm-drift', path: best.path, offline: v.offline, live: v.live, diffBps: v.diffBps });
+      return null;
+    }
+  }
+  // One gate for the whole cycle: every leg counts toward notional & trade caps (in USD, not base units)
+  const usdPerBase = best.usdPerBase ?? await usdPerUnit(ARB.base);
+  if (!(usdPerBase > 0)) {
+    ev.emit('ARB-SKIP', `${best.path}: no USD price for ${aliasOf(ARB.base)}; cycle not submitted.`, { reason: 'no-usd-price', path: best.path });
+    return null;
+  }
+  const startUsd = best.legs[0].in * usdPerBase;
+  if (!riskAllows('CYCLE', best.legs[0].tokenIn, best.legs[best.legs.length-1].tokenOut, startUsd*best.legs.length, best.legs.length)) return null;
+
+  const r = await executeCycle({ ...cycleExecOptions(), cycle: best });
+  if (r.status === 'completed') ev.emit('CYCLE-DONE', `✅ Cycle executed: ${best.path} ${r.startAmount} → ${r.finalAmount}`, { status: r.status, path: best.path, start: r.startAmount, final: r.finalAmount });
+  else ev.warn('CYCLE-DONE', `⚠️ Cycle ${r.status}: ${best.path} holding ${r.held ?? '-'} (${r.reason})`, { status: r.status, path: best.path, start: r.startAmount, final: r.finalAmount, held: r.held, reason: r.reason, partialId: r.partialId });
+  return r.status === 'aborted' ? null : r; // aborted = leg 1 never filled, nothing traded
+}
+
+/* =========================================
+   STRATEGY EXECUTION (loop mode)
+   ========================================= */
+// Tick strategy list: name → (state, price) => { action: BUY | SELL | NONE, reason } (lib/signals.cjs).
+// STRATEGIES (comma list) limits it; unknown names are ignored.
+const STRATEGY_SIGNALS = Object.fromEntries(enabledStrategies(process.env.STRATEGIES).map(name => [name, signals.byName[name]]));
+
+// Bandit allocator over the strategies (lib/allocator.cjs); state lives next to hybrid_state.json
+const ALLOCATOR_FILE = process.env.ALLOCATOR_FILE || path.join(process.env.STATE_DIR || process.cwd(), 'hybrid_allocator.json');
+const allocator = createAllocator({
+  strategies: Object.keys(STRATEGY_SIGNALS),
+  file: PAPER.enabled ? paperPath(ALLOCATOR_FILE) : ALLOCATOR_FILE,
+});
+
+async function runStrategy(name, state, price){
+  const sig = STRATEGY_SIGNALS[name](state, price);
+  ev.emit('SIGNAL', `${name}: ${sig.action}${sig.reason ? ` (${sig.reason})` : ''}`, { kind: 'signal', strategy: name, ...sig, price });
+  const usd = Math.min(MAX_TRADE_USD, BASE_TRADE_USD);
+  let res = null;
+  STRATEGY = name;
+  try {
+    if (sig.action==='BUY')  res = await buyGalaByUsd(usd);
+    if (sig.action==='SELL') res = await sellGalaByUsdNotional(usd);
+  } finally { STRATEGY = null; }
+  if (res) {
+    allocator.recordSignal({
+      strategy: name, action: sig.action, price, notionalUsd: usd, reason: sig.reason,
+      simulated: Boolean(res.simulated), fill: res.simulated ? null : res,
+    });
+    trackEntry(state, name, sig, res, usd);
+  }
+  return res;
+}
+
+/* =========================================
+   POSITIONS (lib/positions.cjs) — entries from signals, exits evaluated every tick
+   ========================================= */
+// BUY → long (GALA held), SELL → short (GALA sold, bought back on exit). Entry price from the fill.
+function trackEntry(state, strategy, sig, res, usd){
+  const side = sig.action === 'BUY' ? 'long' : 'short';
+  const got = Number(res.filledOut ?? res.expectedOut);
+  const sizeGala = side === 'long' ? got : Number(res.amountIn);
+  const entryPrice = side === 'long' ? usd / got : got / sizeGala;
+  if (!(sizeGala > 0) || !(entryPrice > 0)) return;
+  const levels = strategy === 'FIBONACCI' && sig.swing ? fibExitLevels(side, sig.swing, POS) : pctLevels(side, entryPrice, POS);
+  const id = state.nextPositionId || 1;
+  state.nextPositionId = id + 1;
+  state.position = openPosition({
+    id, strategy, side, entryPrice, sizeGala, notionalUsd: usd, levels,
+    txId: res.txId || null, simulated: Boolean(res.simulated),
+  });
+  ev.emit('POS-OPEN', `📌 Position #${id} opened: ${strategy} ${side} ${sizeGala} GALA @${entryPrice} (stop ${levels.stop}, tp1 ${levels.tp1}, tp2 ${levels.tp2})`, { id, strategy, side, entryPrice, sizeGala, stop: levels.stop, tp1: levels.tp1, tp2: levels.tp2 });
+}
+
+// Close (part of) the open position through the normal swap path when a stop / target is hit.
+// Returns true when a swap went through.
+async function managePosition(state, price){
+  const pos = state.position;
+  if (!pos) return false;
+  if (pos.simulated && !DRY_RUN) {
+    ev.emit('POS-DROP', `Dropping simulated position #${pos.id} (DRY_RUN is off).`, { id: pos.id });
+    archivePosition(state, { ...pos, discarded: 'simulated position while live' });
+    state.position = null;
+    return false;
+  }
+  if (!pos.simulated && DRY_RUN) {
+    ev.emit('POS-SKIP', `Live position #${pos.id} left untouched while DRY_RUN=true.`, { id: pos.id, reason: 'dry-run' });
+    return false;
+  }
+
+  const d = evaluatePosition(pos, price, POS);
+  if (d.action !== 'close') {
+    ev.emit('POS', `Position #${pos.id} ${pos.side} @${pos.entryPrice}, price ${price}, stop ${pos.trailStop ?? pos.stop}, ${pos.remainingGala} GALA left`, { id: pos.id, side: pos.side, entry: pos.entryPrice, price, stop: pos.stop, trail: pos.trailStop, tp1: pos.tp1, tp2: pos.tp2, remainingGala: pos.remainingGala });
+    return false;
+  }
+
+  const gala = pos.remainingGala * d.fraction;
+  ev.emit('POS-CLOSE', `📤 Closing ${(d.fraction*100).toFixed(0)}% of position #${pos.id} (${d.reason})`, { id: pos.id, fraction: d.fraction, reason: d.reason, gala, price });
+  let res, usd = gala*price;
+  STRATEGY = pos.strategy;
+  try {
+    // A short buys back exactly `gala`: spend what the exact-output quote asks for, not gala × spot
+    if (pos.side === 'short') {
+      const q = await market.quoteExactOutput(TOKEN_USDC, TOKEN_GALA, String(gala)).catch(() => null);
+      if (Number(q?.inTokenAmount) > 0) usd = Number(q.inTokenAmount);
+    }
+    res = pos.side === 'long'
+      ? await sellGalaExact(gala, usd, 'POS_CLOSE', { reduceOnly: true })
+      : await buyGalaByUsd(usd, 'POS_CLOSE', { reduceOnly: true });
+  } catch (e) {
+    ev.error('POS-CLOSE-ERR', `Position close failed (retry next tick): ${e?.message || e}`, { id: pos.id });
+    return false;
+  } finally { STRATEGY = null; }
+  if (!res) return false; // kill switch engaged; stays open
+
+  const got = Number(res.filledOut ?? res.expectedOut);
+  const closedGala = pos.side === 'long' ? gala : got;
+  const exitPrice = pos.side === 'long' ? got / gala : usd / got;
+  const flat = applyClose(pos, { gala: closedGala, exitPrice, reason: d.reason, txId: res.txId || null, tp1: Boolean(d.tp1), dustGala: POS.dustGala });
+  ev.emit('POS-BOOKED', `Position #${pos.id} close booked: ${closedGala} GALA @${exitPrice}, realized $${pos.realizedUsd}${flat ? ' (flat)' : ''}`, { id: pos.id, exitPrice, gala: closedGala, realizedUsd: pos.realizedUsd, flat });
+  if (flat) {
+    archivePosition(state, pos);
+    state.position = null;
+    // The bandit learns from what the position really made, not from a horizon mark. DRY_RUN
+    // positions never filled, so they are not scored (paper trading keeps its own allocator file).
+    if (!pos.simulated) allocator.recordOutcome({ strategy: pos.strategy, pnlUsd: pos.realizedUsd, notionalUsd: pos.notionalUsd, positionId: pos.id, reason: d.reason });
+  }
+  await saveState(state);
+  return true;
+}
+
+// Shadow: log + score the signal, never trade
+function shadowStrategy(name, state, price){
+  const sig = STRATEGY_SIGNALS[name](state, price);
+  ev.emit('SIGNAL', `${name} (shadow): ${sig.action}${sig.reason ? ` (${sig.reason})` : ''}`, { kind: 'signal', strategy: name, ...sig, price, shadow: true });
+  allocator.recordSignal({ strategy: name, action: sig.action, price, notionalUsd: Math.min(MAX_TRADE_USD, BASE_TRADE_USD), reason: sig.reason, shadow: true });
+}
+
+/* =========================================
+   REBALANCE (lib/rebalancer.cjs) — tick fallback & `rebalance` mode
+   ========================================= */
+// REBALANCE_TARGETS (USDC / GALA / WETH weights), REBALANCE_BAND_PCT, REBALANCE_MIN_TRADE_USD,
+// REBALANCE_MODE threshold | periodic | both, REBALANCE_PERIOD_MIN; GAS_MIN_GALA is never sold
+const REBAL = rebalanceConfigFromEnv(process.env, Object.keys(aliasToKey));
+
+// Swap `usd` worth of one alias into another at the pool's quote
+async function swapByUsd(from, to, usd, usdPerUnit, tag){
+  const amountIn = String(usd / usdPerUnit);
+  const q = await market.quoteExactInput(aliasToKey[from], aliasToKey[to], amountIn);
+  const minOut = bpsMul(String(q.outTokenAmount), SLIPPAGE_BPS);
+  ev.emit(`${tag}-QUOTE`, `${tag} plan: ${amountIn} ${from} → ~${q.outTokenAmount} ${to} ($${usd.toFixed(2)}, min ${minOut}, fee ${q.feeTier})`, { from, to, usd: Number(usd.toFixed(6)), exactIn: amountIn, expectOut: String(q.outTokenAmount), minOut, feeTier:q.feeTier, DRY_RUN });
+  if (DRY_RUN) { ev.emit(`${tag}-DRY`, `${from}→${to} $${usd.toFixed(2)}`, { from, to, usd, minOut }); return { simulated:true }; }
+  const riskRef = riskAllows(tag, aliasToKey[from], aliasToKey[to], usd);
+  if (!riskRef) return null;
+  const o = await journaledSwap(tag, aliasToKey[from], aliasToKey[to], q.feeTier, { exactIn: amountIn, amountOutMinimum: minOut }, String(q.outTokenAmount), riskRef);
+  ev.emit(`${tag}-CONFIRMED`, `✅ ${tag} ${from}→${to} done: tx=${o.txId}`, { txId: o.txId, hash: o.hash });
+  return o;
+}
+
+// Rebalance when a trigger is due (or `force`). Returns true when a swap went through.
+async function runRebalance(state, balances, usdcPerGala, { force = false } = {}){
+  if (!rebalanceEnabled(REBAL)) { ev.emit('REBALANCE-SKIP', 'Rebalance: off (no REBALANCE_TARGETS).', { reason: 'off' }); return false; }
+  const usdPerUnit = { USDC: 1, GALA: usdcPerGala, WETH: balances.WETH > 0 || REBAL.targets.WETH ? await spotUsdcPerWeth() : 0 };
+  const holdings = Object.fromEntries(Object.keys(aliasToKey).map(a => [a, { qty: balances[a] || 0, priceUsd: usdPerUnit[a] }]));
+
+  const now = Date.now();
+  const banded = planRebalance(holdings, REBAL);
+  const trigger = force ? 'manual' : dueTrigger(REBAL, { outOfBand: banded.outOfBand, lastAt: state.rebalance?.lastAt, now });
+  ev.emit('REBALANCE-WEIGHTS', '', { weights: weightSummary(banded), totalUsd: Number(banded.totalUsd.toFixed(2)), trigger });
+  if (!trigger) { ev.emit('REBALANCE-SKIP', 'Rebalance: within band, not due.', { reason: 'not-due' }); return false; }
+
+  const plan = trigger === 'threshold' ? banded : planRebalance(holdings, REBAL, { full: true });
+  if (plan.dropped.length) ev.emit('REBALANCE-SKIP', 'Rebalance: below REBALANCE_MIN_TRADE_USD', { reason: 'below-min-trade', dropped: plan.dropped });
+  const done = [];
+  for (const t of plan.trades) {
+    try {
+      const res = await swapByUsd(t.from, t.to, t.usd, usdPerUnit[t.from], 'REBALANCE');
+      if (res) done.push({ ...t, txId: res.txId || null, simulated: Boolean(res.simulated) });
+    } catch (e) {
+      ev.error('REBALANCE-ERR', `Rebalance ${t.from}→${t.to} failed: ${e?.message || e}`, { from: t.from, to: t.to, usd: t.usd });
+    }
+  }
+  state.rebalance = { lastAt: now, last: { trigger, at: new Date(now).toISOString(), planned: plan.trades.length, done } };
+  return done.some(d => !d.simulated);
+}
+
+/* =========================================
+   MAIN TICK (normal loop & cron)
+   ========================================= */
+// Lock + journal around one tick: loop and cron share the slot, so only the first one trades
+async function tick(){
+  const slot = Math.floor(Date.now() / (RUN_SLOT_MIN*60*1000));
+  ev.startRun({ slot, mode: PAPER.enabled ? 'paper' : DRY_RUN ? 'dry' : 'live', fake: Boolean(FAKE) });
+  const run = await beginRun({
+    bot: BOT_NAME,
+    slot,
+    ttlMs: RUN_LOCK_TTL_MS,
+    force: RUN_FORCE,
+    runId: ev.runId,
+  });
+  if (run.skip) {
+    ev.emit('RUN-SKIP', `Run guard → skipping tick (${run.reason}).`, { reason: run.reason.startsWith('locked') ? 'locked' : 'slot-done' });
+    ev.endRun('skipped');
+    return;
+  }
+  RUN = run;
+  let status = 'done';
+  try {
+    status = (await tradeTick()) || 'done';
+  } finally {
+    RUN = null;
+    await run.finish(status);
+    await journal.flush();
+    await notifier.flush();
+    ev.endRun(status);
+  }
+}
+
+// The state lease covers the whole tick: a second process can't interleave its read-modify-write
+async function tradeTick(){
+  let release;
+  try {
+    release = await stateStore.lock(STATE_NAME, { ttlMs: RUN_LOCK_TTL_MS });
+  } catch (e) {
+    ev.error('TICK-ERROR', `❌ Tick error: ${e?.message || e}`);
+    return 'failed';
+  }
+  try { return await tradeTickLocked(); }
+  finally {
+    await release();
+    ev.emit('MARKET', '', { metrics: market.metricsSummary() });
+  }
+}
+
+async function tradeTickLocked(){
+  try {
+    // Update state & spot
+    const state = await loadState();
+    const price = await spotUsdcPerGala();
+    signals.observePrice(state, price);
+    await saveState(state);
+    await priceHistory.record('GALA', price).catch((e) => ev.warn('PRICE-ARCHIVE-ERR', `Price archive write failed: ${e?.message || e}`));
+
+    let didTrade = false;
+
+    // 0) Portfolio mark → drawdown kill switch (halts every bot until `node lib/risk.cjs rearm`)
+    const balances = await getBalancesPaged();
+    PORTFOLIO = await getPortfolio(balances, price);
+    const bySymbol = Object.fromEntries(Object.entries(balances).map(([a, qty]) => [symOf(aliasToKey[a]), qty]));
+    for (const low of lowBalances(bySymbol, notifier.config.minBalances)) {
+      ev.warn('BALANCE-LOW', `${low.symbol} balance ${low.qty} is under its ${low.min} floor`, low);
+    }
+    if (!PAPER.enabled) await journal.snapshot({ balances: bySymbol, bot: BOT_NAME, runId: ev.runId, source: 'tick' });
+    if (risk.markEquity(PORTFOLIO.totalUsd).halted) {
+      ev.emit('RISK-HALTED', 'Risk kill switch engaged → skipping tick.', { reason: 'kill-switch' });
+      return;
+    }
+
+    // 0b) Exits first: stop / take-profit / trailing stop on the open position
+    if (await managePosition(state, price)) didTrade = true;
+
+    // 1a) Finish or liquidate cycles a previous tick left half-done
+    if (!DRY_RUN) {
+      const resumed = await resumePartials(cycleExecOptions());
+      if (resumed.length) ev.emit('CYCLE-RESUME', `${resumed.length} parked cycle(s)`, { resumed });
+    }
+
+    // 1b) Cycle arb (best net cycle through the base token)
+    const baseBal = Number(balances[aliasOf(ARB.base)] || 0);
+    const usdPerBase = await usdPerUnit(ARB.base);
+    if (!(usdPerBase > 0)) {
+      ev.emit('ARB-SKIP', `Skip arb: no USD price for ${aliasOf(ARB.base)}.`, { reason: 'no-usd-price' });
+    } else if (baseBal * usdPerBase > ARB_MIN_USD) {
+      const { ranked, gasPerLegBase } = await scanArb(ARB_START_USD / usdPerBase);
+      const best = await sizeArb(ranked, gasPerLegBase, baseBal, usdPerBase);
+      if (best) {
+        ev.emit('ARB-QUOTE', `Arb check: best ${best.path} size=${best.amount.toFixed(6)} net=${best.netProfit.toFixed(6)} (${best.netBps.toFixed(2)} bps, gas ${best.gasCost.toFixed(6)}, ${best.evals} evals)`,
+          { path: best.path, amount: best.amount, netProfit: best.netProfit, netBps: best.netBps, gasCost: best.gasCost, evals: best.evals, scanned: ranked.length });
+        if (best.ok) {
+          ev.emit('ARB-EXEC', '🎯 Executing cycle arbitrage…', { path: best.path });
+          if (await execCycle(best)) {
+            didTrade = true;
+            return; // done this tick after the cycle
+          }
+        } else {
+          ev.emit('ARB-SKIP', `Arb check: best net ${best.netBps.toFixed(2)} bps < ARB_MIN_PROFIT_BPS ${ARB.minProfitBps}.`, { reason: 'below-min-profit', netBps: best.netBps });
+        }
+      } else {
+        ev.emit('ARB-SKIP', `Arb check: no cycle profitable before gas (${ranked.length} scanned).`, { reason: 'unprofitable', scanned: ranked.length });
+      }
+    } else {
+      ev.emit('ARB-SKIP', `Skip arb: insufficient ${aliasOf(ARB.base)} balance.`, { reason: 'insufficient-balance', balance: baseBal });
+    }
+
+    // 2) If no arb, the allocator picks the live strategy; shadow / benched ones are only scored.
+    //    New entries only while flat — an open position is managed, not stacked.
+    //    Nothing is picked while a position is open, so the policy only counts picks that can trade.
+    allocator.settle(price);
+    const { live, shadow } = state.position ? { live: null, shadow: allocator.shadowed() } : allocator.pick();
+    for (const name of shadow) shadowStrategy(name, state, price);
+    if (state.position) {
+      ev.emit('STRATEGY-SKIP', `No profitable arb → position #${state.position.id} still open; no new entry.`, { reason: 'position-open', id: state.position.id });
+    } else if (live) {
+      ev.emit('ALLOC-PICK', `No profitable arb → ${allocator.config.policy} picked ${live}… (price=${price.toFixed(6)} ema=${(state.ema??price).toFixed(6)})`,
+        { policy: allocator.config.policy, strategy: live, shadow, price, ema: state.ema ?? price });
+      if (await runStrategy(live, state, price)) didTrade = true;
+      await saveState(state);
+    } else {
+      ev.emit('STRATEGY-SKIP', 'No profitable arb → no live strategy (all shadow or cooling down).', { reason: 'no-live-strategy', shadow });
+    }
+
+    // 3) If STILL nothing executed, rebalance toward the target weights (when due)
+    if (!didTrade) {
+      ev.emit('REBALANCE-CHECK', 'No strategy fired → rebalance check');
+      await runRebalance(state, balances, price);
+      await saveState(state);
+    }
+
+  } catch (e) {
+    ev.error('TICK-ERROR', `❌ Tick error: ${e?.message || e}`);
+    return 'failed';
+  }
+}
+
+/* =========================================
+   ONE-CENT SIMULATION MODE (ENHANCED)
+   ========================================= */
+const SIM_SAMPLES      = Number(process.env.SIM_SAMPLES || 24);     // number of price points
+const SIM_SAMPLE_MS    = Number(process.env.SIM_SAMPLE_MS || 300);  // ms between samples
+const SIM_FAKE_VAR_BPS = Number(process.env.SIM_FAKE_VAR_BPS || 120); // ±1.2% random walk if flat
+const SIM_ARB_AMOUNTS  = (process.env.SIM_ARB_AMOUNTS || '0.01,0.05,0.10')
+  .split(',').map(x => Number(x.trim())).filter(x => x > 0);
+
+// One fresh sample per SIM_SAMPLE_MS: straight to the SDK (rate limit + retries), past the quote
+// cache, whose TTL would otherwise hand back the same price for several samples in a row
+async function spotUsdcPerGalaOnce() {
+  const q = await market.request('quote', `${TOKEN_GALA}>${TOKEN_USDC}:1:sample`,
+    () => gswap.quoting.quoteExactInput(TOKEN_GALA, TOKEN_USDC, '1'), { ttlMs: 0 });
+  return Number(q.outTokenAmount);
+}
+function genRandomWalk(seed, n, varBps) {
+  const out = [seed];
+  for (let i = 1; i < n; i++) {
+    const step = (Math.random() * 2 - 1) * (varBps / 10000); // ±varBps
+    out.push(out[i - 1] * (1 + step));
+  }
+  return out;
+}
+function basicSwing(arr) {
+  let hi = -Infinity, lo = Infinity, hiIdx = -1, loIdx = -1;
+  arr.forEach((v, i) => { if (v > hi) { hi = v; hiIdx = i; } if (v < lo) { lo = v; loIdx = i; } });
+  return { high: hi, low: lo, hiIdx, loIdx };
+}
+async function runOnceTestAll() {
+  console.log('🧪 Enhanced simulation of ALL strategies (no sockets, no balances, no swaps)…');
+
+  // ---- 1) Cycle arb sims (every cycle through the base token, small amounts)
+  try {
+    const gasPerLegBase = await gasPerLegInBase(scanQuote, ARB.base, ARB.gasGalaPerLeg, ARB.feeTiers);
+    for (const amt of SIM_ARB_AMOUNTS) {
+      const ranked = await scanCycles({ quote: scanQuote, ...ARB, startAmount: amt, gasPerLegBase });
+      console.log('ARB (sim):', {
+        tryAmount: amt,
+        cycles: ranked.length,
+        top: ranked.slice(0, 3).map(c => ({ path: c.path, netProfit: Number(c.netProfit.toFixed(8)), netBps: Number(c.netBps.toFixed(2)), ok: c.ok })),
+      });
+    }
+    // Optimal size for the best cycles (no balance cap in simulation)
+    const usdPerBase = await usdPerUnit(ARB.base);
+    const { ranked, gasPerLegBase: gas } = await scanArb(ARB_START_USD / (usdPerBase || 1));
+    const sized = await sizeArb(ranked, gas, Infinity, usdPerBase);
+    console.log('ARB size (sim):', sized
+      ? { path: sized.path, range: [ARB_MIN_USD, ARB_MAX_USD], size: Number(sized.amount.toFixed(6)), netProfit: Number(sized.netProfit.toFixed(8)), netBps: Number(sized.netBps.toFixed(2)), ok: sized.ok, evals: sized.evals }
+      : 'no cycle profitable before gas');
+  } catch (e) {
+    console.log('ARB (sim) error:', e?.message || e);
+  }
+
+  // ---- 2) Build a tiny real price series
+  const real = [];
+  for (let i = 0; i < SIM_SAMPLES; i++) {
+    real.push(await spotUsdcPerGalaOnce());
+    if (i < SIM_SAMPLES - 1) await sleep(SIM_SAMPLE_MS);
+  }
+
+  const swingReal = basicSwing(real);
+  const varPct = swingReal.high === 0 ? 0 : (swingReal.high - swingReal.low) / swingReal.high;
+  let series = real;
+
+  // If too flat, synthesize a small random walk around the last real price
+  if (!isFinite(varPct) || varPct < 0.001) { // <0.1% range
+    const seed = real[real.length - 1] || 0.02;
+    series = genRandomWalk(seed, SIM_SAMPLES, SIM_FAKE_VAR_BPS);
+    console.log(`ℹ️ Real quotes too flat; using synthetic random walk ±${SIM_FAKE_VAR_BPS/100}% for signals.`);
+  }
+
+  // Compute EMA over the series
+  let ema = null;
+  for (const p of series) ema = ema == null ? p : (EMA_ALPHA * p + (1 - EMA_ALPHA) * ema);
+  const price = series[series.length - 1];
+
+  // ---- 3) Momentum
+  {
+    const dev = (price - ema) / ema;
+    const action = dev > MOMENTUM_TH ? 'BUY' : (dev < -MOMENTUM_TH ? 'SELL' : 'NONE');
+    console.log('Momentum (sim):', {
+      samples: SIM_SAMPLES,
+      price, ema,
+      deviationPct: Number((dev * 100).toFixed(3)),
+      thresholdPct: Number((MOMENTUM_TH * 100).toFixed(2)),
+      action
+    });
+  }
+
+  // ---- 4) Mean Reversion
+  {
+    const dev = (price - ema) / ema;
+    const action = dev > MEANREV_TH ? 'SELL' : (dev < -MEANREV_TH ? 'BUY' : 'NONE');
+    console.log('MeanRevert (sim):', {
+      samples: SIM_SAMPLES,
+      price, ema,
+      deviationPct: Number((dev * 100).toFixed(3)),
+      thresholdPct: Number((MEANREV_TH * 100).toFixed(2)),
+      action
+    });
+  }
+
+  // ---- 5) Fibonacci (use last 1/3rd of series as swing window)
+  {
+    const tail = series.slice(Math.floor(series.length * 2 / 3));
+    const { high, low, hiIdx, loIdx } = basicSwing(tail);
+    const rng = high - low;
+    const l382 = high - rng * 0.382, l500 = high - rng * 0.5, l618 = high - rng * 0.618;
+    const r382 = low + rng * 0.382,  r500 = low + rng * 0.5,  r618 = low + rng * 0.618;
+    const upTrend = (hiIdx > loIdx) && price >= ema;
+    const dnTrend = (loIdx > hiIdx) && price <= ema;
+
+    let action = 'NONE', zone = null;
+    if (upTrend && ((price <= l500 && price >= l618) || (price <= l382 && price >= l500))) { action='BUY'; zone='UP 38.2–61.8%'; }
+    else if (dnTrend && ((price >= r500 && price <= r618) || (price >= r382 && price <= r500))) { action='SELL'; zone='DOWN 38.2–61.8%'; }
+
+    console.log('Fibonacci (sim):', {
+      samples: SIM_SAMPLES,
+      trend: upTrend ? 'UP' : (dnTrend ? 'DOWN' : 'FLAT'),
+      swingLow: low, swingHigh: high,
+      levels: { l382, l500, l618, r382, r500, r618 },
+      price, ema, action, zone
+    });
+  }
+
+  // ---- 6) RSI / Bollinger (sample series as closes; the live bot uses SIGNAL_TIMEFRAME candles)
+  {
+    const r = last(rsi(series, Math.min(RSI_PERIOD, series.length - 1)));
+    const bb = bollinger(series, Math.min(BB_PERIOD, series.length), BB_MULT);
+    const upper = last(bb.upper), lower = last(bb.lower);
+    console.log('RSI (sim):', { rsi: r, oversold: RSI_OVERSOLD, overbought: RSI_OVERBOUGHT,
+      action: r == null ? 'NONE' : (r < RSI_OVERSOLD ? 'BUY' : (r > RSI_OVERBOUGHT ? 'SELL' : 'NONE')) });
+    console.log('Bollinger (sim):', { price, upper, lower, mid: last(bb.mid),
+      action: upper == null ? 'NONE' : (price > upper ? 'BUY' : (price < lower ? 'SELL' : 'NONE')) });
+  }
+
+  console.log('✅ Simulation finished.');
+}
+
+/* =========================================
+   LOOP
+   ========================================= */
+async function loop(){
+  const firstJitter = Math.floor(Math.random()*JITTER_SEC)*1000;
+  if (firstJitter){ console.log(`Initial jitter ${Math.floor(firstJitter/1000)}s…`); await sleep(firstJitter); }
+  await tick();
+
+  const intervalMs = INTERVAL_MIN*60*1000;
+  console.log(`⏱️ every ${INTERVAL_MIN} min (±${JITTER_SEC}s jitter)`);
+  setInterval(async ()=>{
+    try {
+      const j = Math.floor(Math.random()*JITTER_SEC)*1000;
+      if (j) await sleep(j);
+      await tick();
+    } catch (e) {
+      console.error('Loop error:', e?.message || e);
+    }
+  }, intervalMs);
+}
+
+/* =========================================
+   START
+   ========================================= */
+(async function main(){
+  if (ARG_ONCE) {
+    await runOnceTestAll(); // pure-sim, safe & fast
+    console.log('[MARKET]', market.metricsSummary());
+    process.exit(0);
+  }
+
+  // Standalone rebalance: same state lease as a tick, so it never interleaves with one
+  if (ARG_REBALANCE) {
+    let code = 0;
+    try {
+      await stateStore.withLock(STATE_NAME, async () => {
+        const state = await loadState();
+        const balances = await getBalancesPaged();
+        const price = await spotUsdcPerGala();
+        PORTFOLIO = await getPortfolio(balances, price);
+        if (risk.markEquity(PORTFOLIO.totalUsd).halted) { console.log('Risk kill switch engaged → no rebalance.'); return; }
+        await runRebalance(state, balances, price, { force: process.argv.includes('--force') });
+        await saveState(state);
+      }, { ttlMs: RUN_LOCK_TTL_MS });
+    } catch (e) {
+      console.error('❌ Rebalance failed:', e?.message || e);
+      code = 1;
+    }
+    await journal.flush();
+    await notifier.flush();
+    try { await GSwap?.events?.disconnectEventSocket?.(); } catch {}
+    process.exit(code);
+  }
+
+  // Netlify Scheduled Function entry: do one tick of the real strategy and exit
+  if (ARG_CRON) {
+    try {
+      console.log('Hybrid Bot cron tick starting…');
+      await tick();
+      console.log('Hybrid Bot cron tick finished.');
+      try { await GSwap?.events?.disconnectEventSocket?.(); } catch {}
+      process.exit(0);
+    } catch (e) {
+      console.error('Cron tick failed:', e?.message || e);
+      try { await GSwap?.events?.disconnectEventSocket?.(); } catch {}
+      process.exit(1);
+    }
+  }
+
+  console.log('Hybrid Bot starting…', {
+    wallet: WALLET,
+    intervalMin: INTERVAL_MIN,
+    dryRun: DRY_RUN,
+    paper: PAPER.enabled ? { wallet: PAPER.name, slippageBps: PAPER.slippageBps, gasGala: PAPER.gasGala } : false,
+    arb: { base: ARB.base, tokens: ARB.tokens, feeTiers: ARB.feeTiers, maxLegs: ARB.maxLegs, ARB_START_USD, ARB_MIN_USD, ARB_MAX_USD, minProfitBps: ARB.minProfitBps },
+    strategies: Object.keys(STRATEGY_SIGNALS),
+    signals: { SIGNAL_TIMEFRAME, SIGNAL_EMA_PERIOD },
+    momentum: { EMA_ALPHA, MOMENTUM_TH },
+    meanRevert: { MEANREV_TH },
+    rsi: { RSI_PERIOD, RSI_OVERSOLD, RSI_OVERBOUGHT },
+    bollinger: { BB_PERIOD, BB_MULT },
+    fib: { FIB_LOOKBACK },
+    rebalance: rebalanceEnabled(REBAL) ? { targets: REBAL.targets, bandPct: REBAL.bandPct * 100, mode: REBAL.mode, minTradeUsd: REBAL.minTradeUsd } : 'off'
+  });
+
+  try {
+    const b = await getBalancesPaged();
+    console.log('Balances snapshot:', b);
+  } catch(e){ console.warn('Balance fetch failed (non-fatal):', e?.message||e); }
+
+  await loop();
+
+  const shutdown = async (sig) => {
+    console.log(`${sig} received, closing…`);
+    try { await GSwap?.events?.disconnectEventSocket?.(); } catch {}
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+})();
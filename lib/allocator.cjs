@@ -0,0 +1,266 @@
+// lib/allocator.cjs — performance-weighted strategy allocator (multi-armed bandit)
+// - Live strategies are scored on realized outcomes: recordOutcome() with the P&L of the position a
+//   signal opened, booked when it closes (hybrid-bot.cjs, lib/positions.cjs). Their signals only count
+//   the slippage the fill paid versus its quote
+// - Shadow signals never trade, so they are recorded with price and notional and scored once
+//   ALLOC_HORIZON_MIN has passed: mark-to-market P&L in USD
+// - Per strategy: trades, hit rate, total / mean P&L, mean slippage vs quote, loss streak
+// - pick() chooses the live strategy with ALLOC_POLICY:
+//     epsilon-greedy (ALLOC_EPSILON), ucb (UCB1 on mean bps, ALLOC_UCB_C) or thompson (Beta on hit rate)
+// - ALLOC_COOLDOWN_LOSSES losing trades in a row bench a strategy for ALLOC_COOLDOWN_MIN minutes
+// - Shadow strategies (ALLOC_SHADOW, or `mode NAME shadow`) never trade: their signals are
+//   logged and scored exactly like live ones. Benched strategies run in shadow too.
+// State: ALLOCATOR_FILE (default hybrid_allocator.json next to hybrid_state.json)
+//
+// CLI:  node lib/allocator.cjs [status]
+//       node lib/allocator.cjs mode <STRATEGY> live|shadow
+//       node lib/allocator.cjs reset [STRATEGY]
+
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./json-file.cjs');
+
+const POLICIES = ['epsilon-greedy', 'ucb', 'thompson'];
+const HISTORY_KEEP = 500;
+
+function allocatorFile(env = process.env) {
+  return env.ALLOCATOR_FILE || path.join(process.cwd(), 'hybrid_allocator.json');
+}
+
+function allocatorConfigFromEnv(env = process.env) {
+  const policy = String(env.ALLOC_POLICY || 'epsilon-greedy').toLowerCase();
+  if (!POLICIES.includes(policy)) throw new Error(`Unknown ALLOC_POLICY "${env.ALLOC_POLICY}" (use ${POLICIES.join(' | ')})`);
+  return {
+    policy,
+    epsilon: Math.min(1, Math.max(0, Number(env.ALLOC_EPSILON ?? 0.1))),
+    ucbC: Math.max(0, Number(env.ALLOC_UCB_C ?? 50)), // exploration bonus scale, in bps
+    horizonMin: Math.max(1, Number(env.ALLOC_HORIZON_MIN || env.BOT_INTERVAL_MIN || 30)),
+    cooldownLosses: Math.max(0, Number(env.ALLOC_COOLDOWN_LOSSES ?? 3)), // 0 disables
+    cooldownMin: Math.max(0, Number(env.ALLOC_COOLDOWN_MIN ?? 180)),
+    shadow: String(env.ALLOC_SHADOW || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+  };
+}
+
+function emptyStats(mode = 'live') {
+  return { mode, trades: 0, wins: 0, losses: 0, pnlUsd: 0, sumBps: 0, slippageBpsSum: 0, slippageN: 0, lossStreak: 0, cooldownUntil: null, picks: 0, signals: 0 };
+}
+function emptyAllocatorState() {
+  return { version: 1, nextId: 1, strategies: {}, pending: [], history: [] };
+}
+
+function loadAllocator(file) {
+  return { ...emptyAllocatorState(), ...readJson(file, emptyAllocatorState) };
+}
+
+// Derived per-strategy view (CLI + logs)
+function strategySummary(s, now = Date.now()) {
+  return {
+    mode: s.mode,
+    trades: s.trades,
+    hitRate: s.trades ? Number((s.wins / s.trades).toFixed(3)) : null,
+    pnlUsd: Number(s.pnlUsd.toFixed(6)),
+    meanBps: s.trades ? Number((s.sumBps / s.trades).toFixed(2)) : null,
+    slippageBps: s.slippageN ? Number((s.slippageBpsSum / s.slippageN).toFixed(2)) : null,
+    lossStreak: s.lossStreak,
+    coolingDown: s.cooldownUntil && s.cooldownUntil > now ? new Date(s.cooldownUntil).toISOString() : null,
+    picks: s.picks,
+  };
+}
+
+// Beta(a, b) sample from two gamma variates (Marsaglia–Tsang)
+function sampleGamma(k, rng) {
+  if (k < 1) return sampleGamma(k + 1, rng) * Math.pow(rng(), 1 / k);
+  const d = k - 1 / 3, c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      const u1 = rng() || 1e-12, u2 = rng();
+      x = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng() || 1e-12;
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+function sampleBeta(a, b, rng) {
+  const x = sampleGamma(a, rng), y = sampleGamma(b, rng);
+  return x / (x + y);
+}
+
+// Pure policy choice among `names` (all eligible). Untried strategies go first.
+function choose(policy, cfg, stats, names, rng) {
+  if (!names.length) return null;
+  const untried = names.filter(n => !stats[n].trades);
+  if (untried.length && policy !== 'thompson') return untried[Math.floor(rng() * untried.length)];
+  const mean = (n) => stats[n].sumBps / Math.max(1, stats[n].trades);
+
+  if (policy === 'epsilon-greedy') {
+    if (rng() < cfg.epsilon) return names[Math.floor(rng() * names.length)];
+    return names.reduce((a, b) => (mean(b) > mean(a) ? b : a));
+  }
+  if (policy === 'ucb') {
+    const total = names.reduce((s, n) => s + stats[n].trades, 0);
+    const score = (n) => mean(n) + cfg.ucbC * Math.sqrt((2 * Math.log(Math.max(1, total))) / stats[n].trades);
+    return names.reduce((a, b) => (score(b) > score(a) ? b : a));
+  }
+  // thompson: sample each strategy's hit rate
+  let best = null, bestDraw = -1;
+  for (const n of names) {
+    const draw = sampleBeta(stats[n].wins + 1, stats[n].losses + 1, rng);
+    if (draw > bestDraw) { bestDraw = draw; best = n; }
+  }
+  return best;
+}
+
+function createAllocator({ strategies, file = allocatorFile(), config = allocatorConfigFromEnv(), rng = Math.random, log = console.log } = {}) {
+  const load = () => {
+    const st = loadAllocator(file);
+    for (const name of strategies) if (!st.strategies[name]) st.strategies[name] = emptyStats();
+    return st;
+  };
+  const save = (st) => {
+    st.history = st.history.slice(-HISTORY_KEEP);
+    writeJsonAtomic(file, st);
+  };
+  const isShadow = (st, name) => st.strategies[name].mode === 'shadow' || config.shadow.includes(name);
+  const coolingDown = (st, name, now) => Number(st.strategies[name].cooldownUntil || 0) > now;
+
+  // → { live: name | null, shadow: [names] }. Shadow = configured shadow + benched strategies.
+  function pick(now = Date.now()) {
+    const st = load();
+    const eligible = strategies.filter(n => !isShadow(st, n) && !coolingDown(st, n, now));
+    const live = choose(config.policy, config, st.strategies, eligible, rng);
+    if (live) st.strategies[live].picks += 1;
+    save(st);
+    return { live, shadow: strategies.filter(n => n !== live && (isShadow(st, n) || coolingDown(st, n, now))) };
+  }
+
+  // → [names] that only run in shadow right now, without picking (nor counting a pick for) a live one
+  function shadowed(now = Date.now()) {
+    const st = load();
+    return strategies.filter(n => isShadow(st, n) || coolingDown(st, n, now));
+  }
+
+  // One scored trade (realized outcome or horizon mark) → stats, loss streak / cooldown, history
+  function score(st, strategy, pnlUsd, notionalUsd, entry, now) {
+    const bps = (pnlUsd / Math.max(1e-9, notionalUsd)) * 10000;
+    const s = st.strategies[strategy] || (st.strategies[strategy] = emptyStats());
+    s.trades += 1;
+    s.pnlUsd += pnlUsd;
+    s.sumBps += bps;
+    if (pnlUsd > 0) { s.wins += 1; s.lossStreak = 0; }
+    else {
+      s.losses += 1;
+      s.lossStreak += 1;
+      if (config.cooldownLosses > 0 && s.lossStreak >= config.cooldownLosses && !(Number(s.cooldownUntil) > now)) {
+        s.cooldownUntil = now + config.cooldownMin * 60 * 1000;
+        s.lossStreak = 0;
+        log(`[ALLOC-COOLDOWN] ${strategy} benched until ${new Date(s.cooldownUntil).toISOString()} after ${config.cooldownLosses} losses in a row`);
+      }
+    }
+    st.history.push({ ...entry, strategy, settledAt: now, pnlUsd, bps });
+  }
+
+  // One emitted signal. fill = { expectedOut, filledOut } for executed live trades (slippage vs quote).
+  // Only shadow signals wait for a horizon mark; live ones are scored by recordOutcome().
+  function recordSignal({ strategy, action, price, notionalUsd, shadow = false, simulated = false, fill = null, reason = null }, now = Date.now()) {
+    if (action !== 'BUY' && action !== 'SELL') return null;
+    const st = load();
+    const exp = Number(fill?.expectedOut), got = Number(fill?.filledOut);
+    const slippageBps = exp > 0 && got > 0 ? ((exp - got) / exp) * 10000 : null;
+    const entry = { id: st.nextId++, strategy, action, price: Number(price), notionalUsd: Number(notionalUsd), shadow, simulated, slippageBps, reason, at: now };
+    const s = st.strategies[strategy];
+    if (shadow) st.pending.push(entry);
+    s.signals += 1;
+    if (slippageBps != null) { s.slippageBpsSum += slippageBps; s.slippageN += 1; }
+    save(st);
+    log(`[ALLOC-SIGNAL] ${shadow ? 'shadow' : 'live'} ${strategy} ${action} @${price} $${Number(notionalUsd).toFixed(2)}${slippageBps != null ? ` slip=${slippageBps.toFixed(1)}bps` : ''}`);
+    return entry;
+  }
+
+  // Realized outcome of a live trade (e.g. a closed position: realized P&L over its entry notional)
+  function recordOutcome({ strategy, pnlUsd, notionalUsd, positionId = null, simulated = false, reason = null }, now = Date.now()) {
+    const pnl = Number(pnlUsd), notional = Number(notionalUsd);
+    if (!strategy || !Number.isFinite(pnl) || !(notional > 0)) return null;
+    const st = load();
+    const entry = { id: st.nextId++, strategy, positionId, notionalUsd: notional, simulated, reason, realized: true, at: now };
+    score(st, strategy, pnl, notional, entry, now);
+    save(st);
+    log(`[ALLOC-OUTCOME] ${strategy} realized $${pnl.toFixed(6)} on $${notional.toFixed(2)}${positionId != null ? ` (position #${positionId})` : ''}`);
+    return entry;
+  }
+
+  // Mark every pending shadow signal older than the horizon at `price`. Live signals pending from
+  // before realized scoring are dropped unscored.
+  function settle(price, now = Date.now()) {
+    const st = load();
+    const due = st.pending.filter(p => p.shadow && now - p.at >= config.horizonMin * 60 * 1000);
+    const stale = st.pending.filter(p => !p.shadow);
+    if (!(price > 0) || (!due.length && !stale.length)) return [];
+    for (const p of due) {
+      const move = price / p.price - 1;
+      const pnlUsd = (p.action === 'BUY' ? move : -move) * p.notionalUsd;
+      score(st, p.strategy, pnlUsd, p.notionalUsd, { ...p, exitPrice: price }, now);
+    }
+    st.pending = st.pending.filter(p => p.shadow && !due.includes(p));
+    save(st);
+    return due.map(p => p.id);
+  }
+
+  function status(now = Date.now()) {
+    const st = load();
+    return {
+      file,
+      policy: config.policy,
+      horizonMin: config.horizonMin,
+      pending: st.pending.length,
+      strategies: Object.fromEntries(Object.entries(st.strategies).map(([n, s]) => [n, strategySummary({ ...s, mode: isShadow(st, n) ? 'shadow' : s.mode }, now)])),
+    };
+  }
+
+  return { config, file, pick, shadowed, recordSignal, recordOutcome, settle, status, load };
+}
+
+module.exports = {
+  POLICIES,
+  allocatorFile,
+  allocatorConfigFromEnv,
+  emptyAllocatorState,
+  loadAllocator,
+  strategySummary,
+  choose,
+  createAllocator,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const [cmd = 'status', name, arg] = process.argv.slice(2);
+  const file = allocatorFile();
+  const st = loadAllocator(file);
+  if (cmd === 'mode') {
+    const n = String(name || '').toUpperCase();
+    if (!n || !['live', 'shadow'].includes(arg)) { console.error('Usage: node lib/allocator.cjs mode <STRATEGY> live|shadow'); process.exit(1); }
+    st.strategies[n] = { ...emptyStats(), ...st.strategies[n], mode: arg };
+    writeJsonAtomic(file, st);
+    console.log(`${n} → ${arg}`);
+  } else if (cmd === 'reset') {
+    const n = name ? String(name).toUpperCase() : null;
+    for (const k of Object.keys(st.strategies)) if (!n || k === n) st.strategies[k] = emptyStats(st.strategies[k].mode);
+    st.pending = n ? st.pending.filter(p => p.strategy !== n) : [];
+    writeJsonAtomic(file, st);
+    console.log(`Reset ${n || 'all strategies'}.`);
+  } else {
+    const now = Date.now();
+    const shadow = allocatorConfigFromEnv().shadow;
+    const rows = Object.fromEntries(Object.entries(st.strategies).map(([n, s]) => (
+      [n, strategySummary({ ...s, mode: shadow.includes(n) ? 'shadow' : s.mode }, now)]
+    )));
+    console.log(`Allocator ${file} (policy=${allocatorConfigFromEnv().policy}, pending signals=${st.pending.length})`);
+    console.table(rows);
+    const recent = st.history.slice(-10).map(h => ({
+      at: new Date(h.at).toISOString(), strategy: h.strategy, action: h.action, shadow: h.shadow,
+      realized: Boolean(h.realized), pnlUsd: Number(h.pnlUsd.toFixed(6)), bps: Number(h.bps.toFixed(1)),
+    }));
+    if (recent.length) console.table(recent);
+  }
+}
@@ -0,0 +1,157 @@
+// lib/arb-scanner.cjs — cycle-search arbitrage over the pool graph
+// - Nodes = configured tokens, edges = every (token pair × fee tier) pool that quotes
+// - Enumerates every simple cycle of 2..maxLegs edges that starts and ends at the base token
+//   (a pool is never used twice in one cycle — that round-trip only pays fees)
+// - Quotes each cycle leg by leg (shared prefixes are quoted once), then ranks by net profit
+//   after estimated gas (gasPerLegBase × legs, in base-token units)
+// The quote function is injected, so the same engine serves hybrid-bot.cjs, src/index.ts and the
+// strategy tester:  quote(tokenIn, tokenOut, amountIn, feeTier) → Promise<number amountOut>
+//
+// Config (arbConfigFromEnv):
+//   ARB_BASE        class key the cycles start/end at (default: first of ARB_PATH, else GUSDC)
+//   ARB_TOKENS      comma list of class keys in the graph (default: tokens of ARB_PATH)
+//   ARB_FEE_TIERS   comma list of fee tiers to try (default 500,3000,10000)
+//   ARB_MAX_LEGS    longest cycle, 2..4 (default 4)
+//   ARB_GAS_GALA_PER_LEG  estimated network fee per swap, in GALA (default 1)
+//   ARB_MIN_PROFIT_BPS    net profit needed to execute (default 30)
+
+const DEFAULT_FEE_TIERS = [500, 3000, 10000];
+const GALA = 'GALA|Unit|none|none';
+
+function symbolOf(classKey) { return String(classKey).split('|')[0].toUpperCase(); }
+
+function list(v) { return String(v || '').split(',').map(s => s.trim()).filter(Boolean); }
+
+// `aliases` maps short names used in ARB_PATH (USDC, GALA, WETH) to class keys
+function arbConfigFromEnv(env = process.env, aliases = {}) {
+  const key = (t) => aliases[String(t).toUpperCase()] || t;
+  const path = list((env.ARB_PATH || 'USDC-GALA-WETH-USDC').replace(/-/g, ',')).map(key);
+  const tokens = env.ARB_TOKENS ? list(env.ARB_TOKENS).map(key) : path;
+  const base = key(env.ARB_BASE || path[0] || 'GUSDC|Unit|none|none');
+  const feeTiers = env.ARB_FEE_TIERS ? list(env.ARB_FEE_TIERS).map(Number).filter(n => n > 0) : DEFAULT_FEE_TIERS;
+  return {
+    base,
+    tokens: [...new Set([base, ...tokens])],
+    feeTiers,
+    maxLegs: Math.min(4, Math.max(2, Number(env.ARB_MAX_LEGS || 4))),
+    gasGalaPerLeg: Math.max(0, Number(env.ARB_GAS_GALA_PER_LEG ?? 1)),
+    minProfitBps: Number(env.ARB_MIN_PROFIT_BPS || 30),
+  };
+}
+
+// Every cycle as a list of { tokenIn, tokenOut, feeTier } (no quoting)
+function enumerateCycles({ base, tokens, feeTiers = DEFAULT_FEE_TIERS, maxLegs = 4 }) {
+  const others = tokens.filter(t => t !== base);
+  const out = [];
+  const walk = (at, visited, legs) => {
+    for (const next of [base, ...others]) {
+      if (next === at || (next !== base && visited.has(next))) continue;
+      if (next === base && legs.length + 1 < 2) continue;
+      if (next !== base && legs.length + 1 >= maxLegs) continue;
+      for (const feeTier of feeTiers) {
+        if (legs.some(l => samePool(l, at, next, feeTier))) continue;
+        const nextLegs = [...legs, { tokenIn: at, tokenOut: next, feeTier }];
+        if (next === base) out.push(nextLegs);
+        else walk(next, new Set([...visited, next]), nextLegs);
+      }
+    }
+  };
+  walk(base, new Set([base]), []);
+  return out;
+}
+
+function samePool(leg, a, b, feeTier) {
+  return leg.feeTier === feeTier && ((leg.tokenIn === a && leg.tokenOut === b) || (leg.tokenIn === b && leg.tokenOut === a));
+}
+
+function pathLabel(legs) {
+  return [legs[0].tokenIn, ...legs.map(l => l.tokenOut)].map(symbolOf).join('-') +
+    ' @' + legs.map(l => l.feeTier).join('/');
+}
+
+// Base-token cost of one swap's network fee
+async function gasPerLegInBase(quote, base, gasGalaPerLeg, feeTiers = DEFAULT_FEE_TIERS) {
+  if (!(gasGalaPerLeg > 0)) return 0;
+  if (base === GALA) return gasGalaPerLeg;
+  for (const fee of feeTiers) {
+    try {
+      const out = await quote(GALA, base, gasGalaPerLeg, fee);
+      if (out > 0) return out;
+    } catch {}
+  }
+  return 0;
+}
+
+// Quote every cycle for `startAmount` of base and rank by net profit (best first).
+// Pools that fail to quote are remembered as missing for the rest of the scan.
+async function scanCycles({ quote, base, tokens, feeTiers = DEFAULT_FEE_TIERS, maxLegs = 4, startAmount, gasPerLegBase = 0, minProfitBps = 0, log = null }) {
+  const cycles = enumerateCycles({ base, tokens, feeTiers, maxLegs });
+  const cache = new Map();   // prefix → amountOut after that prefix
+  const missing = new Set(); // 'in>out@fee'
+
+  async function quoteLeg(prefixKey, leg, amountIn) {
+    const edge = `${leg.tokenIn}>${leg.tokenOut}@${leg.feeTier}`;
+    const k = `${prefixKey}|${edge}`;
+    if (cache.has(k)) return cache.get(k);
+    let out = null;
+    if (!missing.has(edge)) {
+      try {
+        const n = Number(await quote(leg.tokenIn, leg.tokenOut, amountIn, leg.feeTier));
+        out = n > 0 && Number.isFinite(n) ? n : null;
+      } catch (e) {
+        if (log) log(`[ARB-QUOTE-SKIP] ${symbolOf(leg.tokenIn)}->${symbolOf(leg.tokenOut)} fee=${leg.feeTier}: ${e?.message || e}`);
+      }
+      if (out == null) missing.add(edge);
+    }
+    cache.set(k, out);
+    return out;
+  }
+
+  const ranked = [];
+  for (const cycle of cycles) {
+    let amount = Number(startAmount), prefix = '', legs = [];
+    for (const leg of cycle) {
+      const out = await quoteLeg(prefix, leg, amount);
+      if (out == null) { legs = null; break; }
+      legs.push({ ...leg, in: amount, out });
+      prefix += `|${leg.tokenIn}>${leg.tokenOut}@${leg.feeTier}`;
+      amount = out;
+    }
+    if (!legs) continue;
+    const grossProfit = amount - startAmount;
+    const gasCost = gasPerLegBase * legs.length;
+    const netProfit = grossProfit - gasCost;
+    const netBps = (netProfit / startAmount) * 10000;
+    ranked.push({
+      path: pathLabel(cycle),
+      legs,
+      startAmount: Number(startAmount),
+      finalOut: amount,
+      grossProfit,
+      gasCost,
+      netProfit,
+      netBps,
+      ok: netBps >= minProfitBps,
+    });
+  }
+  ranked.sort((a, b) => b.netProfit - a.netProfit);
+  return ranked;
+}
+
+// SDK-backed quote function (amountOut as a number)
+function quoterFromSdk(gswap) {
+  return async (tokenIn, tokenOut, amountIn, feeTier) => {
+    const q = await gswap.quoting.quoteExactInput(tokenIn, tokenOut, String(amountIn), feeTier);
+    return Number(q.outTokenAmount);
+  };
+}
+
+module.exports = {
+  DEFAULT_FEE_TIERS,
+  arbConfigFromEnv,
+  enumerateCycles,
+  gasPerLegInBase,
+  scanCycles,
+  quoterFromSdk,
+  pathLabel,
+};
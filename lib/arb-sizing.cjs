@@ -0,0 +1,76 @@
+// lib/arb-sizing.cjs — profit-maximizing input size for an arbitrage cycle
+// Price impact makes cycle profit concave in the input amount: tiny sizes are eaten by gas,
+// large ones by slippage. This golden-section searches [minAmount, maxAmount] over live quotes
+// (same injected quote function as lib/arb-scanner.cjs) for the size with the best net profit.
+//   - maxAmount should already be capped by the caller: balance, risk headroom, per-trade max
+//   - an amount that fails to quote (not enough liquidity) counts as a loss
+//   - every evaluation quotes each leg once, so cost ≈ maxEvals × legs quotes
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2; // 0.618…
+
+// Quote a cycle's legs in order for `amount` of its start token
+async function quoteCycle(quote, legs, amount) {
+  let x = Number(amount);
+  const quoted = [];
+  for (const leg of legs) {
+    const out = Number(await quote(leg.tokenIn, leg.tokenOut, x, leg.feeTier));
+    if (!(out > 0) || !Number.isFinite(out)) throw new Error(`no quote for ${leg.tokenIn} -> ${leg.tokenOut} @${leg.feeTier}`);
+    quoted.push({ tokenIn: leg.tokenIn, tokenOut: leg.tokenOut, feeTier: leg.feeTier, in: x, out });
+    x = out;
+  }
+  return { legs: quoted, finalOut: x };
+}
+
+// Smallest of the caps that are set (null / undefined / non-positive caps are ignored)
+function capAmount(maxAmount, ...caps) {
+  return caps.reduce((m, c) => (c != null && Number.isFinite(Number(c)) && Number(c) >= 0 ? Math.min(m, Number(c)) : m), Number(maxAmount));
+}
+
+// cycle: { legs: [{ tokenIn, tokenOut, feeTier }] } (a scanCycles result works as-is)
+// → { amount, legs, finalOut, grossProfit, gasCost, netProfit, netBps, evals } or null if nothing quotes
+async function optimizeCycleSize({ quote, cycle, minAmount, maxAmount, gasPerLegBase = 0, maxEvals = 12, relTolerance = 0.01 }) {
+  const lo0 = Math.max(0, Number(minAmount)), hi0 = Number(maxAmount);
+  if (!(hi0 > 0) || !(hi0 >= lo0)) return null;
+  const gasCost = gasPerLegBase * cycle.legs.length;
+  const seen = new Map();
+  let best = null;
+
+  async function profitAt(amount) {
+    const key = amount.toPrecision(12);
+    if (seen.has(key)) return seen.get(key);
+    let p = -Infinity;
+    if (amount > 0) {
+      try {
+        const q = await quoteCycle(quote, cycle.legs, amount);
+        p = q.finalOut - amount - gasCost;
+        if (!best || p > best.netProfit) {
+          best = {
+            amount, legs: q.legs, finalOut: q.finalOut,
+            grossProfit: q.finalOut - amount, gasCost, netProfit: p,
+            netBps: (p / amount) * 10000,
+          };
+        }
+      } catch {}
+    }
+    seen.set(key, p);
+    return p;
+  }
+
+  if (hi0 - lo0 <= hi0 * relTolerance) {
+    await profitAt(hi0);
+  } else {
+    let lo = lo0, hi = hi0;
+    let x1 = hi - GOLDEN * (hi - lo), x2 = lo + GOLDEN * (hi - lo);
+    let f1 = await profitAt(x1), f2 = await profitAt(x2);
+    while (seen.size < maxEvals - 2 && hi - lo > hi0 * relTolerance) {
+      if (f1 >= f2) { hi = x2; x2 = x1; f2 = f1; x1 = hi - GOLDEN * (hi - lo); f1 = await profitAt(x1); }
+      else          { lo = x1; x1 = x2; f1 = f2; x2 = lo + GOLDEN * (hi - lo); f2 = await profitAt(x2); }
+    }
+    // Profit is often monotone over the range (deep pools / tiny caps): check the ends too
+    await profitAt(lo0);
+    await profitAt(hi0);
+  }
+  return best ? { ...best, evals: seen.size } : null;
+}
+
+module.exports = { quoteCycle, capAmount, optimizeCycleSize };
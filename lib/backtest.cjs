@@ -0,0 +1,605 @@
+// lib/backtest.cjs — replay a recorded price / quote dataset through the bots' strategies
+// Strategies (one wallet each, same rules as the live code):
+//   - flipflop: bot.cjs — gas top-up under GAS_MIN_GALA, FIFO-ledger profit sells (MIN_PROFIT_BPS after
+//     the GALA fee), rotation buy of BOT_USD_CENTS (BUY_ROTATION); every RUN_SLOT_MIN
+//   - momentum | mean | fib | rsi | bb: hybrid-bot.cjs signals (lib/signals.cjs) with tracked positions
+//     (lib/positions.cjs: stop, TP1 / TP2, trailing stop); every BOT_INTERVAL_MIN
+//   - arb: hybrid-bot.cjs cycle arbitrage (lib/arb-scanner.cjs scan, lib/arb-sizing.cjs size search,
+//     lib/cycle-exec.cjs legs with retries / unwind)
+//   - all: each of the above on its own wallet, side by side
+// Market model, rebuilt from every dataset row:
+//   - Pools are constant-product curves on virtual reserves: `price` = quote per base, `depth` = USD
+//     value of each side (BT_DEPTH_USD when the dataset has none). Spot-only symbols get a pool
+//     against the stable (and cross pools) at BT_FEE_TIER. Swaps within a row move the pool.
+//   - The pool fee (fee tier / 1e6) comes off every input; every swap burns GAS_FIXED_FEE_GALA GALA,
+//     and a wallet without that much GALA cannot swap. GALA below GAS_MIN_GALA is never sold.
+//   - A fill lands up to ±BT_EXEC_DRIFT_BPS from its quote (seeded); below the SLIPPAGE_BPS minimum
+//     it reverts, gas still paid
+// Same dataset + seed → same trades and metrics (no wall clock: every timestamp is the row's).
+//
+// Dataset: CSV (header t,GALA,GWETH,GALA/GUSDC/3000,GALA/GUSDC/3000:depth,…), JSONL (one such record
+// per line, or { t, prices: {…}, pools: { "GALA/GUSDC/3000": { price, depthUsd } } }) or a
+// hybrid_state JSON (its price history). t = epoch s / ms or ISO; gaps are forward-filled.
+//
+// CLI: node lib/backtest.cjs DATASET [--strategy=all] [--seed=1] [--every=MIN] [--start=GUSDC:100,GALA:50]
+//                                    [--out=report.json]
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { emptyLedger, addLot, openQty, fifoCost, closeLots } = require('./ledger.cjs');
+const { loadRotation, pickRotationToken } = require('./rotation.cjs');
+const { arbConfigFromEnv, scanCycles, gasPerLegInBase } = require('./arb-scanner.cjs');
+const { optimizeCycleSize, capAmount } = require('./arb-sizing.cjs');
+const { executeCycle } = require('./cycle-exec.cjs');
+const { signalConfigFromEnv, createSignals } = require('./signals.cjs');
+const { positionConfigFromEnv, pctLevels, fibExitLevels, openPosition, evaluatePosition, applyClose, archivePosition } = require('./positions.cjs');
+const { emptyCandleBook } = require('./candles.cjs');
+const { decodeDocument } = require('./state-store.cjs');
+const { writeJsonAtomic } = require('./json-file.cjs');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const STRATEGIES = {
+  flipflop: 'FLIPFLOP',
+  momentum: 'MOMENTUM',
+  mean: 'MEAN_REVERT',
+  fib: 'FIBONACCI',
+  rsi: 'RSI_REVERT',
+  bb: 'BOLLINGER_BREAKOUT',
+  arb: 'ARB',
+};
+
+const symbolOf = (key) => String(key).split('|')[0].toUpperCase();
+const classKey = (sym) => (String(sym).includes('|') ? String(sym) : `${String(sym).toUpperCase()}|Unit|none|none`);
+
+// Deterministic [0,1) generator (mulberry32); string seeds are hashed (FNV-1a)
+function seededRng(seed = 1) {
+  let a = Number.isFinite(Number(seed)) ? Number(seed) >>> 0 : 0;
+  if (!Number.isFinite(Number(seed))) {
+    a = 2166136261;
+    for (const ch of String(seed)) a = Math.imul(a ^ ch.charCodeAt(0), 16777619) >>> 0;
+  }
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// "GUSDC:100,GALA:50" → { GUSDC: 100, GALA: 50 }
+function parseHoldings(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',').map(x => x.trim()).filter(Boolean)) {
+    const [sym, qty] = part.split(':').map(x => x.trim());
+    if (!(Number(qty) >= 0)) throw new Error(`bad holding "${part}" (SYMBOL:QTY)`);
+    out[sym.toUpperCase()] = Number(qty);
+  }
+  return out;
+}
+
+function backtestConfigFromEnv(env = process.env) {
+  const stable = (env.BT_STABLE || symbolOf(env.TOKEN_USDC || 'GUSDC')).toUpperCase();
+  const maxTradeUsd = Number(env.MAX_TRADE_USD || 25);
+  return {
+    stable,
+    feeTier: Number(env.BT_FEE_TIER || 3000),           // pools synthesized from spot prices
+    depthUsd: Number(env.BT_DEPTH_USD || 100000),       // per side, when the dataset gives no depth
+    driftBps: Math.max(0, Number(env.BT_EXEC_DRIFT_BPS ?? 10)),
+    start: parseHoldings(env.BT_START || `${stable}:100,GALA:50`),
+    gasGala: Math.max(0, Number(env.GAS_FIXED_FEE_GALA ?? 1)),
+    gasMinGala: Math.max(0, Number(env.GAS_MIN_GALA ?? 2)),
+    flipflop: {
+      everyMin: Math.max(1, Number(env.RUN_SLOT_MIN || 10)),
+      usdCents: Number(env.BOT_USD_CENTS || 100),
+      slippageBps: Math.max(0, Number(env.SLIPPAGE_BPS || 200)),
+      minProfitBps: Math.max(0, Number(env.MIN_PROFIT_BPS || 10)),
+      gasTopupUsd: Math.max(0, Number(env.GAS_TOPUP_USD_CENTS || 200)) / 100,
+      rotation: loadRotation(env),
+    },
+    hybrid: {
+      everyMin: Math.max(1, Number(env.BOT_INTERVAL_MIN || 30)),
+      slippageBps: Number(env.SLIPPAGE_BPS || 50),
+      tradeUsd: Math.min(maxTradeUsd, Number(env.BASE_TRADE_USD || 2)),
+      signals: signalConfigFromEnv(env),
+      positions: positionConfigFromEnv(env),
+      arb: arbConfigFromEnv(env, { USDC: classKey(stable), GALA: classKey('GALA'), WETH: classKey(symbolOf(env.TOKEN_WETH || 'GWETH')) }),
+      arbStart: Number(env.ARB_START_USD || 3),
+      arbMin: Number(env.ARB_MIN_USD || 0.5),
+      arbMax: Number(env.ARB_MAX_USD || maxTradeUsd),
+      sizeCandidates: Math.max(1, Number(env.ARB_SIZE_CANDIDATES || 3)),
+      sizeEvals: Math.max(4, Number(env.ARB_SIZE_EVALS || 12)),
+      legRetries: Math.max(0, Number(env.ARB_LEG_RETRIES || 1)),
+      retryStepBps: Math.max(0, Number(env.ARB_RETRY_STEP_BPS || 50)),
+      maxSlippageBps: Number(env.ARB_MAX_SLIPPAGE_BPS || 300),
+      unwindSlippageBps: Number(env.ARB_UNWIND_SLIPPAGE_BPS || 200),
+    },
+  };
+}
+
+/* ---------------- dataset ---------------- */
+
+function toMs(v) {
+  if (v == null || v === '') return NaN;
+  if (typeof v === 'string' && /[^\d.]/.test(v)) return Date.parse(v);
+  const n = Number(v);
+  return n < 2e10 ? Math.round(n * 1000) : Math.round(n);
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  const header = (lines.shift() || '').split(',').map(h => h.trim());
+  return lines.map(l => {
+    const cells = l.split(',');
+    return Object.fromEntries(header.map((h, i) => [h, cells[i]?.trim()]));
+  });
+}
+
+const TIME_KEYS = ['t', 'ts', 'time', 'timestamp'];
+
+// Flat ({ GALA, 'GALA/GUSDC/3000', 'GALA/GUSDC/3000:depth' }) or nested ({ prices, pools }) record → row
+function normalizeRow(rec) {
+  const t = toMs(TIME_KEYS.map(k => rec[k]).find(v => v != null));
+  const prices = {}, pools = {};
+  const put = (k, v) => {
+    const n = Number(v);
+    if (v == null || v === '' || !Number.isFinite(n)) return;
+    const [name, field] = k.split(':');
+    const parts = name.split('/');
+    if (parts.length === 3) {
+      const key = `${parts[0].toUpperCase()}/${parts[1].toUpperCase()}/${Number(parts[2])}`;
+      const pool = (pools[key] ||= {});
+      if (field === 'depth') pool.depthUsd = n; else pool.price = n;
+    } else if (parts.length === 1 && !TIME_KEYS.includes(k)) {
+      prices[symbolOf(k)] = n;
+    }
+  };
+  for (const [k, v] of Object.entries(rec)) if (typeof v !== 'object') put(k, v);
+  for (const [k, v] of Object.entries(rec.prices || {})) put(k, v);
+  for (const [k, v] of Object.entries(rec.pools || {})) {
+    if (v && typeof v === 'object') { put(k, v.price); put(`${k}:depth`, v.depthUsd ?? v.depth); }
+    else put(k, v);
+  }
+  return { t, prices, pools };
+}
+
+// → rows sorted by time, prices / pools forward-filled
+function loadDataset(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  let recs;
+  if (ext === '.csv') {
+    recs = parseCsv(text);
+  } else if (ext === '.json') {
+    const doc = decodeDocument(text);
+    if (doc.status !== 'ok') throw new Error(`${file}: ${doc.error}`);
+    recs = Array.isArray(doc.data) ? doc.data : (doc.data?.prices || []).map(s => ({ t: s.t, GALA: s.p }));
+  } else {
+    recs = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).map((l, i) => {
+      try { return JSON.parse(l); } catch (e) { throw new Error(`${file}:${i + 1}: ${e.message}`); }
+    });
+  }
+  const rows = recs.map(normalizeRow).filter(r => Number.isFinite(r.t)).sort((a, b) => a.t - b.t);
+  let prev = { prices: {}, pools: {} };
+  for (const r of rows) {
+    r.prices = { ...prev.prices, ...r.prices };
+    r.pools = { ...prev.pools, ...r.pools };
+    prev = r;
+  }
+  if (rows.length < 2) throw new Error(`${file}: need at least 2 timestamped rows (got ${rows.length})`);
+  return rows;
+}
+
+/* ---------------- market ---------------- */
+
+function createBacktestMarket({ stable, feeTier, depthUsd, driftBps, gasGala, rng }) {
+  let pools = new Map(); // 'A/B/fee' → { a, b, fee, rA, rB }
+  let spot = {};         // symbol → USD
+
+  function setRow(row) {
+    spot = { [stable]: 1 };
+    for (const [sym, p] of Object.entries(row.prices)) if (p > 0) spot[sym] = p;
+    for (const [key, pool] of Object.entries(row.pools)) {
+      const [a, b] = key.split('/');
+      if (spot[a] == null && b === stable && pool.price > 0) spot[a] = pool.price;
+      if (spot[b] == null && a === stable && pool.price > 0) spot[b] = 1 / pool.price;
+    }
+    pools = new Map();
+    for (const [key, pool] of Object.entries(row.pools)) {
+      const [a, b, fee] = key.split('/');
+      addPool(a, b, Number(fee), pool.price, pool.depthUsd);
+    }
+    // Spot-only symbols trade against the stable and each other at the default tier
+    const syms = Object.keys(spot);
+    for (const a of syms) {
+      for (const b of syms) {
+        if (a === b || b !== stable && (a === stable || a > b)) continue;
+        if (!poolFor(a, b, feeTier)) addPool(a, b, feeTier, spot[a] / spot[b]);
+      }
+    }
+  }
+
+  function addPool(a, b, fee, price, depth = depthUsd) {
+    if (!(price > 0) || !(spot[b] > 0)) return;
+    const rB = (depth || depthUsd) / spot[b];
+    pools.set(`${a}/${b}/${fee}`, { a, b, fee, rA: rB / price, rB });
+  }
+
+  function poolFor(symIn, symOut, fee) {
+    return pools.get(`${symIn}/${symOut}/${fee}`) || pools.get(`${symOut}/${symIn}/${fee}`) || null;
+  }
+
+  function curveOut(p, symIn, amountIn) {
+    const net = amountIn * (1 - p.fee / 1e6);
+    const [rIn, rOut] = p.a === symIn ? [p.rA, p.rB] : [p.rB, p.rA];
+    return (rOut * net) / (rIn + net);
+  }
+
+  // Pinned tier, or the tier with the best output (what the SDK picks without one)
+  function bestPool(symIn, symOut, amountIn, fee) {
+    if (fee != null) return poolFor(symIn, symOut, Number(fee));
+    let best = null, bestOut = -Infinity;
+    for (const p of pools.values()) {
+      if (!((p.a === symIn && p.b === symOut) || (p.a === symOut && p.b === symIn))) continue;
+      const out = curveOut(p, symIn, amountIn);
+      if (out > bestOut) { best = p; bestOut = out; }
+    }
+    return best;
+  }
+
+  // → { out, feeTier }; throws when no pool
+  function quote(tokenIn, tokenOut, amountIn, fee) {
+    const symIn = symbolOf(tokenIn), symOut = symbolOf(tokenOut);
+    const p = bestPool(symIn, symOut, Number(amountIn), fee);
+    if (!p) throw new Error(`no pool ${symIn}/${symOut}${fee != null ? ` @${fee}` : ''}`);
+    return { out: curveOut(p, symIn, Number(amountIn)), feeTier: p.fee };
+  }
+
+  // Execute against `wallet` ({ SYMBOL: qty }) → { status: 'confirmed' | 'failed', amountOut?, reason?, gasGala, feeUsd }
+  function swap(wallet, tokenIn, tokenOut, amountIn, { feeTier: fee, minOut = 0 } = {}) {
+    const symIn = symbolOf(tokenIn), symOut = symbolOf(tokenOut);
+    const amt = Number(amountIn);
+    const galaNeeded = gasGala + (symIn === 'GALA' ? amt : 0);
+    if ((wallet.GALA || 0) + 1e-12 < gasGala) return { status: 'failed', reason: 'not enough GALA for gas', gasGala: 0, feeUsd: 0 };
+    if (!((wallet[symIn] || 0) + 1e-12 >= (symIn === 'GALA' ? galaNeeded : amt))) return { status: 'failed', reason: `insufficient ${symIn}`, gasGala: 0, feeUsd: 0 };
+    const p = bestPool(symIn, symOut, amt, fee);
+    if (!p) return { status: 'failed', reason: `no pool ${symIn}/${symOut}`, gasGala: 0, feeUsd: 0 };
+
+    wallet.GALA = (wallet.GALA || 0) - gasGala;
+    const pure = curveOut(p, symIn, amt);
+    const out = pure * (1 + ((rng() * 2 - 1) * driftBps) / 10000);
+    if (out < minOut) return { status: 'failed', reason: `slippage: fill ${out.toPrecision(8)} < min ${Number(minOut).toPrecision(8)}`, gasGala, feeUsd: 0 };
+
+    if (p.a === symIn) { p.rA += amt; p.rB -= pure; } else { p.rB += amt; p.rA -= pure; }
+    wallet[symIn] -= amt;
+    wallet[symOut] = (wallet[symOut] || 0) + out;
+    return { status: 'confirmed', amountOut: out, feeTier: p.fee, gasGala, feeUsd: amt * (p.fee / 1e6) * (spot[symIn] || 0) };
+  }
+
+  const usd = (sym) => spot[symbolOf(sym)] || 0;
+  const equityUsd = (wallet) => Object.entries(wallet).reduce((s, [sym, q]) => s + q * usd(sym), 0);
+
+  return { setRow, quote, swap, usd, equityUsd };
+}
+
+/* ---------------- strategies ---------------- */
+
+// Swap on ctx.wallet and book it in ctx.trades
+function book(ctx, tag, tokenIn, tokenOut, amountIn, { feeTier, minOut, quotedOut = null, ...extra } = {}) {
+  const r = ctx.market.swap(ctx.wallet, tokenIn, tokenOut, amountIn, { feeTier, minOut });
+  const trade = {
+    t: ctx.t, strategy: ctx.name, tag, from: symbolOf(tokenIn), to: symbolOf(tokenOut), amountIn: Number(amountIn),
+    quotedOut, amountOut: r.amountOut ?? null, feeTier: r.feeTier ?? feeTier ?? null, status: r.status, reason: r.reason,
+    notionalUsd: Number(amountIn) * ctx.market.usd(tokenIn), gasGala: r.gasGala, feeUsd: r.feeUsd, ...extra,
+  };
+  ctx.trades.push(trade);
+  return { ...r, trade };
+}
+
+// Quote → min-out at slippageBps → swap
+function exec(ctx, tag, tokenIn, tokenOut, amountIn, slippageBps, { feeTier, ...extra } = {}) {
+  let q;
+  try { q = ctx.market.quote(tokenIn, tokenOut, amountIn, feeTier); }
+  catch (e) { return { status: 'failed', reason: e.message }; }
+  const minOut = q.out * (1 - slippageBps / 10000);
+  return book(ctx, tag, tokenIn, tokenOut, amountIn, { feeTier: q.feeTier, minOut, quotedOut: q.out, ...extra });
+}
+
+// bot.cjs runOnce: gas top-up → profitable FIFO sells → rotation buy
+function flipflopStep(ctx, st) {
+  const { cfg, wallet, market } = ctx;
+  const ff = cfg.flipflop, S = cfg.stable, GALA = classKey('GALA');
+  const feeInStable = () => { try { return cfg.gasGala > 0 ? market.quote(GALA, S, cfg.gasGala).out : 0; } catch { return 0; } };
+
+  if ((wallet.GALA || 0) + 1e-9 < cfg.gasMinGala && ff.gasTopupUsd > 0 && (wallet[S] || 0) + 1e-9 >= ff.gasTopupUsd) {
+    const r = exec(ctx, 'GAS', S, GALA, ff.gasTopupUsd, ff.slippageBps);
+    if (r.status === 'confirmed') {
+      addLot(st.ledger, { token: 'GALA', qty: r.amountOut, stableSpent: ff.gasTopupUsd, feeStable: feeInStable(), feeGala: cfg.gasGala, ts: ctx.t, source: 'gas-topup' });
+    }
+  }
+
+  for (const token of ff.rotation.tokens) {
+    let qty = Number(wallet[token.symbol] || 0);
+    if (token.symbol === 'GALA') qty = Math.max(0, qty - cfg.gasMinGala);
+    qty = Math.min(qty, openQty(st.ledger, token.symbol));
+    if (!(qty > 0)) continue;
+    let out;
+    try { out = market.quote(token.classKey, S, qty).out; } catch { continue; }
+    const fee = feeInStable();
+    const net = Math.max(0, out - fee);
+    const { cost } = fifoCost(st.ledger, token.symbol, qty);
+    const edgeBps = ((net - cost) / Math.max(1e-6, cost)) * 10000;
+    if (!(net > 0) || edgeBps < ff.minProfitBps) continue;
+    const r = exec(ctx, 'SELL', token.classKey, S, qty, token.slippageBps ?? ff.slippageBps);
+    if (r.status !== 'confirmed') continue;
+    const closed = closeLots(st.ledger, token.symbol, qty, { proceeds: Math.max(0, r.amountOut - fee), ts: ctx.t });
+    r.trade.pnlUsd = closed.realized;
+    ctx.closedPnl.push(closed.realized);
+  }
+
+  const valuesUsd = {};
+  for (const t of ff.rotation.tokens) {
+    const q = Number(wallet[t.symbol] || 0);
+    try { valuesUsd[t.symbol] = q > 0 ? market.quote(t.classKey, S, q).out : 0; } catch { valuesUsd[t.symbol] = null; }
+  }
+  const target = pickRotationToken(ff.rotation, { slot: Math.floor(ctx.t / (60 * 60 * 1000)), valuesUsd, rng: ctx.rng });
+  const usd = target ? (target.usdCents ?? ff.usdCents) / 100 : 0;
+  if (!(usd > 0) || (wallet[S] || 0) + 1e-9 < usd) return;
+  const r = exec(ctx, 'BUY', S, target.classKey, usd, target.slippageBps ?? ff.slippageBps);
+  if (r.status === 'confirmed') {
+    addLot(st.ledger, { token: target.symbol, qty: r.amountOut, stableSpent: usd, feeStable: feeInStable(), feeGala: cfg.gasGala, ts: ctx.t });
+  }
+}
+
+// Spend `usd` of stable on GALA / sell `gala` GALA (never into the reserve)
+function buyGala(ctx, usd, tag) {
+  return exec(ctx, tag, ctx.cfg.stable, 'GALA', usd, ctx.cfg.hybrid.slippageBps);
+}
+function sellGala(ctx, gala, tag) {
+  if ((ctx.wallet.GALA || 0) - gala < ctx.cfg.gasMinGala) {
+    return { status: 'failed', reason: `GALA reserve (${ctx.cfg.gasMinGala})` };
+  }
+  return exec(ctx, tag, 'GALA', ctx.cfg.stable, gala, ctx.cfg.hybrid.slippageBps);
+}
+
+// hybrid-bot.cjs tick for one signal strategy: exits first, then a new entry while flat
+function signalStep(ctx, st, name) {
+  const { market, cfg } = ctx;
+  const h = cfg.hybrid, state = st.state;
+  const price = market.usd('GALA');
+  if (!(price > 0)) return;
+  st.signals.observePrice(state, price, ctx.t);
+
+  const pos = state.position;
+  if (pos) {
+    const d = evaluatePosition(pos, price, h.positions, ctx.t);
+    if (d.action === 'close') {
+      const gala = pos.remainingGala * d.fraction;
+      const r = pos.side === 'long' ? sellGala(ctx, gala, 'POS_CLOSE') : buyGala(ctx, gala * price, 'POS_CLOSE');
+      if (r.status === 'confirmed') {
+        const closedGala = pos.side === 'long' ? gala : r.amountOut;
+        const exitPrice = pos.side === 'long' ? r.amountOut / gala : (gala * price) / r.amountOut;
+        const before = pos.realizedUsd;
+        const flat = applyClose(pos, { gala: closedGala, exitPrice, reason: d.reason, tp1: Boolean(d.tp1), ts: ctx.t });
+        r.trade.pnlUsd = pos.realizedUsd - before;
+        r.trade.reason = d.reason;
+        if (flat) {
+          ctx.closedPnl.push(pos.realizedUsd);
+          archivePosition(state, pos, ctx.t);
+          state.position = null;
+        }
+      }
+    }
+  }
+  if (state.position) return;
+
+  const sig = st.signals.byName[name](state, price);
+  if (sig.action !== 'BUY' && sig.action !== 'SELL') return;
+  const usd = h.tradeUsd;
+  const r = sig.action === 'BUY' ? buyGala(ctx, usd, 'BUY') : sellGala(ctx, usd / price, 'SELL');
+  if (r.status !== 'confirmed') return;
+  r.trade.reason = sig.reason;
+  const side = sig.action === 'BUY' ? 'long' : 'short';
+  const sizeGala = side === 'long' ? r.amountOut : usd / price;
+  const entryPrice = side === 'long' ? usd / r.amountOut : r.amountOut / sizeGala;
+  const levels = name === 'FIBONACCI' && sig.swing ? fibExitLevels(side, sig.swing, h.positions) : pctLevels(side, entryPrice, h.positions);
+  const id = state.nextPositionId || 1;
+  state.nextPositionId = id + 1;
+  state.position = openPosition({ id, strategy: name, side, entryPrice, sizeGala, notionalUsd: usd, levels, ts: ctx.t });
+}
+
+// hybrid-bot.cjs cycle arb: scan at the probe size, size the best candidates, then the live
+// executor (lib/cycle-exec.cjs: re-quote from fills, retries, unwind) against the simulated pools.
+// The ARB_*_USD bounds are converted to base units at the row's price, as the bot does.
+async function arbStep(ctx) {
+  const { market, cfg, wallet } = ctx;
+  const h = cfg.hybrid, A = h.arb;
+  const usdPerBase = market.usd(A.base);
+  if (!(usdPerBase > 0)) return;
+  const baseBal = Number(wallet[symbolOf(A.base)] || 0);
+  if (!(baseBal * usdPerBase > h.arbMin)) return;
+  const minAmount = h.arbMin / usdPerBase;
+  const quote = async (i, o, amt, fee) => market.quote(i, o, amt, fee).out;
+  const gasPerLegBase = await gasPerLegInBase(quote, A.base, A.gasGalaPerLeg, A.feeTiers);
+  const ranked = await scanCycles({ quote, ...A, startAmount: h.arbStart / usdPerBase, gasPerLegBase });
+  let best = null;
+  for (const c of ranked.filter(c => c.grossProfit > 0).slice(0, h.sizeCandidates)) {
+    const maxAmount = capAmount(h.arbMax / usdPerBase, baseBal);
+    if (!(maxAmount >= minAmount)) continue;
+    const sized = await optimizeCycleSize({ quote, cycle: c, minAmount, maxAmount, gasPerLegBase, maxEvals: h.sizeEvals });
+    if (sized && (!best || sized.netProfit > best.netProfit)) best = { ...sized, path: c.path };
+  }
+  if (!best || !(best.netProfit > 0 && best.netBps >= A.minProfitBps)) return;
+
+  const cycle = ctx.cycles++;
+  const gasBefore = wallet.GALA || 0;
+  const r = await executeCycle({
+    cycle: best,
+    bot: 'backtest',
+    base: A.base,
+    feeTiers: A.feeTiers,
+    quote,
+    file: ctx.partialsFile,
+    slippageBps: h.slippageBps,
+    maxRetries: h.legRetries,
+    retrySlippageStepBps: h.retryStepBps,
+    maxSlippageBps: h.maxSlippageBps,
+    unwindSlippageBps: h.unwindSlippageBps,
+    log: () => {},
+    swapLeg: async ({ tag, tokenIn, tokenOut, feeTier, amountIn, minOut }) =>
+      book(ctx, tag, tokenIn, tokenOut, amountIn, { feeTier, minOut, cycle, path: best.path }),
+  });
+  // Cycle P&L in base units, gas valued at the current GALA → base rate
+  if (r.finalAmount == null) return;
+  const gasSpent = Math.max(0, gasBefore - (wallet.GALA || 0));
+  const gasBase = A.gasGalaPerLeg > 0 ? (gasPerLegBase / A.gasGalaPerLeg) * gasSpent : 0;
+  const pnl = (r.finalAmount - r.startAmount - gasBase) * market.usd(A.base);
+  const last = ctx.trades[ctx.trades.length - 1];
+  last.pnlUsd = pnl;
+  last.cycleStatus = r.status;
+  ctx.closedPnl.push(pnl);
+}
+
+/* ---------------- metrics ---------------- */
+
+function median(xs) {
+  const s = xs.slice().sort((a, b) => a - b);
+  return s.length ? s[Math.floor(s.length / 2)] : 0;
+}
+
+// equity: [{ t, equityUsd }] with the opening snapshot (start wallet at the first prices, before any
+// trade) first, trades, closedPnl: realized P&L per closed round-trip
+function summarize(equity, trades, closedPnl) {
+  const first = equity[0]?.equityUsd || 0, lastEq = equity[equity.length - 1]?.equityUsd || 0;
+  let peak = -Infinity, maxDd = 0;
+  for (const e of equity) {
+    peak = Math.max(peak, e.equityUsd);
+    if (peak > 0) maxDd = Math.max(maxDd, (peak - e.equityUsd) / peak);
+  }
+  const rets = [];
+  for (let i = 1; i < equity.length; i++) {
+    if (equity[i - 1].equityUsd > 0) rets.push(equity[i].equityUsd / equity[i - 1].equityUsd - 1);
+  }
+  const mean = rets.reduce((a, b) => a + b, 0) / (rets.length || 1);
+  const sd = Math.sqrt(rets.reduce((a, b) => a + (b - mean) ** 2, 0) / Math.max(1, rets.length - 1));
+  const stepMs = median(equity.slice(1).map((e, i) => e.t - equity[i].t).filter(d => d > 0));
+  const sharpe = sd > 0 && stepMs > 0 ? (mean / sd) * Math.sqrt(YEAR_MS / stepMs) : 0;
+  const done = trades.filter(t => t.status === 'confirmed');
+  const notional = done.reduce((s, t) => s + t.notionalUsd, 0);
+  const avgEquity = equity.reduce((s, e) => s + e.equityUsd, 0) / (equity.length || 1);
+  const wins = closedPnl.filter(p => p > 0).length;
+  const round = (x, d = 4) => Number(x.toFixed(d));
+  return {
+    from: new Date(equity[0].t).toISOString(),
+    to: new Date(equity[equity.length - 1].t).toISOString(),
+    startEquityUsd: round(first),
+    endEquityUsd: round(lastEq),
+    returnPct: round(first > 0 ? (lastEq / first - 1) * 100 : 0, 3),
+    maxDrawdownPct: round(maxDd * 100, 3),
+    sharpe: round(sharpe, 3),
+    trades: done.length,
+    reverted: trades.length - done.length,
+    roundTrips: closedPnl.length,
+    winRatePct: round(closedPnl.length ? (wins / closedPnl.length) * 100 : 0, 2),
+    turnover: round(avgEquity > 0 ? notional / avgEquity : 0, 3),
+    notionalUsd: round(notional),
+    poolFeesUsd: round(done.reduce((s, t) => s + (t.feeUsd || 0), 0)),
+    gasGala: round(trades.reduce((s, t) => s + (t.gasGala || 0), 0)),
+  };
+}
+
+/* ---------------- runner ---------------- */
+
+function strategyName(s) {
+  const key = String(s).toLowerCase();
+  if (STRATEGIES[key]) return STRATEGIES[key];
+  const full = Object.values(STRATEGIES).find(v => v === String(s).toUpperCase());
+  if (!full) throw new Error(`Unknown strategy "${s}" (${Object.keys(STRATEGIES).join(' | ')} | all)`);
+  return full;
+}
+
+// One strategy over the rows on a fresh wallet → { strategy, seed, summary, trades, equity, final }
+async function runBacktest(rows, { strategy, seed = 1, everyMin, cfg = backtestConfigFromEnv(), start } = {}) {
+  const name = strategyName(strategy);
+  const rng = seededRng(seed);
+  const market = createBacktestMarket({ ...cfg, rng });
+  const wallet = { ...(start || cfg.start) };
+  // Cycles the executor parks (failed unwinds) go to a scratch partials file, not the bot's
+  const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+  const ctx = { name, cfg, market, wallet, rng, trades: [], closedPnl: [], cycles: 0, partialsFile: path.join(scratch, 'arb_partials.json'), t: 0 };
+  const st = {
+    ledger: emptyLedger(),
+    signals: createSignals(cfg.hybrid.signals),
+    state: { ema: null, prices: [], candles: emptyCandleBook(), position: null, positionHistory: [], nextPositionId: 1 },
+  };
+  const stepMs = Math.max(0, Number(everyMin ?? (name === 'FLIPFLOP' ? cfg.flipflop.everyMin : cfg.hybrid.everyMin))) * 60 * 1000;
+  const equity = [];
+  let lastStep = -Infinity;
+
+  try {
+    for (const row of rows) {
+      market.setRow(row);
+      ctx.t = row.t;
+      // Every strategy starts from the same opening snapshot, taken before its first step trades
+      if (!equity.length) equity.push({ t: row.t, equityUsd: market.equityUsd(wallet) });
+      if (row.t - lastStep >= stepMs) {
+        lastStep = row.t;
+        if (name === 'FLIPFLOP') flipflopStep(ctx, st);
+        else if (name === 'ARB') await arbStep(ctx);
+        else signalStep(ctx, st, name);
+      }
+      equity.push({ t: row.t, equityUsd: market.equityUsd(wallet) });
+    }
+  } finally {
+    fs.rmSync(scratch, { recursive: true, force: true });
+  }
+
+  return {
+    strategy: name,
+    seed,
+    summary: summarize(equity, ctx.trades, ctx.closedPnl),
+    trades: ctx.trades,
+    equity,
+    final: { wallet, openPosition: st.state.position, openLots: st.ledger.lots.filter(l => l.remaining > 1e-12).length },
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  seededRng,
+  parseHoldings,
+  backtestConfigFromEnv,
+  normalizeRow,
+  loadDataset,
+  createBacktestMarket,
+  summarize,
+  runBacktest,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2));
+  const file = args._[0];
+  if (!file) {
+    console.error('Usage: node lib/backtest.cjs DATASET [--strategy=all|flipflop|momentum|mean|fib|rsi|bb|arb] [--seed=1] [--every=MIN] [--start=GUSDC:100,GALA:50] [--out=report.json]');
+    process.exit(1);
+  }
+  (async () => {
+    const rows = loadDataset(file);
+    const cfg = backtestConfigFromEnv();
+    const start = args.start ? parseHoldings(args.start) : undefined;
+    const which = String(args.strategy || 'all').toLowerCase() === 'all'
+      ? Object.keys(STRATEGIES)
+      : String(args.strategy).split(',').map(s => s.trim());
+    const seed = args.seed ?? 1;
+    const results = [];
+    for (const s of which) results.push(await runBacktest(rows, { strategy: s, seed, everyMin: args.every, cfg, start }));
+    console.log(`[BACKTEST] ${file}: ${rows.length} rows, seed ${seed}`);
+    console.table(Object.fromEntries(results.map(r => [r.strategy, r.summary])));
+    if (args.out) {
+      writeJsonAtomic(args.out, { dataset: path.resolve(file), rows: rows.length, seed, results });
+      console.log(`[BACKTEST] report → ${args.out}`);
+    }
+  })().catch((e) => { console.error(`❌ Backtest failed: ${e?.message || e}`); process.exit(1); });
+}
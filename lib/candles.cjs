@@ -0,0 +1,99 @@
+// lib/candles.cjs — OHLC candles from irregular price samples
+// Ticks sample the spot price whenever they happen to run, so "the last N samples" covers a
+// different time span every run. Candles fix the span: N candles of a timeframe is always N × tf.
+//   - Timeframes: 5m / 1h / 4h / 1d, buckets aligned to the epoch (UTC)
+//   - A candle is { t (bucket start ms), o, h, l, c, n (samples), v (quoted size), pv (Σ price × size) },
+//     so pv / v is the quote-weighted average price of the bucket (see vwap in lib/indicators.cjs)
+//   - The newest candle is still forming until its bucket ends; samples arriving late (older
+//     bucket) update that bucket if it is still kept, otherwise they are dropped
+// A "book" is { [timeframe]: candle[] } kept in the bot state, capped per timeframe.
+
+const TIMEFRAMES = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+// Candles kept per timeframe (2 days of 5m, 2 weeks of 1h, 30 days of 4h, a year of 1d)
+const DEFAULT_KEEP = { '5m': 576, '1h': 336, '4h': 180, '1d': 365 };
+
+function timeframeMs(tf) {
+  const ms = TIMEFRAMES[tf];
+  if (!ms) throw new Error(`Unknown timeframe "${tf}" (${Object.keys(TIMEFRAMES).join(' | ')})`);
+  return ms;
+}
+
+const bucketStart = (t, tfMs) => Math.floor(t / tfMs) * tfMs;
+
+function newCandle(t, p, v) {
+  return { t, o: p, h: p, l: p, c: p, n: 1, v, pv: p * v };
+}
+
+function mergeSample(candle, p, v, isLatest) {
+  if (p > candle.h) candle.h = p;
+  if (p < candle.l) candle.l = p;
+  if (isLatest) candle.c = p;
+  candle.n += 1;
+  candle.v += v;
+  candle.pv += p * v;
+}
+
+// Add one sample { t, p, v = 1 } to a candle array (oldest first). Mutates and returns `candles`.
+function addSample(candles, { t, p, v = 1 }, tf, keep = DEFAULT_KEEP[tf] || 500) {
+  const price = Number(p), size = Number(v);
+  if (!(price > 0) || !(size > 0) || !Number.isFinite(Number(t))) return candles;
+  const b = bucketStart(Number(t), timeframeMs(tf));
+  const last = candles[candles.length - 1];
+  if (!last || b > last.t) {
+    candles.push(newCandle(b, price, size));
+    if (candles.length > keep) candles.splice(0, candles.length - keep);
+  } else if (b === last.t) {
+    mergeSample(last, price, size, true);
+  } else {
+    const old = candles.find(c => c.t === b);
+    if (old) mergeSample(old, price, size, false);
+  }
+  return candles;
+}
+
+// Candles of one timeframe from a sample list ({ t, p, v? }[], any order)
+function aggregateCandles(samples, tf, keep) {
+  const sorted = samples.slice().sort((a, b) => a.t - b.t);
+  const out = [];
+  for (const s of sorted) addSample(out, s, tf, keep);
+  return out;
+}
+
+function emptyCandleBook(timeframes = Object.keys(TIMEFRAMES)) {
+  return Object.fromEntries(timeframes.map(tf => [tf, []]));
+}
+
+function updateCandleBook(book, sample, keep = DEFAULT_KEEP) {
+  for (const tf of Object.keys(book)) addSample(book[tf], sample, tf, keep[tf]);
+  return book;
+}
+
+function candleBookFromSamples(samples, timeframes = Object.keys(TIMEFRAMES), keep = DEFAULT_KEEP) {
+  return Object.fromEntries(timeframes.map(tf => [tf, aggregateCandles(samples, tf, keep[tf])]));
+}
+
+// Series helpers for lib/indicators.cjs
+const closes = (candles) => candles.map(c => c.c);
+const highs  = (candles) => candles.map(c => c.h);
+const lows   = (candles) => candles.map(c => c.l);
+
+module.exports = {
+  TIMEFRAMES,
+  DEFAULT_KEEP,
+  timeframeMs,
+  bucketStart,
+  addSample,
+  aggregateCandles,
+  emptyCandleBook,
+  updateCandleBook,
+  candleBookFromSamples,
+  closes,
+  highs,
+  lows,
+};
@@ -0,0 +1,234 @@
+// lib/clmm.cjs — offline concentrated-liquidity (Uniswap-v3 style) quoting for GalaSwap pools
+// Fetches each pool's state once (GetPoolData: sqrtPrice, active liquidity, tick bitmap, fee,
+// tick spacing) and simulates exact-input swaps in memory, step by step across initialized ticks,
+// so arb scans and size searches can run thousands of quotes without a round-trip each.
+//   - Prices are GalaChain decimals: price = sqrtPrice² = token1 per token0, tick t ↔ 1.0001^t
+//   - The fee is taken from the input of every step (fee / 1e6), as in the DEX contract
+//   - GetPoolData has the bitmap (where the initialized ticks are) but not each tick's liquidityNet.
+//     The first simulation that crosses a tick learns it with one probe quote just past the tick
+//     (liquidity = Δin / ΔsqrtPrice beyond it); probes are cached with the pool snapshot
+//   - Anything the engine cannot simulate (too many probes, liquidity runs out) falls back to the
+//     live SDK quote; a pool whose state could not be fetched throws like the SDK does
+//   - verify() compares an offline quote with a live one before a submit (CLMM_MAX_DRIFT_BPS)
+// Same quote signature as lib/arb-scanner.cjs quoterFromSdk(): (tokenIn, tokenOut, amountIn, feeTier) → out.
+//
+// CLI: node lib/clmm.cjs compare TOKEN_IN TOKEN_OUT FEE AMOUNT[,AMOUNT…] — offline vs live quotes
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const LN_TICK = Math.log(1.0001);
+
+const sqrtAtTick = (tick) => Math.exp((tick / 2) * LN_TICK);
+const tickAtSqrt = (sqrtPrice) => Math.floor((2 * Math.log(sqrtPrice)) / LN_TICK);
+const classKeyString = (k) => (typeof k === 'string' ? k : [k.collection, k.category, k.type, k.additionalKey].join('|'));
+
+// Bitmap { wordPos: bigint string } → sorted initialized ticks
+function initializedTicks(bitmap, tickSpacing) {
+  const ticks = [];
+  for (const [word, bits] of Object.entries(bitmap || {})) {
+    let b = BigInt(bits);
+    if (b < 0n) b = BigInt.asUintN(256, b);
+    for (let bit = 0; b > 0n; bit++, b >>= 1n) {
+      if (b & 1n) ticks.push((Number(word) * 256 + bit) * tickSpacing);
+    }
+  }
+  return ticks.sort((a, b) => a - b);
+}
+
+// Pool snapshot from a GetPoolData response
+function poolFromData(data, fetchedAt = Date.now()) {
+  const sqrtPrice = Number(data.sqrtPrice);
+  return {
+    token0: classKeyString(data.token0ClassKey || data.token0),
+    token1: classKeyString(data.token1ClassKey || data.token1),
+    fee: Number(data.fee),
+    tickSpacing: Number(data.tickSpacing),
+    sqrtPrice,
+    tick: tickAtSqrt(sqrtPrice),
+    liquidity: Number(data.liquidity),
+    ticks: initializedTicks(data.bitmap, Number(data.tickSpacing)),
+    liquidityNet: new Map(), // tick → liquidityNet (learned by probes, or preset for what-if runs)
+    fetchedAt,
+  };
+}
+
+// Largest initialized tick ≤ tick (zeroForOne) / smallest > tick (oneForZero), else the bound
+function nextTick(pool, tick, zeroForOne) {
+  const t = pool.ticks;
+  let lo = 0, hi = t.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (t[mid] <= tick) lo = mid + 1; else hi = mid; }
+  if (zeroForOne) return lo > 0 ? { tick: t[lo - 1], initialized: true } : { tick: MIN_TICK, initialized: false };
+  return lo < t.length ? { tick: t[lo], initialized: true } : { tick: MAX_TICK, initialized: false };
+}
+
+// One step inside a constant-liquidity range. remaining = gross input left (fee included).
+function swapStep(sqrtP, sqrtTarget, L, remaining, feeRate, zeroForOne) {
+  const net = remaining * (1 - feeRate);
+  const needed = zeroForOne
+    ? (L * (sqrtP - sqrtTarget)) / (sqrtP * sqrtTarget)
+    : L * (sqrtTarget - sqrtP);
+  if (net >= needed) {
+    const out = zeroForOne ? L * (sqrtP - sqrtTarget) : (L * (sqrtTarget - sqrtP)) / (sqrtP * sqrtTarget);
+    return { sqrtNext: sqrtTarget, used: needed / (1 - feeRate), out, reached: true };
+  }
+  const sqrtNext = zeroForOne ? (L * sqrtP) / (L + net * sqrtP) : sqrtP + net / L;
+  const out = zeroForOne ? L * (sqrtP - sqrtNext) : (L * (sqrtNext - sqrtP)) / (sqrtNext * sqrtP);
+  return { sqrtNext, used: remaining, out, reached: false };
+}
+
+// Exact-input simulation. Stops when it needs the liquidityNet of a tick nobody has probed yet.
+// → { status: 'ok', amountOut, sqrtPriceAfter, crossed } | { status: 'need-tick', tick, grossToTick, sqrtP, L }
+//   | { status: 'no-liquidity', amountOut }
+function simulateExactInput(pool, zeroForOne, amountIn) {
+  const feeRate = pool.fee / 1e6;
+  let sqrtP = pool.sqrtPrice, L = pool.liquidity, tick = pool.tick;
+  let remaining = Number(amountIn), out = 0, crossed = 0;
+  while (remaining > 1e-18) {
+    const next = nextTick(pool, tick, zeroForOne);
+    const sqrtTarget = sqrtAtTick(next.tick);
+    if (!(L > 0)) {
+      if (!next.initialized) return { status: 'no-liquidity', amountOut: out };
+    } else {
+      const step = swapStep(sqrtP, sqrtTarget, L, remaining, feeRate, zeroForOne);
+      remaining -= step.used;
+      out += step.out;
+      sqrtP = step.sqrtNext;
+      if (!step.reached) break;
+      if (!next.initialized) return { status: 'no-liquidity', amountOut: out };
+    }
+    sqrtP = sqrtTarget;
+    const net = pool.liquidityNet.get(next.tick);
+    if (net === undefined) {
+      return { status: 'need-tick', tick: next.tick, grossToTick: Number(amountIn) - remaining, sqrtP, L };
+    }
+    L = zeroForOne ? L - net : L + net;
+    tick = zeroForOne ? next.tick - 1 : next.tick;
+    crossed += 1;
+  }
+  return { status: 'ok', amountOut: out, sqrtPriceAfter: sqrtP, crossed };
+}
+
+// Learn liquidityNet at `need.tick` with one live quote that ends just past it
+async function probeTick(pool, zeroForOne, need, liveQuoteRaw) {
+  const feeRate = pool.fee / 1e6;
+  const sB = sqrtAtTick(need.tick);
+  const beyond = nextTick(pool, zeroForOne ? need.tick - 1 : need.tick, zeroForOne);
+  // Aim a quarter of the way into the next range, assuming the liquidity does not change
+  const sAim = sB + (sqrtAtTick(beyond.tick) - sB) * 0.25;
+  const L0 = need.L > 0 ? need.L : pool.liquidity || 1;
+  let extraNet = zeroForOne ? (L0 * (sB - sAim)) / (sB * sAim) : L0 * (sAim - sB);
+  for (let attempt = 0; attempt < 4; attempt++) {
+    const gross = need.grossToTick + extraNet / (1 - feeRate);
+    const q = await liveQuoteRaw(gross);
+    const sN = Number(q.newSqrtPrice);
+    const past = zeroForOne ? sN < sB : sN > sB;
+    const overshot = beyond.initialized && (zeroForOne ? sN < sqrtAtTick(beyond.tick) : sN > sqrtAtTick(beyond.tick));
+    if (past && !overshot) {
+      const net = (Number(q.amountIn) - need.grossToTick) * (1 - feeRate);
+      const L1 = zeroForOne ? (net * sB * sN) / (sB - sN) : net / (sN - sB);
+      pool.liquidityNet.set(need.tick, zeroForOne ? need.L - L1 : L1 - need.L);
+      return true;
+    }
+    extraNet = past ? extraNet / 4 : extraNet * 4;
+  }
+  return false;
+}
+
+// Quoter over a per-tick pool cache. gswap: SDK instance; refresh() at the start of every tick.
+function createOfflineQuoter({ gswap, maxProbesPerQuote = 6, log = console.log } = {}) {
+  const pools = new Map(); // `${a}/${b}/${fee}` (sorted) → Promise<pool | null>
+  const stats = { poolFetches: 0, probes: 0, offline: 0, fallbacks: 0 };
+
+  const live = async (tokenIn, tokenOut, amountIn, feeTier) =>
+    Number((await gswap.quoting.quoteExactInput(tokenIn, tokenOut, String(amountIn), feeTier)).outTokenAmount);
+
+  function getPool(tokenA, tokenB, fee) {
+    const key = [tokenA, tokenB].sort().join('/') + `/${fee}`;
+    if (!pools.has(key)) {
+      stats.poolFetches += 1;
+      pools.set(key, gswap.pools.getPoolData(tokenA, tokenB, fee)
+        .then(d => poolFromData(d))
+        .catch(e => { log(`[CLMM] no pool state ${key}: ${e?.message || e}`); return null; }));
+    }
+    return pools.get(key);
+  }
+
+  async function offlineOut(tokenIn, tokenOut, amountIn, feeTier) {
+    const pool = await getPool(tokenIn, tokenOut, feeTier);
+    if (!pool) return null;
+    const zeroForOne = tokenIn === pool.token0;
+    const liveRaw = async (gross) => {
+      stats.probes += 1;
+      const q = await gswap.quoting.quoteExactInput(tokenIn, tokenOut, String(gross), feeTier);
+      return { newSqrtPrice: q.newPoolSqrtPrice, amountIn: Number(q.inTokenAmount ?? gross) };
+    };
+    for (let probes = 0; probes <= maxProbesPerQuote; probes++) {
+      const r = simulateExactInput(pool, zeroForOne, amountIn);
+      if (r.status === 'ok') return r.amountOut;
+      if (r.status === 'no-liquidity') return null;
+      if (probes === maxProbesPerQuote || !(await probeTick(pool, zeroForOne, r, liveRaw))) return null;
+    }
+    return null;
+  }
+
+  async function quote(tokenIn, tokenOut, amountIn, feeTier) {
+    if (feeTier == null) throw new Error('offline quoter needs a fee tier');
+    // No pool state this tick (missing pool or fetch error): a live quote would fail the same way
+    if (!(await getPool(tokenIn, tokenOut, Number(feeTier)))) throw new Error(`no pool ${tokenIn} -> ${tokenOut} @${feeTier}`);
+    const out = await offlineOut(tokenIn, tokenOut, Number(amountIn), Number(feeTier));
+    if (out != null && out > 0) { stats.offline += 1; return out; }
+    stats.fallbacks += 1;
+    return live(tokenIn, tokenOut, amountIn, feeTier);
+  }
+
+  // Offline vs live before a submit → { ok, offline, live, diffBps }
+  async function verify(tokenIn, tokenOut, amountIn, feeTier, maxDriftBps) {
+    const [off, on] = await Promise.all([
+      offlineOut(tokenIn, tokenOut, Number(amountIn), Number(feeTier)),
+      live(tokenIn, tokenOut, amountIn, feeTier),
+    ]);
+    const diffBps = off == null || !(on > 0) ? Infinity : (Math.abs(off - on) / on) * 10000;
+    return { ok: diffBps <= maxDriftBps, offline: off, live: on, diffBps };
+  }
+
+  return {
+    quote,
+    verify,
+    refresh() { pools.clear(); },
+    stats: () => ({ ...stats, pools: pools.size }),
+  };
+}
+
+module.exports = {
+  MIN_TICK,
+  MAX_TICK,
+  sqrtAtTick,
+  tickAtSqrt,
+  initializedTicks,
+  poolFromData,
+  nextTick,
+  simulateExactInput,
+  createOfflineQuoter,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { GSwap } = require('@gala-chain/gswap-sdk');
+  const [cmd, tokenIn, tokenOut, fee, amounts] = process.argv.slice(2);
+  if (cmd !== 'compare' || !amounts) {
+    console.log('Usage: node lib/clmm.cjs compare TOKEN_IN TOKEN_OUT FEE AMOUNT[,AMOUNT…]');
+    process.exit(1);
+  }
+  const gswap = new GSwap({
+    gatewayBaseUrl: process.env.GATEWAY_BASE_URL || 'https://gateway-mainnet.galachain.com',
+    bundlerBaseUrl: process.env.BUNDLER_BASE_URL || 'https://bundle-backend-prod1.defi.gala.com',
+  });
+  const q = createOfflineQuoter({ gswap });
+  (async () => {
+    for (const a of amounts.split(',').map(Number).filter(x => x > 0)) {
+      const v = await q.verify(tokenIn, tokenOut, a, Number(fee), Infinity);
+      console.log({ amountIn: a, offline: v.offline, live: v.live, diffBps: Number(v.diffBps.toFixed(3)) });
+    }
+    console.log('[CLMM]', q.stats());
+  })().catch(e => { console.error(e?.message || e); process.exit(1); });
+}
@@ -0,0 +1,269 @@
+// lib/cycle-exec.cjs — leg-aware execution of a multi-leg arbitrage cycle
+// - Each leg is re-quoted from the amount actually received on the previous leg (confirmed fill),
+//   never from the simulated leg amounts
+// - A leg that fails (revert on amountOutMinimum, bundler rejection) is retried up to maxRetries
+//   with a fresh quote and a wider slippage allowance; after that the stranded token is unwound
+//   back to the base token on its best pool
+// - A leg whose outcome is unknown (timeout) is never retried blind: the cycle is parked
+// - Whatever is left unfinished (unknown leg, failed unwind) is recorded in the partials file
+//   (ARB_PARTIALS_FILE) so the next tick can finish or liquidate it: resumePartials()
+// - A parked unknown leg is settled by its tx id (txStatus) before anything else is traded: confirmed
+//   moves the cycle past it at the real fill, failed leaves it where it was, still unknown stays parked
+// - Every resumed finish / liquidation passes riskGate first; a refusal leaves the cycle parked
+//
+// Injected, so every bot can use it:
+//   quote(tokenIn, tokenOut, amountIn, feeTier) → Promise<number>      (lib/arb-scanner.cjs quoter)
+//   swapLeg({ tag, tokenIn, tokenOut, feeTier, amountIn, minOut, quotedOut })
+//     → Promise<{ status: 'confirmed' | 'failed' | 'unknown', txId, amountOut?, reason? }>
+//   balanceOf(token) → Promise<number | null>                             (optional; caps resumed amounts)
+//   txStatus(txId) → Promise<{ status, amountOut?, reason? } | null>      (optional; without it an unknown
+//                                                                          leg stays parked)
+//   riskGate({ tag, tokenIn, tokenOut, amountIn, legs }) → Promise<boolean>  (optional; resumed legs)
+
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./json-file.cjs');
+
+const CLOSED_KEEP = 200;
+const DEFAULT_FEE_TIERS = [500, 3000, 10000];
+
+function symbolOf(classKey) { return String(classKey).split('|')[0].toUpperCase(); }
+
+function partialsFile(env = process.env) {
+  return env.ARB_PARTIALS_FILE || path.join(process.cwd(), 'arb_partials.json');
+}
+function loadPartials(file) {
+  return { version: 1, nextId: 1, open: [], closed: [], ...readJson(file, null) };
+}
+function savePartials(file, p) {
+  p.closed = p.closed.slice(-CLOSED_KEEP);
+  writeJsonAtomic(file, p);
+}
+
+function execOptions(o) {
+  return {
+    bot: o.bot || 'bot',
+    base: o.base,
+    quote: o.quote,
+    swapLeg: o.swapLeg,
+    balanceOf: o.balanceOf || null,
+    txStatus: o.txStatus || null,
+    riskGate: o.riskGate || null,
+    file: o.file || partialsFile(),
+    feeTiers: o.feeTiers || DEFAULT_FEE_TIERS,
+    slippageBps: Number(o.slippageBps ?? 50),
+    maxRetries: Math.max(0, Number(o.maxRetries ?? 1)),
+    retrySlippageStepBps: Math.max(0, Number(o.retrySlippageStepBps ?? 50)),
+    maxSlippageBps: Number(o.maxSlippageBps ?? 300),
+    unwindSlippageBps: Number(o.unwindSlippageBps ?? 200),
+    log: o.log || console.log,
+    tag: o.tag || 'ARB',
+  };
+}
+
+// Best pool for a direct swap (unwinds do not have a planned fee tier)
+async function bestRoute(ctx, tokenIn, tokenOut, amountIn) {
+  let best = null;
+  for (const feeTier of ctx.feeTiers) {
+    try {
+      const out = Number(await ctx.quote(tokenIn, tokenOut, amountIn, feeTier));
+      if (out > 0 && (!best || out > best.out)) best = { feeTier, out };
+    } catch {}
+  }
+  return best;
+}
+
+// One leg with retries. Returns { status, amountOut?, minOut?, txId?, reason, attempts[] }
+async function runLeg(ctx, leg, amountIn, tag) {
+  const attempts = [];
+  let slip = ctx.slippageBps, reason = null;
+  for (let attempt = 0; attempt <= ctx.maxRetries; attempt++) {
+    let q = null;
+    try { q = Number(await ctx.quote(leg.tokenIn, leg.tokenOut, amountIn, leg.feeTier)); } catch (e) { reason = `quote: ${e?.message || e}`; }
+    if (!(q > 0)) { reason = reason || 'no quote'; attempts.push({ at: Date.now(), status: 'no-quote', reason }); continue; }
+
+    const minOut = (q * (10000 - slip)) / 10000;
+    const t = attempt ? `${tag}-RETRY${attempt}` : tag;
+    const o = await ctx.swapLeg({ tag: t, tokenIn: leg.tokenIn, tokenOut: leg.tokenOut, feeTier: leg.feeTier, amountIn, minOut, quotedOut: q });
+    attempts.push({ at: Date.now(), tag: t, status: o.status, txId: o.txId || null, amountIn, minOut, amountOut: o.amountOut ?? null, reason: o.reason || null });
+
+    // A confirmed leg without a parsed fill is carried forward at its guaranteed minimum
+    if (o.status === 'confirmed') return { status: 'confirmed', amountOut: Number(o.amountOut) > 0 ? Number(o.amountOut) : minOut, txId: o.txId, attempts };
+    if (o.status === 'unknown') return { status: 'unknown', minOut, txId: o.txId, reason: o.reason, attempts };
+    reason = o.reason || 'failed';
+    ctx.log(`[${ctx.tag}-LEG-FAIL] ${t} ${symbolOf(leg.tokenIn)}->${symbolOf(leg.tokenOut)} @${leg.feeTier}: ${reason}`);
+    slip = Math.min(ctx.maxSlippageBps, slip + ctx.retrySlippageStepBps);
+  }
+  return { status: 'failed', reason, attempts };
+}
+
+// Sell `amount` of `token` back to base on its best pool
+async function unwind(ctx, token, amount) {
+  if (token === ctx.base) return { status: 'confirmed', amountOut: amount, attempts: [] };
+  const route = await bestRoute(ctx, token, ctx.base, amount);
+  if (!route) return { status: 'failed', reason: `no pool quotes ${symbolOf(token)} -> ${symbolOf(ctx.base)}`, attempts: [] };
+  const leg = { tokenIn: token, tokenOut: ctx.base, feeTier: route.feeTier };
+  return runLeg({ ...ctx, slippageBps: ctx.unwindSlippageBps }, leg, amount, `${ctx.tag}_UNWIND`);
+}
+
+// Run legs[from..] holding `amount` of legs[from].tokenIn. Shared by fresh cycles and resumes.
+async function continueCycle(ctx, legs, from, amount, history) {
+  let held = legs[from].tokenIn;
+  for (let i = from; i < legs.length; i++) {
+    const leg = legs[i];
+    const r = await runLeg(ctx, leg, amount, `${ctx.tag}_LEG${i + 1}`);
+    history.push(...r.attempts.map(a => ({ leg: i, ...a })));
+    if (r.status === 'confirmed') { amount = r.amountOut; held = leg.tokenOut; continue; }
+
+    if (r.status === 'unknown') {
+      return { status: 'parked', held, amount, legIndex: i, unknownLeg: { txId: r.txId || null, tokenOut: leg.tokenOut, minOut: r.minOut }, reason: r.reason };
+    }
+    // failed after retries
+    if (held === ctx.base) return { status: 'aborted', held, amount, legIndex: i, reason: r.reason };
+    ctx.log(`[${ctx.tag}-UNWIND] leg ${i + 1} failed (${r.reason}); selling ${amount} ${symbolOf(held)} back to ${symbolOf(ctx.base)}`);
+    const u = await unwind(ctx, held, amount);
+    history.push(...u.attempts.map(a => ({ leg: 'unwind', ...a })));
+    if (u.status === 'confirmed') return { status: 'unwound', held: ctx.base, amount: u.amountOut, legIndex: i, reason: r.reason };
+    return {
+      status: 'parked', held, amount, legIndex: i, reason: `unwind ${u.status}: ${u.reason || ''}`.trim(),
+      ...(u.status === 'unknown' ? { unknownLeg: { txId: u.txId || null, tokenOut: ctx.base, minOut: u.minOut, unwind: true } } : {}),
+    };
+  }
+  return { status: 'completed', held, amount, legIndex: legs.length };
+}
+
+function legsOf(cycle) {
+  return cycle.legs.map(l => ({ tokenIn: l.tokenIn, tokenOut: l.tokenOut, feeTier: l.feeTier }));
+}
+
+function recordResult(ctx, entry) {
+  const p = loadPartials(ctx.file);
+  p.open = p.open.filter(e => e.id !== entry.id);
+  if (entry.status === 'parked') p.open.push(entry);
+  else p.closed.push(entry);
+  savePartials(ctx.file, p);
+}
+
+// Execute a cycle ({ path, amount?, legs: [{ tokenIn, tokenOut, feeTier, in }] }, as from the
+// scanner / sizer) starting with `cycle.amount` (or legs[0].in) of the base token.
+// → { status: 'completed' | 'unwound' | 'aborted' | 'parked', startAmount, finalAmount, held, partialId? }
+async function executeCycle(opts) {
+  const ctx = execOptions(opts);
+  const { cycle } = opts;
+  const legs = legsOf(cycle);
+  const startAmount = Number(cycle.amount ?? cycle.legs[0].in);
+  const history = [];
+
+  const r = await continueCycle(ctx, legs, 0, startAmount, history);
+  const result = { status: r.status, path: cycle.path, startAmount, finalAmount: r.held === ctx.base ? r.amount : null, held: r.held, reason: r.reason || null };
+
+  if (r.status !== 'completed' && r.status !== 'aborted') {
+    const p = loadPartials(ctx.file);
+    const entry = {
+      id: p.nextId++, bot: ctx.bot, base: ctx.base, path: cycle.path || null, legs, startAmount,
+      status: r.status, held: r.held, amount: r.amount, legIndex: r.legIndex, unknownLeg: r.unknownLeg || null,
+      reason: r.reason || null, startedAt: Date.now(), updatedAt: Date.now(), resumes: 0, history,
+    };
+    savePartials(ctx.file, p);
+    recordResult(ctx, entry);
+    result.partialId = entry.id;
+    if (r.status === 'parked') ctx.log(`[${ctx.tag}-PARKED] #${entry.id} holding ~${r.amount} ${symbolOf(r.held)} after leg ${r.legIndex + 1}: ${r.reason}`);
+  }
+  return result;
+}
+
+// Where a parked cycle really stands. An unknown leg is settled by its tx id: confirmed → the cycle
+// holds its output (the fill, else its minimum), failed → nothing moved. `pending` while the chain
+// has no answer (or there is no txStatus / tx id), and nothing may be traded on a guess.
+async function resolveHolding(ctx, e) {
+  let held = e.held, amount = Number(e.amount), next = e.legIndex;
+  const u = e.unknownLeg;
+  if (u) {
+    const s = u.txId && ctx.txStatus ? await Promise.resolve(ctx.txStatus(u.txId)).catch(() => null) : null;
+    if (s?.status === 'confirmed') {
+      held = u.tokenOut;
+      amount = Number(s.amountOut) > 0 ? Number(s.amountOut) : Number(u.minOut);
+      next = u.unwind ? e.legs.length : e.legIndex + 1;
+    } else if (s?.status !== 'failed') {
+      return { held, amount, next, pending: u.txId ? `leg tx ${u.txId} still unsettled` : 'leg outcome unknown and no tx id to look up' };
+    }
+  }
+  if (ctx.balanceOf) {
+    const bal = await ctx.balanceOf(held);
+    if (bal != null) amount = Math.min(amount, bal);
+  }
+  return { held, amount, next };
+}
+
+// Resumed legs pass the bot's risk gate like fresh ones (allowed when none is injected)
+async function gateAllows(ctx, req) {
+  if (!ctx.riskGate) return true;
+  try { return Boolean(await ctx.riskGate(req)); } catch { return false; }
+}
+
+// Finish or liquidate this bot's parked cycles: whichever of "run the remaining legs" and
+// "sell straight back to base" quotes more base token wins.
+async function resumePartials(opts) {
+  const ctx = execOptions(opts);
+  const open = loadPartials(ctx.file).open.filter(e => e.bot === ctx.bot);
+  const results = [];
+  for (const e of open) {
+    const { held, amount, next, pending } = await resolveHolding(ctx, e);
+    const history = [];
+    const parked = (reason, extra = {}) => ({ status: 'parked', held, amount, legIndex: next, reason, ...extra });
+    let r;
+    if (pending) {
+      r = { status: 'parked', held: e.held, amount: e.amount, legIndex: e.legIndex, unknownLeg: e.unknownLeg, reason: pending };
+    } else if (held === ctx.base || next >= e.legs.length) {
+      r = { status: 'completed', held, amount };
+    } else if (!(amount > 0)) {
+      r = { status: 'empty', held, amount };
+    } else {
+      let finishOut = null;
+      try {
+        let x = amount;
+        for (const leg of e.legs.slice(next)) x = Number(await ctx.quote(leg.tokenIn, leg.tokenOut, x, leg.feeTier));
+        finishOut = x > 0 ? x : null;
+      } catch {}
+      const liquidate = await bestRoute(ctx, held, ctx.base, amount);
+      const finish = finishOut != null && (!liquidate || finishOut >= liquidate.out);
+      const legs = finish ? e.legs.length - next : 1;
+      if (!(await gateAllows(ctx, { tag: `${ctx.tag}_RESUME`, tokenIn: held, tokenOut: ctx.base, amountIn: amount, legs }))) {
+        ctx.log(`[${ctx.tag}-RESUME] #${e.id} ${finish ? 'finish' : 'liquidation'} of ${amount} ${symbolOf(held)} rejected by the risk gate`);
+        r = parked('rejected by the risk gate');
+      } else if (finish) {
+        ctx.log(`[${ctx.tag}-RESUME] #${e.id} finishing ${e.path || ''} from leg ${next + 1} with ${amount} ${symbolOf(held)}`);
+        r = await continueCycle(ctx, e.legs, next, amount, history);
+      } else {
+        ctx.log(`[${ctx.tag}-RESUME] #${e.id} liquidating ${amount} ${symbolOf(held)} to ${symbolOf(ctx.base)}`);
+        const u = await unwind(ctx, held, amount);
+        history.push(...u.attempts.map(a => ({ leg: 'unwind', ...a })));
+        r = u.status === 'confirmed'
+          ? { status: 'unwound', held: ctx.base, amount: u.amountOut }
+          : parked(`liquidation ${u.status}: ${u.reason || ''}`.trim(),
+            u.status === 'unknown' ? { unknownLeg: { txId: u.txId || null, tokenOut: ctx.base, minOut: u.minOut, unwind: true } } : {});
+      }
+    }
+    const entry = {
+      ...e,
+      status: r.status === 'aborted' ? 'parked' : r.status,
+      held: r.held, amount: r.amount,
+      legIndex: r.legIndex ?? e.legIndex,
+      unknownLeg: r.unknownLeg ?? null,
+      reason: r.reason || e.reason,
+      updatedAt: Date.now(),
+      resumes: (e.resumes || 0) + 1,
+      history: [...(e.history || []), ...history],
+    };
+    recordResult(ctx, entry);
+    if (entry.status === 'parked') ctx.log(`[${ctx.tag}-PARKED] #${e.id} still open after ${entry.resumes} resume(s): ${entry.reason}`);
+    results.push({ id: e.id, status: entry.status, held: entry.held, amount: entry.amount });
+  }
+  return results;
+}
+
+module.exports = {
+  partialsFile,
+  loadPartials,
+  executeCycle,
+  resumePartials,
+};
@@ -0,0 +1,320 @@
+// lib/event-log.cjs — structured JSON event log + per-run reports for every bot
+// Each run gets a run id (shared with the run-lock journal). Every decision point is a typed event
+// { ts, bot, runId, type, kind, level, msg, ...fields } written to stdout and to a rotating JSONL file.
+//   - type: the bot's old log tag (BUY-SKIP, SELL-OUTCOME, RISK-HALT, …), so nothing that used to be
+//     printed is lost; kind: its class, from the tag suffix unless given
+//     (quote, quote-failed, skip, signal, submit, outcome, error, dry, run, info)
+//   - Files: EVENT_LOG_DIR (default ./.bot-events)/<bot>.jsonl, rotated at EVENT_LOG_MAX_BYTES
+//     (default 5 MB) into <bot>.1.jsonl … <bot>.<EVENT_LOG_KEEP>.jsonl (default 10)
+//   - stdout: EVENT_LOG_STDOUT=json (default) | text (the legacy "[TAG] message" lines) | off.
+//     Debug events always reach the file; on stdout only with DEBUG=true
+//   - captureConsole(): console.* lines still printed by libraries and the SDK become events too
+//     ("[TAG] rest" → type TAG, anything else → LOG / ERROR)
+//   - subscribe(fn): every event is also handed to fn (the webhook notifier, lib/notifier.cjs)
+//   - Writing is best effort: a full disk or read-only dir never stops a bot
+//
+// CLI: node lib/event-log.cjs report [--run=ID] [--bot=NAME] [--since=ISO] [--until=ISO] [--json]
+//      node lib/event-log.cjs tail [--bot=NAME] [--n=50]
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { newRunId } = require('./run-lock.cjs');
+
+const CORE_KEYS = ['ts', 'bot', 'runId', 'type', 'kind', 'level', 'msg'];
+const TAG_RE = /^\[([A-Za-z0-9][\w.-]*)\]\s*/;
+
+function eventLogConfigFromEnv(env = process.env) {
+  const stdout = String(env.EVENT_LOG_STDOUT || 'json').toLowerCase();
+  return {
+    dir:      env.EVENT_LOG_DIR || path.join(process.cwd(), '.bot-events'),
+    maxBytes: Math.max(64 * 1024, Number(env.EVENT_LOG_MAX_BYTES || 5 * 1024 * 1024)),
+    keep:     Math.max(0, Number(env.EVENT_LOG_KEEP ?? 10)),
+    stdout:   ['json', 'text', 'off'].includes(stdout) ? stdout : 'json',
+    file:     String(env.EVENT_LOG_FILE || 'true').toLowerCase() !== 'false',
+    debug:    String(env.DEBUG || 'false').toLowerCase() === 'true',
+  };
+}
+
+// Event class from the tag; fields.kind wins
+function kindOf(type, fields = {}) {
+  if (fields.kind) return fields.kind;
+  const t = String(type).toUpperCase();
+  if (t === 'QUOTE-SKIP' || t.endsWith('-QUOTE-SKIP') || t.endsWith('-QUOTE-FAILED')) return 'quote-failed';
+  if (t.endsWith('-OUTCOME') || t.endsWith('-PAPER')) return 'outcome';
+  if (t.endsWith('-SKIP') || t.endsWith('-HALTED')) return 'skip';
+  if (t.endsWith('-QUOTE') || t.endsWith('-PLAN')) return 'quote';
+  if (t.endsWith('-SUBMIT')) return 'submit';
+  if (t.endsWith('-SIGNAL')) return 'signal';
+  if (t.endsWith('-DRY')) return 'dry';
+  if (t.endsWith('-ERR') || t.endsWith('-ERROR') || t === 'ERROR') return 'error';
+  if (t.startsWith('RUN-')) return 'run';
+  return 'info';
+}
+
+// JSON-safe field values (BigNumber → string via toJSON, Error → message)
+function plain(v) {
+  if (v instanceof Error) return v.message;
+  return v;
+}
+
+function logFile(dir, bot, n = 0) {
+  return path.join(dir, n ? `${bot}.${n}.jsonl` : `${bot}.jsonl`);
+}
+
+// bot: file name + `bot` field; runId: set now or per run with startRun()
+function createEventLog({ bot, runId = null, config = eventLogConfigFromEnv(), out = process.stdout } = {}) {
+  const cfg = { ...eventLogConfigFromEnv({}), ...config };
+  const file = logFile(cfg.dir, bot);
+  const raw = { log: console.log, info: console.info, warn: console.warn, error: console.error, debug: console.debug };
+  const listeners = [];
+  let size = null;
+  let fileBroken = false;
+  let run = { id: runId, startedAt: runId ? Date.now() : null };
+
+  function rotate() {
+    for (let i = cfg.keep; i >= 1; i--) {
+      const from = i === 1 ? file : logFile(cfg.dir, bot, i - 1);
+      const to = logFile(cfg.dir, bot, i);
+      try { if (i === cfg.keep) fs.rmSync(to, { force: true }); fs.renameSync(from, to); } catch {}
+    }
+    if (cfg.keep === 0) fs.rmSync(file, { force: true });
+    size = 0;
+  }
+
+  function writeFile(line) {
+    if (!cfg.file || fileBroken) return;
+    try {
+      if (size == null) {
+        fs.mkdirSync(cfg.dir, { recursive: true });
+        try { size = fs.statSync(file).size; } catch { size = 0; }
+      }
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > cfg.maxBytes) rotate();
+      fs.appendFileSync(file, line);
+      size += bytes;
+    } catch (e) {
+      fileBroken = true;
+      raw.error(`[EVENT-LOG-ERR] ${file}: ${e?.message || e} (file logging off for this process)`);
+    }
+  }
+
+  // Print one event; `args` = the original console arguments of a captured line (text mode keeps them)
+  function print(ev, fields, args) {
+    if (cfg.stdout === 'off' || (ev.level === 'debug' && !cfg.debug)) return;
+    if (cfg.stdout === 'json') { out.write(JSON.stringify(ev) + '\n'); return; }
+    const p = ev.level === 'error' ? raw.error : ev.level === 'warn' ? raw.warn : raw.log;
+    if (args) { p(...args); return; }
+    const extra = Object.keys(fields).length ? fields : null;
+    if (ev.msg) p(`[${ev.type}] ${ev.msg}`);
+    else if (extra) p(`[${ev.type}]`, JSON.stringify(extra));
+    else p(`[${ev.type}]`);
+  }
+
+  function record(type, msg, fields = {}, { level, args } = {}) {
+    const rest = {};
+    for (const [k, v] of Object.entries(fields || {})) if (!CORE_KEYS.includes(k) && v !== undefined) rest[k] = plain(v);
+    const kind = kindOf(type, fields || {});
+    const ev = {
+      ts: new Date().toISOString(), bot, runId: run.id, type, kind,
+      level: level || (kind === 'error' ? 'error' : 'info'),
+      msg: msg == null ? '' : String(msg),
+      ...rest,
+    };
+    writeFile(JSON.stringify(ev) + '\n');
+    print(ev, rest, args);
+    for (const fn of listeners) {
+      try { fn(ev); } catch (e) { raw.error(`[EVENT-LOG-ERR] listener: ${e?.message || e}`); }
+    }
+    return ev;
+  }
+
+  const emit = (type, msg, fields) => record(type, msg, fields);
+  const debug = (type, msg, fields) => record(type, msg, fields, { level: 'debug' });
+  const warn = (type, msg, fields) => record(type, msg, fields, { level: 'warn' });
+  const error = (type, msg, fields) => record(type, msg, fields, { level: 'error' });
+
+  // console-style line → event; usable as the `log` of any lib module
+  function lineAt(level, args) {
+    const text = util.format(...args);
+    const m = TAG_RE.exec(text);
+    const type = m ? m[1] : level === 'error' ? 'ERROR' : 'LOG';
+    return record(type, m ? text.slice(m[0].length) : text, {}, { level, args });
+  }
+  const line = (...args) => lineAt('info', args);
+
+  // Route console.* through the log; returns the restore function
+  function captureConsole() {
+    console.log = (...a) => lineAt('info', a);
+    console.info = (...a) => lineAt('info', a);
+    console.warn = (...a) => lineAt('warn', a);
+    console.error = (...a) => lineAt('error', a);
+    console.debug = (...a) => lineAt('debug', a);
+    return () => Object.assign(console, raw);
+  }
+
+  // fn(event) after every event; returns the unsubscribe function
+  function subscribe(fn) {
+    listeners.push(fn);
+    return () => { const i = listeners.indexOf(fn); if (i >= 0) listeners.splice(i, 1); };
+  }
+
+  // New run id (or the given one) + RUN-START; endRun closes it with its duration
+  function startRun(fields = {}, id = newRunId()) {
+    run = { id, startedAt: Date.now() };
+    emit('RUN-START', '', fields);
+    return id;
+  }
+  function endRun(status = 'done', fields = {}) {
+    if (!run.id) return;
+    emit('RUN-END', status, { status, ms: Date.now() - run.startedAt, ...fields });
+  }
+
+  return {
+    config: cfg, bot, file,
+    get runId() { return run.id; },
+    emit, debug, warn, error, line, captureConsole, subscribe, startRun, endRun,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reading + reports
+// ---------------------------------------------------------------------------
+// All events in `dir` (rotated files included), oldest first, filtered by run / bot / time window
+function readEvents({ dir = eventLogConfigFromEnv().dir, run = null, bot = null, since = null, until = null } = {}) {
+  const from = since ? Date.parse(since) : -Infinity;
+  const to = until ? Date.parse(until) : Infinity;
+  if (Number.isNaN(from) || Number.isNaN(to)) throw new Error('since / until must be dates (ISO 8601)');
+  let names = [];
+  try { names = fs.readdirSync(dir).filter(n => n.endsWith('.jsonl')); } catch { return []; }
+  const events = [];
+  for (const name of names) {
+    for (const l of fs.readFileSync(path.join(dir, name), 'utf8').split('\n')) {
+      if (!l.trim()) continue;
+      let ev;
+      try { ev = JSON.parse(l); } catch { continue; } // torn line from a crash
+      if (run && ev.runId !== run) continue;
+      if (bot && ev.bot !== bot) continue;
+      const t = Date.parse(ev.ts);
+      if (t < from || t > to) continue;
+      events.push(ev);
+    }
+  }
+  return events.sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0));
+}
+
+const symbolOf = (key) => String(key || '').split('|')[0].toUpperCase();
+
+// Trades, skips by reason, quotes failed, fees paid (GALA gas + pool fees by input token)
+function summarizeEvents(events) {
+  const runs = new Map();
+  const trades = { confirmed: 0, failed: 0, unknown: 0, rejected: 0, list: [] };
+  const skips = {};
+  const errors = [];
+  const fees = { gasGala: 0, pool: {} };
+  let quotes = 0, quotesFailed = 0, signals = 0, dry = 0;
+
+  for (const ev of events) {
+    if (ev.runId) {
+      const r = runs.get(ev.runId) || { runId: ev.runId, bot: ev.bot, start: ev.ts, end: ev.ts, status: null, events: 0 };
+      r.end = ev.ts; r.events++;
+      if (ev.type === 'RUN-END') r.status = ev.status || ev.msg;
+      if (ev.type === 'RUN-SKIP') r.status = 'skipped';
+      runs.set(ev.runId, r);
+    }
+    switch (ev.kind) {
+      case 'outcome': {
+        const status = ev.status || 'unknown';
+        trades[status] = (trades[status] || 0) + 1;
+        if (status === 'rejected') {
+          const k = `${ev.trade || ev.type}-REJECTED:risk`;
+          skips[k] = (skips[k] || 0) + 1;
+        } else {
+          trades.list.push({
+            ts: ev.ts, bot: ev.bot, runId: ev.runId, trade: ev.trade, status, txId: ev.txId || null,
+            in: symbolOf(ev.in), out: symbolOf(ev.out), amountIn: Number(ev.fill?.amountIn ?? ev.exactIn),
+            amountOut: ev.fill?.amountOut ?? null, reason: ev.reason || null,
+          });
+          fees.gasGala += Number(ev.gasGala || 0);
+          if (status === 'confirmed' && ev.feeTier) {
+            const sym = symbolOf(ev.in);
+            fees.pool[sym] = (fees.pool[sym] || 0) + Number(ev.fill?.amountIn ?? ev.exactIn ?? 0) * Number(ev.feeTier) / 1e6;
+          }
+        }
+        break;
+      }
+      case 'skip': {
+        const k = `${ev.type}:${ev.reason || 'other'}`;
+        skips[k] = (skips[k] || 0) + 1;
+        break;
+      }
+      case 'quote': quotes++; break;
+      case 'quote-failed': quotesFailed++; break;
+      case 'signal': signals++; break;
+      case 'dry': dry++; break;
+      case 'error': errors.push({ ts: ev.ts, runId: ev.runId, type: ev.type, msg: ev.msg }); break;
+      default: break;
+    }
+    if (ev.level === 'error' && ev.kind !== 'error') errors.push({ ts: ev.ts, runId: ev.runId, type: ev.type, msg: ev.msg });
+  }
+
+  return {
+    events: events.length,
+    from: events[0]?.ts || null,
+    to: events[events.length - 1]?.ts || null,
+    runs: [...runs.values()],
+    trades,
+    skips,
+    quotes: { ok: quotes, failed: quotesFailed },
+    signals,
+    dryRuns: dry,
+    errors,
+    fees,
+  };
+}
+
+function printReport(s, log = console.log) {
+  log(`[REPORT] ${s.events} events, ${s.runs.length} run(s)${s.from ? ` ${s.from} → ${s.to}` : ''}`);
+  if (s.runs.length) console.table(s.runs.map(r => ({ run: r.runId, bot: r.bot, start: r.start, status: r.status || 'open', events: r.events })));
+  log(`[REPORT] trades: ${s.trades.confirmed} confirmed, ${s.trades.failed} failed, ${s.trades.unknown} unknown, ${s.trades.rejected} rejected by risk`);
+  if (s.trades.list.length) console.table(s.trades.list.map(t => ({ ts: t.ts, trade: t.trade, status: t.status, in: `${t.amountIn} ${t.in}`, out: t.amountOut != null ? `${t.amountOut} ${t.out}` : t.out, txId: t.txId })));
+  log(`[REPORT] skips by reason:${Object.keys(s.skips).length ? '' : ' none'}`);
+  for (const [k, n] of Object.entries(s.skips).sort((a, b) => b[1] - a[1])) log(`  ${k}: ${n}`);
+  log(`[REPORT] quotes: ${s.quotes.ok} used, ${s.quotes.failed} failed; signals: ${s.signals}; dry-run trades: ${s.dryRuns}`);
+  const pool = Object.entries(s.fees.pool).map(([sym, v]) => `${v.toFixed(6)} ${sym}`).join(', ');
+  log(`[REPORT] fees paid: ${s.fees.gasGala} GALA gas${pool ? `; pool fees ${pool}` : ''}`);
+  log(`[REPORT] errors: ${s.errors.length}`);
+  for (const e of s.errors.slice(-20)) log(`  ${e.ts} [${e.type}] ${e.msg}`);
+}
+
+module.exports = {
+  eventLogConfigFromEnv,
+  kindOf,
+  createEventLog,
+  readEvents,
+  summarizeEvents,
+  printReport,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2), { string: ['run', 'bot', 'since', 'until'] });
+  const cmd = args._[0] || 'report';
+  const cfg = eventLogConfigFromEnv();
+  try {
+    if (cmd === 'report') {
+      const events = readEvents({ dir: cfg.dir, run: args.run, bot: args.bot, since: args.since, until: args.until });
+      const summary = summarizeEvents(events);
+      if (args.json) console.log(JSON.stringify(summary, null, 2));
+      else printReport(summary);
+    } else if (cmd === 'tail') {
+      for (const ev of readEvents({ dir: cfg.dir, bot: args.bot }).slice(-Number(args.n || 50))) console.log(JSON.stringify(ev));
+    } else {
+      console.error('Usage: node lib/event-log.cjs report [--run=ID] [--bot=NAME] [--since=ISO] [--until=ISO] [--json] | tail [--bot=NAME] [--n=50]');
+      process.exit(1);
+    }
+  } catch (e) {
+    console.error(e?.message || e);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,276 @@
+// lib/explorer.cjs — GalaChain explorer importer: the wallet's on-chain swaps / transfers → trade journal
+// Backfills history from before the bots journaled their trades (lib/trade-journal.cjs), and keeps a
+// tx index the sidecar's GET /tx-time answers from.
+//   - Scans blocks on EXPLORER_CHANNELS (default asset,dex) of EXPLORER_BASE_URL (GET /block-height,
+//     /blocks/:n and /transactions/:id, with ?channel=); lib/fake-gswap.cjs serves the same routes
+//   - Resumable: the next block per channel is kept in `explorer_index` (state store) and saved every
+//     EXPLORER_SAVE_EVERY blocks; a first scan starts EXPLORER_LOOKBACK blocks below the head, and one
+//     scan reads at most EXPLORER_MAX_BLOCKS blocks per channel
+//   - Transactions involving WALLET_ADDRESS are decoded: dexv3 swaps (dto token0 / token1 / zeroForOne /
+//     fee + the result's signed amount0 / amount1) and token transfers (from / to / tokenInstance /
+//     quantity). Each becomes a journal entry (via explorer, bot explorer; transfers as TRANSFER_IN /
+//     TRANSFER_OUT) unless the journal already holds its tx id or hash
+//   - Index: tx id → { channel, block, ts, hash } for every wallet tx seen (last EXPLORER_INDEX_KEEP)
+//   - txStatus(id) reads one transaction's status straight from the explorer (lib/tx-outcome.cjs polls
+//     it when the bundler socket is not delivering)
+//
+// CLI: node lib/explorer.cjs scan [--lookback=N --max-blocks=N --channel=dex] | tx-time <txId> | tx-status <txId> | status
+
+const INDEX_KEEP = 20000;
+
+const numOr = (v, dflt) => (v == null || v === '' || !Number.isFinite(Number(v)) ? dflt : Number(v));
+
+function explorerConfigFromEnv(env = process.env) {
+  const mock = env.GSWAP_MOCK_URL ? `${String(env.GSWAP_MOCK_URL).replace(/\/$/, '')}/v1/explorer` : null;
+  return {
+    baseUrl:    String(env.EXPLORER_BASE_URL || mock || 'https://explorer-api.galachain.com/v1/explorer').replace(/\/$/, ''),
+    channels:   String(env.EXPLORER_CHANNELS || 'asset,dex').split(',').map(s => s.trim()).filter(Boolean),
+    lookback:   Math.max(1, numOr(env.EXPLORER_LOOKBACK, 1500)),
+    maxBlocks:  Math.max(1, numOr(env.EXPLORER_MAX_BLOCKS, 500)),
+    saveEvery:  Math.max(1, numOr(env.EXPLORER_SAVE_EVERY, 50)),
+    indexKeep:  Math.max(1, numOr(env.EXPLORER_INDEX_KEEP, INDEX_KEEP)),
+    wallet:     env.WALLET_ADDRESS || '',
+    stateName:  env.EXPLORER_STATE_NAME || 'explorer_index',
+  };
+}
+
+function emptyExplorerIndex() {
+  return { version: 1, channels: {}, txs: {}, imported: 0 };
+}
+const EXPLORER_DOC = { schema: 1, defaults: emptyExplorerIndex };
+
+// eth|abc…, eth|0xabc…, 0xabc… → abc… (40 hex); other identities (client|…) compare as lower case
+function walletKey(w) {
+  const s = String(w || '').trim().toLowerCase();
+  const m = /(?:^|\|)(?:0x)?([a-f0-9]{40})$/.exec(s);
+  return m ? m[1] : s;
+}
+
+// Token class key from a string or a { collection, category, type, additionalKey } object
+function classKeyOf(t) {
+  if (!t) return null;
+  if (typeof t === 'string') return t;
+  if (t.collection) return [t.collection, t.category, t.type, t.additionalKey].join('|');
+  return null;
+}
+
+const STATUS = { PROCESSED: 'confirmed', SUCCESS: 'confirmed', CONFIRMED: 'confirmed', FAILED: 'failed', REVERTED: 'failed' };
+const txStatusOf = (tx) => STATUS[String(tx.status || tx.txStatus || 'PROCESSED').toUpperCase()] || 'unknown';
+const txTimeOf = (tx, block) => {
+  for (const v of [tx.timestamp, tx.timeStamp, tx.createdAt, block?.createdAt, block?.timestamp]) {
+    const n = Number(v);
+    const ms = Number.isFinite(n) && n > 0 ? (n < 2e10 ? n * 1000 : n) : Date.parse(String(v ?? ''));
+    if (Number.isFinite(ms) && ms > 0) return ms;
+  }
+  return null;
+};
+const dtoOf = (tx) => tx.dto || tx.payload || tx.args || tx.request || {};
+const resultDataOf = (tx) => {
+  const r = tx.result || tx.response || {};
+  return r.Data || r.data?.Data || r.data || r;
+};
+
+// One explorer transaction → a journal entry when it is one of the wallet's swaps / transfers, else null
+function decodeTx(tx, block, wallet) {
+  const me = walletKey(wallet);
+  const dto = dtoOf(tx);
+  const method = String(tx.method || tx.methodName || tx.type || '').toLowerCase();
+  const base = {
+    ts: txTimeOf(tx, block) || Date.now(), bot: 'explorer', runId: null, strategy: null, via: 'explorer',
+    channel: block?.channel ?? tx.channel ?? null, block: block?.blockNumber ?? tx.blockNumber ?? null,
+    feeTier: null, quotedOut: null, minOut: null, gasGala: null, notionalUsd: null,
+    txId: tx.id || tx.txId || tx.transactionId || null, hash: tx.hash || null, status: txStatusOf(tx), reason: null,
+  };
+  if (base.status === 'failed') base.reason = tx.error?.Message || resultDataOf(tx)?.Message || null;
+
+  if (method.includes('swap') && (dto.token0 || dto.token1)) {
+    const data = resultDataOf(tx);
+    const who = walletKey(dto.recipient || data?.userAddress || tx.from || tx.signer);
+    if (who !== me) return null;
+    const t0 = classKeyOf(dto.token0 || data?.token0), t1 = classKeyOf(dto.token1 || data?.token1);
+    const a0 = Number(data?.amount0), a1 = Number(data?.amount1);
+    let tokenIn, tokenOut, amountIn = null, amountOut = null;
+    if (Number.isFinite(a0) && Number.isFinite(a1) && a0 * a1 < 0) {
+      // Pool side: positive = paid into the pool by the wallet, negative = paid out to it
+      [tokenIn, amountIn, tokenOut, amountOut] = a0 > 0 ? [t0, a0, t1, -a1] : [t1, a1, t0, -a0];
+    } else {
+      [tokenIn, tokenOut] = dto.zeroForOne ? [t0, t1] : [t1, t0];
+      const amount = Number(dto.amount);
+      if (amount > 0) amountIn = amount; // exact in; a negative amount is an exact-out request
+    }
+    const minOut = Math.abs(Number(dto.amountOutMinimum));
+    return {
+      ...base, trade: 'SWAP', tokenIn, tokenOut, amountIn, amountOut,
+      feeTier: numOr(dto.fee ?? data?.poolFee, null), minOut: minOut > 0 ? minOut : null,
+    };
+  }
+
+  if (method.includes('transfer') && (dto.tokenInstance || dto.quantity != null)) {
+    const from = walletKey(dto.from || tx.from), to = walletKey(dto.to);
+    if (from !== me && to !== me) return null;
+    const token = classKeyOf(dto.tokenInstance);
+    const qty = numOr(dto.quantity, null);
+    return {
+      ...base, trade: to === me ? 'TRANSFER_IN' : 'TRANSFER_OUT', tokenIn: token, tokenOut: token,
+      amountIn: qty, amountOut: qty, counterparty: to === me ? (dto.from || tx.from || null) : (dto.to || null),
+    };
+  }
+  return null;
+}
+
+// store: lib/state-store.cjs store; journal: lib/trade-journal.cjs journal (imports go there);
+// request(endpoint, key, fn): optional retry / metrics wrapper (lib/market-data.cjs md.request)
+function createExplorer({ store, journal = null, config = explorerConfigFromEnv(), fetchImpl = fetch, request = null, log = console.log } = {}) {
+  const cfg = { ...explorerConfigFromEnv({}), ...config };
+
+  async function getJson(path, channel) {
+    const url = `${cfg.baseUrl}${path}${channel ? `${path.includes('?') ? '&' : '?'}channel=${encodeURIComponent(channel)}` : ''}`;
+    const call = async () => {
+      const r = await fetchImpl(url);
+      if (r.status === 404) return null;
+      if (!r.ok) {
+        const err = new Error(`explorer ${path}: HTTP ${r.status}`);
+        err.status = r.status;
+        throw err;
+      }
+      return r.json();
+    };
+    return request ? request('explorer', url, call) : call();
+  }
+
+  async function height(channel) {
+    const j = await getJson('/block-height', channel);
+    const h = Number(j?.height ?? j?.blockHeight ?? j);
+    if (!Number.isFinite(h)) throw new Error(`explorer returned no block height for ${channel}`);
+    return h;
+  }
+
+  // Index rows (insertion order = age); the oldest past EXPLORER_INDEX_KEEP go
+  function indexTxs(doc, rows) {
+    for (const { id, at } of rows) {
+      if (!id) continue;
+      delete doc.txs[id];
+      doc.txs[id] = at;
+    }
+    const ids = Object.keys(doc.txs);
+    for (const old of ids.slice(0, Math.max(0, ids.length - cfg.indexKeep))) delete doc.txs[old];
+  }
+
+  // Scan each channel from its cursor → { channels: { name: { from, to, height, records } }, imported, skipped }
+  async function scan({ channels = cfg.channels, lookback = cfg.lookback, maxBlocks = cfg.maxBlocks } = {}) {
+    if (!walletKey(cfg.wallet)) throw new Error('WALLET_ADDRESS is required to scan the explorer');
+    const summary = { channels: {}, imported: 0, skipped: 0 };
+    for (const channel of channels) {
+      const head = await height(channel);
+      const state = (await store.load(cfg.stateName, EXPLORER_DOC)).channels[channel];
+      const from = state?.next ?? Math.max(1, head - lookback + 1);
+      const to = Math.min(head, from + maxBlocks - 1);
+      const out = { from, to, height: head, records: 0 };
+      let records = [], seen = [];
+      const save = async (next) => {
+        const recs = records, rows = seen;
+        records = []; seen = [];
+        const res = journal && recs.length ? await journal.importEntries(recs) : { imported: 0, skipped: 0 };
+        summary.imported += res.imported; summary.skipped += res.skipped;
+        await store.update(cfg.stateName, (doc) => {
+          indexTxs(doc, rows);
+          doc.channels[channel] = { next, height: head, scannedAt: Date.now() };
+          doc.imported += res.imported;
+        }, EXPLORER_DOC);
+      };
+      for (let n = from; n <= to; n++) {
+        const block = await getJson(`/blocks/${n}`, channel);
+        for (const tx of block?.transactions || []) {
+          const rec = decodeTx(tx, { ...block, channel, blockNumber: block.blockNumber ?? n }, cfg.wallet);
+          if (!rec) continue;
+          seen.push({ id: rec.txId || rec.hash, at: { channel, block: rec.block, ts: rec.ts, hash: rec.hash, status: rec.status } });
+          records.push(rec);
+          out.records += 1;
+        }
+        if ((n - from + 1) % cfg.saveEvery === 0) await save(n + 1);
+      }
+      await save(to + 1);
+      summary.channels[channel] = out;
+      log(`[EXPLORER] ${channel}: blocks ${from}..${to} of ${head}, ${out.records} wallet tx(s)`);
+    }
+    return summary;
+  }
+
+  // tx id or hash → { txId, channel, block, ts, hash, status, source } | null; index first, then the explorer
+  async function txTime(id) {
+    const key = String(id || '').trim();
+    if (!key) return null;
+    const doc = await store.load(cfg.stateName, EXPLORER_DOC);
+    const hit = doc.txs[key] ? [key, doc.txs[key]] : Object.entries(doc.txs).find(([, r]) => r.hash === key);
+    if (hit) return { txId: hit[0], ...hit[1], source: 'index' };
+    const tx = await getJson(`/transactions/${encodeURIComponent(key)}`);
+    if (!tx) return null;
+    const at = { channel: tx.channel ?? null, block: tx.blockNumber ?? null, ts: txTimeOf(tx), hash: tx.hash || null, status: txStatusOf(tx) };
+    const txId = tx.id || tx.txId || key;
+    await store.update(cfg.stateName, (d) => indexTxs(d, [{ id: txId, at }]), EXPLORER_DOC);
+    return { txId, ...at, source: 'explorer' };
+  }
+
+  // tx id or hash → { txId, status, hash, ts, data, reason } from the explorer (never the index); null when
+  // the explorer has not seen it yet. data is the chain response payload (a swap's signed amounts).
+  async function txStatus(id) {
+    const key = String(id || '').trim();
+    if (!key) return null;
+    const tx = await getJson(`/transactions/${encodeURIComponent(key)}`);
+    if (!tx) return null;
+    const status = txStatusOf(tx);
+    const data = resultDataOf(tx);
+    return {
+      txId: tx.id || tx.txId || key, status, hash: tx.hash || null, ts: txTimeOf(tx), data,
+      reason: status === 'failed' ? (tx.error?.Message || data?.Message || 'failed on chain') : null,
+    };
+  }
+
+  async function status() {
+    const doc = await store.load(cfg.stateName, EXPLORER_DOC);
+    return { baseUrl: cfg.baseUrl, channels: doc.channels, indexed: Object.keys(doc.txs).length, imported: doc.imported };
+  }
+
+  return { config: cfg, scan, txTime, txStatus, status, decodeTx: (tx, block) => decodeTx(tx, block, cfg.wallet) };
+}
+
+module.exports = {
+  explorerConfigFromEnv,
+  emptyExplorerIndex,
+  walletKey,
+  decodeTx,
+  createExplorer,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2), { string: ['channel'] });
+  const { stateStoreFromEnv } = require('./state-store.cjs');
+  const { createTradeJournal } = require('./trade-journal.cjs');
+  const { fakeSdkFromEnv } = require('./fake-gswap.cjs');
+  const store = stateStoreFromEnv(process.env, { writer: 'explorer' });
+  const fake = fakeSdkFromEnv();
+  const explorer = createExplorer({
+    store,
+    journal: createTradeJournal({ store }),
+    fetchImpl: fake?.chain?.fetch || fetch,
+  });
+  const cmd = args._[0] || 'status';
+  (async () => {
+    if (cmd === 'scan') {
+      const opts = {};
+      if (args.channel) opts.channels = args.channel.split(',');
+      if (args.lookback) opts.lookback = Number(args.lookback);
+      if (args['max-blocks']) opts.maxBlocks = Number(args['max-blocks']);
+      console.log(JSON.stringify(await explorer.scan(opts), null, 2));
+    } else if (cmd === 'tx-time') {
+      console.log(JSON.stringify(await explorer.txTime(args._[1]), null, 2));
+    } else if (cmd === 'tx-status') {
+      console.log(JSON.stringify(await explorer.txStatus(args._[1]), null, 2));
+    } else if (cmd === 'status') {
+      console.log(JSON.stringify(await explorer.status(), null, 2));
+    } else {
+      throw new Error('Usage: node lib/explorer.cjs scan [--lookback=N --max-blocks=N --channel=dex] | tx-time <txId> | tx-status <txId> | status');
+    }
+  })().catch((e) => { console.error(e?.message || e); process.exit(1); });
+}
@@ -0,0 +1,608 @@
+// lib/fake-gswap.cjs — simulated GalaSwap (gateway, bundler, event socket) for deterministic runs
+// The real SDK stays in the loop: a fake chain answers the HTTP calls the SDK makes (through its
+// `httpRequestor` option) and feeds the SDK's event waiter (Events.tradeEventEmitterConstructor),
+// so quoting.quoteExactInput, pools.getPoolData, assets.getUserAssets, swaps.swap + wait() and
+// GSwap.events.connectEventSocket behave, parse and fail exactly as they do against mainnet.
+//   - Pools are concentrated-liquidity (lib/clmm.cjs math). "GALA/GUSDC/10000": { price, depth }
+//     is a constant-product pool (one full-range position); `ranges: [{ lower, upper, depth |
+//     liquidity }]` concentrates it. price = quote per base; depth = quote-token value of each side
+//     (for ranges: of the full-range pool with the same liquidity)
+//   - Swaps settle CONFIRM_MS (scenario `confirmMs`, default 25) after submit: PROCESSED with a
+//     SwapResDto-style receipt, or FAILED (slippage, balance, no pool). Each burns `gasGala` GALA
+//     (default 1) unless the wallet could not pay for it
+//   - Price paths: `paths: { pool: [p0, p1, …] | { walk: { steps, volBps, driftBps } } }` (walks are
+//     seeded); the chain steps every `stepMs` ms, every `stepEvery` requests, or on chain.step()
+//   - Failure injection: `failures: [{ op, kind, times, after, rate, match }]`, op = quote | pool |
+//     assets | swap | *, kind = 429 | http:503 | timeout | revert (| lost for swaps). A swap timeout
+//     settles without an event (apply: false drops it too); a swap revert is a FAILED event
+// Configuration (fakeSdkFromEnv, spread into every `new GSwap({...})`):
+//   - GSWAP_FAKE=default | scenario.json → in-process chain (GSWAP_FAKE_SEED overrides the seed)
+//   - GSWAP_MOCK_URL=http://127.0.0.1:8787 → the SDK talks to `node lib/fake-gswap.cjs serve`
+//     (gateway, bundler, dex backend, an SSE event stream, /v1/explorer and /_fake control routes)
+// Either way swaps are signed by a dummy signer, so PRIVATE_KEY is not needed.
+//
+// CLI: node lib/fake-gswap.cjs serve [--scenario=default|file.json] [--port=8787]
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Events, TradeEventEmitter, compareTokens } = require('@gala-chain/gswap-sdk');
+const { MIN_TICK, MAX_TICK, tickAtSqrt, simulateExactInput } = require('./clmm.cjs');
+const { seededRng } = require('./backtest.cjs');
+
+const LN_TICK = Math.log(1.0001);
+const TICK_SPACING = { 100: 1, 500: 10, 3000: 60, 10000: 200 };
+const DECIMALS = { GUSDC: 6, GUSDT: 6, GWETH: 18 }; // everything else 8
+
+const DEFAULT_SCENARIO = {
+  seed: 1,
+  balances: { GALA: 1000, GUSDC: 100, GUSDT: 100, GWETH: 0.01 },
+  pools: {
+    'GALA/GUSDC/10000': { price: 0.016, depth: 50000 },
+    'GALA/GUSDC/3000':  { price: 0.01604, depth: 20000 },
+    'GALA/GUSDT/10000': { price: 0.016, depth: 30000 },
+    'GALA/GUSDT/3000':  { price: 0.01598, depth: 15000 },
+    'GALA/GWETH/10000': { price: 0.016 / 2600, depth: 10 },
+    'GWETH/GUSDC/3000': { price: 2600, depth: 100000 },
+    'GWETH/GUSDT/3000': { price: 2601, depth: 80000 },
+    'GUSDC/GUSDT/500':  { price: 1, depth: 100000 },
+  },
+  gasGala: 1,
+  confirmMs: 25,
+};
+
+// Accepts any dto: the fake chain never checks signatures
+const FAKE_SIGNER = { signObject: async (_method, obj) => ({ ...obj, signature: 'fake-signature' }) };
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const classKeyOf = (t) => (String(t).includes('|') ? String(t) : `${String(t).toUpperCase()}|Unit|none|none`);
+const keyString = (k) => (typeof k === 'string' ? k : [k.collection, k.category, k.type, k.additionalKey].join('|'));
+const symbolOf = (k) => keyString(k).split('|')[0].toUpperCase();
+const alignDown = (tick, ts) => Math.floor(tick / ts) * ts;
+
+function loadScenario(spec, env = process.env) {
+  const sc = !spec || spec === 'default' || spec === 'true'
+    ? DEFAULT_SCENARIO
+    : (typeof spec === 'string' ? JSON.parse(fs.readFileSync(spec, 'utf8')) : spec);
+  return env.GSWAP_FAKE_SEED != null ? { ...sc, seed: env.GSWAP_FAKE_SEED } : sc;
+}
+
+// Error response in the gateway's shape (GSwapSDKError.fromErrorResponse reads error.ErrorKey / Message)
+const errorResponse = (status, ErrorKey, Message, headers = {}) =>
+  ({ status, headers, body: { error: { ErrorKey, Message }, statusCode: status } });
+
+function createFakeChain(scenario = DEFAULT_SCENARIO) {
+  const sc = { ...scenario };
+  const rng = seededRng(sc.seed ?? 1);
+  const gasGala = Math.max(0, Number(sc.gasGala ?? 1));
+  const confirmMs = Math.max(0, Number(sc.confirmMs ?? 25));
+  const latencyMs = Math.max(0, Number(sc.latencyMs || 0));
+  const decimals = { ...DECIMALS, ...(sc.decimals || {}) };
+  const events = new EventEmitter();
+  const pools = new Map();   // "token0/token1/fee" (pool order) → pool
+  const byName = new Map();  // scenario name ("GALA/GUSDC/10000") → pool
+  const wallets = new Map(); // address → { SYMBOL: qty }
+  const rules = [];
+  const txs = [];
+  const blocks = [];
+  const startedAt = Date.now();
+  let stepNo = 0, requests = 0, nextTx = 1;
+
+  const decimalsOf = (sym) => decimals[sym] ?? 8;
+  const floorTo = (x, sym) => { const f = 10 ** Math.min(decimalsOf(sym), 12); return Math.floor(x * f) / f; };
+  const fmt = (x) => String(Number(x.toPrecision(15)));
+
+  // ---- pools ----
+  function activeLiquidity(pool, tick) {
+    return pool.positions.reduce((s, p) => s + (p.lower <= tick && tick < p.upper ? p.liquidity : 0), 0);
+  }
+  function setSqrt(pool, sqrtPrice) {
+    pool.sqrtPrice = sqrtPrice;
+    pool.tick = tickAtSqrt(sqrtPrice);
+    pool.liquidity = activeLiquidity(pool, pool.tick);
+  }
+  // quote per base → sqrt(token1 per token0)
+  const sqrtOfPrice = (pool, price) => Math.sqrt(pool.baseIs0 ? price : 1 / price);
+  const priceOf = (pool) => (pool.baseIs0 ? pool.sqrtPrice ** 2 : 1 / pool.sqrtPrice ** 2);
+
+  function buildPool(name, spec) {
+    const [a, b, feeStr] = name.split('/');
+    const fee = Number(feeStr);
+    const ts = Number(spec.tickSpacing || TICK_SPACING[fee] || 60);
+    if (!a || !b || !Number.isInteger(fee)) throw new Error(`Invalid pool "${name}" (BASE/QUOTE/FEE)`);
+    if (!(Number(spec.price) > 0)) throw new Error(`Pool ${name}: price must be > 0`);
+    const base = classKeyOf(a), quote = classKeyOf(b);
+    const baseIs0 = compareTokens(base, quote) < 0;
+    const pool = {
+      name, fee, tickSpacing: ts, baseIs0,
+      token0: baseIs0 ? base : quote, token1: baseIs0 ? quote : base,
+      positions: [], ticks: [], liquidityNet: new Map(),
+    };
+    const sqrtP = sqrtOfPrice(pool, Number(spec.price));
+    // Quote-side depth → liquidity at the current price
+    const liquidityOf = (r) => (r.liquidity != null ? Number(r.liquidity)
+      : (baseIs0 ? Number(r.depth ?? spec.depth) / sqrtP : Number(r.depth ?? spec.depth) * sqrtP));
+    const tickOf = (p, dflt) => {
+      if (!(p > 0) || !Number.isFinite(p)) return dflt;
+      return alignDown(Math.log(baseIs0 ? p : 1 / p) / LN_TICK, ts);
+    };
+    const lo = Math.ceil(MIN_TICK / ts) * ts, hi = alignDown(MAX_TICK, ts);
+    for (const r of spec.ranges || [{}]) {
+      let lower = tickOf(Number(r.lower), lo), upper = tickOf(Number(r.upper), hi);
+      if (!baseIs0 && (r.lower || r.upper)) [lower, upper] = [tickOf(Number(r.upper), lo), tickOf(Number(r.lower), hi)];
+      const liquidity = liquidityOf(r);
+      if (!(liquidity > 0) || !(upper > lower)) throw new Error(`Pool ${name}: empty or inverted range ${JSON.stringify(r)}`);
+      pool.positions.push({ lower, upper, liquidity });
+      pool.liquidityNet.set(lower, (pool.liquidityNet.get(lower) || 0) + liquidity);
+      pool.liquidityNet.set(upper, (pool.liquidityNet.get(upper) || 0) - liquidity);
+    }
+    pool.ticks = [...pool.liquidityNet.keys()].sort((x, y) => x - y);
+    setSqrt(pool, sqrtP);
+    return pool;
+  }
+
+  for (const [name, spec] of Object.entries(sc.pools || DEFAULT_SCENARIO.pools)) {
+    const pool = buildPool(name, spec);
+    pools.set(`${pool.token0}/${pool.token1}/${pool.fee}`, pool);
+    byName.set(name, pool);
+  }
+
+  function poolFor(a, b, fee) {
+    const [t0, t1] = compareTokens(keyString(a), keyString(b)) < 0 ? [keyString(a), keyString(b)] : [keyString(b), keyString(a)];
+    return pools.get(`${t0}/${t1}/${Number(fee)}`) || null;
+  }
+  function namedPool(name) {
+    const pool = byName.get(name);
+    if (!pool) throw new Error(`Unknown pool "${name}" (known: ${[...byName.keys()].join(', ')})`);
+    return pool;
+  }
+
+  // amount > 0: exact in; amount < 0: exact out → { amountIn, amountOut, sqrtBefore, sqrtAfter } | null (no liquidity)
+  function simulate(pool, zeroForOne, amount) {
+    const run = (amountIn) => simulateExactInput(pool, zeroForOne, amountIn);
+    if (amount > 0) {
+      const r = run(amount);
+      return r.status === 'ok' ? { amountIn: amount, amountOut: r.amountOut, sqrtBefore: pool.sqrtPrice, sqrtAfter: r.sqrtPriceAfter } : null;
+    }
+    const want = -amount;
+    let hi = want;
+    for (let i = 0; i < 200; i++, hi *= 2) {
+      const r = run(hi);
+      if (r.status !== 'ok') return null;
+      if (r.amountOut >= want) break;
+    }
+    let lo = 0;
+    for (let i = 0; i < 100; i++) {
+      const mid = (lo + hi) / 2;
+      if (run(mid).amountOut >= want) hi = mid; else lo = mid;
+    }
+    const r = run(hi);
+    return { amountIn: hi, amountOut: r.amountOut, sqrtBefore: pool.sqrtPrice, sqrtAfter: r.sqrtPriceAfter };
+  }
+
+  // ---- price paths ----
+  const paths = new Map(); // pool → prices
+  for (const [name, spec] of Object.entries(sc.paths || {})) {
+    const pool = namedPool(name);
+    let prices = spec;
+    if (!Array.isArray(spec)) {
+      const { steps = 100, volBps = 50, driftBps = 0 } = spec.walk || {};
+      prices = [priceOf(pool)];
+      for (let i = 1; i < steps; i++) {
+        const shock = (rng() * 2 - 1) * volBps + driftBps;
+        prices.push(prices[i - 1] * (1 + shock / 10000));
+      }
+    }
+    if (!prices.length || prices.some(p => !(Number(p) > 0))) throw new Error(`Path for ${name}: prices must be > 0`);
+    paths.set(pool, prices.map(Number));
+    setSqrt(pool, sqrtOfPrice(pool, Number(prices[0])));
+  }
+
+  function step(n = 1) {
+    stepNo += Math.max(0, Math.floor(n));
+    for (const [pool, prices] of paths) setSqrt(pool, sqrtOfPrice(pool, prices[Math.min(stepNo, prices.length - 1)]));
+    return stepNo;
+  }
+
+  // Clock: stepMs (wall time) or stepEvery (requests)
+  function tick() {
+    requests += 1;
+    if (Number(sc.stepMs) > 0) {
+      const due = Math.floor((Date.now() - startedAt) / Number(sc.stepMs));
+      if (due > stepNo) step(due - stepNo);
+    } else if (Number(sc.stepEvery) > 0 && requests % Number(sc.stepEvery) === 0) {
+      step(1);
+    }
+  }
+
+  // ---- wallets ----
+  function walletOf(address) {
+    const key = String(address);
+    if (!wallets.has(key)) wallets.set(key, { ...(sc.wallets?.[key] || sc.balances || DEFAULT_SCENARIO.balances) });
+    return wallets.get(key);
+  }
+
+  // ---- failure injection ----
+  function fail(rule) {
+    if (!rule?.op || !rule?.kind) throw new Error('failure rule needs op and kind');
+    rules.push({ times: 1, after: 0, ...rule, seen: 0, fired: 0 });
+  }
+  for (const r of sc.failures || []) fail(r);
+
+  function injected(op, subject) {
+    for (const r of rules) {
+      if (r.op !== op && r.op !== '*') continue;
+      if (r.match && !subject.toUpperCase().includes(String(r.match).toUpperCase())) continue;
+      r.seen += 1;
+      if (r.seen <= r.after) continue;
+      if (r.times > 0 && r.fired >= r.times) continue;
+      if (r.rate != null && rng() >= Number(r.rate)) continue;
+      r.fired += 1;
+      return r;
+    }
+    return null;
+  }
+
+  function injectedResponse(r) {
+    const kind = String(r.kind);
+    if (kind === 'timeout') return { timeout: true, delayMs: Number(r.delayMs || 0) };
+    if (kind === '429') return errorResponse(429, 'TOO_MANY_REQUESTS', r.message || 'Rate limit exceeded', { 'retry-after': String(r.retryAfter ?? 1) });
+    if (kind.startsWith('http:')) return errorResponse(Number(kind.slice(5)), r.errorKey || 'INJECTED', r.message || `Injected HTTP ${kind.slice(5)}`);
+    return errorResponse(400, r.errorKey || 'VALIDATION_FAILED', r.message || 'Injected revert');
+  }
+
+  // ---- gateway / dex backend ----
+  function quoteRoute(body) {
+    const t0 = keyString(body.token0), t1 = keyString(body.token1);
+    const rule = injected('quote', `${t0}/${t1}`);
+    if (rule) return injectedResponse(rule);
+    const pool = poolFor(t0, t1, body.fee);
+    if (!pool) return errorResponse(404, 'OBJECT_NOT_FOUND', `No pool for ${t0}/${t1}/${body.fee}`);
+    const zeroForOne = body.zeroForOne ?? compareTokens(t0, t1) < 0;
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount === 0) return errorResponse(400, 'VALIDATION_FAILED', `Invalid amount ${body.amount}`);
+    const q = simulate(pool, zeroForOne, amount);
+    if (!q) return errorResponse(409, 'CONFLICT', 'Not enough liquidity available in pool');
+    const [a0, a1] = zeroForOne ? [q.amountIn, -q.amountOut] : [-q.amountOut, q.amountIn];
+    return {
+      status: 200,
+      body: { Status: 1, Data: { amount0: fmt(a0), amount1: fmt(a1), currentSqrtPrice: fmt(q.sqrtBefore), newSqrtPrice: fmt(q.sqrtAfter) } },
+    };
+  }
+
+  function poolRoute(body) {
+    const t0 = keyString(body.token0), t1 = keyString(body.token1);
+    const rule = injected('pool', `${t0}/${t1}`);
+    if (rule) return injectedResponse(rule);
+    const pool = poolFor(t0, t1, body.fee);
+    if (!pool) return errorResponse(404, 'OBJECT_NOT_FOUND', `No pool for ${t0}/${t1}/${body.fee}`);
+    const bitmap = {};
+    for (const t of pool.ticks) {
+      const c = t / pool.tickSpacing, word = Math.floor(c / 256), bit = c - word * 256;
+      bitmap[word] = String(BigInt(bitmap[word] || 0) | (1n << BigInt(bit)));
+    }
+    const classKey = (k) => { const [collection, category, type, additionalKey] = k.split('|'); return { collection, category, type, additionalKey }; };
+    return {
+      status: 200,
+      body: {
+        Status: 1,
+        Data: {
+          bitmap, fee: pool.fee, tickSpacing: pool.tickSpacing,
+          sqrtPrice: fmt(pool.sqrtPrice), liquidity: fmt(pool.liquidity),
+          grossPoolLiquidity: fmt(pool.positions.reduce((s, p) => s + p.liquidity, 0)),
+          maxLiquidityPerTick: '1e+30', feeGrowthGlobal0: '0', feeGrowthGlobal1: '0',
+          protocolFees: 0, protocolFeesToken0: '0', protocolFeesToken1: '0',
+          token0: pool.token0.replace(/\|/g, '$'), token0ClassKey: classKey(pool.token0),
+          token1: pool.token1.replace(/\|/g, '$'), token1ClassKey: classKey(pool.token1),
+        },
+      },
+    };
+  }
+
+  function assetsRoute(query) {
+    const address = query.get('address');
+    const rule = injected('assets', String(address));
+    if (rule) return injectedResponse(rule);
+    const page = Math.max(1, Number(query.get('page') || 1)), limit = Math.max(1, Number(query.get('limit') || 10));
+    const held = Object.entries(walletOf(address)).filter(([, q]) => q > 0).sort(([a], [b]) => a.localeCompare(b));
+    const token = held.slice((page - 1) * limit, page * limit).map(([symbol, qty]) => ({
+      image: '', name: symbol, symbol, decimals: String(decimalsOf(symbol)), verify: true, quantity: fmt(floorTo(qty, symbol)),
+    }));
+    return { status: 200, body: { status: 200, error: false, message: 'OK', data: { token, count: held.length } } };
+  }
+
+  // ---- bundler ----
+  function bundleRoute(body) {
+    if (body?.method !== 'Swap') return errorResponse(400, 'NOT_SUPPORTED', `fake bundler only handles Swap, not ${body?.method}`);
+    const dto = body.signedDto || {};
+    if (!dto.signature) return errorResponse(401, 'UNAUTHORIZED', 'missing signature');
+    const rule = injected('swap', `${keyString(dto.token0)}/${keyString(dto.token1)}`);
+    // 429 / http:* are refused at submit; revert / timeout / lost play out at settlement
+    if (rule && (String(rule.kind) === '429' || String(rule.kind).startsWith('http:'))) return injectedResponse(rule);
+    const n = nextTx++;
+    const txId = `fake-${String(n).padStart(6, '0')}-${crypto.createHash('sha256').update(`${sc.seed ?? 1}:${n}`).digest('hex').slice(0, 12)}`;
+    setTimeout(() => settle(txId, dto, rule), confirmMs);
+    return { status: 200, body: { data: txId, message: 'Transaction submitted', error: false } };
+  }
+
+  function settle(txId, dto, rule) {
+    const t0 = keyString(dto.token0), t1 = keyString(dto.token1);
+    const zeroForOne = !!dto.zeroForOne;
+    const tokenIn = zeroForOne ? t0 : t1, tokenOut = zeroForOne ? t1 : t0;
+    const symIn = symbolOf(tokenIn), symOut = symbolOf(tokenOut);
+    const wallet = walletOf(dto.recipient);
+    const hash = crypto.createHash('sha256').update(txId).digest('hex');
+    const tx = { txId, hash, ts: Date.now(), wallet: dto.recipient, tokenIn, tokenOut, fee: dto.fee, amount: dto.amount, status: 'FAILED', gasGala: 0 };
+    const silent = rule && ['timeout', 'lost'].includes(String(rule.kind));
+    const apply = !(rule && (rule.kind === 'lost' || rule.apply === false));
+
+    const chargeGas = () => { if ((wallet.GALA || 0) >= gasGala) { wallet.GALA = (wallet.GALA || 0) - gasGala; tx.gasGala = gasGala; } };
+    const failed = (ErrorKey, Message) => { tx.error = { ErrorKey, Message }; return { status: 'FAILED', data: { ErrorKey, Message } }; };
+
+    let payload;
+    const pool = poolFor(t0, t1, dto.fee);
+    const q = pool && simulate(pool, zeroForOne, Number(dto.amount));
+    const exactIn = Number(dto.amount) > 0;
+    const minOut = Math.abs(Number(dto.amountOutMinimum || 0));
+    const maxIn = dto.amountInMaximum != null ? Number(dto.amountInMaximum) : Infinity;
+    if (!apply) {
+      tx.status = 'LOST';
+    } else if (rule && rule.kind === 'revert') {
+      chargeGas();
+      payload = failed(rule.errorKey || 'CONFLICT', rule.message || 'Injected revert');
+    } else if (!pool) {
+      payload = failed('OBJECT_NOT_FOUND', `No pool for ${t0}/${t1}/${dto.fee}`);
+    } else if (!q) {
+      payload = failed('CONFLICT', 'Not enough liquidity available in pool');
+    } else if ((wallet.GALA || 0) + 1e-12 < gasGala + (symIn === 'GALA' ? q.amountIn : 0)) {
+      payload = failed('INSUFFICIENT_BALANCE', `not enough GALA for ${symIn === 'GALA' ? 'the swap and ' : ''}gas`);
+    } else if ((wallet[symIn] || 0) + 1e-12 < q.amountIn) {
+      payload = failed('INSUFFICIENT_BALANCE', `insufficient ${symIn}: have ${wallet[symIn] || 0}, need ${q.amountIn}`);
+    } else if (exactIn ? floorTo(q.amountOut, symOut) + 1e-12 < minOut : q.amountIn > maxIn + 1e-12) {
+      chargeGas();
+      payload = failed('SLIPPAGE_TOLERANCE_EXCEEDED', exactIn ? `amountOut ${q.amountOut} < amountOutMinimum ${minOut}` : `amountIn ${q.amountIn} > amountInMaximum ${maxIn}`);
+    } else {
+      const out = floorTo(q.amountOut, symOut);
+      chargeGas();
+      wallet[symIn] = (wallet[symIn] || 0) - q.amountIn;
+      wallet[symOut] = (wallet[symOut] || 0) + out;
+      setSqrt(pool, q.sqrtAfter);
+      tx.status = 'PROCESSED';
+      tx.amountIn = q.amountIn;
+      tx.amountOut = out;
+      const [a0, a1] = zeroForOne ? [q.amountIn, -out] : [-out, q.amountIn];
+      payload = {
+        status: 'PROCESSED',
+        data: {
+          transactionId: hash,
+          Data: { token0: t0, token1: t1, amount0: fmt(a0), amount1: fmt(a1), poolFee: pool.fee, userAddress: dto.recipient, timeStamp: tx.ts },
+        },
+      };
+    }
+    txs.push(tx);
+    if (tx.status !== 'LOST') {
+      blocks.push({ channel: 'dex', blockNumber: blocks.length + 1, createdAt: new Date(tx.ts).toISOString(), transactions: [{ id: txId, hash, method: 'Swap', status: tx.status, timestamp: tx.ts, dto, result: payload?.data }] });
+    }
+    if (payload && !silent) events.emit('tx', txId, payload);
+  }
+
+  // ---- explorer + control ----
+  function explorerRoute(method, path, query) {
+    const channel = query.get('channel') || 'dex';
+    const onChannel = blocks.filter(b => b.channel === channel);
+    if (path === '/block-height') return { status: 200, body: { channel, height: onChannel.length } };
+    let m = path.match(/^\/blocks\/(\d+)$/);
+    if (m) {
+      const block = onChannel.find(b => b.blockNumber === Number(m[1]));
+      return block ? { status: 200, body: block } : errorResponse(404, 'OBJECT_NOT_FOUND', `no block ${m[1]} on ${channel}`);
+    }
+    m = path.match(/^\/transactions\/([^/]+)$/);
+    if (m) {
+      const id = decodeURIComponent(m[1]);
+      for (const b of blocks) {
+        const t = b.transactions.find(x => x.id === id || x.hash === id);
+        if (t) return { status: 200, body: { ...t, channel: b.channel, blockNumber: b.blockNumber } };
+      }
+      return errorResponse(404, 'OBJECT_NOT_FOUND', `no transaction ${id}`);
+    }
+    return errorResponse(404, 'NOT_FOUND', `${method} /v1/explorer${path}`);
+  }
+
+  function state() {
+    return {
+      step: stepNo, requests,
+      pools: Object.fromEntries([...byName].map(([name, p]) => [name, { price: priceOf(p), sqrtPrice: p.sqrtPrice, tick: p.tick, liquidity: p.liquidity }])),
+      wallets: Object.fromEntries(wallets),
+      failures: rules.map(({ seen, fired, ...r }) => ({ ...r, seen, fired })),
+      txs: txs.slice(-50),
+    };
+  }
+
+  function controlRoute(method, path, body) {
+    try {
+      if (method === 'GET' && path === '/state') return { status: 200, body: state() };
+      if (method === 'POST' && path === '/step') return { status: 200, body: { step: step(body?.n ?? 1) } };
+      if (method === 'POST' && path === '/price') { setPrice(body.pool, Number(body.price)); return { status: 200, body: state().pools }; }
+      if (method === 'POST' && path === '/fail') { fail(body); return { status: 200, body: { failures: rules.length } }; }
+      if (method === 'POST' && path === '/balances') { setBalances(body.wallet, body.balances); return { status: 200, body: walletOf(body.wallet) }; }
+    } catch (e) {
+      return errorResponse(400, 'VALIDATION_FAILED', e?.message || String(e));
+    }
+    return errorResponse(404, 'NOT_FOUND', `${method} /_fake${path}`);
+  }
+
+  // One request in the SDK's terms → { status, body, headers } | { timeout, delayMs }
+  function handle(method, url, body) {
+    const path = url.pathname;
+    if (path.startsWith('/_fake/')) return controlRoute(method, path.slice(6), body);
+    if (path.startsWith('/v1/explorer/')) return explorerRoute(method, path.slice(12), url.searchParams);
+    tick();
+    if (method === 'POST' && path.endsWith('/QuoteExactAmount')) return quoteRoute(body || {});
+    if (method === 'POST' && path.endsWith('/GetPoolData')) return poolRoute(body || {});
+    if (method === 'GET' && path.endsWith('/user/assets')) return assetsRoute(url.searchParams);
+    if (method === 'POST' && path.endsWith('/bundle')) return bundleRoute(body);
+    return errorResponse(404, 'NOT_FOUND', `fake gateway has no route ${method} ${path}`);
+  }
+
+  // fetch()-compatible requestor for `new GSwap({ httpRequestor })`
+  async function fakeFetch(input, init = {}) {
+    const url = new URL(String(input));
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    if (latencyMs) await sleep(latencyMs);
+    const r = handle(String(init.method || 'GET').toUpperCase(), url, body);
+    if (r.timeout) {
+      await sleep(r.delayMs);
+      const cause = Object.assign(new Error('Headers Timeout Error'), { code: 'UND_ERR_HEADERS_TIMEOUT' });
+      throw Object.assign(new TypeError('fetch failed'), { cause });
+    }
+    return new Response(JSON.stringify(r.body), { status: r.status, headers: { 'content-type': 'application/json', ...(r.headers || {}) } });
+  }
+
+  function setPrice(name, price) {
+    if (!(price > 0)) throw new Error('price must be > 0');
+    const pool = namedPool(name);
+    setSqrt(pool, sqrtOfPrice(pool, price));
+  }
+
+  function setBalances(address, balances) {
+    Object.assign(walletOf(address), Object.fromEntries(Object.entries(balances || {}).map(([s, q]) => [s.toUpperCase(), Number(q)])));
+  }
+
+  return {
+    scenario: sc,
+    events,
+    handle,
+    fetch: fakeFetch,
+    step,
+    fail,
+    setPrice,
+    price: (name) => priceOf(namedPool(name)),
+    balances: (address) => ({ ...walletOf(address) }),
+    setBalances,
+    state,
+    txs: () => txs.slice(),
+  };
+}
+
+// Event socket stand-in fed straight from an in-process chain
+function fakeEventClientClass(chain) {
+  return class FakeEventClient extends TradeEventEmitter {
+    constructor() { super(); this.listener = null; }
+    async connect() {
+      if (this.listener) return;
+      this.listener = (txId, payload) => this.emit('transaction', txId, { ...payload, transactionHash: payload.data?.transactionId });
+      chain.events.on('tx', this.listener);
+    }
+    disconnect() { if (this.listener) chain.events.off('tx', this.listener); this.listener = null; }
+    isConnected() { return !!this.listener; }
+  };
+}
+
+// Event socket stand-in reading the mock gateway's SSE stream (GET /events)
+function mockEventClientClass(baseUrl) {
+  return class MockGatewayEventClient extends TradeEventEmitter {
+    constructor() { super(); this.ctrl = null; this.connected = false; }
+    async connect() {
+      if (this.connected) return;
+      this.ctrl = new AbortController();
+      const res = await fetch(`${baseUrl}/events`, { signal: this.ctrl.signal });
+      if (!res.ok) throw new Error(`mock gateway events: HTTP ${res.status}`);
+      this.connected = true;
+      this.pump(res.body).catch(() => {}).finally(() => { this.connected = false; });
+    }
+    async pump(stream) {
+      const decoder = new TextDecoder();
+      let buf = '';
+      for await (const chunk of stream) {
+        buf += decoder.decode(chunk, { stream: true });
+        for (let i = buf.indexOf('\n\n'); i >= 0; i = buf.indexOf('\n\n')) {
+          const data = buf.slice(0, i).split('\n').filter(l => l.startsWith('data: ')).map(l => l.slice(6)).join('');
+          buf = buf.slice(i + 2);
+          if (!data) continue;
+          const { txId, payload } = JSON.parse(data);
+          this.emit('transaction', txId, { ...payload, transactionHash: payload.data?.transactionId });
+        }
+      }
+    }
+    disconnect() { this.ctrl?.abort(); this.connected = false; }
+    isConnected() { return this.connected; }
+  };
+}
+
+// HTTP server over a chain: the SDK routes (any base path), GET /events (SSE), /v1/explorer, /_fake
+function serveMockGateway(chain, { port = 8787, host = '127.0.0.1', log = console.log } = {}) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+    if (req.method === 'GET' && url.pathname === '/events') {
+      res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+      res.write(': fake-gswap events\n\n');
+      const listener = (txId, payload) => res.write(`data: ${JSON.stringify({ txId, payload })}\n\n`);
+      chain.events.on('tx', listener);
+      req.on('close', () => chain.events.off('tx', listener));
+      return;
+    }
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    let body;
+    try { body = raw ? JSON.parse(raw) : undefined; } catch { body = undefined; }
+    const r = chain.handle(req.method, url, body);
+    if (r.timeout) {
+      setTimeout(() => req.socket.destroy(), r.delayMs);
+      return;
+    }
+    res.writeHead(r.status, { 'content-type': 'application/json', ...(r.headers || {}) });
+    res.end(JSON.stringify(r.body));
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      log(`[FAKE-GSWAP] mock gateway on http://${host}:${server.address().port} (GSWAP_MOCK_URL)`);
+      resolve(server);
+    });
+  });
+}
+
+let active = null;
+
+// GSWAP_FAKE / GSWAP_MOCK_URL → { mode, chain?, url?, sdk } to spread into `new GSwap({...})`, else null.
+// Installs the matching event client for GSwap.events; one per process.
+function fakeSdkFromEnv(env = process.env, { log = console.log } = {}) {
+  if (active) return active;
+  if (env.GSWAP_FAKE) {
+    const scenario = loadScenario(env.GSWAP_FAKE, env);
+    const chain = createFakeChain(scenario);
+    Events.tradeEventEmitterConstructor = fakeEventClientClass(chain);
+    active = { mode: 'fake', chain, sdk: { signer: FAKE_SIGNER, httpRequestor: chain.fetch } };
+    log(`[FAKE-GSWAP] in-process chain (${env.GSWAP_FAKE}): ${Object.keys(scenario.pools || DEFAULT_SCENARIO.pools).length} pools, seed ${scenario.seed ?? 1}`);
+  } else if (env.GSWAP_MOCK_URL) {
+    const url = String(env.GSWAP_MOCK_URL).replace(/\/$/, '');
+    Events.tradeEventEmitterConstructor = mockEventClientClass(url);
+    active = { mode: 'mock', url, sdk: { signer: FAKE_SIGNER, gatewayBaseUrl: url, bundlerBaseUrl: url, dexBackendBaseUrl: url } };
+    log(`[FAKE-GSWAP] mock gateway ${url}`);
+  }
+  return active;
+}
+
+module.exports = {
+  DEFAULT_SCENARIO,
+  FAKE_SIGNER,
+  loadScenario,
+  createFakeChain,
+  fakeEventClientClass,
+  mockEventClientClass,
+  serveMockGateway,
+  fakeSdkFromEnv,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2));
+  if (args._[0] !== 'serve') {
+    console.error('Usage: node lib/fake-gswap.cjs serve [--scenario=default|file.json] [--port=8787]');
+    process.exit(1);
+  }
+  const chain = createFakeChain(loadScenario(args.scenario || process.env.GSWAP_FAKE || 'default'));
+  serveMockGateway(chain, { port: Number(args.port ?? process.env.GSWAP_MOCK_PORT ?? 8787) })
+    .catch((e) => { console.error(e?.message || e); process.exit(1); });
+}
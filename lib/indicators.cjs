@@ -0,0 +1,118 @@
+// lib/indicators.cjs — technical indicators over price series
+// Every function takes plain arrays (oldest first) and returns a series aligned with the input:
+// entries before the indicator has enough data are null. `last(series)` gives the newest value.
+//   - sma / ema of any period
+//   - rsi (Wilder smoothing), macd (line, signal, histogram), bollinger (mid, upper, lower, width)
+//   - atr over candles (true range, Wilder smoothing)
+//   - vwap over candles or quote samples: Σ price × quoted size / Σ size (the DEX has no trade
+//     volume feed, so quote sizes stand in for volume; unsized samples weigh 1)
+
+const last = (series) => (series.length ? series[series.length - 1] : null);
+
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Seeded with the SMA of the first `period` values
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let e = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = e;
+  for (let i = period; i < values.length; i++) {
+    e = values[i] * k + e * (1 - k);
+    out[i] = e;
+  }
+  return out;
+}
+
+// Wilder's running average: seed with the mean of the first `period`, then (prev × (n-1) + x) / n
+function wilder(values, period, start = 0) {
+  const out = new Array(values.length).fill(null);
+  if (values.length - start < period) return out;
+  let avg = 0;
+  for (let i = start; i < start + period; i++) avg += values[i];
+  avg /= period;
+  out[start + period - 1] = avg;
+  for (let i = start + period; i < values.length; i++) {
+    avg = (avg * (period - 1) + values[i]) / period;
+    out[i] = avg;
+  }
+  return out;
+}
+
+function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+  const gains = [0], losses = [0];
+  for (let i = 1; i < values.length; i++) {
+    const d = values[i] - values[i - 1];
+    gains.push(Math.max(0, d));
+    losses.push(Math.max(0, -d));
+  }
+  const g = wilder(gains, period, 1), l = wilder(losses, period, 1);
+  for (let i = period; i < values.length; i++) {
+    if (g[i] == null) continue;
+    out[i] = l[i] === 0 ? (g[i] === 0 ? 50 : 100) : 100 - 100 / (1 + g[i] / l[i]);
+  }
+  return out;
+}
+
+// → { macd, signal, hist } series
+function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const f = ema(values, fast), s = ema(values, slow);
+  const line = values.map((_, i) => (f[i] != null && s[i] != null ? f[i] - s[i] : null));
+  const firstIdx = line.findIndex(v => v != null);
+  const signal = new Array(values.length).fill(null);
+  if (firstIdx >= 0) {
+    const sig = ema(line.slice(firstIdx), signalPeriod);
+    sig.forEach((v, j) => { signal[firstIdx + j] = v; });
+  }
+  const hist = line.map((v, i) => (v != null && signal[i] != null ? v - signal[i] : null));
+  return { macd: line, signal, hist };
+}
+
+// → { mid, upper, lower, width } series; width = (upper - lower) / mid
+function bollinger(values, period = 20, mult = 2) {
+  const mid = sma(values, period);
+  const upper = [], lower = [], width = [];
+  for (let i = 0; i < values.length; i++) {
+    if (mid[i] == null) { upper.push(null); lower.push(null); width.push(null); continue; }
+    let v = 0;
+    for (let j = i - period + 1; j <= i; j++) v += (values[j] - mid[i]) ** 2;
+    const sd = Math.sqrt(v / period);
+    upper.push(mid[i] + mult * sd);
+    lower.push(mid[i] - mult * sd);
+    width.push(mid[i] ? (2 * mult * sd) / mid[i] : null);
+  }
+  return { mid, upper, lower, width };
+}
+
+// candles: [{ h, l, c }]
+function atr(candles, period = 14) {
+  const tr = candles.map((k, i) => (i === 0
+    ? k.h - k.l
+    : Math.max(k.h - k.l, Math.abs(k.h - candles[i - 1].c), Math.abs(k.l - candles[i - 1].c))));
+  return wilder(tr, period);
+}
+
+// Over candles ({ pv, v }) or samples ({ p, v? }); the last `period` entries (all when omitted)
+function vwap(rows, period) {
+  const win = period ? rows.slice(-period) : rows;
+  let pv = 0, v = 0;
+  for (const r of win) {
+    if (r.pv != null) { pv += r.pv; v += r.v; }
+    else { const w = r.v ?? 1; pv += r.p * w; v += w; }
+  }
+  return v > 0 ? pv / v : null;
+}
+
+module.exports = { last, sma, ema, rsi, macd, bollinger, atr, vwap };
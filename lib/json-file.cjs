@@ -0,0 +1,26 @@
+// lib/json-file.cjs — tiny JSON persistence helpers shared by the bots
+// - readJson(): returns a fallback when the file is missing or unreadable
+// - writeJsonAtomic(): writes to a temp file and renames it into place, so a
+//   run that dies mid-write never leaves a truncated state file behind
+
+const fs = require('fs');
+const path = require('path');
+
+function readJson(file, fallback) {
+  try {
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.warn(`[STATE-READ-ERR] ${file}: ${e?.message || e}`);
+  }
+  return typeof fallback === 'function' ? fallback() : fallback;
+}
+
+function writeJsonAtomic(file, data) {
+  const dir = path.dirname(file);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmp = path.join(dir, `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJsonAtomic };
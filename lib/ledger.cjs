@@ -0,0 +1,171 @@
+// lib/ledger.cjs — FIFO cost-basis ledger for bot fills
+// - Every buy / gas top-up is recorded as a lot: qty, stable spent, fee, time, txId
+// - Sells consume the oldest open lots first and record realized P&L per lot slice
+// - Lots booked from a quote because the swap outcome was unknown are `confirmed: false`: they are left
+//   out of openLots / openQty / fifoCost / closeLots until settleLot() confirms (or drops) them by txId
+// - A sell with an unknown outcome holds its FIFO units in `pendingSells` (holdLots) until settleSell()
+//   books them at the real proceeds or, if the sell failed, puts them back into their lots
+// - Pure functions over a plain object; bot.cjs persists it as `bot_ledger` in the state store
+
+const LEDGER_VERSION = 1;
+
+function emptyLedger() {
+  return { version: LEDGER_VERSION, nextId: 1, lots: [], closed: [], realized: {}, pendingSells: [] };
+}
+
+// Cost of one unit of a lot, fee included (stable units)
+function unitCost(lot) {
+  return (Number(lot.stableSpent || 0) + Number(lot.feeStable || 0)) / Math.max(1e-18, Number(lot.qty));
+}
+
+function addLot(ledger, { token, qty, stableSpent, feeStable = 0, feeGala = 0, ts = Date.now(), txId = null, source = 'buy', confirmed = true }) {
+  const q = Number(qty);
+  if (!token || !(q > 0)) throw new Error(`addLot: invalid lot (token=${token}, qty=${qty})`);
+  const lot = {
+    id: ledger.nextId++,
+    token,
+    qty: q,
+    remaining: q,
+    stableSpent: Number(stableSpent || 0),
+    feeStable: Number(feeStable || 0),
+    feeGala: Number(feeGala || 0),
+    ts,
+    txId,
+    source,
+    confirmed,
+  };
+  ledger.lots.push(lot);
+  return lot;
+}
+
+function openLots(ledger, token) {
+  return ledger.lots
+    .filter(l => l.token === token && l.remaining > 1e-12 && l.confirmed !== false)
+    .sort((a, b) => a.ts - b.ts || a.id - b.id);
+}
+
+function openQty(ledger, token) {
+  return openLots(ledger, token).reduce((s, l) => s + l.remaining, 0);
+}
+
+// Lots still waiting for their swap to settle (any token)
+function pendingLots(ledger) {
+  return ledger.lots.filter(l => l.confirmed === false);
+}
+
+// Settle a pending lot by its swap txId: 'confirmed' opens it (qty = the real fill when known),
+// 'failed' drops it. Returns the lot, or null when no pending lot carries that txId.
+function settleLot(ledger, txId, { status, qty = null } = {}) {
+  const lot = ledger.lots.find(l => l.confirmed === false && l.txId && l.txId === txId);
+  if (!lot) return null;
+  if (status === 'failed') {
+    ledger.lots = ledger.lots.filter(l => l !== lot);
+    return { ...lot, dropped: true };
+  }
+  if (status !== 'confirmed') return null;
+  const q = Number(qty);
+  if (q > 0) { lot.qty = q; lot.remaining = q; }
+  lot.confirmed = true;
+  return lot;
+}
+
+// FIFO cost of selling `qty` units; `covered` < qty means the ledger holds fewer units
+function fifoCost(ledger, token, qty) {
+  let left = Number(qty), cost = 0, covered = 0;
+  for (const lot of openLots(ledger, token)) {
+    if (left <= 1e-12) break;
+    const take = Math.min(left, lot.remaining);
+    cost += take * unitCost(lot);
+    covered += take;
+    left -= take;
+  }
+  return { cost, covered };
+}
+
+// Take `qty` units off the open lots FIFO → [{ lot (as it was), qty }]. Fully consumed lots leave the
+// open list (they live on in `closed`, or in a pending sell until it settles).
+function takeLots(ledger, token, qty) {
+  let left = Number(qty);
+  const taken = [];
+  for (const lot of openLots(ledger, token)) {
+    if (left <= 1e-12) break;
+    const take = Math.min(left, lot.remaining);
+    taken.push({ lot: { ...lot }, qty: take });
+    lot.remaining = Math.max(0, lot.remaining - take);
+    left -= take;
+  }
+  ledger.lots = ledger.lots.filter(l => l.remaining > 1e-12);
+  return taken;
+}
+
+// Book taken units as closed slices at `proceeds` (net stable for all of them)
+function bookSlices(ledger, token, taken, { proceeds, ts, txId }) {
+  const covered = taken.reduce((s, t) => s + t.qty, 0);
+  const perUnitProceeds = Number(proceeds || 0) / covered;
+  let cost = 0;
+  const slices = taken.map(({ lot, qty }) => {
+    const sliceCost = qty * unitCost(lot);
+    const sliceProceeds = qty * perUnitProceeds;
+    cost += sliceCost;
+    return {
+      lotId: lot.id, token, qty,
+      cost: sliceCost, proceeds: sliceProceeds, pnl: sliceProceeds - sliceCost,
+      openedAt: lot.ts, closedAt: ts, buyTxId: lot.txId, sellTxId: txId,
+    };
+  });
+  ledger.closed.push(...slices);
+  const realized = Number(proceeds || 0) - cost;
+  ledger.realized[token] = Number(ledger.realized[token] || 0) + realized;
+  return { realized, cost, slices };
+}
+
+// Consume lots FIFO for a sell and book realized P&L. `proceeds` is net stable received.
+function closeLots(ledger, token, qty, { proceeds, ts = Date.now(), txId = null } = {}) {
+  const taken = takeLots(ledger, token, qty);
+  if (!taken.length) return { realized: 0, cost: 0, slices: [] };
+  return bookSlices(ledger, token, taken, { proceeds, ts, txId });
+}
+
+// A sell whose outcome is unknown: its FIFO units leave the open lots (so they are not sold twice) and
+// wait under the sell's txId. `proceeds` = the quoted net proceeds, `feeStable` = the fee estimate
+// taken off a real fill. Returns the pending sell, or null when no open units were covered.
+function holdLots(ledger, token, qty, { txId, proceeds, feeStable = 0, ts = Date.now() } = {}) {
+  const taken = takeLots(ledger, token, qty);
+  if (!taken.length) return null;
+  const pending = { txId, token, qty: taken.reduce((s, t) => s + t.qty, 0), proceeds: Number(proceeds || 0), feeStable: Number(feeStable || 0), ts, taken };
+  ledger.pendingSells = [...(ledger.pendingSells || []), pending];
+  return pending;
+}
+
+// Settle a pending sell by its txId: 'confirmed' books it (net proceeds from the real fill `amountOut`
+// when known, else the quote), 'failed' returns its units to their lots. Null when nothing matches.
+function settleSell(ledger, txId, { status, amountOut = null, ts = Date.now() } = {}) {
+  const p = (ledger.pendingSells || []).find(s => s.txId && s.txId === txId);
+  if (!p || (status !== 'confirmed' && status !== 'failed')) return null;
+  ledger.pendingSells = ledger.pendingSells.filter(s => s !== p);
+  if (status === 'failed') {
+    for (const { lot, qty } of p.taken) {
+      const open = ledger.lots.find(l => l.id === lot.id);
+      if (open) open.remaining += qty;
+      else ledger.lots.push({ ...lot, remaining: qty });
+    }
+    return { ...p, restored: true };
+  }
+  const proceeds = Number(amountOut) > 0 ? Math.max(0, Number(amountOut) - p.feeStable) : p.proceeds;
+  return { ...p, proceeds, ...bookSlices(ledger, p.token, p.taken, { proceeds, ts, txId }) };
+}
+
+module.exports = {
+  LEDGER_VERSION,
+  emptyLedger,
+  unitCost,
+  addLot,
+  openLots,
+  openQty,
+  pendingLots,
+  settleLot,
+  fifoCost,
+  closeLots,
+  holdLots,
+  settleSell,
+};
@@ -0,0 +1,237 @@
+// lib/market-data.cjs — shared market-data client over the GSwap SDK (quotes, pool state, balances)
+// Every read the bots, the tester and the sidecar make goes through one client per process:
+//   - Quote cache: quoteExactInput / quoteExactOutput results live MARKET_QUOTE_TTL_MS (default 2000),
+//     keyed by (tokenIn, tokenOut, amount, feeTier); pool state and balances are never cached
+//   - Coalescing: identical requests in flight share one upstream call
+//   - Token bucket (MARKET_RATE_PER_SEC, burst MARKET_BURST) in front of every upstream call; 0 = off
+//   - Retries: transient errors (network, timeouts, HTTP 408 / 429 / 5xx) are retried up to
+//     MARKET_RETRIES times with exponential backoff + jitter (MARKET_BACKOFF_MS doubling, capped at
+//     MARKET_BACKOFF_MAX_MS); permanent errors (no pool, validation, other 4xx) fail at once
+//   - Metrics per endpoint: calls, cache hits, coalesced, upstream attempts, retries, transient /
+//     permanent errors, throttle wait and upstream latency
+// `md.sdk` has the SDK's read shape (quoting / pools / assets), so modules that take a `gswap` for
+// reads (lib/arb-scanner.cjs quoterFromSdk, lib/clmm.cjs) can be handed the client instead.
+
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT', 'UND_ERR_SOCKET',
+]);
+const TRANSIENT_MESSAGE = /fetch failed|socket hang up|network|timed? ?out|temporarily unavailable|too many requests|rate limit/i;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function num(v, dflt) { const n = Number(v); return v == null || v === '' || !Number.isFinite(n) ? dflt : n; }
+
+function marketDataConfigFromEnv(env = process.env) {
+  return {
+    quoteTtlMs:   Math.max(0, num(env.MARKET_QUOTE_TTL_MS, 2000)),
+    ratePerSec:   Math.max(0, num(env.MARKET_RATE_PER_SEC, 8)),
+    burst:        Math.max(1, num(env.MARKET_BURST, 16)),
+    retries:      Math.max(0, num(env.MARKET_RETRIES, 3)),
+    backoffMs:    Math.max(1, num(env.MARKET_BACKOFF_MS, 250)),
+    backoffMaxMs: Math.max(1, num(env.MARKET_BACKOFF_MAX_MS, 4000)),
+  };
+}
+
+// HTTP status of an SDK error (GSwapSDKError.details.status) or of a plain fetch error (err.status)
+function errorStatus(e) {
+  const s = Number(e?.details?.status ?? e?.status ?? e?.response?.status);
+  return Number.isFinite(s) && s > 0 ? s : null;
+}
+
+// 'transient' (worth retrying) | 'permanent'
+function classifyError(e) {
+  const status = errorStatus(e);
+  if (status != null) return status === 408 || status === 429 || status >= 500 ? 'transient' : 'permanent';
+  const code = e?.code || e?.cause?.code;
+  if (code && TRANSIENT_CODES.has(code)) return 'transient';
+  if (e?.name === 'AbortError' || e?.name === 'TimeoutError') return 'transient';
+  if (TRANSIENT_MESSAGE.test(String(e?.message || e || ''))) return 'transient';
+  return 'permanent';
+}
+
+// Delay before retry n (0-based): half of the doubled step fixed, the other half random
+function backoffDelay(attempt, { backoffMs, backoffMaxMs }, random = Math.random) {
+  const step = Math.min(backoffMaxMs, backoffMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+// FIFO token bucket. take() resolves to the ms it had to wait (0 when a token was available).
+function createTokenBucket({ ratePerSec = 8, burst = 16 } = {}) {
+  if (!(ratePerSec > 0)) return { take: async () => 0, available: () => Infinity };
+  let tokens = burst, at = Date.now(), chain = Promise.resolve();
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - at) / 1000) * ratePerSec);
+    at = now;
+  }
+  function take() {
+    const p = chain.then(async () => {
+      refill();
+      let waited = 0;
+      if (tokens < 1) {
+        waited = Math.ceil(((1 - tokens) / ratePerSec) * 1000);
+        await sleep(waited);
+        refill();
+      }
+      tokens -= 1;
+      return waited;
+    });
+    chain = p.catch(() => {});
+    return p;
+  }
+  return { take, available: () => { refill(); return tokens; } };
+}
+
+function emptyEndpointMetrics() {
+  return {
+    calls: 0, cacheHits: 0, coalesced: 0, upstream: 0, ok: 0, failed: 0, retries: 0,
+    transientErrors: 0, permanentErrors: 0, throttledMs: 0, totalMs: 0, maxMs: 0, lastError: null,
+  };
+}
+
+// gswap: SDK instance. Options override marketDataConfigFromEnv(); `bucket` shares a limiter.
+function createMarketData({ gswap, config = marketDataConfigFromEnv(), bucket, log = console.log, maxCacheEntries = 2000 } = {}) {
+  const cfg = { ...marketDataConfigFromEnv({}), ...config };
+  const limiter = bucket || createTokenBucket(cfg);
+  const cache = new Map();    // `${endpoint}:${key}` → { at, value }
+  const inflight = new Map(); // `${endpoint}:${key}` → Promise
+  const endpoints = {};       // endpoint → metrics
+  const since = Date.now();
+
+  const metricsOf = (endpoint) => (endpoints[endpoint] ||= emptyEndpointMetrics());
+
+  async function withRetry(endpoint, fn, lim) {
+    const m = metricsOf(endpoint);
+    for (let attempt = 0; ; attempt++) {
+      m.throttledMs += await lim.take();
+      m.upstream += 1;
+      const t0 = Date.now();
+      try {
+        const value = await fn();
+        const ms = Date.now() - t0;
+        m.totalMs += ms; m.maxMs = Math.max(m.maxMs, ms); m.ok += 1;
+        return value;
+      } catch (e) {
+        const ms = Date.now() - t0;
+        m.totalMs += ms; m.maxMs = Math.max(m.maxMs, ms);
+        const kind = classifyError(e);
+        if (kind === 'transient') m.transientErrors += 1; else m.permanentErrors += 1;
+        m.lastError = { at: Date.now(), kind, status: errorStatus(e), message: String(e?.message || e).slice(0, 300) };
+        if (kind === 'permanent' || attempt >= cfg.retries) { m.failed += 1; throw e; }
+        const delay = Number.isFinite(e?.retryAfterMs) ? e.retryAfterMs : backoffDelay(attempt, cfg);
+        m.retries += 1;
+        log(`[MARKET-RETRY] ${endpoint} attempt ${attempt + 2}/${cfg.retries + 1} in ${delay}ms: ${m.lastError.message}`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Cached (ttlMs > 0), coalesced, rate-limited and retried call of fn()
+  function request(endpoint, key, fn, { ttlMs = 0, bucket: lim = limiter } = {}) {
+    const m = metricsOf(endpoint);
+    m.calls += 1;
+    const k = `${endpoint}:${key}`;
+    if (ttlMs > 0) {
+      const hit = cache.get(k);
+      if (hit && Date.now() - hit.at < ttlMs) { m.cacheHits += 1; return Promise.resolve(hit.value); }
+    }
+    if (inflight.has(k)) { m.coalesced += 1; return inflight.get(k); }
+    const p = withRetry(endpoint, fn, lim)
+      .then((value) => {
+        if (ttlMs > 0) {
+          cache.delete(k);
+          cache.set(k, { at: Date.now(), value });
+          if (cache.size > maxCacheEntries) cache.delete(cache.keys().next().value);
+        }
+        return value;
+      })
+      .finally(() => inflight.delete(k));
+    inflight.set(k, p);
+    return p;
+  }
+
+  const quoteExactInput = (tokenIn, tokenOut, amountIn, feeTier) =>
+    request('quote', `${tokenIn}>${tokenOut}:${String(amountIn)}:${feeTier ?? 'best'}`,
+      () => gswap.quoting.quoteExactInput(tokenIn, tokenOut, String(amountIn), feeTier),
+      { ttlMs: cfg.quoteTtlMs });
+
+  const quoteExactOutput = (tokenIn, tokenOut, amountOut, feeTier) =>
+    request('quote', `${tokenIn}<${tokenOut}:${String(amountOut)}:${feeTier ?? 'best'}`,
+      () => gswap.quoting.quoteExactOutput(tokenIn, tokenOut, String(amountOut), feeTier),
+      { ttlMs: cfg.quoteTtlMs });
+
+  const getPoolData = (token0, token1, fee) =>
+    request('pool', `${token0}/${token1}:${fee}`, () => gswap.pools.getPoolData(token0, token1, fee));
+
+  const getUserAssets = (wallet, page = 1, limit = 100) =>
+    request('assets', `${wallet}:${page}:${limit}`, () => gswap.assets.getUserAssets(wallet, page, limit));
+
+  // Every token the wallet holds: pages of 100 from page 1 until a short page (or `count` reached)
+  async function userTokens(wallet, { maxPages = 50 } = {}) {
+    const LIMIT = 100;
+    const tokens = [];
+    for (let page = 1; page <= maxPages; page++) {
+      const res = await getUserAssets(wallet, page, LIMIT);
+      const got = res?.tokens || [];
+      tokens.push(...got);
+      if (got.length < LIMIT || (res?.count && tokens.length >= res.count)) break;
+    }
+    return tokens;
+  }
+
+  // { SYMBOL: quantity } over all pages
+  async function balancesBySymbol(wallet) {
+    const out = {};
+    for (const t of await userTokens(wallet)) {
+      const sym = String(t.symbol || '').toUpperCase();
+      if (sym) out[sym] = Number(t.quantity || 0);
+    }
+    return out;
+  }
+
+  // → { since, endpoints: { name: { ...counters, avgMs, hitRate } } }
+  function metrics() {
+    return {
+      since,
+      endpoints: Object.fromEntries(Object.entries(endpoints).map(([name, m]) => [name, {
+        ...m,
+        avgMs: m.upstream ? Math.round(m.totalMs / m.upstream) : 0,
+        hitRate: m.calls ? Number(((m.cacheHits + m.coalesced) / m.calls).toFixed(3)) : 0,
+      }])),
+    };
+  }
+
+  // One line per endpoint for bot logs
+  function metricsSummary() {
+    return Object.fromEntries(Object.entries(metrics().endpoints).map(([name, m]) =>
+      [name, `${m.calls} calls, ${m.cacheHits} cached, ${m.coalesced} coalesced, ${m.upstream} upstream, ${m.retries} retries, ${m.failed} failed, avg ${m.avgMs}ms`]));
+  }
+
+  return {
+    config: cfg,
+    request,
+    quoteExactInput,
+    quoteExactOutput,
+    getPoolData,
+    getUserAssets,
+    userTokens,
+    balancesBySymbol,
+    metrics,
+    metricsSummary,
+    clearCache: () => cache.clear(),
+    sdk: {
+      quoting: { quoteExactInput, quoteExactOutput },
+      pools: { getPoolData },
+      assets: { getUserAssets },
+    },
+  };
+}
+
+module.exports = {
+  marketDataConfigFromEnv,
+  classifyError,
+  backoffDelay,
+  createTokenBucket,
+  createMarketData,
+};
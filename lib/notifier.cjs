@@ -0,0 +1,384 @@
+// lib/notifier.cjs — webhook alerts for fills, failures and risk events
+// Subscribes to a bot's event log (lib/event-log.cjs) and turns a few events into alerts:
+//   trade-executed  a swap confirmed (cycle legs are reported as one arb-executed)
+//   trade-failed    a swap failed on chain or never settled (unknown)
+//   balance-low     a wallet balance under its ALERT_MIN_BALANCES floor ("GUSDT:10,GALA:100")
+//   gas-low         GALA still under GAS_MIN_GALA after a top-up attempt
+//   arb-executed    a cycle arbitrage traded (completed, unwound or parked; aborted cycles never filled)
+//   bot-halted      the risk kill switch stopped trading
+// Alerts go to every webhook in ALERT_WEBHOOKS: a comma list of URLs (Slack and Discord webhook URLs
+// are detected; prefix json: / slack: / discord: to force a format) or a JSON array of
+// { url, format, events, bots } for per-webhook filters. ALERT_EVENTS / ALERT_BOTS filter globally;
+// paper fills only alert with ALERT_INCLUDE_PAPER=true.
+//   - Dedup: one alert per key (event + bot + trade / token) per ALERT_DEDUP_MIN (default 240); the next
+//     one says how many were suppressed, so a failing hourly job reports once, not every hour
+//   - Rate limit: at most ALERT_RATE_PER_HOUR deliveries (default 20); the rest wait in the queue
+//   - Retry queue: 429 / 5xx / network errors back off and retry up to ALERT_MAX_ATTEMPTS (default 6),
+//     across runs: queue, dedup and rate state live in `alert_state` (lib/state-store.cjs)
+//   - ALERT_DRY_RUN=true prints each payload ([ALERT-DRY]) instead of posting it
+// Logs name the webhook host only; webhook URLs carry their secret in the path.
+//
+// CLI: node lib/notifier.cjs test [event] | flush | status | receive [--port=8799] [--status=200]
+
+const http = require('http');
+
+const ALERT_EVENTS = ['trade-executed', 'trade-failed', 'balance-low', 'gas-low', 'arb-executed', 'bot-halted'];
+const FORMATS = ['json', 'slack', 'discord'];
+const HOUR_MS = 60 * 60 * 1000;
+const COLORS = { 'trade-executed': 0x2ecc71, 'arb-executed': 0x3498db, 'trade-failed': 0xe74c3c, 'balance-low': 0xf1c40f, 'gas-low': 0xe67e22, 'bot-halted': 0x992d22 };
+
+const symbolOf = (key) => String(key || '').split('|')[0].toUpperCase();
+const list = (v) => (v ? String(v).split(',').map(x => x.trim()).filter(Boolean) : null);
+function num(v, dflt) { const n = Number(v); return v == null || v === '' || !Number.isFinite(n) ? dflt : n; }
+
+function detectFormat(url) {
+  if (/hooks\.slack\.com\//i.test(url)) return 'slack';
+  if (/discord(app)?\.com\/api\/webhooks\//i.test(url)) return 'discord';
+  return 'json';
+}
+
+// "https://a,slack:https://b" or '[{"url":"https://a","format":"discord","events":["trade-failed"]}]'
+function parseWebhooks(spec) {
+  const text = String(spec || '').trim();
+  if (!text) return [];
+  const raw = text.startsWith('[')
+    ? JSON.parse(text)
+    : text.split(',').map(x => x.trim()).filter(Boolean).map((entry) => {
+      const m = /^(json|slack|discord):(https?:\/\/.*)$/i.exec(entry);
+      return m ? { format: m[1].toLowerCase(), url: m[2] } : { url: entry };
+    });
+  return raw.map((h) => {
+    if (!/^https?:\/\//i.test(h.url || '')) throw new Error(`Invalid ALERT_WEBHOOKS entry (need an http(s) URL): ${JSON.stringify(h.url || h)}`);
+    const format = (h.format || detectFormat(h.url)).toLowerCase();
+    if (!FORMATS.includes(format)) throw new Error(`Unknown webhook format "${h.format}" (${FORMATS.join(' | ')})`);
+    return { url: h.url, format, events: h.events || null, bots: h.bots || null };
+  });
+}
+
+// "GUSDT:10,GALA:100" → { GUSDT: 10, GALA: 100 }
+function parseMinBalances(spec) {
+  const out = {};
+  for (const part of list(spec) || []) {
+    const [sym, qty] = part.split(':').map(x => x.trim());
+    if (!sym || !(Number(qty) >= 0)) throw new Error(`Invalid ALERT_MIN_BALANCES entry "${part}" (SYMBOL:QTY)`);
+    out[sym.toUpperCase()] = Number(qty);
+  }
+  return out;
+}
+
+function notifierConfigFromEnv(env = process.env) {
+  const events = list(env.ALERT_EVENTS) || ALERT_EVENTS;
+  const unknown = events.filter(e => !ALERT_EVENTS.includes(e));
+  if (unknown.length) throw new Error(`Unknown ALERT_EVENTS ${unknown.join(', ')} (${ALERT_EVENTS.join(', ')})`);
+  return {
+    webhooks:     parseWebhooks(env.ALERT_WEBHOOKS),
+    events,
+    bots:         list(env.ALERT_BOTS),
+    includePaper: String(env.ALERT_INCLUDE_PAPER || 'false').toLowerCase() === 'true',
+    minBalances:  parseMinBalances(env.ALERT_MIN_BALANCES),
+    dedupMin:     Math.max(0, num(env.ALERT_DEDUP_MIN, 240)),
+    ratePerHour:  Math.max(0, num(env.ALERT_RATE_PER_HOUR, 20)), // 0 = unlimited
+    maxAttempts:  Math.max(1, num(env.ALERT_MAX_ATTEMPTS, 6)),
+    queueMax:     Math.max(1, num(env.ALERT_QUEUE_MAX, 200)),
+    timeoutMs:    Math.max(500, num(env.ALERT_TIMEOUT_MS, 5000)),
+    dryRun:       String(env.ALERT_DRY_RUN || 'false').toLowerCase() === 'true',
+    stateName:    env.ALERT_STATE_NAME || 'alert_state',
+    username:     env.ALERT_USERNAME || 'GalaSwap bot',
+  };
+}
+
+// Tokens under their floor: [{ symbol, qty, min }] (balances = { SYMBOL: qty })
+function lowBalances(balances, minBalances) {
+  return Object.entries(minBalances || {})
+    .map(([symbol, min]) => ({ symbol, qty: Number(balances?.[symbol] || 0), min }))
+    .filter(b => b.qty + 1e-12 < b.min);
+}
+
+// ---------------------------------------------------------------------------
+// Event → alert
+// ---------------------------------------------------------------------------
+function tradeText(ev) {
+  const amountIn = ev.fill?.amountIn ?? ev.exactIn;
+  const amountOut = ev.fill?.amountOut;
+  const size = `${amountIn ?? '?'} ${symbolOf(ev.in)} → ${amountOut != null ? `${amountOut} ` : ''}${symbolOf(ev.out)}`;
+  return `${size}${ev.txId ? `\ntx ${ev.txId}` : ''}${ev.reason ? `\n${ev.reason}` : ''}`;
+}
+
+// null when the event is not an alert (or is filtered out)
+function alertFromEvent(ev, cfg = notifierConfigFromEnv({})) {
+  const paper = String(ev.type || '').endsWith('-PAPER') || /-paper(-|$)/.test(ev.bot || '');
+  if (paper && !cfg.includePaper) return null;
+  let a = null;
+  if (ev.kind === 'outcome') {
+    const trade = ev.trade || String(ev.type).replace(/-(OUTCOME|PAPER)$/, '');
+    const pair = `${symbolOf(ev.in)}→${symbolOf(ev.out)}`;
+    const leg = /_(LEG\d+|UNWIND)/.test(trade);
+    if (ev.status === 'confirmed' && !leg) {
+      a = { event: 'trade-executed', key: `trade-executed:${ev.txId || ev.ts}`, title: `✅ ${trade} ${pair} filled`, text: tradeText(ev) };
+    } else if (ev.status === 'failed' || ev.status === 'unknown') {
+      a = {
+        event: 'trade-failed', key: `trade-failed:${ev.bot}:${trade.replace(/-RETRY\d+$/, '')}:${ev.status}`,
+        title: `❌ ${trade} ${pair} ${ev.status === 'unknown' ? 'not confirmed' : 'failed'}`, text: tradeText(ev),
+      };
+    }
+  } else if (ev.type === 'BALANCE-LOW') {
+    a = { event: 'balance-low', key: `balance-low:${ev.bot}:${ev.symbol}`, title: `⚠️ ${ev.symbol} balance low`, text: ev.msg };
+  } else if (ev.type === 'GAS-LOW') {
+    a = { event: 'gas-low', key: `gas-low:${ev.bot}`, title: '⛽ GALA under the gas reserve after top-up', text: ev.msg };
+  } else if (ev.type === 'CYCLE-DONE' && ev.status && ev.status !== 'aborted') {
+    a = {
+      event: 'arb-executed', key: `arb-executed:${ev.runId}:${ev.path}:${ev.ts}`,
+      title: ev.status === 'completed' ? `🎯 Arbitrage ${ev.path} completed` : `⚠️ Arbitrage ${ev.path} ${ev.status}`, text: ev.msg,
+    };
+  } else if (ev.type === 'RISK-HALT' || ev.type === 'RISK-HALTED') {
+    a = { event: 'bot-halted', key: 'bot-halted', title: '🛑 Trading halted by the risk kill switch', text: `${ev.msg}\nRe-arm: node lib/risk.cjs rearm` };
+  }
+  if (!a || !cfg.events.includes(a.event)) return null;
+  if (cfg.bots && !cfg.bots.includes(ev.bot)) return null;
+  const fields = {};
+  for (const k of ['trade', 'status', 'txId', 'reason', 'symbol', 'qty', 'min', 'gala', 'reserve', 'path', 'start', 'final']) {
+    if (ev[k] != null && typeof ev[k] !== 'object') fields[k] = ev[k];
+  }
+  return { ...a, bot: ev.bot, runId: ev.runId || null, ts: ev.ts || new Date().toISOString(), fields };
+}
+
+// Webhook body for one alert in `format`
+function formatPayload(alert, format = 'json', { username = 'GalaSwap bot' } = {}) {
+  const footer = `${alert.bot}${alert.runId ? ` · run ${alert.runId}` : ''}`;
+  const text = alert.suppressed ? `${alert.text}\n(${alert.suppressed} similar alert(s) suppressed)` : alert.text;
+  if (format === 'slack') {
+    return {
+      username,
+      text: alert.title,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${alert.title}*\n${text}` } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: footer }] },
+      ],
+    };
+  }
+  if (format === 'discord') {
+    return {
+      username,
+      embeds: [{
+        title: alert.title,
+        description: text,
+        color: COLORS[alert.event] || 0x95a5a6,
+        timestamp: alert.ts,
+        footer: { text: footer },
+        fields: Object.entries(alert.fields || {}).slice(0, 10).map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true })),
+      }],
+    };
+  }
+  return {
+    event: alert.event, title: alert.title, text, bot: alert.bot, runId: alert.runId, ts: alert.ts,
+    fields: alert.fields || {}, suppressed: alert.suppressed || 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Notifier: filters → dedup → queue → rate-limited, retried delivery
+// ---------------------------------------------------------------------------
+function emptyAlertState() {
+  return { version: 1, nextId: 1, seen: {}, sent: [], queue: [], dropped: 0 };
+}
+
+const ALERT_DOC = { schema: 1, defaults: emptyAlertState };
+
+const hostOf = (url) => { try { return new URL(url).host; } catch { return '(no webhook)'; } };
+
+// store: lib/state-store.cjs store (queue / dedup / rate state survives stateless runs)
+function createNotifier({ store, config = notifierConfigFromEnv(), fetchImpl = globalThis.fetch, log = console.log, now = Date.now } = {}) {
+  const cfg = { ...notifierConfigFromEnv({}), ...config };
+  const enabled = cfg.webhooks.length > 0 || cfg.dryRun;
+  // Dry run without webhooks still prints the JSON payloads
+  const targets = cfg.webhooks.length ? cfg.webhooks : [{ url: null, format: 'json', events: null, bots: null }];
+  let pending = [];
+  let chain = Promise.resolve();
+
+  const wants = (hook, a) => (!hook.events || hook.events.includes(a.event)) && (!hook.bots || hook.bots.includes(a.bot));
+  const backoffMs = (attempts, retryAfterMs) => Math.max(retryAfterMs || 0, Math.min(HOUR_MS, 30000 * 2 ** (attempts - 1)));
+
+  function prune(st, t) {
+    const dedupMs = cfg.dedupMin * 60000;
+    for (const [k, s] of Object.entries(st.seen)) if (t - s.lastAt > Math.max(dedupMs, HOUR_MS)) delete st.seen[k];
+    st.sent = st.sent.filter(ts => t - ts < HOUR_MS);
+  }
+
+  async function deliver(q) {
+    const payload = formatPayload(q.alert, q.format, cfg);
+    if (cfg.dryRun) {
+      log(`[ALERT-DRY] ${q.alert.event} (${q.format}) → ${hostOf(q.url)} ${JSON.stringify(payload)}`);
+      return { ok: true };
+    }
+    try {
+      const res = await fetchImpl(q.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(cfg.timeoutMs),
+      });
+      if (res.ok) {
+        log(`[ALERT] ${q.alert.event} → ${hostOf(q.url)}: ${q.alert.title}`);
+        return { ok: true };
+      }
+      const retryAfterMs = num(res.headers?.get?.('retry-after'), 0) * 1000;
+      return { ok: false, retry: res.status === 429 || res.status >= 500, error: `HTTP ${res.status}`, retryAfterMs };
+    } catch (e) {
+      return { ok: false, retry: true, error: e?.message || String(e) };
+    }
+  }
+
+  // Queue fresh alerts (dedup), then deliver what is due within the hourly budget
+  async function drain() {
+    const fresh = pending;
+    pending = [];
+    const t = now();
+    const batch = [];
+    let dropped = [];
+    await store.update(cfg.stateName, (st) => {
+      prune(st, t);
+      for (const a of fresh) {
+        const seen = st.seen[a.key];
+        if (seen && t - seen.lastAt < cfg.dedupMin * 60000) { seen.suppressed++; continue; }
+        st.seen[a.key] = { lastAt: t, suppressed: 0 };
+        const alert = { ...a, suppressed: seen?.suppressed || 0 };
+        for (const hook of targets) {
+          if (!wants(hook, a)) continue;
+          st.queue.push({ id: st.nextId++, alert, url: hook.url, format: hook.format, attempts: 0, nextAt: t, createdAt: t, leaseUntil: 0 });
+        }
+      }
+      if (st.queue.length > cfg.queueMax) {
+        dropped = st.queue.splice(0, st.queue.length - cfg.queueMax);
+        st.dropped += dropped.length;
+      }
+      const room = cfg.ratePerHour > 0 ? Math.max(0, cfg.ratePerHour - st.sent.length) : Infinity;
+      for (const q of st.queue) {
+        if (batch.length >= room) break;
+        if (q.nextAt > t || q.leaseUntil > t) continue;
+        q.leaseUntil = t + cfg.timeoutMs + 30000; // another process leaves it alone while we post
+        batch.push({ ...q });
+      }
+    }, ALERT_DOC);
+    for (const d of dropped) log(`[ALERT-DROP] queue full (ALERT_QUEUE_MAX ${cfg.queueMax}): ${d.alert.event} ${d.alert.title}`);
+    if (!batch.length) return;
+
+    const results = [];
+    for (const q of batch) results.push({ q, r: await deliver(q) });
+
+    await store.update(cfg.stateName, (st) => {
+      const done = now();
+      for (const { q: sent, r } of results) {
+        const q = st.queue.find(x => x.id === sent.id);
+        if (!q) continue;
+        if (r.ok) {
+          st.queue = st.queue.filter(x => x !== q);
+          if (!cfg.dryRun) st.sent.push(done);
+          continue;
+        }
+        q.attempts++;
+        q.leaseUntil = 0;
+        q.lastError = r.error;
+        if (!r.retry || q.attempts >= cfg.maxAttempts) {
+          st.queue = st.queue.filter(x => x !== q);
+          st.dropped++;
+          log(`[ALERT-DROP] ${q.alert.event} → ${hostOf(q.url)} after ${q.attempts} attempt(s): ${r.error}`);
+        } else {
+          q.nextAt = done + backoffMs(q.attempts, r.retryAfterMs);
+          log(`[ALERT-RETRY] ${q.alert.event} → ${hostOf(q.url)} attempt ${q.attempts}/${cfg.maxAttempts} failed (${r.error}); next at ${new Date(q.nextAt).toISOString()}`);
+        }
+      }
+    }, ALERT_DOC);
+  }
+
+  function schedule() {
+    chain = chain.then(drain).catch((e) => log(`[ALERT-ERR] ${e?.message || e}`));
+    return chain;
+  }
+
+  // Event-log listener (lib/event-log.cjs subscribe)
+  function handle(ev) {
+    if (!enabled) return;
+    const a = alertFromEvent(ev, cfg);
+    if (!a) return;
+    pending.push(a);
+    schedule();
+  }
+
+  // Sends an alert that did not come from an event (CLI test, other callers)
+  function notify(alert) {
+    if (!enabled) return Promise.resolve();
+    pending.push({ fields: {}, runId: null, ts: new Date().toISOString(), ...alert });
+    return schedule();
+  }
+
+  // Deliver what is queued and due (end of a run: also retries left by earlier runs)
+  function flush() {
+    return enabled ? schedule() : Promise.resolve();
+  }
+
+  return { config: cfg, enabled, handle, notify, flush };
+}
+
+module.exports = {
+  ALERT_EVENTS,
+  parseWebhooks,
+  parseMinBalances,
+  notifierConfigFromEnv,
+  lowBalances,
+  alertFromEvent,
+  formatPayload,
+  emptyAlertState,
+  ALERT_DOC,
+  createNotifier,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2));
+  const cmd = args._[0] || 'status';
+  const { stateStoreFromEnv } = require('./state-store.cjs');
+  (async () => {
+    if (cmd === 'receive') {
+      // Local webhook receiver: prints every POST; --status=500 answers with an error to exercise retries
+      const port = Number(args.port || 8799);
+      const status = Number(args.status || 200);
+      http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (c) => { body += c; });
+        req.on('end', () => {
+          let shown = body;
+          try { shown = JSON.stringify(JSON.parse(body), null, 2); } catch {}
+          console.log(`[ALERT-RECEIVE] ${new Date().toISOString()} ${req.method} ${req.url} → ${status}\n${shown}`);
+          res.writeHead(status, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ ok: status < 400 }));
+        });
+      }).listen(port, () => console.log(`[ALERT-RECEIVE] listening on http://localhost:${port} (ALERT_WEBHOOKS=http://localhost:${port}/hook)`));
+      return;
+    }
+    const cfg = notifierConfigFromEnv();
+    const store = stateStoreFromEnv(process.env, { writer: 'notifier' });
+    if (cmd === 'status') {
+      const st = await store.load(cfg.stateName, ALERT_DOC);
+      console.log(JSON.stringify({
+        webhooks: cfg.webhooks.map(h => ({ host: new URL(h.url).host, format: h.format, events: h.events, bots: h.bots })),
+        dryRun: cfg.dryRun, events: cfg.events, queued: st.queue.length, sentLastHour: st.sent.filter(t => Date.now() - t < HOUR_MS).length,
+        dropped: st.dropped, queue: st.queue.map(q => ({ event: q.alert.event, title: q.alert.title, attempts: q.attempts, nextAt: new Date(q.nextAt).toISOString(), lastError: q.lastError })),
+      }, null, 2));
+      return;
+    }
+    const notifier = createNotifier({ store, config: cfg });
+    if (!notifier.enabled) throw new Error('No ALERT_WEBHOOKS set (or ALERT_DRY_RUN=true to print payloads)');
+    if (cmd === 'test') {
+      const event = args._[1] || 'trade-failed';
+      if (!ALERT_EVENTS.includes(event)) throw new Error(`Unknown event "${event}" (${ALERT_EVENTS.join(', ')})`);
+      await notifier.notify({
+        event, key: `test:${event}:${Date.now()}`, bot: 'notifier-test',
+        title: `🧪 Test ${event} alert`, text: 'Sent by `node lib/notifier.cjs test`; nothing traded.',
+      });
+    } else if (cmd === 'flush') {
+      await notifier.flush();
+    } else {
+      throw new Error('Usage: node lib/notifier.cjs test [event] | flush | status | receive [--port=8799] [--status=200]');
+    }
+  })().catch((e) => { console.error(e?.message || e); process.exit(1); });
+}
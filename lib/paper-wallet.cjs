@@ -0,0 +1,177 @@
+// lib/paper-wallet.cjs — paper trading: a persisted virtual wallet the bots trade instead of the chain
+// With PAPER_TRADING=true, bot.cjs and hybrid-bot.cjs read balances from this wallet. Every swap they
+// would submit becomes a simulated fill against it, so the paper account evolves from tick to tick.
+//   - Kept as `paper_wallet` (PAPER_WALLET_NAME) in the shared state store (lib/state-store.cjs)
+//   - Seed: PAPER_START ("GUSDC:100,GALA:50"), or the real wallet's balances on first use when unset
+//   - Fill = live quote (lib/market-data.cjs) less PAPER_SLIPPAGE_BPS (default 30). Each swap burns
+//     PAPER_GAS_GALA GALA (default GAS_FIXED_FEE_GALA, else 1).
+//   - A swap fails as it would on chain when the fill is under its amountOutMinimum (gas is still
+//     paid), when the wallet lacks the input, or when there is no GALA for gas
+//   - Every swap is logged in the wallet (last PAPER_TX_KEEP) with the balances after it
+//   - Nothing is signed or submitted, so PRIVATE_KEY is not needed
+// Outcomes have the lib/tx-outcome.cjs shape ({ status, txId, fill, receipt, reason, + gasGala }), with a receipt
+// swapFill() can read, so callers book paper fills exactly like confirmed ones. The bots keep their
+// paper bookkeeping (ledger, risk state, run journal, cycle partials) apart from the live one
+// (paperPath / `-paper` names).
+//
+// CLI: node lib/paper-wallet.cjs show | reset
+
+const path = require('path');
+
+const TX_KEEP = 500;
+
+const symbolOf = (key) => String(key).split('|')[0].toUpperCase();
+
+// "GUSDC:100,GALA:50" → { GUSDC: 100, GALA: 50 }
+function parseStart(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',').map(x => x.trim()).filter(Boolean)) {
+    const [sym, qty] = part.split(':').map(x => x.trim());
+    if (!sym || !(Number(qty) >= 0)) throw new Error(`Invalid PAPER_START entry "${part}" (SYMBOL:QTY)`);
+    out[sym.toUpperCase()] = Number(qty);
+  }
+  return out;
+}
+
+function paperConfigFromEnv(env = process.env) {
+  return {
+    enabled:     String(env.PAPER_TRADING || 'false').toLowerCase() === 'true',
+    name:        env.PAPER_WALLET_NAME || 'paper_wallet',
+    start:       env.PAPER_START ? parseStart(env.PAPER_START) : null, // null = seed from the real wallet
+    slippageBps: Math.max(0, Number(env.PAPER_SLIPPAGE_BPS ?? 30)),
+    gasGala:     Math.max(0, Number(env.PAPER_GAS_GALA ?? env.GAS_FIXED_FEE_GALA ?? 1)),
+    txKeep:      Math.max(1, Number(env.PAPER_TX_KEEP || TX_KEEP)),
+  };
+}
+
+// risk_state.json → risk_state.paper.json: paper bookkeeping next to the live file, never in it
+function paperPath(file) {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.paper${ext || '.json'}`;
+}
+
+function emptyPaperWallet() {
+  return { version: 1, seededAt: null, seededFrom: null, start: {}, balances: {}, nextId: 1, txs: [] };
+}
+
+const PAPER_DOC = { schema: 1, defaults: emptyPaperWallet };
+
+// store: lib/state-store.cjs store; market: lib/market-data.cjs client (quotes);
+// realBalances: async () => { SYMBOL: qty } of the real wallet (seed when PAPER_START is unset)
+function createPaperWallet({ store, market, config = paperConfigFromEnv(), realBalances = null, bot = null, log = console.log }) {
+  const cfg = { ...paperConfigFromEnv({}), ...config };
+
+  // Seed an empty wallet (inside the caller's locked update)
+  async function ensureSeeded(w) {
+    if (w.seededAt) return;
+    let start = cfg.start, from = 'PAPER_START';
+    if (!start) {
+      if (!realBalances) throw new Error('paper wallet is empty: set PAPER_START or seed it from the real wallet');
+      start = await realBalances();
+      from = 'wallet';
+    }
+    w.start = { ...start };
+    w.balances = { ...start };
+    w.seededAt = Date.now();
+    w.seededFrom = from;
+    log(`[PAPER] seeded ${cfg.name} from ${from}: ${JSON.stringify(w.start)}`);
+  }
+
+  // Current wallet document (seeded on first use)
+  async function account() {
+    const w = await store.load(cfg.name, PAPER_DOC);
+    if (w.seededAt) return w;
+    return store.update(cfg.name, ensureSeeded, PAPER_DOC);
+  }
+
+  // { SYMBOL: qty }, the shape of marketData.balancesBySymbol
+  async function balances() {
+    return { ...(await account()).balances };
+  }
+
+  // Exact-in swap at the live quote less PAPER_SLIPPAGE_BPS → tx-outcome shaped result
+  async function swap({ tag = 'SWAP', tokenIn, tokenOut, feeTier, exactIn, amountOutMinimum = 0 }) {
+    const amountIn = Number(exactIn);
+    const minOut = Number(amountOutMinimum || 0);
+    let quotedOut = null, tier = feeTier ?? null, quoteError = null;
+    try {
+      const q = await market.quoteExactInput(tokenIn, tokenOut, String(exactIn), feeTier);
+      quotedOut = Number(q.outTokenAmount);
+      tier = q.feeTier ?? tier;
+    } catch (e) {
+      quoteError = `quote failed: ${e?.message || e}`;
+    }
+
+    let tx;
+    await store.update(cfg.name, async (w) => {
+      await ensureSeeded(w);
+      const b = w.balances;
+      const symIn = symbolOf(tokenIn), symOut = symbolOf(tokenOut);
+      const gala = Number(b.GALA || 0);
+      tx = {
+        txId: `paper-${w.nextId++}`, ts: Date.now(), bot, tag, tokenIn: symIn, tokenOut: symOut, feeTier: tier,
+        amountIn, quotedOut, amountOut: null, minOut, gasGala: 0, status: 'failed', reason: null,
+      };
+
+      if (quoteError || !(quotedOut > 0)) tx.reason = quoteError || 'no quote';
+      else if (!(amountIn > 0)) tx.reason = `invalid amount ${exactIn}`;
+      else if (gala + 1e-12 < cfg.gasGala) tx.reason = `not enough GALA for gas (${gala} < ${cfg.gasGala})`;
+      else if (Number(b[symIn] || 0) + 1e-12 < amountIn + (symIn === 'GALA' ? cfg.gasGala : 0)) {
+        tx.reason = `insufficient ${symIn} (have ${Number(b[symIn] || 0)}, need ${amountIn}${symIn === 'GALA' ? ` + ${cfg.gasGala} gas` : ''})`;
+      } else {
+        // Submitted: gas is spent whether or not the minimum holds
+        b.GALA = gala - cfg.gasGala;
+        tx.gasGala = cfg.gasGala;
+        const out = quotedOut * (1 - cfg.slippageBps / 10000);
+        if (out + 1e-12 < minOut) {
+          tx.reason = `amountOutMinimum not met (${out} < ${minOut})`;
+        } else {
+          b[symIn] = Number(b[symIn] || 0) - amountIn;
+          b[symOut] = Number(b[symOut] || 0) + out;
+          tx.amountOut = out;
+          tx.status = 'confirmed';
+        }
+      }
+      tx.after = { ...b };
+      w.txs = w.txs.concat([tx]).slice(-cfg.txKeep);
+    }, PAPER_DOC);
+
+    if (tx.status !== 'confirmed') return { status: 'failed', txId: tx.txId, reason: tx.reason, elapsedMs: 0, paper: true, gasGala: tx.gasGala };
+    // Receipt in the dex SwapResDto shape: the input side positive, the output side negative
+    const receipt = { txId: tx.txId, transactionHash: null, paper: true, Data: { token0: tokenIn, token1: tokenOut, amount0: String(amountIn), amount1: String(-tx.amountOut) } };
+    return {
+      status: 'confirmed', txId: tx.txId, hash: null, elapsedMs: 0, paper: true, gasGala: tx.gasGala,
+      fill: { tokenIn, amountIn, tokenOut, amountOut: tx.amountOut }, receipt,
+    };
+  }
+
+  return { config: cfg, account, balances, swap };
+}
+
+module.exports = {
+  paperConfigFromEnv,
+  paperPath,
+  emptyPaperWallet,
+  PAPER_DOC,
+  createPaperWallet,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { stateStoreFromEnv } = require('./state-store.cjs');
+  const cfg = paperConfigFromEnv();
+  const store = stateStoreFromEnv(process.env, { writer: 'paper-wallet' });
+  const cmd = process.argv[2] || 'show';
+  (async () => {
+    if (cmd === 'show') {
+      const w = await store.load(cfg.name, PAPER_DOC);
+      console.log(JSON.stringify({ ...w, txs: w.txs.slice(-20) }, null, 2));
+    } else if (cmd === 'reset') {
+      await store.save(cfg.name, emptyPaperWallet(), PAPER_DOC);
+      console.log(`[PAPER] ${cfg.name} reset; the next paper run seeds it again`);
+    } else {
+      console.error('Usage: node lib/paper-wallet.cjs show | reset');
+      process.exit(1);
+    }
+  })().catch((e) => { console.error(e?.message || e); process.exit(1); });
+}
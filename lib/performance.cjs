@@ -0,0 +1,397 @@
+// lib/performance.cjs — P&L and performance from the trade journal (lib/trade-journal.cjs)
+// Replays the journal over the opening balances and prices everything with lib/price-history.cjs:
+//   - Opening: the earliest balance snapshot (at or after `since`), booked as the first cash flow; with
+//     opening=empty (PNL_OPENING) the replay starts from nothing and every journal entry counts
+//   - Cost basis: FIFO lots in USD per non-stable token (lib/ledger.cjs), tagged with the strategy that
+//     bought them. A swap sells lots of its input at the trade's USD value (realized) and opens a lot
+//     of its output; stablecoins are cash
+//   - Cash flows: the opening, TRANSFER_IN / TRANSFER_OUT (explorer imports) and DEPOSIT / WITHDRAWAL
+//     (recorded with `cashflow`), valued at their time; tokens moved in open lots at that value
+//   - Fees: gas (gasGala) of every submitted swap, settled or not, in GALA and USD at the time; the GALA
+//     burnt leaves its lots at market, so realized + unrealized - fees is the P&L
+//   - Returns: time-weighted (daily, flows at the start of the day) and money-weighted (IRR over the
+//     flows and the closing equity), from a daily equity series of the replayed holdings
+//   - By strategy (realized, unrealized, fees, trades, volume) and by token (holdings, cost, value, P&L)
+//
+// CLI: node lib/performance.cjs pnl | performance [--since --until --days] | cashflow deposit|withdrawal TOKEN AMOUNT [--ts --tx --note]
+
+const { emptyLedger, addLot, closeLots, openQty, unitCost } = require('./ledger.cjs');
+const { parseTime } = require('./trade-journal.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const FLOW_IN = ['TRANSFER_IN', 'DEPOSIT'];
+const FLOW_OUT = ['TRANSFER_OUT', 'WITHDRAWAL'];
+const CONFIDENCE_RANK = { none: 0, medium: 1, high: 2 };
+const EPS = 1e-12;
+
+const symbolOf = (key) => String(key || '').split('|')[0].toUpperCase();
+const round = (n, d = 8) => (Number.isFinite(n) ? Number(n.toFixed(d)) : null);
+const dayOf = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+function performanceConfigFromEnv(env = process.env) {
+  const opening = String(env.PNL_OPENING || 'snapshot').toLowerCase();
+  if (!['snapshot', 'empty'].includes(opening)) throw new Error('PNL_OPENING must be snapshot or empty');
+  return {
+    opening,
+    maxDays: Math.max(1, Number(env.PNL_MAX_DAYS || 365)),
+  };
+}
+
+// Annual IRR of dated flows [{ ts, usd }] (investor side: deposits < 0, withdrawals and the closing
+// equity > 0) by bisection; null when the flows do not change sign or no root is bracketed
+function irr(flows) {
+  if (!flows.some(f => f.usd < 0) || !flows.some(f => f.usd > 0)) return null;
+  const t0 = flows[0].ts;
+  const npv = (r) => flows.reduce((s, f) => s + f.usd / Math.pow(1 + r, (f.ts - t0) / (365 * DAY_MS)), 0);
+  let lo = -0.9999, hi = 1e12; // short windows annualize to very large rates
+  let fLo = npv(lo), fHi = npv(hi);
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2, fMid = npv(mid);
+    if (Math.abs(fMid) < 1e-9) return mid;
+    if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+// journal: lib/trade-journal.cjs journal; prices: lib/price-history.cjs price history
+function createPerformance({ journal, prices, config = performanceConfigFromEnv(), now = () => Date.now() } = {}) {
+  const cfg = { ...performanceConfigFromEnv({}), ...config };
+  const stables = new Set(prices.config.stables);
+  const isStable = (sym) => stables.has(sym);
+
+  async function allPages(fetchPage, key, query) {
+    const out = [];
+    let cursor = null;
+    do {
+      const page = await fetchPage({ ...query, cursor, limit: 500 });
+      out.push(...page[key]);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return out.reverse(); // oldest first
+  }
+
+  // One report's price lookups, memoized per token and hour; `worst` tracks the lowest confidence used
+  function pricer() {
+    const memo = new Map();
+    const state = { worst: 'high', sources: new Set(), missing: new Set() };
+    async function quote(sym, ts) {
+      if (isStable(sym)) return { price: 1, confidence: 'high', source: 'par' };
+      const key = `${sym}:${Math.floor(ts / HOUR_MS)}`;
+      if (!memo.has(key)) memo.set(key, prices.priceAt(sym, ts));
+      const p = await memo.get(key);
+      if (p.source) state.sources.add(p.source);
+      if (CONFIDENCE_RANK[p.confidence] < CONFIDENCE_RANK[state.worst]) state.worst = p.confidence;
+      if (p.price == null) state.missing.add(sym);
+      return p;
+    }
+    return { quote, usd: async (sym, ts) => (await quote(sym, ts)).price, state };
+  }
+
+  // Replay opening + journal up to `until` → the books; onDay(dayEndTs, books) runs at every UTC day end
+  async function replay({ since = null, until = null, opening = cfg.opening, onDay = null } = {}) {
+    if (!['snapshot', 'empty'].includes(opening)) throw new Error('opening must be snapshot or empty');
+    const from = parseTime(since, 'since'), to = parseTime(until, 'until') ?? now();
+    const px = pricer();
+    const ledger = emptyLedger();
+    const holdings = {};
+    const flows = [];
+    const byStrategy = {};
+    const realizedByToken = {};
+    const fees = { gala: 0, usd: 0 };
+    const warnings = [];
+    const strat = (name) => byStrategy[name] || (byStrategy[name] = { trades: 0, volumeUsd: 0, realizedUsd: 0, unrealizedUsd: 0, feesGala: 0, feesUsd: 0 });
+    const hold = (sym, d) => { holdings[sym] = (holdings[sym] || 0) + d; };
+
+    // Sell `qty` of sym out of its lots for `usd`; realized goes to `strategy`. Units past the open
+    // lots (activity the journal never saw) have no cost basis and book nothing.
+    function sell(sym, qty, usd, ts, txId, strategy) {
+      if (isStable(sym) || !(qty > 0)) return;
+      const covered = Math.min(qty, openQty(ledger, sym));
+      const r = closeLots(ledger, sym, qty, { proceeds: (usd ?? 0) * covered / qty, ts, txId });
+      realizedByToken[sym] = (realizedByToken[sym] || 0) + r.realized;
+      strat(strategy).realizedUsd += r.realized;
+    }
+    function buy(sym, qty, usd, ts, txId, source) {
+      if (isStable(sym) || !(qty > 0)) return;
+      addLot(ledger, { token: sym, qty, stableSpent: usd ?? 0, ts, txId, source });
+    }
+
+    let openingInfo = null;
+    let events = (await allPages(journal.list, 'entries', { until: to })).map(e => ({ kind: 'entry', ts: e.ts, e }));
+    if (opening === 'snapshot') {
+      const snaps = await allPages(journal.listSnapshots, 'snapshots', { since: from, until: to });
+      const snap = snaps[0];
+      if (snap) {
+        openingInfo = { ts: snap.ts, source: 'snapshot', snapshotId: snap.id, balances: snap.balances };
+        events = events.filter(x => x.ts > snap.ts);
+        events.unshift({ kind: 'opening', ts: snap.ts, snap });
+      } else {
+        warnings.push('no balance snapshot to open from; replaying the journal from empty holdings');
+      }
+    }
+    if (from != null && !openingInfo) events = events.filter(x => x.ts >= from);
+    if (!openingInfo) openingInfo = { ts: events[0]?.ts ?? to, source: 'empty', balances: {} };
+    // Every token the replay will price, fetched from CoinGecko once over the whole range (not per hour)
+    if (prices.prefetch) {
+      const symbols = new Set(['GALA', ...Object.keys(openingInfo.balances || {}).map(symbolOf)]);
+      for (const x of events) if (x.e) { symbols.add(symbolOf(x.e.tokenIn)); symbols.add(symbolOf(x.e.tokenOut)); }
+      await prices.prefetch([...symbols].filter(Boolean), openingInfo.ts, to);
+    }
+
+    let day = dayOf(openingInfo.ts);
+    const closeDays = async (ts) => {
+      while (onDay && day < dayOf(ts)) {
+        await onDay(Date.parse(`${day}T23:59:59.999Z`), { holdings, flows, px });
+        day = dayOf(Date.parse(`${day}T00:00:00Z`) + DAY_MS);
+      }
+    };
+
+    for (const x of events) {
+      await closeDays(x.ts);
+      if (x.kind === 'opening') {
+        let usd = 0;
+        for (const [sym, qty] of Object.entries(x.snap.balances || {})) {
+          const q = Number(qty);
+          if (!(q > 0)) continue;
+          const p = await px.usd(sym, x.ts);
+          hold(sym, q);
+          buy(sym, q, p == null ? null : q * p, x.ts, null, 'opening');
+          usd += p == null ? 0 : q * p;
+        }
+        flows.push({ ts: x.ts, usd, kind: 'opening' });
+        openingInfo.usd = round(usd);
+        continue;
+      }
+      const e = x.e;
+      const strategy = e.strategy || 'unattributed';
+      const symIn = symbolOf(e.tokenIn), symOut = symbolOf(e.tokenOut);
+
+      if (FLOW_IN.includes(e.trade) || FLOW_OUT.includes(e.trade)) {
+        if (e.status !== 'confirmed') continue;
+        const qty = Number(e.amountIn ?? e.amountOut);
+        const p = await px.usd(symIn, e.ts);
+        const usd = p == null ? null : qty * p;
+        if (usd == null) warnings.push(`${e.trade} #${e.id}: no ${symIn} price; valued at 0`);
+        if (FLOW_IN.includes(e.trade)) {
+          hold(symIn, qty);
+          buy(symIn, qty, usd, e.ts, e.txId, 'deposit');
+        } else {
+          hold(symIn, -qty);
+          sell(symIn, qty, usd, e.ts, e.txId, 'transfers');
+        }
+        flows.push({ ts: e.ts, usd: (FLOW_IN.includes(e.trade) ? 1 : -1) * (usd ?? 0), kind: e.trade, id: e.id, token: symIn, qty });
+        continue;
+      }
+
+      // Gas: paid by every submitted swap, filled or not
+      const gas = Number(e.gasGala) || 0;
+      if (gas > 0) {
+        const p = await px.usd('GALA', e.ts);
+        const usd = p == null ? null : gas * p;
+        hold('GALA', -gas);
+        sell('GALA', gas, usd, e.ts, e.txId, strategy);
+        fees.gala += gas;
+        fees.usd += usd ?? 0;
+        strat(strategy).feesGala += gas;
+        strat(strategy).feesUsd += usd ?? 0;
+      }
+      if (e.status !== 'confirmed') continue;
+      const qIn = Number(e.amountIn);
+      const qOut = Number(e.amountOut ?? e.quotedOut ?? e.minOut);
+      if (!(qIn > 0) || !(qOut > 0)) { warnings.push(`${e.trade} #${e.id}: confirmed without amounts; skipped`); continue; }
+      if (e.amountOut == null) warnings.push(`${e.trade} #${e.id}: no filled amount; used the quote`);
+      // The trade's USD value: the stable side, else the output (then input) at its price
+      let usd = isStable(symIn) ? qIn : isStable(symOut) ? qOut : null;
+      if (usd == null) {
+        const pOut = await px.usd(symOut, e.ts);
+        const pIn = pOut == null ? await px.usd(symIn, e.ts) : null;
+        usd = pOut != null ? qOut * pOut : pIn != null ? qIn * pIn : null;
+        if (usd == null) warnings.push(`${e.trade} #${e.id}: no ${symIn} / ${symOut} price; lot opened at 0`);
+      }
+      hold(symIn, -qIn);
+      hold(symOut, qOut);
+      sell(symIn, qIn, usd, e.ts, e.txId, strategy);
+      buy(symOut, qOut, usd, e.ts, e.txId, strategy);
+      strat(strategy).trades += 1;
+      strat(strategy).volumeUsd += usd ?? 0;
+    }
+    await closeDays(to);
+    return { from, to, ledger, holdings, flows, byStrategy, realizedByToken, fees, warnings, opening: openingInfo, px };
+  }
+
+  // Mark the books at `ts` → equity, unrealized and per-token / per-strategy rows
+  async function mark(books, ts) {
+    const { ledger, holdings, byStrategy, realizedByToken, px } = books;
+    const byToken = {};
+    let equity = 0;
+    for (const [sym, qty] of Object.entries(holdings)) {
+      if (Math.abs(qty) < EPS && !realizedByToken[sym]) continue;
+      const p = await px.usd(sym, ts);
+      const lots = ledger.lots.filter(l => l.token === sym && l.remaining > EPS);
+      const cost = isStable(sym) ? qty : lots.reduce((s, l) => s + l.remaining * unitCost(l), 0);
+      const value = p == null ? null : qty * p;
+      const unrealized = isStable(sym) || p == null ? 0 : lots.reduce((s, l) => s + l.remaining * (p - unitCost(l)), 0);
+      for (const l of lots) {
+        if (p == null) continue;
+        const row = byStrategy[l.source] || (byStrategy[l.source] = { trades: 0, volumeUsd: 0, realizedUsd: 0, unrealizedUsd: 0, feesGala: 0, feesUsd: 0 });
+        row.unrealizedUsd += l.remaining * (p - unitCost(l));
+      }
+      equity += value ?? 0;
+      byToken[sym] = {
+        qty: round(qty), price: p, costUsd: round(cost), valueUsd: round(value),
+        realizedUsd: round(realizedByToken[sym] || 0), unrealizedUsd: round(unrealized),
+      };
+    }
+    return { equity, byToken };
+  }
+
+  const strategyRows = (byStrategy) => Object.fromEntries(Object.entries(byStrategy).map(([k, r]) => [k, {
+    trades: r.trades, volumeUsd: round(r.volumeUsd), realizedUsd: round(r.realizedUsd), unrealizedUsd: round(r.unrealizedUsd),
+    feesGala: round(r.feesGala), feesUsd: round(r.feesUsd), pnlUsd: round(r.realizedUsd + r.unrealizedUsd - r.feesUsd),
+  }]));
+
+  function summary(books, marked) {
+    const realized = Object.values(books.realizedByToken).reduce((s, v) => s + v, 0);
+    const unrealized = Object.values(marked.byToken).reduce((s, t) => s + (t.unrealizedUsd || 0), 0);
+    const netFlows = books.flows.reduce((s, f) => s + f.usd, 0);
+    return {
+      asOf: books.to,
+      opening: { ts: books.opening.ts, source: books.opening.source, usd: books.opening.usd ?? 0 },
+      equityUsd: round(marked.equity),
+      netFlowsUsd: round(netFlows),
+      realizedUsd: round(realized),
+      unrealizedUsd: round(unrealized),
+      feesGala: round(books.fees.gala),
+      feesUsd: round(books.fees.usd),
+      pnlUsd: round(realized + unrealized - books.fees.usd),
+      // Equity change net of flows: differs from pnlUsd only where the journal misses activity or prices
+      equityChangeUsd: round(marked.equity - netFlows),
+      byStrategy: strategyRows(books.byStrategy),
+      byToken: marked.byToken,
+      cashFlows: books.flows.map(f => ({ ...f, usd: round(f.usd) })),
+      priceConfidence: books.px.state.worst,
+      priceSources: [...books.px.state.sources],
+      unpriced: [...books.px.state.missing],
+      warnings: books.warnings,
+    };
+  }
+
+  // Realized / unrealized P&L, fees and cash flows as of `until` (default now)
+  async function pnl({ since = null, until = null, opening } = {}) {
+    const books = await replay({ since, until, opening });
+    return summary(books, await mark(books, books.to));
+  }
+
+  // Equity of the replayed holdings at ts → { equity, confidence }
+  async function equityAt(holdings, px, ts) {
+    let equity = 0, confidence = 'high';
+    for (const [sym, qty] of Object.entries(holdings)) {
+      if (Math.abs(qty) < EPS) continue;
+      const p = await px.quote(sym, ts);
+      if (CONFIDENCE_RANK[p.confidence] < CONFIDENCE_RANK[confidence]) confidence = p.confidence;
+      equity += p.price == null ? 0 : qty * p.price;
+    }
+    return { equity, confidence };
+  }
+
+  // pnl() + a daily equity series (last `days`, at most PNL_MAX_DAYS) and TWR / MWR over it
+  async function performance({ since = null, until = null, opening, days = null } = {}) {
+    const to = parseTime(until, 'until') ?? now();
+    const keep = Math.min(cfg.maxDays, Number(days) > 0 ? Number(days) : cfg.maxDays);
+    const windowFrom = to - keep * DAY_MS;
+    const daily = [];
+    let flowsSeen = 0;
+    const dayRow = (ts, { equity, confidence }, dayFlows) =>
+      ({ date: dayOf(ts), ts, equityUsd: equity, flowUsd: dayFlows.reduce((s, f) => s + f.usd, 0), priceConfidence: confidence });
+    const books = await replay({
+      since, until: to, opening,
+      onDay: async (ts, { holdings, flows, px }) => {
+        const dayFlows = flows.slice(flowsSeen);
+        flowsSeen = flows.length;
+        if (ts < windowFrom - DAY_MS) return; // before the window and the day it starts from
+        daily.push(dayRow(ts, await equityAt(holdings, px, ts), dayFlows));
+      },
+    });
+    const marked = await mark(books, books.to);
+    // The last (partial) day closes at `until`
+    daily.push(dayRow(books.to, await equityAt(books.holdings, books.px, books.to), books.flows.slice(flowsSeen)));
+
+    const base = daily[0].ts < windowFrom ? daily[0] : null;
+    const series = base ? daily.slice(1) : daily;
+    // TWR: flows at the start of their day → r = E / (E_prev + F) - 1
+    let growth = 1, prev = base ? base.equityUsd : 0;
+    for (const d of series) {
+      const start = prev + d.flowUsd;
+      d.return = start > EPS ? d.equityUsd / start - 1 : null;
+      if (d.return != null) growth *= 1 + d.return;
+      d.pnlUsd = d.equityUsd - start;
+      prev = d.equityUsd;
+    }
+    // MWR: the equity the window starts from and its flows go in, the closing equity comes out
+    const last = series[series.length - 1];
+    const startsFrom = base && base.equityUsd > EPS ? base : null;
+    const irrFlows = [
+      ...(startsFrom ? [{ ts: startsFrom.ts, usd: -startsFrom.equityUsd }] : []),
+      ...books.flows.filter(f => !startsFrom || f.ts > startsFrom.ts).map(f => ({ ts: f.ts, usd: -f.usd })),
+      { ts: books.to, usd: last.equityUsd },
+    ].sort((a, b) => a.ts - b.ts);
+    const years = (books.to - irrFlows[0].ts) / (365 * DAY_MS);
+    // Under a day of history annualizes to noise
+    const annual = years * 365 >= 1 ? irr(irrFlows) : null;
+
+    return {
+      ...summary(books, marked),
+      twr: series.some(d => d.return != null) ? round(growth - 1) : null,
+      mwr: annual == null ? null : { annualized: round(annual), period: round(Math.pow(1 + annual, years) - 1) },
+      days: series.length,
+      dailyEquity: series.map(d => ({
+        date: d.date, equityUsd: round(d.equityUsd), flowUsd: round(d.flowUsd), pnlUsd: round(d.pnlUsd),
+        return: d.return == null ? null : round(d.return), priceConfidence: d.priceConfidence,
+      })),
+    };
+  }
+
+  // A deposit / withdrawal the journal cannot see (e.g. from an exchange) → journal entry
+  async function recordCashFlow({ kind, token, amount, ts = now(), txId = null, note = null }) {
+    const trade = { deposit: 'DEPOSIT', withdrawal: 'WITHDRAWAL' }[String(kind).toLowerCase()];
+    if (!trade) throw new Error('kind must be deposit or withdrawal');
+    const qty = Number(amount);
+    if (!(qty > 0)) throw new Error('amount must be a positive number');
+    const key = String(token).includes('|') ? String(token) : `${String(token).toUpperCase()}|Unit|none|none`;
+    return journal.record({
+      ts, bot: 'manual', runId: null, strategy: null, trade, via: 'manual', tokenIn: key, tokenOut: key,
+      amountIn: qty, amountOut: qty, txId, hash: null, status: 'confirmed', reason: note,
+    });
+  }
+
+  return { config: cfg, pnl, performance, recordCashFlow };
+}
+
+module.exports = {
+  performanceConfigFromEnv,
+  irr,
+  createPerformance,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2), { string: ['since', 'until', 'ts', 'tx', 'note', '_'] });
+  const { stateStoreFromEnv } = require('./state-store.cjs');
+  const { createTradeJournal } = require('./trade-journal.cjs');
+  const { createPriceHistory } = require('./price-history.cjs');
+  const store = stateStoreFromEnv(process.env, { writer: 'performance' });
+  const perf = createPerformance({ journal: createTradeJournal({ store }), prices: createPriceHistory({ store }) });
+  const cmd = args._[0] || 'pnl';
+  (async () => {
+    if (cmd === 'pnl') console.log(JSON.stringify(await perf.pnl(args), null, 2));
+    else if (cmd === 'performance') console.log(JSON.stringify(await perf.performance(args), null, 2));
+    else if (cmd === 'cashflow' && args._[3]) {
+      const ts = args.ts ? parseTime(args.ts, 'ts') : undefined;
+      console.log(JSON.stringify(await perf.recordCashFlow({ kind: args._[1], token: args._[2], amount: args._[3], ts, txId: args.tx || null, note: args.note || null }), null, 2));
+    } else {
+      throw new Error('Usage: node lib/performance.cjs pnl | performance [--since --until --days] | cashflow deposit|withdrawal TOKEN AMOUNT [--ts --tx --note]');
+    }
+  })().catch((e) => { console.error(e?.message || e); process.exit(1); });
+}
@@ -0,0 +1,122 @@
+// lib/positions.cjs — tracked positions with stop, take-profits and trailing stop
+// A signal strategy's BUY opens a long (GALA bought with USDC), a SELL opens a short (GALA sold
+// for USDC, bought back on exit). Prices are USDC per GALA.
+//   - stop / TP1 / TP2 from POS_STOP_PCT / POS_TP1_PCT / POS_TP2_PCT around the entry, or from the
+//     swing for the Fibonacci strategy (stop at the 78.6% retrace, TP1 at the swing extreme,
+//     TP2 at the 161.8% extension)
+//   - TP1 closes POS_TP1_FRACTION and moves the stop to break-even; TP2 closes the rest
+//   - optional trailing stop POS_TRAIL_PCT behind the best price seen
+//   - a close that leaves less than POS_DUST_GALA open books the position flat
+// Pure functions over plain objects; the bot persists `position` + `positionHistory` in its state.
+
+const HISTORY_KEEP = 200;
+
+function positionConfigFromEnv(env = process.env) {
+  const bool = (v, d) => (v == null || v === '' ? d : String(v).toLowerCase() === 'true');
+  return {
+    stopPct:      Math.max(0, Number(env.POS_STOP_PCT ?? 2)) / 100,
+    tp1Pct:       Math.max(0, Number(env.POS_TP1_PCT ?? 2)) / 100,
+    tp2Pct:       Math.max(0, Number(env.POS_TP2_PCT ?? 4)) / 100,
+    tp1Fraction:  Math.min(1, Math.max(0, Number(env.POS_TP1_FRACTION ?? 0.5))),
+    trailPct:     Math.max(0, Number(env.POS_TRAIL_PCT ?? 0)) / 100, // 0 = off
+    maxHoldMin:   Math.max(0, Number(env.POS_MAX_HOLD_MIN ?? 0)),    // 0 = no time exit
+    dustGala:     Math.max(0, Number(env.POS_DUST_GALA ?? 1)),       // remainder treated as flat
+    fibStopAt786: bool(env.FIB_STOP_AT_786, true),
+    fibUseTp2:    bool(env.FIB_USE_TP2, true),
+  };
+}
+
+// Percentage levels around the entry
+function pctLevels(side, entry, cfg) {
+  const s = side === 'long' ? 1 : -1;
+  return {
+    stop: entry * (1 - s * cfg.stopPct),
+    tp1: entry * (1 + s * cfg.tp1Pct),
+    tp2: cfg.tp2Pct > 0 ? entry * (1 + s * cfg.tp2Pct) : null,
+  };
+}
+
+// Fibonacci levels from the swing that produced the signal ({ low, high })
+function fibExitLevels(side, swing, cfg) {
+  const range = swing.high - swing.low;
+  if (side === 'long') {
+    return {
+      stop: cfg.fibStopAt786 ? swing.high - range * 0.786 : swing.low,
+      tp1: swing.high,
+      tp2: cfg.fibUseTp2 ? swing.high + range * 0.618 : null,
+    };
+  }
+  return {
+    stop: cfg.fibStopAt786 ? swing.low + range * 0.786 : swing.high,
+    tp1: swing.low,
+    tp2: cfg.fibUseTp2 ? Math.max(0, swing.low - range * 0.618) : null,
+  };
+}
+
+function openPosition({ id, strategy, side, entryPrice, sizeGala, notionalUsd, levels, txId = null, simulated = false, ts = Date.now() }) {
+  return {
+    id, strategy, side,
+    entryPrice, sizeGala, remainingGala: sizeGala, notionalUsd,
+    stop: levels.stop, tp1: levels.tp1, tp2: levels.tp2,
+    initialStop: levels.stop,
+    bestPrice: entryPrice, trailStop: null, tp1Hit: false,
+    openedAt: ts, openTx: txId, simulated,
+    closes: [], realizedUsd: 0,
+  };
+}
+
+// Decide what to do at `price`. Mutates the trailing state (best price / trail stop) only.
+// → { action: 'hold' } | { action: 'close', fraction, reason }
+function evaluatePosition(pos, price, cfg, now = Date.now()) {
+  const long = pos.side === 'long';
+  const better = (a, b) => (long ? a > b : a < b);
+  if (better(price, pos.bestPrice)) pos.bestPrice = price;
+  if (cfg.trailPct > 0) {
+    const t = long ? pos.bestPrice * (1 - cfg.trailPct) : pos.bestPrice * (1 + cfg.trailPct);
+    if (pos.trailStop == null || better(t, pos.trailStop)) pos.trailStop = t;
+  }
+
+  const stopHit = long ? price <= pos.stop : price >= pos.stop;
+  const trailHit = pos.trailStop != null && (long ? price <= pos.trailStop : price >= pos.trailStop) && better(pos.trailStop, pos.stop);
+  if (trailHit) return { action: 'close', fraction: 1, reason: `trailing stop ${pos.trailStop.toPrecision(6)}` };
+  if (stopHit) return { action: 'close', fraction: 1, reason: pos.tp1Hit ? 'break-even stop' : `stop ${pos.stop.toPrecision(6)}` };
+
+  if (pos.tp2 != null && (long ? price >= pos.tp2 : price <= pos.tp2)) return { action: 'close', fraction: 1, reason: `TP2 ${pos.tp2.toPrecision(6)}` };
+  if (!pos.tp1Hit && (long ? price >= pos.tp1 : price <= pos.tp1)) {
+    const fraction = pos.tp2 == null ? 1 : cfg.tp1Fraction;
+    return { action: 'close', fraction, reason: `TP1 ${pos.tp1.toPrecision(6)}`, tp1: true };
+  }
+  if (cfg.maxHoldMin > 0 && now - pos.openedAt >= cfg.maxHoldMin * 60 * 1000) {
+    return { action: 'close', fraction: 1, reason: `max hold ${cfg.maxHoldMin} min` };
+  }
+  return { action: 'hold' };
+}
+
+// Book a (partial) close that went through. Returns true when the position is now flat (nothing,
+// or less than `dustGala`, left open).
+function applyClose(pos, { gala, exitPrice, reason, txId = null, tp1 = false, ts = Date.now(), dustGala = 0 }) {
+  const qty = Math.min(pos.remainingGala, Number(gala));
+  const pnl = (pos.side === 'long' ? exitPrice - pos.entryPrice : pos.entryPrice - exitPrice) * qty;
+  pos.remainingGala -= qty;
+  pos.realizedUsd += pnl;
+  pos.closes.push({ ts, gala: qty, exitPrice, pnlUsd: pnl, reason, txId });
+  if (tp1) {
+    pos.tp1Hit = true;
+    pos.stop = pos.entryPrice; // rest of the position can no longer lose
+  }
+  return pos.remainingGala <= Math.max(pos.sizeGala * 1e-6, Number(dustGala) || 0);
+}
+
+function archivePosition(state, pos, ts = Date.now()) {
+  state.positionHistory = (state.positionHistory || []).concat([{ ...pos, closedAt: ts }]).slice(-HISTORY_KEEP);
+}
+
+module.exports = {
+  positionConfigFromEnv,
+  pctLevels,
+  fibExitLevels,
+  openPosition,
+  evaluatePosition,
+  applyClose,
+  archivePosition,
+};
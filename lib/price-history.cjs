@@ -0,0 +1,277 @@
+// lib/price-history.cjs — historical USD prices: pluggable providers over an hourly on-disk price archive
+// Every valuation says where its price came from and how much to trust it, instead of quietly falling
+// back to today's spot price.
+//   - Archive: one state-store doc per token (`price_archive.<SYMBOL>`): hour bucket → { source → { price, ts } }.
+//     CoinGecko answers, recorded GalaSwap quotes and CSV imports all land there, so a cold start re-reads
+//     what earlier lookups paid for
+//   - Providers, tried in PRICE_PROVIDERS order (default csv,coingecko,galaswap,spot):
+//       csv       — rows imported with `import-csv` (ts,symbol,price or ts,GALA,ETH,… columns)
+//       coingecko — market_chart/range around the time (PRICE_COINGECKO_IDS, default GALA:gala,ETH:ethereum),
+//                   every returned point archived. prefetch() asks once for a whole range (a /txs/usd page,
+//                   a /performance replay); hours inside a range already asked for are not asked again
+//       galaswap  — spot quotes the bots and the sidecar recorded (record())
+//       spot      — a live quote, only for times within PRICE_SPOT_WINDOW_MIN (default 60) of now
+//     Stablecoins (PRICE_STABLES, default GUSDT,GUSDC,USDT,USDC) are priced at par (source par)
+//   - A provider's point counts when it is within PRICE_MAX_GAP_H hours (default 6) of the time.
+//     confidence: high (same hour, or par), medium (within the gap), none (no price: price null)
+//   - GWETH / WETH price as ETH
+//
+// CLI: node lib/price-history.cjs at SYMBOL TIME | import-csv FILE [--source=csv] | show SYMBOL [--since --until]
+
+const fs = require('fs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const COINGECKO_HOURLY_MS = 90 * 24 * HOUR_MS; // market_chart/range is hourly up to 90 days, daily beyond
+const PROVIDERS = ['csv', 'coingecko', 'galaswap', 'spot'];
+const ALIASES = { GWETH: 'ETH', WETH: 'ETH' };
+
+const num = (v, dflt) => (v == null || v === '' || !Number.isFinite(Number(v)) ? dflt : Number(v));
+const list = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// "GALA:gala,ETH:ethereum" (or a JSON object) → { GALA: 'gala', ETH: 'ethereum' }
+function parseCoingeckoIds(raw) {
+  if (!raw) return { GALA: 'gala', ETH: 'ethereum' };
+  const s = String(raw).trim();
+  const pairs = s.startsWith('{') ? Object.entries(JSON.parse(s)) : list(s).map(p => p.split(':').map(x => x.trim()));
+  return Object.fromEntries(pairs.filter(([k, id]) => k && id).map(([k, id]) => [k.toUpperCase(), id]));
+}
+
+function priceHistoryConfigFromEnv(env = process.env) {
+  const providers = list(env.PRICE_PROVIDERS || PROVIDERS.join(',')).map(p => p.toLowerCase());
+  for (const p of providers) if (!PROVIDERS.includes(p)) throw new Error(`PRICE_PROVIDERS: unknown provider "${p}" (${PROVIDERS.join(', ')})`);
+  return {
+    providers,
+    stables:       list(env.PRICE_STABLES || 'GUSDT,GUSDC,USDT,USDC').map(s => s.toUpperCase()),
+    coingeckoIds:  parseCoingeckoIds(env.PRICE_COINGECKO_IDS),
+    coingeckoBase: String(env.COINGECKO_BASE || 'https://api.coingecko.com/api/v3').replace(/\/$/, ''),
+    maxGapMs:      Math.max(0, num(env.PRICE_MAX_GAP_H, 6)) * HOUR_MS,
+    spotWindowMs:  Math.max(0, num(env.PRICE_SPOT_WINDOW_MIN, 60)) * 60 * 1000,
+    name:          env.PRICE_ARCHIVE_NAME || 'price_archive',
+  };
+}
+
+function emptyPriceArchive() {
+  return { version: 1, hours: {} };
+}
+const ARCHIVE_DOC = { schema: 1, defaults: emptyPriceArchive };
+
+const symbolKey = (s) => { const u = String(s || '').split('|')[0].trim().toUpperCase(); return ALIASES[u] || u; };
+const hourOf = (ts) => Math.floor(ts / HOUR_MS);
+
+// epoch s / ms or ISO → ms (null when unreadable)
+function toMs(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  const ms = Number.isFinite(n) ? (n < 2e10 ? n * 1000 : n) : Date.parse(String(v));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// CSV text → [{ symbol, ts, price }]. Long form: ts,symbol,price; wide form: ts,GALA,ETH,… (a header row is required)
+function parsePriceCsv(text) {
+  const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (!lines.length) return [];
+  const head = lines[0].split(',').map(h => h.trim());
+  const lower = head.map(h => h.toLowerCase());
+  const tsCol = lower.findIndex(h => ['ts', 'time', 'timestamp', 'date'].includes(h));
+  if (tsCol < 0) throw new Error('CSV needs a ts / time / timestamp / date column');
+  const symCol = lower.indexOf('symbol'), priceCol = lower.findIndex(h => ['price', 'usd', 'price_usd'].includes(h));
+  const rows = [];
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',').map(c => c.trim());
+    const ts = toMs(cells[tsCol]);
+    if (ts == null) continue;
+    if (symCol >= 0 && priceCol >= 0) {
+      const price = num(cells[priceCol], null);
+      if (price > 0) rows.push({ symbol: symbolKey(cells[symCol]), ts, price });
+      continue;
+    }
+    head.forEach((h, i) => {
+      if (i === tsCol) return;
+      const price = num(cells[i], null);
+      if (price > 0) rows.push({ symbol: symbolKey(h), ts, price });
+    });
+  }
+  return rows;
+}
+
+// store: lib/state-store.cjs store; fetchJson(url): CoinGecko GET (sidecar: through lib/market-data.cjs);
+// spot(symbol): live USD price of one unit, for the spot provider
+function createPriceHistory({ store, config = priceHistoryConfigFromEnv(), fetchJson = null, spot = null, log = console.log } = {}) {
+  const cfg = { ...priceHistoryConfigFromEnv({}), ...config };
+  const docName = (symbol) => `${cfg.name}.${symbol}`;
+  const getJson = fetchJson || (async (url) => {
+    const r = await fetch(url);
+    if (!r.ok) throw Object.assign(new Error(`HTTP ${r.status}`), { status: r.status });
+    return r.json();
+  });
+
+  // points = [{ ts, price }] of one source; an hour keeps its first point unless `replace`
+  async function archive(symbol, source, points, { replace = false } = {}) {
+    const sym = symbolKey(symbol);
+    const good = points.filter(p => Number.isFinite(p.ts) && p.price > 0);
+    if (!good.length) return 0;
+    await store.update(docName(sym), (doc) => {
+      for (const p of good) {
+        const h = doc.hours[hourOf(p.ts)] || (doc.hours[hourOf(p.ts)] = {});
+        if (replace || !h[source]) h[source] = { price: p.price, ts: p.ts };
+      }
+    }, ARCHIVE_DOC);
+    return good.length;
+  }
+
+  // Nearest archived point of `source` within the gap → { price, ts } | null
+  function nearest(doc, source, tMs) {
+    const h0 = hourOf(tMs), span = Math.ceil(cfg.maxGapMs / HOUR_MS);
+    let best = null;
+    for (let d = 0; d <= span; d++) {
+      for (const h of d ? [h0 - d, h0 + d] : [h0]) {
+        const p = doc.hours[h]?.[source];
+        if (p && Math.abs(p.ts - tMs) <= cfg.maxGapMs && (!best || Math.abs(p.ts - tMs) < Math.abs(best.ts - tMs))) best = p;
+      }
+      if (best && Math.abs(best.ts - tMs) <= d * HOUR_MS) break; // nothing further out can be nearer
+    }
+    return best;
+  }
+
+  // [fromMs, toMs] ranges CoinGecko answered for in this process, per token: whatever it had is archived,
+  // so an hour inside one that the archive cannot price is not worth another call
+  const askedRanges = new Map();
+  const asked = (sym, tMs) => (askedRanges.get(sym) || []).some(([a, b]) => tMs >= a && tMs <= b);
+
+  async function coingeckoRange(sym, fromMs, toMs) {
+    const id = cfg.coingeckoIds[sym];
+    const url = `${cfg.coingeckoBase}/coins/${encodeURIComponent(id)}/market_chart/range?vs_currency=usd&from=${Math.floor(fromMs / 1000)}&to=${Math.floor(toMs / 1000)}`;
+    const j = await getJson(url);
+    const points = (Array.isArray(j?.prices) ? j.prices : []).map(([t, p]) => ({ ts: Number(t), price: Number(p) }));
+    await archive(sym, 'coingecko', points);
+    (askedRanges.get(sym) || askedRanges.set(sym, []).get(sym)).push([fromMs, toMs]);
+    return points;
+  }
+
+  async function coingeckoPoint(sym, tMs) {
+    if (!cfg.coingeckoIds[sym] || asked(sym, tMs)) return null;
+    const points = await coingeckoRange(sym, tMs - HOUR_MS, tMs + HOUR_MS);
+    let best = null;
+    for (const p of points) if (p.price > 0 && (!best || Math.abs(p.ts - tMs) < Math.abs(best.ts - tMs))) best = p;
+    return best && Math.abs(best.ts - tMs) <= cfg.maxGapMs ? best : null;
+  }
+
+  const confidenceOf = (pointTs, tMs) => (hourOf(pointTs) === hourOf(tMs) || Math.abs(pointTs - tMs) <= HOUR_MS ? 'high' : 'medium');
+
+  // → { symbol, ts, price, source, confidence, pointTs, tried } (price null, confidence none when nobody had one)
+  async function priceAt(symbol, at) {
+    const sym = symbolKey(symbol);
+    const tMs = toMs(at);
+    if (tMs == null) throw new Error('time must be epoch seconds/ms or an ISO date');
+    if (cfg.stables.includes(sym)) return { symbol: sym, ts: tMs, price: 1, source: 'par', confidence: 'high', pointTs: tMs, tried: [] };
+    const doc = await store.load(docName(sym), ARCHIVE_DOC);
+    const tried = [];
+    for (const source of cfg.providers) {
+      let point = null;
+      try {
+        if (source === 'spot') {
+          if (spot && Math.abs(Date.now() - tMs) <= cfg.spotWindowMs) {
+            const price = Number(await spot(sym));
+            if (price > 0) {
+              point = { price, ts: Date.now() };
+              await archive(sym, 'galaswap', [point]); // a live quote is a recorded one from now on
+            }
+          }
+        } else {
+          point = nearest(doc, source, tMs);
+          if (!point && source === 'coingecko') point = await coingeckoPoint(sym, tMs);
+        }
+      } catch (e) {
+        tried.push({ source, error: e?.message || String(e) });
+        continue;
+      }
+      if (point) return { symbol: sym, ts: tMs, price: point.price, source, confidence: confidenceOf(point.ts, tMs), pointTs: point.ts, tried };
+      tried.push({ source, error: 'no price' });
+    }
+    return { symbol: sym, ts: tMs, price: null, source: null, confidence: 'none', pointTs: null, tried };
+  }
+
+  // Warm the archive before pricing many times in [since, until]: per token, one market_chart/range call
+  // (one per 90 days, to keep hourly points) over the hours that neither CoinGecko nor an earlier
+  // provider has a point for yet.
+  // → { SYMBOL: points fetched (0 = already covered, null = the call failed) }
+  async function prefetch(symbols, since, until) {
+    const at = cfg.providers.indexOf('coingecko');
+    const from = toMs(since), to = toMs(until);
+    if (at < 0 || from == null || to == null || to < from) return {};
+    const sources = cfg.providers.slice(0, at + 1).filter(p => p !== 'spot');
+    const out = {};
+    for (const sym of new Set([...symbols].map(symbolKey))) {
+      if (cfg.stables.includes(sym) || !cfg.coingeckoIds[sym]) continue;
+      const doc = await store.load(docName(sym), ARCHIVE_DOC);
+      const missing = [];
+      for (let h = hourOf(from); h <= hourOf(to); h++) {
+        const t = Math.min(Math.max(h * HOUR_MS, from), to);
+        if (!asked(sym, t) && !sources.some(source => nearest(doc, source, t))) missing.push(t);
+      }
+      if (!missing.length) { out[sym] = 0; continue; }
+      try {
+        const end = missing[missing.length - 1] + HOUR_MS;
+        out[sym] = 0;
+        for (let a = missing[0] - HOUR_MS; a < end; a += COINGECKO_HOURLY_MS) {
+          out[sym] += (await coingeckoRange(sym, a, Math.min(end, a + COINGECKO_HOURLY_MS))).length;
+        }
+      } catch (e) {
+        // Not retried hour by hour either (429s): this range prices from the other providers
+        (askedRanges.get(sym) || askedRanges.set(sym, []).get(sym)).push([missing[0] - HOUR_MS, missing[missing.length - 1] + HOUR_MS]);
+        log(`[PRICE-PREFETCH] ${sym}: ${e?.message || e}`);
+        out[sym] = null;
+      }
+    }
+    return out;
+  }
+
+  // A quote the caller just saw (galaswap) → archive
+  function record(symbol, price, { ts = Date.now(), source = 'galaswap' } = {}) {
+    return archive(symbol, source, [{ ts, price: Number(price) }], { replace: true });
+  }
+
+  // CSV text → { rows, symbols } archived under `source`
+  async function importCsv(text, { source = 'csv' } = {}) {
+    const rows = parsePriceCsv(text);
+    const bySymbol = new Map();
+    for (const r of rows) (bySymbol.get(r.symbol) || bySymbol.set(r.symbol, []).get(r.symbol)).push(r);
+    for (const [sym, points] of bySymbol) await archive(sym, source, points, { replace: true });
+    log(`[PRICE-IMPORT] ${rows.length} row(s) for ${[...bySymbol.keys()].join(', ') || 'no symbols'} as ${source}`);
+    return { rows: rows.length, symbols: [...bySymbol.keys()] };
+  }
+
+  // Archived hours of one token → [{ hour, ts, sources: { source: { price, ts } } }]
+  async function archived(symbol, { since = null, until = null } = {}) {
+    const doc = await store.load(docName(symbolKey(symbol)), ARCHIVE_DOC);
+    const from = toMs(since), to = toMs(until);
+    return Object.entries(doc.hours)
+      .map(([h, sources]) => ({ hour: Number(h), ts: Number(h) * HOUR_MS, sources }))
+      .filter(r => (from == null || r.ts >= hourOf(from) * HOUR_MS) && (to == null || r.ts <= to))
+      .sort((a, b) => a.hour - b.hour);
+  }
+
+  return { config: cfg, priceAt, prefetch, record, importCsv, archived };
+}
+
+module.exports = {
+  PROVIDERS,
+  priceHistoryConfigFromEnv,
+  parsePriceCsv,
+  emptyPriceArchive,
+  createPriceHistory,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2), { string: ['since', 'until', 'source', '_'] });
+  const { stateStoreFromEnv } = require('./state-store.cjs');
+  const prices = createPriceHistory({ store: stateStoreFromEnv(process.env, { writer: 'price-history' }) });
+  const cmd = args._[0];
+  (async () => {
+    if (cmd === 'at' && args._[1] && args._[2]) console.log(JSON.stringify(await prices.priceAt(args._[1], args._[2]), null, 2));
+    else if (cmd === 'import-csv' && args._[1]) console.log(JSON.stringify(await prices.importCsv(fs.readFileSync(args._[1], 'utf8'), { source: args.source || 'csv' }), null, 2));
+    else if (cmd === 'show' && args._[1]) console.log(JSON.stringify(await prices.archived(args._[1], args), null, 2));
+    else throw new Error('Usage: node lib/price-history.cjs at SYMBOL TIME | import-csv FILE [--source=csv] | show SYMBOL [--since --until]');
+  })().catch((e) => { console.error(e?.message || e); process.exit(1); });
+}
@@ -0,0 +1,138 @@
+// lib/rebalancer.cjs — target-weight portfolio rebalancing
+// The user declares target weights (REBALANCE_TARGETS="USDC:50,GALA:30,WETH:20"). Weights are
+// measured over the tradable portfolio: the GALA gas reserve (GAS_MIN_GALA, default 2) is never sold and
+// does not count. When a trigger fires, planRebalance() returns the fewest swaps that put every
+// asset back inside its band.
+//   - Triggers (REBALANCE_MODE): threshold (an asset drifted more than REBALANCE_BAND_PCT points
+//     from its target), periodic (every REBALANCE_PERIOD_MIN, all assets back to target) or both
+//   - Out-of-band assets go all the way to target; the counter-flow comes from the assets with
+//     the largest drift the other way, each only moved toward its own target
+//   - Surpluses and deficits are paired largest first, so n assets need at most n-1 swaps;
+//     swaps under REBALANCE_MIN_TRADE_USD are dropped
+// Pure planning; the bot quotes and executes the swaps (hybrid-bot.cjs tick fallback, or
+// `node hybrid-bot.cjs rebalance` standalone).
+
+const REBALANCE_MODES = ['threshold', 'periodic', 'both'];
+
+// "USDC:50,GALA:30,WETH:20" → { USDC: 0.5, GALA: 0.3, WETH: 0.2 } (normalized; aliases = known symbols)
+function parseTargets(spec, aliases) {
+  const out = {};
+  for (const part of String(spec || '').split(',').map(x => x.trim()).filter(Boolean)) {
+    const [sym, w] = part.split(':').map(x => x.trim());
+    const key = sym.toUpperCase();
+    if (aliases && !aliases.includes(key)) throw new Error(`REBALANCE_TARGETS: unknown asset "${sym}" (${aliases.join(' | ')})`);
+    const weight = Number(w);
+    if (!(weight >= 0)) throw new Error(`REBALANCE_TARGETS: bad weight for ${sym}: "${w}"`);
+    out[key] = weight;
+  }
+  const sum = Object.values(out).reduce((a, b) => a + b, 0);
+  if (Object.keys(out).length && !(sum > 0)) throw new Error('REBALANCE_TARGETS: weights sum to 0');
+  for (const k of Object.keys(out)) out[k] /= sum;
+  return out;
+}
+
+function rebalanceConfigFromEnv(env = process.env, aliases) {
+  const mode = String(env.REBALANCE_MODE || 'threshold').toLowerCase();
+  if (!REBALANCE_MODES.includes(mode)) throw new Error(`REBALANCE_MODE must be one of ${REBALANCE_MODES.join(' | ')}`);
+  return {
+    targets: parseTargets(env.REBALANCE_TARGETS, aliases), // {} = rebalancing off
+    bandPct: Math.max(0, Number(env.REBALANCE_BAND_PCT ?? 5)) / 100,
+    minTradeUsd: Math.max(0, Number(env.REBALANCE_MIN_TRADE_USD ?? 1)),
+    mode,
+    periodMin: Math.max(1, Number(env.REBALANCE_PERIOD_MIN ?? 1440)),
+    galaReserve: Math.max(0, Number(env.GAS_MIN_GALA || 2)), // same default as bot.cjs
+  };
+}
+
+const enabled = (cfg) => Object.keys(cfg.targets).length > 0;
+
+// Which trigger (if any) is due: 'threshold' | 'periodic' | null
+function dueTrigger(cfg, { outOfBand, lastAt = 0, now = Date.now() }) {
+  const periodic = now - Number(lastAt || 0) >= cfg.periodMin * 60 * 1000;
+  if ((cfg.mode === 'threshold' || cfg.mode === 'both') && outOfBand) return 'threshold';
+  if ((cfg.mode === 'periodic' || cfg.mode === 'both') && periodic) return 'periodic';
+  return null;
+}
+
+// holdings: { SYM: { qty, priceUsd } } (priceUsd = USD per unit; the stable is 1)
+// → { totalUsd, assets: { SYM: { valueUsd, weight, target, drift, outOfBand } }, outOfBand }
+function measure(holdings, cfg) {
+  const assets = {};
+  let totalUsd = 0;
+  for (const sym of Object.keys(cfg.targets)) {
+    const h = holdings[sym] || { qty: 0, priceUsd: 0 };
+    const tradable = sym === 'GALA' ? Math.max(0, Number(h.qty) - cfg.galaReserve) : Number(h.qty);
+    const valueUsd = tradable * Number(h.priceUsd || 0);
+    assets[sym] = { qty: tradable, priceUsd: Number(h.priceUsd || 0), valueUsd };
+    totalUsd += valueUsd;
+  }
+  let outOfBand = false;
+  for (const [sym, a] of Object.entries(assets)) {
+    a.target = cfg.targets[sym];
+    a.weight = totalUsd > 0 ? a.valueUsd / totalUsd : 0;
+    a.drift = a.weight - a.target;
+    a.outOfBand = totalUsd > 0 && Math.abs(a.drift) > cfg.bandPct;
+    if (a.outOfBand) outOfBand = true;
+  }
+  return { totalUsd, assets, outOfBand };
+}
+
+// Fewest swaps that bring the out-of-band assets (all assets when `full`) to target.
+// → { ...measure(), trades: [{ from, to, usd }], dropped: [{ from, to, usd }] }
+function planRebalance(holdings, cfg, { full = false } = {}) {
+  const m = measure(holdings, cfg);
+  const trades = [], dropped = [];
+  if (!(m.totalUsd > 0)) return { ...m, trades, dropped };
+
+  const excess = {}; // USD above target (+) / below (−)
+  for (const [sym, a] of Object.entries(m.assets)) excess[sym] = a.valueUsd - a.target * m.totalUsd;
+  const movers = Object.keys(excess).filter(s => full || m.assets[s].outOfBand);
+
+  const sell = {}, buy = {};
+  for (const s of movers) {
+    if (excess[s] > 0) sell[s] = excess[s];
+    else if (excess[s] < 0) buy[s] = -excess[s];
+  }
+  // Balance the flow with the other assets, largest drift first, never past their own target
+  const sum = (o) => Object.values(o).reduce((a, b) => a + b, 0);
+  let gap = sum(sell) - sum(buy);
+  const others = Object.keys(excess).filter(s => !movers.includes(s))
+    .sort((a, b) => Math.abs(excess[b]) - Math.abs(excess[a]));
+  for (const s of others) {
+    if (Math.abs(gap) < 1e-9) break;
+    if (gap > 0 && excess[s] < 0) { const x = Math.min(gap, -excess[s]); buy[s] = x; gap -= x; }
+    else if (gap < 0 && excess[s] > 0) { const x = Math.min(-gap, excess[s]); sell[s] = x; gap += x; }
+  }
+
+  // Pair largest surplus with largest deficit until one side is exhausted
+  const sellers = Object.entries(sell).sort((a, b) => b[1] - a[1]);
+  const buyers = Object.entries(buy).sort((a, b) => b[1] - a[1]);
+  while (sellers.length && buyers.length) {
+    const [from, s] = sellers[0], [to, b] = buyers[0];
+    const usd = Math.min(s, b);
+    (usd >= cfg.minTradeUsd ? trades : dropped).push({ from, to, usd });
+    sellers[0][1] -= usd; buyers[0][1] -= usd;
+    if (sellers[0][1] <= 1e-9) sellers.shift();
+    if (buyers[0][1] <= 1e-9) buyers.shift();
+    sellers.sort((a, b2) => b2[1] - a[1]);
+    buyers.sort((a, b2) => b2[1] - a[1]);
+  }
+  return { ...m, trades, dropped };
+}
+
+// Compact weights for logs: { USDC: '48.2% (50%)', … }
+function weightSummary(plan) {
+  return Object.fromEntries(Object.entries(plan.assets).map(([s, a]) =>
+    [s, `${(a.weight * 100).toFixed(1)}% (${(a.target * 100).toFixed(0)}%)${a.outOfBand ? ' !' : ''}`]));
+}
+
+module.exports = {
+  REBALANCE_MODES,
+  parseTargets,
+  rebalanceConfigFromEnv,
+  enabled,
+  dueTrigger,
+  measure,
+  planRebalance,
+  weightSummary,
+};
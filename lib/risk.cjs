@@ -0,0 +1,225 @@
+// lib/risk.cjs — account-level risk engine shared by every bot
+// Every swap is checked here right before it is submitted:
+//   - daily / weekly notional spend caps (rolling 24h / 7d, USD)
+//   - max trades per rolling window
+//   - max exposure per non-stable asset as % of portfolio value (buys only)
+//   - max drawdown from peak equity (tracked per bot) → kill switch; halts ALL bots until re-armed by hand
+// State (trade history, peak equity, halt flag, recent rejections) lives in RISK_STATE_FILE,
+// shared by all bots and carried between stateless runs like the ledger.
+//
+// CLI:  node lib/risk.cjs status
+//       node lib/risk.cjs rearm [note]
+
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./json-file.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MAX_REJECTIONS_KEPT = 200;
+
+function num(v, dflt) { const n = Number(v); return v == null || v === '' || !Number.isFinite(n) ? dflt : n; }
+
+// 0 (or unset) disables a limit
+function riskLimitsFromEnv(env = process.env) {
+  return {
+    dailyNotionalUsd:  Math.max(0, num(env.RISK_DAILY_NOTIONAL_USD, 0)),
+    weeklyNotionalUsd: Math.max(0, num(env.RISK_WEEKLY_NOTIONAL_USD, 0)),
+    maxAssetPct:       Math.max(0, num(env.RISK_MAX_ASSET_PCT, 0)),
+    maxTrades:         Math.max(0, num(env.RISK_MAX_TRADES, 0)),
+    tradeWindowMin:    Math.max(1, num(env.RISK_TRADE_WINDOW_MIN, 60)),
+    maxDrawdownPct:    Math.max(0, num(env.RISK_MAX_DRAWDOWN_PCT, 0)),
+    stables: String(env.RISK_STABLES || 'GUSDC,GUSDT,USDC,USDT')
+      .split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+  };
+}
+
+function riskStateFile(env = process.env) {
+  return env.RISK_STATE_FILE || path.join(process.cwd(), 'risk_state.json');
+}
+
+function emptyRiskState() {
+  return { version: 1, trades: [], equity: {}, halted: null, rejections: [] };
+}
+
+function symbolOf(token) { return String(token || '').split('|')[0].toUpperCase(); }
+
+function notionalSince(state, sinceMs) {
+  return state.trades.filter(t => t.ts >= sinceMs).reduce((s, t) => s + Number(t.notionalUsd || 0), 0);
+}
+
+function drawdownPct(state, bot) {
+  const e = state.equity?.[bot] || {};
+  const peak = Number(e.peakUsd), eq = Number(e.lastUsd);
+  if (!(peak > 0) || !Number.isFinite(eq)) return 0;
+  return Math.max(0, (peak - eq) / peak) * 100;
+}
+
+// USD notional still allowed under the daily / weekly caps (Infinity when neither is set).
+// Sizing uses this to keep a search range inside what check() would accept.
+function notionalHeadroom(state, limits, now = Date.now()) {
+  let room = Infinity;
+  if (limits.dailyNotionalUsd > 0) room = Math.min(room, limits.dailyNotionalUsd - notionalSince(state, now - DAY_MS));
+  if (limits.weeklyNotionalUsd > 0) room = Math.min(room, limits.weeklyNotionalUsd - notionalSince(state, now - WEEK_MS));
+  return state.halted ? 0 : Math.max(0, room);
+}
+
+// Pure check. trade = { bot, tokenIn, tokenOut, notionalUsd, legs? }, portfolio = { totalUsd, byAsset: { SYM: usd } }
+function evaluateTrade(state, limits, trade, portfolio, now = Date.now()) {
+  if (state.halted) return { ok: false, reason: `kill switch engaged since ${new Date(state.halted.at).toISOString()} (${state.halted.reason}); re-arm required` };
+
+  const notional = Math.max(0, Number(trade.notionalUsd || 0));
+  const legs = Math.max(1, Number(trade.legs || 1));
+
+  if (limits.dailyNotionalUsd > 0) {
+    const used = notionalSince(state, now - DAY_MS);
+    if (used + notional > limits.dailyNotionalUsd) {
+      return { ok: false, reason: `daily notional cap: ${used.toFixed(2)} + ${notional.toFixed(2)} > ${limits.dailyNotionalUsd} USD` };
+    }
+  }
+  if (limits.weeklyNotionalUsd > 0) {
+    const used = notionalSince(state, now - WEEK_MS);
+    if (used + notional > limits.weeklyNotionalUsd) {
+      return { ok: false, reason: `weekly notional cap: ${used.toFixed(2)} + ${notional.toFixed(2)} > ${limits.weeklyNotionalUsd} USD` };
+    }
+  }
+  if (limits.maxTrades > 0) {
+    const since = now - limits.tradeWindowMin * 60 * 1000;
+    const count = state.trades.filter(t => t.ts >= since).reduce((s, t) => s + Number(t.legs || 1), 0);
+    if (count + legs > limits.maxTrades) {
+      return { ok: false, reason: `trade count cap: ${count} + ${legs} > ${limits.maxTrades} per ${limits.tradeWindowMin} min` };
+    }
+  }
+  if (limits.maxAssetPct > 0 && portfolio && Number(portfolio.totalUsd) > 0) {
+    const sym = symbolOf(trade.tokenOut);
+    if (sym && !limits.stables.includes(sym)) {
+      const held = Number(portfolio.byAsset?.[sym] || 0);
+      const pct = ((held + notional) / Number(portfolio.totalUsd)) * 100;
+      if (pct > limits.maxAssetPct) {
+        return { ok: false, reason: `exposure cap: ${sym} would be ${pct.toFixed(2)}% of portfolio > ${limits.maxAssetPct}%` };
+      }
+    }
+  }
+  return { ok: true };
+}
+
+function createRiskGuard({ bot, file = riskStateFile(), limits = riskLimitsFromEnv(), log = console.log } = {}) {
+  const load = () => ({ ...emptyRiskState(), ...readJson(file, emptyRiskState) });
+  const save = (state) => {
+    // keep only what the longest window can still see
+    const horizon = Date.now() - WEEK_MS;
+    state.trades = state.trades.filter(t => t.ts >= horizon);
+    state.rejections = state.rejections.slice(-MAX_REJECTIONS_KEPT);
+    writeJsonAtomic(file, state);
+  };
+
+  // Feed the latest portfolio value; trips the kill switch on max drawdown from this bot's peak.
+  // Non-positive marks are ignored: they almost always mean a failed balance read, not a wipe-out.
+  function markEquity(equityUsd) {
+    const eq = Number(equityUsd);
+    const state = load();
+    if (!(eq > 0)) return { halted: Boolean(state.halted), drawdownPct: drawdownPct(state, bot) };
+    const e = state.equity[bot] || (state.equity[bot] = { peakUsd: null, lastUsd: null });
+    e.lastUsd = eq;
+    e.at = Date.now();
+    if (!(Number(e.peakUsd) >= eq)) e.peakUsd = eq;
+    const dd = drawdownPct(state, bot);
+    if (!state.halted && limits.maxDrawdownPct > 0 && dd >= limits.maxDrawdownPct) {
+      state.halted = { at: Date.now(), by: bot, reason: `${bot} drawdown ${dd.toFixed(2)}% ≥ ${limits.maxDrawdownPct}% (peak ${e.peakUsd}, now ${eq})` };
+      log(`[RISK-HALT] ${state.halted.reason} — all trading stopped until re-armed (node lib/risk.cjs rearm)`);
+    }
+    save(state);
+    return { halted: Boolean(state.halted), drawdownPct: dd };
+  }
+
+  // Gate one swap (or one multi-leg cycle). Rejections are logged and persisted with the reason.
+  function check(trade, portfolio) {
+    const state = load();
+    const res = evaluateTrade(state, limits, { bot, ...trade }, portfolio);
+    if (!res.ok) {
+      log(`[RISK-REJECT] ${bot}: ${symbolOf(trade.tokenIn)}->${symbolOf(trade.tokenOut)} $${Number(trade.notionalUsd || 0).toFixed(2)} — ${res.reason}`);
+      state.rejections.push({ ts: Date.now(), bot, tokenIn: trade.tokenIn, tokenOut: trade.tokenOut, notionalUsd: Number(trade.notionalUsd || 0), reason: res.reason });
+      save(state);
+    }
+    return res;
+  }
+
+  // Count a submitted swap against the caps → its ref for release(): the txId, or a generated
+  // id when the swap is gated before it has one
+  function record(trade) {
+    const state = load();
+    const ts = Date.now();
+    const ref = trade.txId || `${bot}-${ts}-${Math.random().toString(36).slice(2, 8)}`;
+    state.trades.push({
+      ts, bot,
+      tokenIn: trade.tokenIn, tokenOut: trade.tokenOut,
+      notionalUsd: Math.max(0, Number(trade.notionalUsd || 0)),
+      legs: Math.max(1, Number(trade.legs || 1)),
+      txId: trade.txId || null,
+      ref,
+    });
+    save(state);
+    return ref;
+  }
+
+  // Give back a recorded swap (by txId or ref) that failed on chain: it moved nothing, so it does not count
+  function release(ref) {
+    if (!ref) return false;
+    const state = load();
+    const n = state.trades.length;
+    state.trades = state.trades.filter(t => t.txId !== ref && t.ref !== ref);
+    if (state.trades.length === n) return false;
+    save(state);
+    return true;
+  }
+
+  function isHalted() { return load().halted; }
+  function headroomUsd() { return notionalHeadroom(load(), limits); }
+
+  return { limits, file, check, record, release, markEquity, isHalted, headroomUsd, load };
+}
+
+// Manual re-arm: clears the halt and restarts every bot's peak tracking from its next equity mark
+function rearmRisk(file = riskStateFile(), note = '') {
+  const state = { ...emptyRiskState(), ...readJson(file, emptyRiskState) };
+  const was = state.halted;
+  state.halted = null;
+  state.equity = {};
+  state.rearmed = { at: Date.now(), note, previous: was };
+  writeJsonAtomic(file, state);
+  return was;
+}
+
+module.exports = {
+  riskLimitsFromEnv,
+  riskStateFile,
+  emptyRiskState,
+  evaluateTrade,
+  notionalHeadroom,
+  drawdownPct,
+  createRiskGuard,
+  rearmRisk,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const [cmd, ...rest] = process.argv.slice(2);
+  const file = riskStateFile();
+  if (cmd === 'rearm') {
+    const was = rearmRisk(file, rest.join(' '));
+    console.log(was ? `✅ Re-armed (was halted: ${was.reason})` : 'Not halted; peak equity reset.');
+  } else {
+    const state = { ...emptyRiskState(), ...readJson(file, emptyRiskState) };
+    const now = Date.now();
+    console.log(JSON.stringify({
+      file,
+      limits: riskLimitsFromEnv(),
+      halted: state.halted,
+      equity: Object.fromEntries(Object.entries(state.equity).map(([bot, e]) => (
+        [bot, { ...e, drawdownPct: Number(drawdownPct(state, bot).toFixed(2)) }]
+      ))),
+      notional24hUsd: Number(notionalSince(state, now - DAY_MS).toFixed(2)),
+      notional7dUsd: Number(notionalSince(state, now - WEEK_MS).toFixed(2)),
+      recentRejections: state.rejections.slice(-10),
+    }, null, 2));
+  }
+}
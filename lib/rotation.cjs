@@ -0,0 +1,123 @@
+// lib/rotation.cjs — configurable buy rotation for the flip-flop bot
+// Config (JSON, from BUY_ROTATION or the file named by BUY_ROTATION_FILE):
+//   {
+//     "mode": "round-robin" | "weighted-random" | "deficit",
+//     "tokens": [
+//       { "classKey": "GALA|Unit|none|none",  "weight": 2, "maxUsd": 250 },
+//       { "classKey": "GWETH|Unit|none|none", "weight": 1, "slippageBps": 100, "usdCents": 500 }
+//     ]
+//   }
+// - weight:      relative share (weighted-random odds / deficit target weight)
+// - maxUsd:      stop buying once the holding is worth at least this much (optional)
+// - slippageBps / usdCents: per-token overrides for SLIPPAGE_BPS / BOT_USD_CENTS (optional)
+// Without config the rotation is GALA, GWETH round-robin (the original even/odd flip).
+
+const fs = require('fs');
+
+const ROTATION_MODES = ['round-robin', 'weighted-random', 'deficit'];
+
+const DEFAULT_ROTATION = {
+  mode: 'round-robin',
+  tokens: [
+    { classKey: 'GALA|Unit|none|none', weight: 1 },
+    { classKey: 'GWETH|Unit|none|none', weight: 1 },
+  ],
+};
+
+function symbolOf(classKey) { return String(classKey).split('|')[0].toUpperCase(); }
+
+function optNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeRotation(raw) {
+  const cfg = raw && typeof raw === 'object' ? raw : {};
+  const mode = String(cfg.mode || DEFAULT_ROTATION.mode).toLowerCase();
+  if (!ROTATION_MODES.includes(mode)) {
+    throw new Error(`Unknown rotation mode "${cfg.mode}" (use ${ROTATION_MODES.join(' | ')})`);
+  }
+  const list = Array.isArray(cfg.tokens) && cfg.tokens.length ? cfg.tokens : DEFAULT_ROTATION.tokens;
+  const tokens = list.map((t) => {
+    const classKey = String(typeof t === 'string' ? t : t.classKey || '').trim();
+    if (classKey.split('|').length !== 4) throw new Error(`Rotation token needs a full class key, got "${classKey}"`);
+    return {
+      classKey,
+      symbol: String(t.symbol || symbolOf(classKey)).toUpperCase(),
+      weight: Math.max(0, optNumber(t.weight) ?? 1),
+      maxUsd: optNumber(t.maxUsd),
+      slippageBps: optNumber(t.slippageBps),
+      usdCents: optNumber(t.usdCents),
+    };
+  });
+  return { mode, tokens };
+}
+
+// Reads BUY_ROTATION (inline JSON) or BUY_ROTATION_FILE; BUY_ROTATION_MODE overrides the mode
+function loadRotation(env = process.env) {
+  let raw = null;
+  if (env.BUY_ROTATION) raw = JSON.parse(env.BUY_ROTATION);
+  else if (env.BUY_ROTATION_FILE) raw = JSON.parse(fs.readFileSync(env.BUY_ROTATION_FILE, 'utf8'));
+  const cfg = { ...(raw || DEFAULT_ROTATION) };
+  if (env.BUY_ROTATION_MODE) cfg.mode = env.BUY_ROTATION_MODE;
+  return normalizeRotation(cfg);
+}
+
+// Tokens whose holding is still under its cap. `valuesUsd` maps symbol → current USD value.
+function eligibleTokens(rotation, valuesUsd = {}) {
+  return rotation.tokens.filter((t) => t.maxUsd == null || Number(valuesUsd[t.symbol] || 0) < t.maxUsd);
+}
+
+// Pick the next token to buy, or null when every token is capped.
+//   slot:      integer time slot (round-robin position)
+//   valuesUsd: symbol → USD value of the current holding (caps + deficit mode)
+//   rng:       () => [0,1) (weighted-random)
+function pickRotationToken(rotation, { slot = 0, valuesUsd = {}, rng = Math.random } = {}) {
+  const eligible = eligibleTokens(rotation, valuesUsd);
+  if (eligible.length === 0) return null;
+
+  if (rotation.mode === 'round-robin') {
+    // Walk the full list from this slot's position so capped tokens are skipped, not reshuffled
+    const n = rotation.tokens.length;
+    for (let i = 0; i < n; i++) {
+      const t = rotation.tokens[(slot + i) % n];
+      if (eligible.includes(t)) return t;
+    }
+    return null;
+  }
+
+  const totalWeight = eligible.reduce((s, t) => s + t.weight, 0);
+  if (!(totalWeight > 0)) return eligible[0];
+
+  if (rotation.mode === 'weighted-random') {
+    let r = rng() * totalWeight;
+    for (const t of eligible) {
+      r -= t.weight;
+      if (r < 0) return t;
+    }
+    return eligible[eligible.length - 1];
+  }
+
+  // deficit: buy whichever token is furthest below its target share of the rotation's value
+  const allWeight = rotation.tokens.reduce((s, t) => s + t.weight, 0) || 1;
+  const totalValue = rotation.tokens.reduce((s, t) => s + Math.max(0, Number(valuesUsd[t.symbol] || 0)), 0);
+  let best = null, bestGap = -Infinity;
+  for (const t of eligible) {
+    const target = t.weight / allWeight;
+    const share = totalValue > 0 ? Math.max(0, Number(valuesUsd[t.symbol] || 0)) / totalValue : 0;
+    const gap = target - share;
+    if (gap > bestGap) { bestGap = gap; best = t; }
+  }
+  return best;
+}
+
+module.exports = {
+  ROTATION_MODES,
+  DEFAULT_ROTATION,
+  symbolOf,
+  normalizeRotation,
+  loadRotation,
+  eligibleTokens,
+  pickRotationToken,
+};
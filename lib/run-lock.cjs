@@ -0,0 +1,191 @@
+// lib/run-lock.cjs — run lock + per-slot idempotency journal
+// Stops two ticks of the same bot from trading in the same slot, whoever started them
+// (Actions schedule, workflow_dispatch, Netlify schedule, hybrid loop + cron side by side).
+//   - Lease lock per bot with expiry: a holder that died frees the lock after ttlMs
+//   - Journal keyed by bot + slot: the run and every planned / submitted swap
+//   - A slot that already finished is a no-op on re-run; a run that crashed mid-way is
+//     reported on the next start (and its slot is skipped if it had submitted swaps)
+//
+// Stores are pluggable. Anything implementing this interface works (all methods async):
+//   acquireLease(name, owner, ttlMs) → { ok, holder }
+//   releaseLease(name, owner)
+//   getJournal(bot, slot) → entry | null
+//   putJournal(bot, slot, entry)
+//   listJournal(bot) → entry[]
+// Built in: createFileLockStore(dir) (default; RUN_STATE_DIR) and createMemoryLockStore().
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('./json-file.cjs');
+
+const JOURNAL_KEEP = 500; // slots kept per bot
+
+function newRunId() { return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`; }
+
+// ---------------------------------------------------------------------------
+// File store: lease = lock file created with O_EXCL; journal = one JSON file per bot
+// ---------------------------------------------------------------------------
+function createFileLockStore(dir = process.env.RUN_STATE_DIR || path.join(process.cwd(), '.bot-runs')) {
+  const lockFile = (name) => path.join(dir, `${name}.lock`);
+  const journalFile = (bot) => path.join(dir, `${bot}.journal.json`);
+
+  function tryCreate(file, lease) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(lease), { flag: 'wx' });
+      return true;
+    } catch (e) {
+      if (e.code === 'EEXIST') return false;
+      throw e;
+    }
+  }
+
+  return {
+    kind: 'file',
+    dir,
+    async acquireLease(name, owner, ttlMs) {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = lockFile(name);
+      const lease = { owner, pid: process.pid, acquiredAt: Date.now(), expiresAt: Date.now() + ttlMs };
+      if (tryCreate(file, lease)) return { ok: true, holder: lease };
+
+      const held = readJson(file, null);
+      if (held && held.expiresAt > Date.now()) return { ok: false, holder: held };
+
+      // Expired (or unreadable): move it aside first so only one contender can steal it
+      const aside = `${file}.${owner}.stale`;
+      try { fs.renameSync(file, aside); } catch { return { ok: false, holder: held }; }
+      try { fs.unlinkSync(aside); } catch {}
+      return tryCreate(file, lease) ? { ok: true, holder: lease, stolenFrom: held } : { ok: false, holder: readJson(file, null) };
+    },
+    async releaseLease(name, owner) {
+      const file = lockFile(name);
+      const held = readJson(file, null);
+      if (held && held.owner === owner) { try { fs.unlinkSync(file); } catch {} }
+    },
+    async getJournal(bot, slot) {
+      return readJson(journalFile(bot), {})[slot] || null;
+    },
+    async putJournal(bot, slot, entry) {
+      const all = readJson(journalFile(bot), {});
+      all[slot] = entry;
+      const keys = Object.keys(all).sort((a, b) => Number(a) - Number(b));
+      for (const k of keys.slice(0, Math.max(0, keys.length - JOURNAL_KEEP))) delete all[k];
+      writeJsonAtomic(journalFile(bot), all);
+    },
+    async listJournal(bot) {
+      return Object.values(readJson(journalFile(bot), {}));
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Memory store: single-process stand-in (tests, sims, custom backends to copy from)
+// ---------------------------------------------------------------------------
+function createMemoryLockStore() {
+  const leases = new Map();
+  const journal = new Map(); // bot → Map(slot → entry)
+  const forBot = (bot) => journal.get(bot) || journal.set(bot, new Map()).get(bot);
+  return {
+    kind: 'memory',
+    async acquireLease(name, owner, ttlMs) {
+      const held = leases.get(name);
+      if (held && held.expiresAt > Date.now() && held.owner !== owner) return { ok: false, holder: held };
+      const lease = { owner, pid: process.pid, acquiredAt: Date.now(), expiresAt: Date.now() + ttlMs };
+      leases.set(name, lease);
+      return { ok: true, holder: lease, stolenFrom: held && held.owner !== owner ? held : undefined };
+    },
+    async releaseLease(name, owner) {
+      if (leases.get(name)?.owner === owner) leases.delete(name);
+    },
+    async getJournal(bot, slot) { return forBot(bot).get(String(slot)) || null; },
+    async putJournal(bot, slot, entry) { forBot(bot).set(String(slot), entry); },
+    async listJournal(bot) { return [...forBot(bot).values()]; },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Run guard
+// ---------------------------------------------------------------------------
+// Starts a run for (bot, slot). Resolves to { skip: true, reason } when another run holds
+// the lock or the slot was already executed; otherwise to a run handle:
+//   run.planSwap(desc) → swapId        (journal BEFORE submitting)
+//   run.markSubmitted(swapId, txId)
+//   run.markOutcome(swapId, outcome)   ({ status, reason? })
+//   run.finish(status = 'done')        (journals the run and releases the lock)
+// runId: the caller's id for this run (e.g. its event log's), so journal and logs line up
+async function beginRun({ store = createFileLockStore(), bot, slot, ttlMs = 15 * 60 * 1000, force = false, runId = newRunId(), log = console.log }) {
+  const lockName = `${bot}`;
+  const lease = await store.acquireLease(lockName, runId, ttlMs);
+  if (!lease.ok) {
+    const h = lease.holder || {};
+    return { skip: true, reason: `locked by run ${h.owner} (pid ${h.pid}) until ${new Date(h.expiresAt || 0).toISOString()}` };
+  }
+  if (lease.stolenFrom) log(`[RUN-LOCK] Took over expired lock from run ${lease.stolenFrom.owner}`);
+
+  // Report runs that never finished (we hold the lock, so their owner is gone)
+  const crashed = [];
+  for (const e of await store.listJournal(bot)) {
+    if (e.status !== 'running' || e.runId === runId) continue;
+    const submitted = e.swaps.filter(s => s.status === 'submitted');
+    const planned = e.swaps.filter(s => s.status === 'planned');
+    log(`[RUN-CRASHED] ${bot} slot=${e.slot} run=${e.runId} started ${new Date(e.startedAt).toISOString()}: ` +
+      `${submitted.length} swap(s) submitted without outcome, ${planned.length} planned but not sent` +
+      (submitted.length ? ` — check txIds ${submitted.map(s => s.txId).join(', ')}` : ''));
+    e.status = 'crashed';
+    e.detectedAt = Date.now();
+    e.detectedBy = runId;
+    await store.putJournal(bot, e.slot, e);
+    crashed.push(e);
+  }
+
+  const prev = await store.getJournal(bot, slot);
+  if (prev && !force) {
+    const sentSwaps = (prev.swaps || []).some(s => s.status !== 'planned');
+    if (prev.status === 'done' || sentSwaps) {
+      await store.releaseLease(lockName, runId);
+      return { skip: true, reason: `slot ${slot} already executed by run ${prev.runId} (${prev.status})`, crashed };
+    }
+  }
+
+  const entry = { bot, slot, runId, status: 'running', startedAt: Date.now(), finishedAt: null, swaps: [], previous: prev ? prev.runId : null };
+  await store.putJournal(bot, slot, entry);
+
+  let seq = 0;
+  const save = () => store.putJournal(bot, slot, entry);
+  const findSwap = (id) => entry.swaps.find(s => s.id === id);
+
+  return {
+    skip: false,
+    runId,
+    slot,
+    crashed,
+    async planSwap(desc) {
+      const id = `${runId}#${++seq}`;
+      entry.swaps.push({ id, ...desc, status: 'planned', plannedAt: Date.now(), txId: null });
+      await save();
+      return id;
+    },
+    async markSubmitted(id, txId) {
+      const s = findSwap(id); if (!s) return;
+      s.status = 'submitted'; s.txId = txId || null; s.submittedAt = Date.now();
+      await save();
+    },
+    async markOutcome(id, outcome = {}) {
+      const s = findSwap(id); if (!s) return;
+      s.status = outcome.status || 'unknown';
+      if (outcome.reason) s.reason = outcome.reason;
+      if (outcome.txId && !s.txId) s.txId = outcome.txId;
+      s.settledAt = Date.now();
+      await save();
+    },
+    async finish(status = 'done') {
+      entry.status = status;
+      entry.finishedAt = Date.now();
+      await save();
+      await store.releaseLease(lockName, runId);
+    },
+  };
+}
+
+module.exports = { createFileLockStore, createMemoryLockStore, beginRun, newRunId };
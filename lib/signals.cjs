@@ -0,0 +1,157 @@
+// lib/signals.cjs — hybrid-bot.cjs signal strategies as pure functions over the bot state
+// Shared by the live bot and the backtester (lib/backtest.cjs), so a backtest replays exactly the
+// rules that trade. State is the hybrid state shape: { ema, prices: [{ t, p }], candles }.
+//   - MOMENTUM / MEAN_REVERT: price vs trend reference (EMA(SIGNAL_EMA_PERIOD) of closes, else the
+//     per-sample EMA_ALPHA average) beyond MOMENTUM_TH / MEANREV_TH
+//   - FIBONACCI: retrace into the 50–61.8% pocket (38.2–61.8% with FIB_ENTRY_50_618=false) of the
+//     swing over FIB_LOOKBACK candles, in the direction of the trend
+//   - RSI_REVERT (RSI_PERIOD, RSI_OVERSOLD / RSI_OVERBOUGHT), BOLLINGER_BREAKOUT (BB_PERIOD, BB_MULT)
+// Every signal → { action: BUY | SELL | NONE, reason } (FIBONACCI adds the `swing` for exits).
+
+const { timeframeMs, emptyCandleBook, updateCandleBook, closes } = require('./candles.cjs');
+const { last, ema, rsi, bollinger } = require('./indicators.cjs');
+
+const STRATEGY_NAMES = ['MOMENTUM', 'MEAN_REVERT', 'FIBONACCI', 'RSI_REVERT', 'BOLLINGER_BREAKOUT'];
+
+function signalConfigFromEnv(env = process.env) {
+  const cfg = {
+    timeframe:     env.SIGNAL_TIMEFRAME || '5m',
+    emaPeriod:     Math.max(0, Number(env.SIGNAL_EMA_PERIOD || 0)), // >0: trend = EMA(n) of closes; 0: per-sample emaAlpha
+    emaAlpha:      Number(env.EMA_ALPHA || 0.2),
+    momentumTh:    Number(env.MOMENTUM_TH || 0.004),
+    meanrevTh:     Number(env.MEANREV_TH || 0.006),
+    rsiPeriod:     Math.max(2, Number(env.RSI_PERIOD || 14)),
+    rsiOversold:   Number(env.RSI_OVERSOLD || 30),
+    rsiOverbought: Number(env.RSI_OVERBOUGHT || 70),
+    bbPeriod:      Math.max(2, Number(env.BB_PERIOD || 20)),
+    bbMult:        Number(env.BB_MULT || 2),
+    fibLookback:   Number(env.FIB_LOOKBACK || 96), // in `timeframe` candles
+    entry50618:    (env.FIB_ENTRY_50_618 || 'true').toLowerCase() === 'true', // only enter in the 50–61.8% pocket
+  };
+  timeframeMs(cfg.timeframe); // fail fast on a typo
+  return cfg;
+}
+
+// STRATEGIES="MOMENTUM,FIBONACCI" → those names (all when unset); unknown names are ignored
+function enabledStrategies(spec) {
+  if (!spec) return STRATEGY_NAMES.slice();
+  const want = String(spec).split(',').map(x => x.trim().toUpperCase());
+  return STRATEGY_NAMES.filter(n => want.includes(n));
+}
+
+const emaUpdate = (prev, p, alpha) => (prev == null ? p : alpha * p + (1 - alpha) * prev);
+
+// Swing high / low over the last `lookback` candles (indices are candle positions)
+function findSwing(candles, lookback) {
+  const arr = candles.slice(-lookback);
+  if (arr.length < 5) return null;
+  let hi = -Infinity, lo = Infinity, hiIdx = -1, loIdx = -1;
+  for (let i = 0; i < arr.length; i++) { if (arr[i].h > hi) { hi = arr[i].h; hiIdx = i; } if (arr[i].l < lo) { lo = arr[i].l; loIdx = i; } }
+  const base = candles.length - arr.length;
+  return { high: hi, highAt: base + hiIdx, low: lo, lowAt: base + loIdx };
+}
+
+function fibLevels(low, high) {
+  const range = high - low;
+  return {
+    l382: high - range * 0.382,
+    l500: high - range * 0.500,
+    l618: high - range * 0.618,
+    r382: low + range * 0.382, // for downtrend retrace
+    r500: low + range * 0.500,
+    r618: low + range * 0.618,
+  };
+}
+
+function createSignals(cfg) {
+  const signalCandles = (state) => state.candles?.[cfg.timeframe] || [];
+
+  // One spot sample: trend EMA, raw sample history (kept for the sim / tester) and candles
+  function observePrice(state, price, t = Date.now()) {
+    const sample = { t, p: price };
+    state.ema = emaUpdate(state.ema, price, cfg.emaAlpha);
+    state.prices = (state.prices || []).concat([sample]).slice(-Math.max(3 * cfg.fibLookback, 400));
+    state.candles = updateCandleBook(state.candles || emptyCandleBook(), sample);
+  }
+
+  function trendRef(state, price) {
+    if (cfg.emaPeriod > 0) {
+      const e = last(ema(closes(signalCandles(state)), cfg.emaPeriod));
+      if (e != null) return e;
+    }
+    return state.ema ?? price;
+  }
+
+  function momentum(price, ref) {
+    const dev = (price - ref) / ref;
+    if (dev > cfg.momentumTh) return { action: 'BUY', reason: `Momentum +${(dev * 100).toFixed(2)}%` };
+    if (dev < -cfg.momentumTh) return { action: 'SELL', reason: `Momentum ${(dev * 100).toFixed(2)}%` };
+    return { action: 'NONE' };
+  }
+
+  function meanRevert(price, ref) {
+    const dev = (price - ref) / ref;
+    if (dev > cfg.meanrevTh) return { action: 'SELL', reason: `MeanRevert: above EMA by ${(dev * 100).toFixed(2)}%` };
+    if (dev < -cfg.meanrevTh) return { action: 'BUY', reason: `MeanRevert: below EMA by ${(dev * 100).toFixed(2)}%` };
+    return { action: 'NONE' };
+  }
+
+  function rsiRevert(state) {
+    const r = last(rsi(closes(signalCandles(state)), cfg.rsiPeriod));
+    if (r == null) return { action: 'NONE', reason: `RSI warming up (${cfg.rsiPeriod + 1} ${cfg.timeframe} candles)` };
+    if (r < cfg.rsiOversold) return { action: 'BUY', reason: `RSI ${r.toFixed(1)} < ${cfg.rsiOversold}` };
+    if (r > cfg.rsiOverbought) return { action: 'SELL', reason: `RSI ${r.toFixed(1)} > ${cfg.rsiOverbought}` };
+    return { action: 'NONE', reason: `RSI ${r.toFixed(1)}` };
+  }
+
+  // Breakout: the forming candle's close (= current price) outside the bands
+  function bollingerBreakout(state, price) {
+    const bb = bollinger(closes(signalCandles(state)), cfg.bbPeriod, cfg.bbMult);
+    const upper = last(bb.upper), lower = last(bb.lower);
+    if (upper == null) return { action: 'NONE', reason: `Bollinger warming up (${cfg.bbPeriod} ${cfg.timeframe} candles)` };
+    const width = `width ${(last(bb.width) * 100).toFixed(2)}%`;
+    if (price > upper) return { action: 'BUY', reason: `Bollinger breakout above ${upper.toPrecision(6)} (${width})` };
+    if (price < lower) return { action: 'SELL', reason: `Bollinger breakdown below ${lower.toPrecision(6)} (${width})` };
+    return { action: 'NONE', reason: `inside bands (${width})` };
+  }
+
+  function fibonacci(state, price) {
+    const swings = findSwing(signalCandles(state), cfg.fibLookback);
+    if (!swings) return { action: 'NONE', reason: 'no swings yet' };
+    const ref = trendRef(state, price);
+    const up   = (swings.highAt > swings.lowAt) && (price >= ref);
+    const down = (swings.lowAt > swings.highAt) && (price <= ref);
+    const lv = fibLevels(swings.low, swings.high);
+
+    const zone = cfg.entry50618 ? '50–61.8%' : '38.2–61.8%';
+    if (up) {
+      if ((price <= lv.l500 && price >= lv.l618) || (!cfg.entry50618 && price <= lv.l382 && price >= lv.l500))
+        return { action: 'BUY', reason: `Fib uptrend ${zone}`, swing: { low: swings.low, high: swings.high } };
+    } else if (down) {
+      if ((price >= lv.r500 && price <= lv.r618) || (!cfg.entry50618 && price >= lv.r382 && price <= lv.r500))
+        return { action: 'SELL', reason: `Fib downtrend ${zone}`, swing: { low: swings.low, high: swings.high } };
+    }
+    return { action: 'NONE', reason: 'no fib entry' };
+  }
+
+  // name → (state, price) => signal
+  const byName = {
+    MOMENTUM:           (state, price) => momentum(price, trendRef(state, price)),
+    MEAN_REVERT:        (state, price) => meanRevert(price, trendRef(state, price)),
+    FIBONACCI:          (state, price) => fibonacci(state, price),
+    RSI_REVERT:         (state) => rsiRevert(state),
+    BOLLINGER_BREAKOUT: (state, price) => bollingerBreakout(state, price),
+  };
+
+  return { cfg, signalCandles, observePrice, trendRef, momentum, meanRevert, rsiRevert, bollingerBreakout, fibonacci, byName };
+}
+
+module.exports = {
+  STRATEGY_NAMES,
+  signalConfigFromEnv,
+  enabledStrategies,
+  emaUpdate,
+  findSwing,
+  fibLevels,
+  createSignals,
+};
@@ -0,0 +1,343 @@
+// lib/state-store.cjs — versioned bot state over a pluggable backend
+// One store is shared by hybrid-bot.cjs, bot.cjs and the strategy tester; each keeps its state
+// under its own name (hybrid_state, bot_ledger, …) and can read the others'.
+//   - Every document is an envelope { schema, rev, savedAt, writer, checksum, data }; a file
+//     written before the store existed (no envelope) loads as schema 0 and is migrated
+//   - Migrations are per document: migrations[n] turns schema n-1 data into schema n
+//   - Before each save the previous good copy is kept as <name>.bak; a document that fails to
+//     parse or whose checksum does not match is reported ([STATE-CORRUPT]) and the .bak is used
+//   - lock(name) / update(name, fn) serialize read-modify-write across processes (lease + expiry)
+//
+// Backends implement (all methods async):
+//   get(key) → string | null
+//   put(key, text)
+//   acquireLease(name, owner, ttlMs) → { ok, holder }
+//   releaseLease(name, owner)
+// Built in (STATE_BACKEND): file (default; STATE_DIR), sqlite (STATE_SQLITE_FILE, node:sqlite,
+// Node ≥ 22.5), kv (STATE_KV_URL: GET / PUT / DELETE per key over HTTP) and memory.
+// `node lib/state-store.cjs serve-kv` runs an in-memory kv server to stand in for the real one.
+//
+// CLI: node lib/state-store.cjs show NAME | serve-kv [port]
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createFileLockStore, newRunId } = require('./run-lock.cjs');
+
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const LOCK_WAIT_MS = 15 * 1000;
+const LOCK_POLL_MS = 250;
+
+const checksumOf = (data) => crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ---------------------------------------------------------------------------
+// File backend: <dir>/<key>.json written by temp file + rename, leases via lib/run-lock.cjs
+// ---------------------------------------------------------------------------
+// `files` maps a key to an explicit path (e.g. { bot_ledger: LEDGER_FILE }).
+function createFileBackend({ dir = process.env.STATE_DIR || process.cwd(), files = {} } = {}) {
+  const fileFor = (key) => {
+    if (key.endsWith('.bak')) return `${fileFor(key.slice(0, -4))}.bak`; // hybrid_state.json.bak
+    return files[key] || path.join(dir, `${key}.json`);
+  };
+  const leases = createFileLockStore(dir);
+  return {
+    kind: 'file',
+    describe: () => `file:${dir}`,
+    async get(key) {
+      try { return fs.readFileSync(fileFor(key), 'utf8'); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+    async put(key, text) {
+      const file = fileFor(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+      fs.writeFileSync(tmp, text);
+      fs.renameSync(tmp, file);
+    },
+    acquireLease: (name, owner, ttlMs) => leases.acquireLease(`${name}.state`, owner, ttlMs),
+    releaseLease: (name, owner) => leases.releaseLease(`${name}.state`, owner),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// SQLite backend: one table of documents + one of leases (node:sqlite, Node ≥ 22.5)
+// ---------------------------------------------------------------------------
+function createSqliteBackend({ file = process.env.STATE_SQLITE_FILE || path.join(process.cwd(), 'bot_state.sqlite') } = {}) {
+  let DatabaseSync;
+  try { ({ DatabaseSync } = require('node:sqlite')); }
+  catch { throw new Error(`STATE_BACKEND=sqlite needs node:sqlite (Node ≥ 22.5); this is Node ${process.versions.node}`); }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA busy_timeout = 5000;
+    CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS state_leases (name TEXT PRIMARY KEY, owner TEXT NOT NULL, expires_at INTEGER NOT NULL);
+  `);
+  const getStmt = db.prepare('SELECT value FROM state WHERE key = ?');
+  const putStmt = db.prepare(`INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+  const leaseStmt = db.prepare(`INSERT INTO state_leases (name, owner, expires_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+    WHERE state_leases.expires_at < ? OR state_leases.owner = excluded.owner`);
+  const holderStmt = db.prepare('SELECT owner, expires_at AS expiresAt FROM state_leases WHERE name = ?');
+  const releaseStmt = db.prepare('DELETE FROM state_leases WHERE name = ? AND owner = ?');
+
+  return {
+    kind: 'sqlite',
+    describe: () => `sqlite:${file}`,
+    async get(key) { return getStmt.get(key)?.value ?? null; },
+    async put(key, text) { putStmt.run(key, text, Date.now()); },
+    async acquireLease(name, owner, ttlMs) {
+      const now = Date.now();
+      const { changes } = leaseStmt.run(name, owner, now + ttlMs, now);
+      return Number(changes) > 0 ? { ok: true, holder: { owner, expiresAt: now + ttlMs } } : { ok: false, holder: holderStmt.get(name) || null };
+    },
+    async releaseLease(name, owner) { releaseStmt.run(name, owner); },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// KV backend over HTTP: GET / PUT / DELETE <url>/<prefix><key>, Bearer STATE_KV_TOKEN.
+// PUT with `If-None-Match: *` must fail with 412 when the key exists (used for leases).
+// ---------------------------------------------------------------------------
+function createKvBackend({ url = process.env.STATE_KV_URL, token = process.env.STATE_KV_TOKEN, prefix = process.env.STATE_KV_PREFIX || 'gala-bot:' } = {}) {
+  if (!url) throw new Error('STATE_BACKEND=kv needs STATE_KV_URL');
+  const base = url.replace(/\/+$/, '');
+  const keyUrl = (key) => `${base}/${encodeURIComponent(prefix + key)}`;
+  const headers = (extra = {}) => ({ ...(token ? { Authorization: `Bearer ${token}` } : {}), ...extra });
+
+  async function request(method, key, { body, ifNoneMatch = false } = {}) {
+    const res = await fetch(keyUrl(key), {
+      method,
+      headers: headers({ ...(body != null ? { 'Content-Type': 'text/plain' } : {}), ...(ifNoneMatch ? { 'If-None-Match': '*' } : {}) }),
+      body,
+    });
+    if (res.status === 404 || res.status === 412) return { status: res.status, text: null };
+    if (!res.ok) throw new Error(`kv ${method} ${prefix + key} → HTTP ${res.status}`);
+    return { status: res.status, text: method === 'GET' ? await res.text() : null };
+  }
+  const parse = (text) => { try { return JSON.parse(text); } catch { return null; } };
+
+  return {
+    kind: 'kv',
+    describe: () => `kv:${base} (${prefix})`,
+    async get(key) { return (await request('GET', key)).text; },
+    async put(key, text) { await request('PUT', key, { body: text }); },
+    async acquireLease(name, owner, ttlMs) {
+      const lease = { owner, pid: process.pid, acquiredAt: Date.now(), expiresAt: Date.now() + ttlMs };
+      const key = `lease:${name}`;
+      for (let attempt = 0; attempt < 2; attempt++) {
+        if ((await request('PUT', key, { body: JSON.stringify(lease), ifNoneMatch: true })).status !== 412) return { ok: true, holder: lease };
+        const held = parse((await request('GET', key)).text);
+        if (held && held.expiresAt > Date.now()) return { ok: false, holder: held };
+        await request('DELETE', key); // expired: clear it and race for it once more
+      }
+      return { ok: false, holder: parse((await request('GET', key)).text) };
+    },
+    async releaseLease(name, owner) {
+      const key = `lease:${name}`;
+      const held = parse((await request('GET', key)).text);
+      if (held && held.owner === owner) await request('DELETE', key);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Memory backend: single-process stand-in (sims, tests)
+// ---------------------------------------------------------------------------
+function createMemoryBackend() {
+  const docs = new Map();
+  const leases = new Map();
+  return {
+    kind: 'memory',
+    describe: () => 'memory',
+    async get(key) { return docs.has(key) ? docs.get(key) : null; },
+    async put(key, text) { docs.set(key, String(text)); },
+    async acquireLease(name, owner, ttlMs) {
+      const held = leases.get(name);
+      if (held && held.expiresAt > Date.now() && held.owner !== owner) return { ok: false, holder: held };
+      const lease = { owner, expiresAt: Date.now() + ttlMs };
+      leases.set(name, lease);
+      return { ok: true, holder: lease };
+    },
+    async releaseLease(name, owner) { if (leases.get(name)?.owner === owner) leases.delete(name); },
+  };
+}
+
+// In-memory server speaking the kv backend's protocol, for running kv mode locally
+function serveKv({ port = Number(process.env.STATE_KV_PORT || 8787), token = process.env.STATE_KV_TOKEN || '' } = {}) {
+  const http = require('http');
+  const docs = new Map();
+  const server = http.createServer((req, res) => {
+    if (token && req.headers.authorization !== `Bearer ${token}`) { res.writeHead(401).end(); return; }
+    const key = decodeURIComponent(req.url.replace(/^\/+/, ''));
+    if (req.method === 'GET') {
+      if (!docs.has(key)) { res.writeHead(404).end(); return; }
+      res.writeHead(200, { 'Content-Type': 'text/plain' }).end(docs.get(key));
+    } else if (req.method === 'PUT') {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        if (req.headers['if-none-match'] === '*' && docs.has(key)) { res.writeHead(412).end(); return; }
+        docs.set(key, body);
+        res.writeHead(204).end();
+      });
+    } else if (req.method === 'DELETE') {
+      docs.delete(key);
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(405).end();
+    }
+  });
+  return new Promise((resolve) => server.listen(port, () => resolve(server)));
+}
+
+function backendFromEnv(env = process.env, { files } = {}) {
+  const kind = String(env.STATE_BACKEND || 'file').toLowerCase();
+  if (kind === 'file') return createFileBackend({ dir: env.STATE_DIR || process.cwd(), files });
+  if (kind === 'sqlite') return createSqliteBackend({ file: env.STATE_SQLITE_FILE || path.join(process.cwd(), 'bot_state.sqlite') });
+  if (kind === 'kv') return createKvBackend({ url: env.STATE_KV_URL, token: env.STATE_KV_TOKEN, prefix: env.STATE_KV_PREFIX || 'gala-bot:' });
+  if (kind === 'memory') return createMemoryBackend();
+  throw new Error(`Unknown STATE_BACKEND "${kind}" (file | sqlite | kv | memory)`);
+}
+
+// ---------------------------------------------------------------------------
+// Store: envelopes, checksums, snapshots, migrations, locking
+// ---------------------------------------------------------------------------
+// Raw text → { status: 'ok' | 'corrupt', schema, rev, data, error? }
+function decodeDocument(text) {
+  let parsed;
+  try { parsed = JSON.parse(text); }
+  catch (e) { return { status: 'corrupt', error: `unparseable JSON (${e.message})` }; }
+  const isEnvelope = parsed && typeof parsed === 'object' && 'checksum' in parsed && 'data' in parsed && 'schema' in parsed;
+  if (!isEnvelope) return { status: 'ok', schema: 0, rev: 0, data: parsed, legacy: true };
+  if (checksumOf(parsed.data) !== parsed.checksum) return { status: 'corrupt', error: 'checksum mismatch' };
+  return { status: 'ok', schema: Number(parsed.schema), rev: Number(parsed.rev || 0), data: parsed.data, savedAt: parsed.savedAt, writer: parsed.writer };
+}
+
+function createStateStore(backend, { writer = path.basename(process.argv[1] || 'node'), log = console } = {}) {
+  const owner = `${writer}:${newRunId()}`;
+  const revs = new Map(); // name → last rev seen, so saves count up without re-reading
+
+  async function readDocument(name) {
+    const text = await backend.get(name);
+    if (text == null) return { status: 'missing' };
+    const doc = decodeDocument(text);
+    if (doc.status === 'ok') return doc;
+
+    log.warn(`[STATE-CORRUPT] ${name} on ${backend.describe()}: ${doc.error} — trying the last good snapshot`);
+    const bakText = await backend.get(`${name}.bak`);
+    const bak = bakText == null ? { status: 'missing' } : decodeDocument(bakText);
+    if (bak.status === 'ok') {
+      log.warn(`[STATE-RESTORED] ${name} from snapshot rev ${bak.rev}${bak.savedAt ? ` (${bak.savedAt})` : ''}`);
+      return { ...bak, restored: true };
+    }
+    log.warn(`[STATE-LOST] ${name}: no usable snapshot, starting from defaults`);
+    return { status: 'missing', lost: true };
+  }
+
+  // opts: { schema = 1, migrations = {}, defaults = () => ({}) }
+  async function load(name, { schema = 1, migrations = {}, defaults = () => ({}) } = {}) {
+    const doc = await readDocument(name);
+    if (doc.status !== 'ok') {
+      revs.set(name, 0);
+      return defaults();
+    }
+    revs.set(name, doc.rev);
+    let data = doc.data;
+    if (doc.schema > schema) {
+      log.warn(`[STATE-NEWER] ${name} is schema ${doc.schema}, this code knows ${schema}; loading as-is`);
+    } else if (doc.schema < schema) {
+      for (let v = doc.schema + 1; v <= schema; v++) if (migrations[v]) data = migrations[v](data);
+      log.log(`[STATE-MIGRATE] ${name} schema ${doc.schema} → ${schema}`);
+    }
+    return { ...defaults(), ...data };
+  }
+
+  async function save(name, data, { schema = 1 } = {}) {
+    const current = await backend.get(name);
+    if (current != null) {
+      const doc = decodeDocument(current);
+      if (doc.status === 'ok') {
+        await backend.put(`${name}.bak`, current);
+        revs.set(name, Math.max(revs.get(name) || 0, doc.rev));
+      }
+    }
+    const rev = (revs.get(name) || 0) + 1;
+    const envelope = { schema, rev, savedAt: new Date().toISOString(), writer, checksum: checksumOf(data), data };
+    await backend.put(name, JSON.stringify(envelope, null, 2));
+    revs.set(name, rev);
+    return rev;
+  }
+
+  // Waits up to waitMs for the lease; resolves to a release function
+  async function lock(name, { ttlMs = LOCK_TTL_MS, waitMs = LOCK_WAIT_MS } = {}) {
+    const until = Date.now() + waitMs;
+    for (;;) {
+      const got = await backend.acquireLease(name, owner, ttlMs);
+      if (got.ok) return () => backend.releaseLease(name, owner);
+      if (Date.now() >= until) throw new Error(`[STATE-LOCKED] ${name} held by ${got.holder?.owner || 'unknown'} until ${new Date(got.holder?.expiresAt || 0).toISOString()}`);
+      await sleep(LOCK_POLL_MS);
+    }
+  }
+
+  async function withLock(name, fn, opts) {
+    const release = await lock(name, opts);
+    try { return await fn(); }
+    finally { await release(); }
+  }
+
+  // Locked read-modify-write; fn may mutate and/or return the new data
+  async function update(name, fn, opts = {}) {
+    return withLock(name, async () => {
+      const data = await load(name, opts);
+      const next = (await fn(data)) ?? data;
+      await save(name, next, opts);
+      return next;
+    }, opts);
+  }
+
+  return { backend, describe: () => backend.describe(), load, save, lock, withLock, update };
+}
+
+function stateStoreFromEnv(env = process.env, { writer, files, log } = {}) {
+  return createStateStore(backendFromEnv(env, { files }), { writer, log });
+}
+
+module.exports = {
+  createFileBackend,
+  createSqliteBackend,
+  createKvBackend,
+  createMemoryBackend,
+  backendFromEnv,
+  decodeDocument,
+  createStateStore,
+  stateStoreFromEnv,
+  serveKv,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const [cmd, arg] = process.argv.slice(2);
+  (async () => {
+    if (cmd === 'serve-kv') {
+      const port = Number(arg || process.env.STATE_KV_PORT || 8787);
+      await serveKv({ port });
+      console.log(`[STATE-KV] in-memory kv on http://localhost:${port} (set STATE_BACKEND=kv STATE_KV_URL=http://localhost:${port})`);
+    } else if (cmd === 'show' && arg) {
+      const backend = backendFromEnv(process.env);
+      const text = await backend.get(arg);
+      if (text == null) { console.log(`${arg}: not found on ${backend.describe()}`); return; }
+      const doc = decodeDocument(text);
+      const { data, ...meta } = doc;
+      console.log(JSON.stringify({ backend: backend.describe(), name: arg, ...meta }, null, 2));
+      if (data !== undefined) console.log(JSON.stringify(data, null, 2));
+    } else {
+      console.log('Usage: node lib/state-store.cjs show NAME | serve-kv [port]');
+      process.exitCode = 1;
+    }
+  })().catch((e) => { console.error(e?.message || e); process.exitCode = 1; });
+}
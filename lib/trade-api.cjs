@@ -0,0 +1,262 @@
+// lib/trade-api.cjs — auth, per-key limits, quote ids and idempotency for the sidecar's GET /quote + POST /swap
+//   - Keys: SWAP_API_KEYS = "id:secret,…" or a JSON array of { id, secret, maxSwapsPerHour, maxUsdPerSwap,
+//     maxUsdPerDay } (per-key overrides of SWAP_MAX_PER_HOUR / SWAP_MAX_USD_PER_SWAP / SWAP_MAX_USD_PER_DAY,
+//     defaults 10 / 50 / 250; 0 disables one). No keys = /swap is off.
+//   - Auth (SWAP_AUTH key | hmac | any, default any):
+//       key:  `Authorization: Bearer <secret>` or `X-Api-Key: <secret>`
+//       hmac: X-Key-Id: <id>, X-Timestamp: <epoch ms>, X-Signature: hex HMAC-SHA256(secret,
+//             "<timestamp>.<METHOD>.<path>.<raw body>"), path without the function prefix (/swap);
+//             the timestamp must be within SWAP_HMAC_SKEW_MS (default 5 min) and a signature is accepted once
+//   - Quotes from GET /quote get an id and are kept SWAP_QUOTE_TTL_MS (default 60 s); one swap per quote
+//   - Idempotency-Key: per API key, kept SWAP_IDEMPOTENCY_TTL_H (default 24). A retry with the same key and
+//     body gets the stored response back; the same key with another body is a 409.
+// State (quotes, idempotency records, per-key usage, seen signatures) is `swap_api` in the state store
+// (lib/state-store.cjs), so limits hold across function instances that share the store.
+//
+// CLI: node lib/trade-api.cjs sign --key=ID --secret=S --body='{"quoteId":"…"}' [--path=/swap] → HMAC headers
+
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const AUTH_MODES = ['key', 'hmac', 'any'];
+const MAX_QUOTES = 500;
+
+function num(v, dflt) { const n = Number(v); return v == null || v === '' || !Number.isFinite(n) ? dflt : n; }
+
+// "bot:s3cret,ops:other" or '[{"id":"bot","secret":"s3cret","maxUsdPerDay":500}]'
+function parseApiKeys(spec, defaults = {}) {
+  const text = String(spec || '').trim();
+  if (!text) return [];
+  const raw = text.startsWith('[')
+    ? JSON.parse(text)
+    : text.split(',').map(x => x.trim()).filter(Boolean).map((entry) => {
+      const i = entry.indexOf(':');
+      return i > 0 ? { id: entry.slice(0, i), secret: entry.slice(i + 1) } : { id: null, secret: null };
+    });
+  const ids = new Set();
+  return raw.map((k) => {
+    if (!k.id || !k.secret) throw new Error('Invalid SWAP_API_KEYS entry (need id:secret)');
+    if (String(k.secret).length < 16) throw new Error(`SWAP_API_KEYS secret for "${k.id}" is shorter than 16 characters`);
+    if (ids.has(k.id)) throw new Error(`Duplicate SWAP_API_KEYS id "${k.id}"`);
+    ids.add(k.id);
+    return {
+      id: String(k.id),
+      secret: String(k.secret),
+      maxSwapsPerHour: Math.max(0, num(k.maxSwapsPerHour, defaults.maxSwapsPerHour ?? 10)),
+      maxUsdPerSwap:   Math.max(0, num(k.maxUsdPerSwap, defaults.maxUsdPerSwap ?? 50)),
+      maxUsdPerDay:    Math.max(0, num(k.maxUsdPerDay, defaults.maxUsdPerDay ?? 250)),
+    };
+  });
+}
+
+function tradeApiConfigFromEnv(env = process.env) {
+  const auth = String(env.SWAP_AUTH || 'any').toLowerCase();
+  if (!AUTH_MODES.includes(auth)) throw new Error(`SWAP_AUTH must be one of ${AUTH_MODES.join(' | ')}`);
+  const defaults = {
+    maxSwapsPerHour: Math.max(0, num(env.SWAP_MAX_PER_HOUR, 10)),
+    maxUsdPerSwap:   Math.max(0, num(env.SWAP_MAX_USD_PER_SWAP, 50)),
+    maxUsdPerDay:    Math.max(0, num(env.SWAP_MAX_USD_PER_DAY, 250)),
+  };
+  return {
+    keys:          parseApiKeys(env.SWAP_API_KEYS, defaults),
+    auth,
+    ...defaults,
+    hmacSkewMs:    Math.max(1000, num(env.SWAP_HMAC_SKEW_MS, 5 * 60 * 1000)),
+    quoteTtlMs:    Math.max(1000, num(env.SWAP_QUOTE_TTL_MS, 60 * 1000)),
+    idempotencyMs: Math.max(1, num(env.SWAP_IDEMPOTENCY_TTL_H, 24)) * HOUR_MS,
+    stateName:     env.SWAP_API_STATE_NAME || 'swap_api',
+  };
+}
+
+function signRequest({ secret, timestamp, method = 'POST', path = '/swap', body = '' }) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${String(method).toUpperCase()}.${path}.${body}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// req = { headers (lower-case), method, path, rawBody } → { ok, key, signature? } | { ok: false, status, error }
+function authenticate(req, cfg, now = Date.now()) {
+  const h = req.headers || {};
+  const fail = (error) => ({ ok: false, status: 401, error });
+  if (h['x-signature']) {
+    if (cfg.auth === 'key') return fail('HMAC auth is disabled (SWAP_AUTH=key)');
+    const key = cfg.keys.find(k => k.id === h['x-key-id']);
+    const ts = Number(h['x-timestamp']);
+    if (!key) return fail('unknown X-Key-Id');
+    if (!Number.isFinite(ts) || Math.abs(now - ts) > cfg.hmacSkewMs) return fail(`X-Timestamp missing or more than ${cfg.hmacSkewMs} ms off`);
+    const expected = signRequest({ secret: key.secret, timestamp: h['x-timestamp'], method: req.method, path: req.path, body: req.rawBody || '' });
+    if (!safeEqual(expected, String(h['x-signature']).toLowerCase())) return fail('bad X-Signature');
+    return { ok: true, key, signature: expected, signedAt: ts };
+  }
+  const bearer = /^Bearer\s+(.+)$/i.exec(h.authorization || '');
+  const secret = bearer ? bearer[1].trim() : h['x-api-key'];
+  if (!secret) return fail('missing credentials (Authorization: Bearer <key>, X-Api-Key, or an HMAC signature)');
+  if (cfg.auth === 'hmac') return fail('API key auth is disabled (SWAP_AUTH=hmac); sign the request');
+  const key = cfg.keys.find(k => safeEqual(k.secret, secret));
+  return key ? { ok: true, key } : fail('invalid API key');
+}
+
+function emptyTradeApiState() {
+  return { version: 1, quotes: {}, idempotency: {}, usage: {}, signatures: {} };
+}
+
+const TRADE_API_DOC = { schema: 1, defaults: emptyTradeApiState };
+
+// Stable hash of a swap request (idempotency: same key must mean same request)
+function requestHash(request) {
+  const sorted = Object.keys(request).sort().reduce((o, k) => { if (request[k] != null) o[k] = request[k]; return o; }, {});
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+function createTradeApi({ store, config = tradeApiConfigFromEnv(), now = Date.now } = {}) {
+  const cfg = config;
+
+  function prune(st, t) {
+    for (const [id, q] of Object.entries(st.quotes)) if (q.expiresAt < t - HOUR_MS) delete st.quotes[id];
+    for (const [k, r] of Object.entries(st.idempotency)) if (t - r.at > cfg.idempotencyMs) delete st.idempotency[k];
+    for (const [id, list] of Object.entries(st.usage)) {
+      st.usage[id] = list.filter(u => t - u.at < DAY_MS);
+      if (!st.usage[id].length) delete st.usage[id];
+    }
+    for (const [sig, at] of Object.entries(st.signatures)) if (t - at > 2 * cfg.hmacSkewMs) delete st.signatures[sig];
+  }
+
+  // Store a quote under a new id → quote + { quoteId, expiresAt }
+  async function saveQuote(quote) {
+    const t = now();
+    const saved = { ...quote, quoteId: `q_${crypto.randomBytes(9).toString('base64url')}`, quotedAt: t, expiresAt: t + cfg.quoteTtlMs };
+    await store.update(cfg.stateName, (st) => {
+      prune(st, t);
+      st.quotes[saved.quoteId] = saved;
+      const ids = Object.keys(st.quotes);
+      for (const id of ids.slice(0, Math.max(0, ids.length - MAX_QUOTES))) delete st.quotes[id];
+    }, TRADE_API_DOC);
+    return saved;
+  }
+
+  // Unexpired quote or { error, status } (whether it is still unused is begin()'s call)
+  async function getQuote(quoteId) {
+    const q = (await store.load(cfg.stateName, TRADE_API_DOC)).quotes[quoteId];
+    if (!q) return { status: 404, error: `unknown quote ${quoteId}` };
+    if (q.expiresAt < now()) return { status: 410, error: `quote ${quoteId} expired at ${new Date(q.expiresAt).toISOString()}; request a new one` };
+    return { quote: q };
+  }
+
+  // Stored outcome for a retried Idempotency-Key, checked before the request is re-validated
+  // (its quote may have expired since) → { replay } | { ok: false, status, error } | null
+  async function replayOf({ auth, idempotencyKey, body }) {
+    if (!idempotencyKey) return null;
+    const prev = (await store.load(cfg.stateName, TRADE_API_DOC)).idempotency[`${auth.key.id}:${idempotencyKey}`];
+    if (!prev) return null;
+    if (prev.hash !== requestHash(body)) return { ok: false, status: 409, error: 'Idempotency-Key was already used with a different request' };
+    if (prev.pending) return { ok: false, status: 409, error: 'a request with this Idempotency-Key is still in progress' };
+    return { replay: { statusCode: prev.statusCode, body: prev.body } };
+  }
+
+  // One locked step before submitting: replay / conflict on the idempotency key, one-shot quote,
+  // replayed signature, per-key limits. On { ok } the usage is booked and the key is marked in progress.
+  // body = the request as sent (the idempotency fingerprint); request = its resolved form
+  // → { ok, ticket } | { replay: { statusCode, body } } | { ok: false, status, error }
+  async function begin({ auth, idempotencyKey = null, body, request, usd }) {
+    const t = now();
+    const key = auth.key;
+    const ticket = `${t}-${crypto.randomBytes(4).toString('hex')}`;
+    const hash = requestHash(body);
+    let out;
+    await store.update(cfg.stateName, (st) => {
+      prune(st, t);
+      const ik = idempotencyKey ? `${key.id}:${idempotencyKey}` : null;
+      const prev = ik && st.idempotency[ik];
+      if (prev) {
+        if (prev.hash !== hash) out = { ok: false, status: 409, error: 'Idempotency-Key was already used with a different request' };
+        else if (prev.pending) out = { ok: false, status: 409, error: 'a request with this Idempotency-Key is still in progress' };
+        else out = { replay: { statusCode: prev.statusCode, body: prev.body } };
+        return;
+      }
+      if (auth.signature) {
+        if (st.signatures[auth.signature]) { out = { ok: false, status: 401, error: 'signature already used (replay)' }; return; }
+        st.signatures[auth.signature] = t;
+      }
+      if (request.quoteId) {
+        const q = st.quotes[request.quoteId];
+        if (!q || q.expiresAt < t) { out = { ok: false, status: 410, error: `quote ${request.quoteId} expired or unknown` }; return; }
+        if (q.usedBy) { out = { ok: false, status: 409, error: `quote ${request.quoteId} was already used` }; return; }
+        q.usedBy = ticket;
+      }
+
+      const used = st.usage[key.id] || [];
+      const lastHour = used.filter(u => t - u.at < HOUR_MS).length;
+      const usdToday = used.reduce((s, u) => s + Number(u.usd || 0), 0);
+      if (key.maxUsdPerSwap > 0 && usd > key.maxUsdPerSwap) {
+        out = { ok: false, status: 403, error: `swap of $${usd.toFixed(2)} is over this key's $${key.maxUsdPerSwap} per-swap limit` };
+      } else if (key.maxSwapsPerHour > 0 && lastHour >= key.maxSwapsPerHour) {
+        out = { ok: false, status: 429, error: `rate limit: ${lastHour} swaps in the last hour (max ${key.maxSwapsPerHour})` };
+      } else if (key.maxUsdPerDay > 0 && usdToday + usd > key.maxUsdPerDay) {
+        out = { ok: false, status: 429, error: `daily limit: $${usdToday.toFixed(2)} + $${usd.toFixed(2)} > $${key.maxUsdPerDay} in 24h` };
+      }
+      if (out) {
+        if (request.quoteId) delete st.quotes[request.quoteId].usedBy;
+        return;
+      }
+      st.usage[key.id] = used.concat([{ at: t, usd, ticket }]);
+      if (ik) st.idempotency[ik] = { at: t, hash, pending: true, ticket };
+      out = { ok: true, ticket };
+    }, TRADE_API_DOC);
+    return out;
+  }
+
+  // Store the response for replays; refund = nothing was submitted (usage and quote are given back)
+  async function finish({ auth, idempotencyKey = null, ticket, request, statusCode, body, refund = false }) {
+    await store.update(cfg.stateName, (st) => {
+      const ik = idempotencyKey ? `${auth.key.id}:${idempotencyKey}` : null;
+      if (refund) {
+        if (st.usage[auth.key.id]) st.usage[auth.key.id] = st.usage[auth.key.id].filter(u => u.ticket !== ticket);
+        const q = request.quoteId && st.quotes[request.quoteId];
+        if (q && q.usedBy === ticket) delete q.usedBy;
+        if (ik && st.idempotency[ik]?.ticket === ticket) delete st.idempotency[ik];
+        return;
+      }
+      if (ik && st.idempotency[ik]) st.idempotency[ik] = { ...st.idempotency[ik], pending: false, statusCode, body };
+    }, TRADE_API_DOC);
+  }
+
+  // { swapsLastHour, usdLast24h } + the key's limits
+  async function usage(key) {
+    const t = now();
+    const used = ((await store.load(cfg.stateName, TRADE_API_DOC)).usage[key.id] || []).filter(u => t - u.at < DAY_MS);
+    return {
+      key: key.id,
+      swapsLastHour: used.filter(u => t - u.at < HOUR_MS).length,
+      usdLast24h: Number(used.reduce((s, u) => s + Number(u.usd || 0), 0).toFixed(6)),
+      limits: { maxSwapsPerHour: key.maxSwapsPerHour, maxUsdPerSwap: key.maxUsdPerSwap, maxUsdPerDay: key.maxUsdPerDay },
+    };
+  }
+
+  return { config: cfg, enabled: cfg.keys.length > 0, saveQuote, getQuote, replayOf, begin, finish, usage };
+}
+
+module.exports = {
+  parseApiKeys,
+  tradeApiConfigFromEnv,
+  signRequest,
+  authenticate,
+  requestHash,
+  emptyTradeApiState,
+  TRADE_API_DOC,
+  createTradeApi,
+};
+
+if (require.main === module) {
+  const args = require('minimist')(process.argv.slice(2), { string: ['key', 'secret', 'body', 'path'] });
+  if (args._[0] !== 'sign' || !args.key || !args.secret) {
+    console.error("Usage: node lib/trade-api.cjs sign --key=ID --secret=SECRET --body='{…}' [--path=/swap] [--method=POST]");
+    process.exit(1);
+  }
+  const timestamp = String(Date.now());
+  const signature = signRequest({ secret: args.secret, timestamp, method: args.method || 'POST', path: args.path || '/swap', body: args.body || '' });
+  console.log(`X-Key-Id: ${args.key}\nX-Timestamp: ${timestamp}\nX-Signature: ${signature}`);
+}
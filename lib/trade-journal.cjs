@@ -0,0 +1,242 @@
+// lib/trade-journal.cjs — durable trade journal (every submitted swap) + balance snapshots, on the state store
+// The bots feed it from their event log (each `<tag>-OUTCOME` event is one entry) and the sidecar's POST /swap
+// records its swaps directly; GET /txs pages through it.
+//   - Entry: { id, ts, bot, runId, strategy, trade, via, pair, tokenIn, tokenOut, feeTier, amountIn, amountOut,
+//     quotedOut, minOut, gasGala, notionalUsd, txId, hash, status, reason }. status is confirmed / failed /
+//     unknown; risk rejections never left the process and paper fills live in the paper wallet, so neither is a trade.
+//   - Entries are kept in monthly segments (`trade_journal.YYYY-MM`) with an index doc (`trade_journal`)
+//     that hands out increasing ids; a replayed entry (same bot, txId and status) is recorded once
+//   - list() pages newest first (by trade time, so backfilled trades land in place) with an opaque cursor, filtered by token, strategy, bot, status, trade and
+//     date range
+//   - importEntries() backfills trades from elsewhere (lib/explorer.cjs) and skips any whose tx id or hash
+//     is already journaled, whichever bot recorded it
+//   - Balance snapshots ({ ts, bot, runId, balances, source }) go to `trade_journal_snapshots` (last
+//     JOURNAL_SNAPSHOT_KEEP, default 2000), apart from the trades
+//
+// CLI: node lib/trade-journal.cjs list [--token --strategy --bot --status --since --until --limit --cursor] | snapshots [--limit]
+
+const SNAPSHOT_KEEP = 2000;
+const MAX_PAGE = 500;
+const TRADE_STATUSES = ['confirmed', 'failed', 'unknown'];
+
+const symbolOf = (key) => String(key || '').split('|')[0].toUpperCase();
+const numOrNull = (v) => (v == null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+
+function journalConfigFromEnv(env = process.env) {
+  return {
+    name:         env.JOURNAL_NAME || 'trade_journal',
+    snapshotKeep: Math.max(1, Number(env.JOURNAL_SNAPSHOT_KEEP || SNAPSHOT_KEEP)),
+  };
+}
+
+function emptyJournalIndex() {
+  return { version: 1, nextId: 1, segments: {} };
+}
+function emptyJournalSegment() {
+  return { version: 1, entries: [] };
+}
+function emptySnapshots() {
+  return { version: 1, nextId: 1, snapshots: [] };
+}
+
+const INDEX_DOC = { schema: 1, defaults: emptyJournalIndex };
+const SEGMENT_DOC = { schema: 1, defaults: emptyJournalSegment };
+const SNAPSHOT_DOC = { schema: 1, defaults: emptySnapshots };
+
+const segmentOf = (ts) => new Date(ts).toISOString().slice(0, 7); // YYYY-MM
+
+// epoch s / ms or ISO → ms; null when absent, throws when malformed
+function parseTime(v, name) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  const ms = Number.isFinite(n) ? (n < 2e10 ? n * 1000 : n) : Date.parse(String(v));
+  if (!Number.isFinite(ms)) throw new Error(`${name} must be epoch seconds/ms or an ISO date`);
+  return ms;
+}
+
+// Pages run newest first by (ts, id); the cursor is the last row's position
+const encodeCursor = (row) => Buffer.from(JSON.stringify({ ts: row.ts, id: row.id })).toString('base64url');
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isFinite(c.ts) && Number.isInteger(c.id)) return c;
+  } catch {}
+  throw new Error('invalid cursor');
+}
+const newestFirst = (a, b) => b.ts - a.ts || b.id - a.id;
+const isAfter = (row, c) => c == null || row.ts < c.ts || (row.ts === c.ts && row.id < c.id);
+
+// Outcome event (lib/event-log.cjs) → journal entry, or null when it is not a trade
+function entryFromEvent(ev) {
+  if (ev.kind !== 'outcome' || String(ev.type || '').endsWith('-PAPER') || ev.paper) return null;
+  if (!TRADE_STATUSES.includes(ev.status)) return null;
+  return {
+    ts: Date.parse(ev.ts) || Date.now(),
+    bot: ev.bot || null,
+    runId: ev.runId || null,
+    strategy: ev.strategy || null,
+    trade: ev.trade || String(ev.type).replace(/-OUTCOME$/, ''),
+    via: 'bot',
+    tokenIn: ev.in,
+    tokenOut: ev.out,
+    feeTier: ev.feeTier ?? null,
+    amountIn: numOrNull(ev.fill?.amountIn ?? ev.exactIn),
+    amountOut: numOrNull(ev.fill?.amountOut),
+    quotedOut: numOrNull(ev.quotedOut),
+    minOut: numOrNull(ev.amountOutMinimum),
+    gasGala: numOrNull(ev.gasGala),
+    notionalUsd: numOrNull(ev.notionalUsd),
+    txId: ev.txId || null,
+    hash: ev.hash || null,
+    status: ev.status,
+    reason: ev.reason || null,
+  };
+}
+
+// filters = { token, strategy, bot, status, trade, since, until } (status / token may be comma lists)
+function matcher(filters = {}) {
+  const list = (v) => (v ? String(v).split(',').map(x => x.trim()).filter(Boolean) : null);
+  const tokens = list(filters.token)?.map(t => t.toUpperCase());
+  const strategies = list(filters.strategy);
+  const bots = list(filters.bot);
+  const statuses = list(filters.status);
+  const trades = list(filters.trade);
+  const since = parseTime(filters.since, 'since'), until = parseTime(filters.until, 'until');
+  const match = (e) => (!tokens || tokens.includes(symbolOf(e.tokenIn)) || tokens.includes(symbolOf(e.tokenOut)))
+    && (!strategies || strategies.includes(e.strategy))
+    && (!bots || bots.includes(e.bot))
+    && (!statuses || statuses.includes(e.status))
+    && (!trades || trades.includes(e.trade))
+    && (since == null || e.ts >= since)
+    && (until == null || e.ts <= until);
+  return { match, since, until };
+}
+
+// store: lib/state-store.cjs store
+function createTradeJournal({ store, config = journalConfigFromEnv(), log = console.log } = {}) {
+  const cfg = { ...journalConfigFromEnv({}), ...config };
+  const segmentName = (seg) => `${cfg.name}.${seg}`;
+  const snapshotName = `${cfg.name}_snapshots`;
+  let chain = Promise.resolve();
+
+  // One trade → the stored entry (the existing one when the bot already recorded txId + status).
+  // Ids come from the index so they grow across segments (cursor order); a replay only leaves an id gap.
+  async function record(entry) {
+    const ts = Number(entry.ts) || Date.now();
+    const seg = segmentOf(ts);
+    let id;
+    await store.update(cfg.name, (idx) => {
+      id = idx.nextId++;
+      const meta = idx.segments[seg] || (idx.segments[seg] = { firstTs: ts, lastTs: ts });
+      meta.firstTs = Math.min(meta.firstTs, ts);
+      meta.lastTs = Math.max(meta.lastTs, ts);
+    }, INDEX_DOC);
+    let stored;
+    await store.update(segmentName(seg), (s) => {
+      stored = entry.txId ? s.entries.find(e => e.txId === entry.txId && e.status === entry.status && e.bot === entry.bot) : null;
+      if (stored) return;
+      stored = { id, ...entry, ts, pair: `${symbolOf(entry.tokenIn)}/${symbolOf(entry.tokenOut)}` };
+      s.entries.push(stored);
+    }, SEGMENT_DOC);
+    return stored;
+  }
+
+  // Event-log listener (lib/event-log.cjs subscribe): outcome events become entries, written in order
+  function handle(ev) {
+    const entry = entryFromEvent(ev);
+    if (!entry) return;
+    chain = chain.then(() => record(entry)).catch((e) => log(`[JOURNAL-ERR] ${e?.message || e}`));
+  }
+
+  // Backfill → { imported, skipped }; entries whose txId / hash the journal already holds are skipped
+  async function importEntries(entries) {
+    const idx = await store.load(cfg.name, INDEX_DOC);
+    const known = new Set();
+    for (const seg of Object.keys(idx.segments)) {
+      for (const e of (await store.load(segmentName(seg), SEGMENT_DOC)).entries) {
+        if (e.txId) known.add(e.txId);
+        if (e.hash) known.add(e.hash);
+      }
+    }
+    let imported = 0, skipped = 0;
+    for (const entry of entries.slice().sort((a, b) => a.ts - b.ts)) {
+      if ((entry.txId && known.has(entry.txId)) || (entry.hash && known.has(entry.hash))) { skipped += 1; continue; }
+      await record(entry);
+      for (const k of [entry.txId, entry.hash]) if (k) known.add(k);
+      imported += 1;
+    }
+    return { imported, skipped };
+  }
+
+  // Wait for the entries handle() queued (end of a run)
+  function flush() { return chain; }
+
+  async function snapshot({ balances, bot = null, runId = null, source = null, ts = Date.now() }) {
+    let snap;
+    await store.update(snapshotName, (d) => {
+      snap = { id: d.nextId++, ts, bot, runId, source, balances: { ...balances } };
+      d.snapshots = d.snapshots.concat([snap]).slice(-cfg.snapshotKeep);
+    }, SNAPSHOT_DOC);
+    return snap;
+  }
+
+  // → { entries (newest first), nextCursor | null }
+  async function list({ cursor = null, limit = 50, ...filters } = {}) {
+    const before = decodeCursor(cursor);
+    const n = Math.max(1, Math.min(MAX_PAGE, Number(limit) || 50));
+    const { match, since, until } = matcher(filters);
+    const idx = await store.load(cfg.name, INDEX_DOC);
+    const segs = Object.entries(idx.segments)
+      .filter(([, m]) => (since == null || m.lastTs >= since) && (until == null || m.firstTs <= until))
+      .map(([seg]) => seg)
+      .sort().reverse();
+    const out = [];
+    for (const seg of segs) {
+      const { entries } = await store.load(segmentName(seg), SEGMENT_DOC);
+      out.push(...entries.filter(e => isAfter(e, before) && match(e)));
+      if (out.length > n) break; // older segments only hold older trades
+    }
+    out.sort(newestFirst);
+    const entries = out.slice(0, n);
+    return { entries, nextCursor: out.length > n ? encodeCursor(entries[entries.length - 1]) : null };
+  }
+
+  // → { snapshots (newest first), nextCursor | null }; filters: bot, since, until
+  async function listSnapshots({ cursor = null, limit = 50, bot = null, since = null, until = null } = {}) {
+    const before = decodeCursor(cursor);
+    const n = Math.max(1, Math.min(MAX_PAGE, Number(limit) || 50));
+    const from = parseTime(since, 'since'), to = parseTime(until, 'until');
+    const all = (await store.load(snapshotName, SNAPSHOT_DOC)).snapshots
+      .filter(s => isAfter(s, before) && (!bot || s.bot === bot)
+        && (from == null || s.ts >= from) && (to == null || s.ts <= to))
+      .sort(newestFirst);
+    const snapshots = all.slice(0, n);
+    return { snapshots, nextCursor: all.length > n ? encodeCursor(snapshots[snapshots.length - 1]) : null };
+  }
+
+  return { config: cfg, record, importEntries, handle, flush, snapshot, list, listSnapshots };
+}
+
+module.exports = {
+  journalConfigFromEnv,
+  entryFromEvent,
+  parseTime,
+  emptyJournalIndex,
+  emptyJournalSegment,
+  emptySnapshots,
+  createTradeJournal,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = require('minimist')(process.argv.slice(2), { string: ['cursor', 'since', 'until', 'token', 'strategy', 'bot', 'status', 'trade'] });
+  const { stateStoreFromEnv } = require('./state-store.cjs');
+  const journal = createTradeJournal({ store: stateStoreFromEnv(process.env, { writer: 'trade-journal' }) });
+  const cmd = args._[0] || 'list';
+  (async () => {
+    if (cmd === 'list') console.log(JSON.stringify(await journal.list(args), null, 2));
+    else if (cmd === 'snapshots') console.log(JSON.stringify(await journal.listSnapshots(args), null, 2));
+    else throw new Error('Usage: node lib/trade-journal.cjs list [--token --strategy --bot --status --trade --since --until --limit --cursor] | snapshots [--limit --bot]');
+  })().catch((e) => { console.error(e?.message || e); process.exit(1); });
+}
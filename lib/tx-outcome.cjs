@@ -0,0 +1,124 @@
+// lib/tx-outcome.cjs — confirm a swap by its transaction id (bundler event socket)
+// Every submitted swap ends in one structured outcome:
+//   { status: 'confirmed', txId, hash, fill, elapsedMs }
+//   { status: 'failed',    txId, reason, elapsedMs }
+//   { status: 'unknown',   txId, reason, elapsedMs }   ← nothing heard within timeoutMs
+// The SDK only tracks tx ids registered while the socket is connected, so call
+// connectTxEvents() BEFORE gswap.swaps.swap(...).
+// With a `lookup` (explorerTxLookup over lib/explorer.cjs) the tx status is also polled by id every
+// TX_POLL_MS (default 5000), and once more at the deadline, so a socket that failed to connect or
+// dropped does not leave the swap unknown. Polled outcomes carry `via: 'poll'`.
+
+const { GSwap } = require('@gala-chain/gswap-sdk');
+
+async function connectTxEvents(bundlerBaseUrl) {
+  try {
+    if (GSwap.events.eventSocketConnected()) return true;
+    await GSwap.events.connectEventSocket(bundlerBaseUrl);
+    return GSwap.events.eventSocketConnected();
+  } catch (e) {
+    console.log(`[TX-SOCKET-ERR] ${e?.message || e}`);
+    return false;
+  }
+}
+
+function disconnectTxEvents() {
+  try { GSwap.events.disconnectEventSocket(); } catch {}
+}
+
+// Pull the filled amounts out of a processed swap payload (dex SwapResDto: the
+// user pays the positive side into the pool and receives the negative side).
+function swapFill(receipt) {
+  const d = receipt?.Data || {};
+  const a0 = Number(d.amount0), a1 = Number(d.amount1);
+  if (!Number.isFinite(a0) || !Number.isFinite(a1)) return null;
+  return a0 < 0
+    ? { tokenIn: d.token1 ?? null, amountIn: Math.abs(a1), tokenOut: d.token0 ?? null, amountOut: Math.abs(a0) }
+    : { tokenIn: d.token0 ?? null, amountIn: Math.abs(a0), tokenOut: d.token1 ?? null, amountOut: Math.abs(a1) };
+}
+
+function txPollMs(env = process.env) {
+  return Math.max(250, Number(env.TX_POLL_MS || 5000));
+}
+
+// Status lookup by tx id over the explorer (lib/explorer.cjs createExplorer): → outcome fields, or null
+// while the chain has not recorded the transaction
+function explorerTxLookup(explorer) {
+  return async (txId) => {
+    const tx = await explorer.txStatus(txId);
+    if (!tx || tx.status === 'unknown') return null;
+    if (tx.status === 'failed') return { status: 'failed', hash: tx.hash, reason: tx.reason };
+    return { status: 'confirmed', hash: tx.hash, fill: swapFill({ Data: tx.data }) };
+  };
+}
+
+// One lookup; errors and unsettled answers are null (keep waiting)
+async function lookupOutcome(lookup, txId) {
+  try {
+    const o = await lookup(txId);
+    return o && (o.status === 'confirmed' || o.status === 'failed') ? { ...o, via: 'poll' } : null;
+  } catch {
+    return null;
+  }
+}
+
+function failureReason(err) {
+  const d = err?.details || {};
+  return d.Message || d.ErrorKey || d.message || err?.message || String(err);
+}
+
+async function awaitTxOutcome(pending, { timeoutMs = 120000, lookup = null, pollMs = txPollMs() } = {}) {
+  const txId = pending?.transactionId || null;
+  const started = Date.now();
+  const done = (o) => ({ txId, elapsedMs: Date.now() - started, ...o });
+
+  if (!txId) return done({ status: 'failed', reason: 'bundler returned no transaction id' });
+  if (pending.error) return done({ status: 'failed', reason: pending.message || 'bundler rejected the transaction' });
+
+  let timer, pollTimer, stopped = false;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ timedOut: true }), Math.max(1, timeoutMs));
+  });
+  // Settle wait() into a value so a late rejection after the timeout is never left unhandled
+  const waited = Promise.resolve()
+    .then(() => pending.wait())
+    .then(receipt => ({ receipt }), err => ({ err }));
+  // Poll by tx id next to the socket; resolves only with a settled status
+  const polled = new Promise((resolve) => {
+    if (!lookup) return;
+    const poll = async () => {
+      if (stopped) return;
+      const o = await lookupOutcome(lookup, txId);
+      if (o) resolve({ polled: o });
+      else if (!stopped) pollTimer = setTimeout(poll, pollMs);
+    };
+    pollTimer = setTimeout(poll, pollMs);
+  });
+
+  let r = await Promise.race([waited, polled, timeout]);
+  // The socket gave up early (not connected, dropped): polling runs on until the deadline
+  const socketErr = r.err && r.err?.code !== 'TRANSACTION_WAIT_FAILED' ? r.err : null;
+  if (socketErr && lookup) r = await Promise.race([polled, timeout]);
+  stopped = true;
+  clearTimeout(timer);
+  clearTimeout(pollTimer);
+
+  if (r.polled) return done(r.polled);
+  if (r.err && !socketErr) return done({ status: 'failed', reason: failureReason(r.err) });
+  if (r.receipt) return done({ status: 'confirmed', hash: r.receipt?.transactionHash || null, fill: swapFill(r.receipt), receipt: r.receipt });
+
+  // Last look by id before giving up
+  const last = lookup ? await lookupOutcome(lookup, txId) : null;
+  if (last) return done(last);
+  // TRANSACTION_WAIT_TIMEOUT / SOCKET_CONNECTION_REQUIRED / socket drops: we simply do not know
+  if (socketErr && !lookup) return done({ status: 'unknown', reason: `${socketErr.code || 'WAIT_ERROR'}: ${socketErr.message || socketErr}` });
+  return done({ status: 'unknown', reason: socketErr ? `${socketErr.code || 'WAIT_ERROR'}; not found by id within ${timeoutMs}ms` : `no status within ${timeoutMs}ms` });
+}
+
+// Compact, log-friendly form of an outcome (drops the raw receipt)
+function outcomeSummary(tag, outcome, extra = {}) {
+  const { receipt, ...rest } = outcome || {};
+  return { trade: tag, ...extra, ...rest };
+}
+
+module.exports = { connectTxEvents, disconnectTxEvents, swapFill, txPollMs, explorerTxLookup, awaitTxOutcome, outcomeSummary };
@@ -7,6 +7,19 @@ const bodyParser = require('body-parser');
 require('dotenv').config();
 const { GSwap, PrivateKeySigner } = require('@gala-chain/gswap-sdk');
 const serverless = require('serverless-http');
+const { createMarketData, createTokenBucket } = require('../../lib/market-data.cjs');
+const { stateStoreFromEnv } = require('../../lib/state-store.cjs');
+const { paperConfigFromEnv, PAPER_DOC } = require('../../lib/paper-wallet.cjs');
+const { fakeSdkFromEnv } = require('../../lib/fake-gswap.cjs');
+const BigNumber = require('bignumber.js');
+const { classifyError } = require('../../lib/market-data.cjs');
+const { connectTxEvents, awaitTxOutcome, explorerTxLookup } = require('../../lib/tx-outcome.cjs');
+const { createRiskGuard } = require('../../lib/risk.cjs');
+const { createTradeApi, authenticate } = require('../../lib/trade-api.cjs');
+const { createTradeJournal } = require('../../lib/trade-journal.cjs');
+const { createExplorer } = require('../../lib/explorer.cjs');
+const { createPriceHistory } = require('../../lib/price-history.cjs');
+const { createPerformance } = require('../../lib/performance.cjs');
 
 // ---------------------- Helpers ----------------------
 function splitEthBar(w) {
@@ -75,12 +88,10 @@ const DEX_BACKEND_BASE_URL = process.env.DEX_BACKEND_BASE_URL || 'https://dex-ba
 const BUNDLER_BASE_URL     = process.env.BUNDLER_BASE_URL     || 'https://bundle-backend-prod1.defi.gala.com';
 const GALACONNECT_BASE_URL = process.env.GALACONNECT_BASE_URL || 'https://api-galaswap.gala.com';
 
-const EXPLORER_BASE_URL    = process.env.EXPLORER_BASE_URL    || 'https://explorer-api.galachain.com/v1/explorer';
-const EXPLORER_CHANNELS    = (process.env.EXPLORER_CHANNELS   || 'asset,dex')
-  .split(',').map(s => s.trim()).filter(Boolean);
-const EXPLORER_LOOKBACK    = Math.max(1, Number(process.env.EXPLORER_LOOKBACK || 1500));
-
-const COINGECKO_BASE       = process.env.COINGECKO_BASE        || 'https://api.coingecko.com/api/v3';
+// /quote + /swap (API keys, limits: lib/trade-api.cjs)
+const SWAP_SLIPPAGE_BPS    = Math.max(0, Number(process.env.SWAP_SLIPPAGE_BPS || 100));   // default minOut / maxIn of a quote
+const SWAP_TX_WAIT_MS      = Math.max(1000, Number(process.env.SWAP_TX_WAIT_MS || 20000)); // confirmation window per swap
+const SWAP_GAS_GALA        = Math.max(0, Number(process.env.GAS_FIXED_FEE_GALA || 1));       // journaled gas per submitted swap
 
 const WALLET = normalizeWalletNo0x(RAW_WALLET);
 if (!WALLET) {
@@ -92,7 +103,8 @@ if (!WALLET) {
 // ---------------------- App ----------------------
 const app = express();
 app.use(cors());
-app.use(bodyParser.json());
+// Raw body kept for HMAC-signed /swap requests
+app.use(bodyParser.json({ verify: (req, _res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 
 // ✅ Strip Netlify function prefix so routes match
 app.use((req, _res, next) => {
@@ -114,7 +126,44 @@ const sdkOpts = {
   bundlingAPIBasePath: '/bundle',
 };
 if (PRIVATE_KEY) sdkOpts.signer = new PrivateKeySigner(PRIVATE_KEY);
+// GSWAP_FAKE / GSWAP_MOCK_URL: simulated chain (lib/fake-gswap.cjs) instead of the live endpoints
+const FAKE = fakeSdkFromEnv();
+if (FAKE) Object.assign(sdkOpts, FAKE.sdk);
 const gswap = new GSwap(sdkOpts);
+// Trading needs a signer: the real key, or the fake chain's dummy one
+const SIGNER_READY = Boolean(PRIVATE_KEY || FAKE);
+
+// Quotes / balances / Coingecko through the shared market-data client (cache, coalescing,
+// rate limit, retries, per-endpoint metrics at GET /metrics)
+const market = createMarketData({ gswap });
+const cgBucket = createTokenBucket({ ratePerSec: Number(process.env.COINGECKO_RATE_PER_SEC || 0.5), burst: 5 });
+
+// Paper account (lib/paper-wallet.cjs) from the bots' state store; ?account=real | paper | both
+const stateStore = stateStoreFromEnv(process.env, { writer: 'sidecar' });
+const PAPER = paperConfigFromEnv();
+const ACCOUNTS = ['real', 'paper', 'both'];
+function accountOf(req) {
+  const a = String(req.query.account || 'real').toLowerCase();
+  if (!ACCOUNTS.includes(a)) throw new Error(`account must be one of ${ACCOUNTS.join(' | ')}`);
+  return a;
+}
+// null until a paper run has seeded it
+async function paperAccount() {
+  const w = await stateStore.load(PAPER.name, PAPER_DOC);
+  return w.seededAt ? w : null;
+}
+
+// Quote ids, idempotency and per-key usage for /swap (same store); swaps also pass the account risk engine
+const tradeApi = createTradeApi({ store: stateStore });
+const risk = createRiskGuard({ bot: 'sidecar-api' });
+const SWAP_ENABLED = SIGNER_READY && tradeApi.enabled;
+// Trade journal (lib/trade-journal.cjs): the bots' and /swap's trades + balance snapshots, behind /txs
+const journal = createTradeJournal({ store: stateStore });
+// Explorer importer (lib/explorer.cjs; EXPLORER_BASE_URL / EXPLORER_CHANNELS / EXPLORER_LOOKBACK): backfills
+// the journal from chain history and keeps the tx index GET /tx-time reads
+const explorer = createExplorer({ store: stateStore, journal, fetchImpl: FAKE?.chain?.fetch || fetch, request: market.request });
+// /swap confirmations fall back to polling the explorer by tx id when the bundler socket is down
+const txLookup = explorerTxLookup(explorer);
 
 // ---------------------- Token Class Keys ----------------------
 const CLASS = {
@@ -127,11 +176,11 @@ const CLASS = {
 async function priceInUSDT(symbol) {
   if (symbol === 'USDT') return '1';
   if (symbol === 'GALA') {
-    const q = await gswap.quoting.quoteExactInput(CLASS.GALA, CLASS.GUSDT, '1');
+    const q = await market.quoteExactInput(CLASS.GALA, CLASS.GUSDT, '1');
     return q.outTokenAmount.toString();
   }
   if (symbol === 'ETH') {
-    const q = await gswap.quoting.quoteExactInput(CLASS.GWETH, CLASS.GUSDT, '1');
+    const q = await market.quoteExactInput(CLASS.GWETH, CLASS.GUSDT, '1');
     return q.outTokenAmount.toString();
   }
   throw new Error('Unsupported symbol');
@@ -161,7 +210,13 @@ function addrVariants(ownerNo0x) {
 }
 async function tryFetch(url) {
   const r = await fetch(url);
-  if (!r.ok) throw new Error(String(r.status));
+  if (!r.ok) {
+    const err = new Error(String(r.status));
+    err.status = r.status; // lets lib/market-data.cjs tell 429 / 5xx (retried) from other 4xx
+    const retryAfter = Number(r.headers.get('retry-after'));
+    if (retryAfter > 0) err.retryAfterMs = Math.min(30000, retryAfter * 1000);
+    throw err;
+  }
   return r.json();
 }
 async function fetchAssetsAny(ownerNo0x, page = 1, limit = 100) {
@@ -204,11 +259,21 @@ async function fetchAssetsAny(ownerNo0x, page = 1, limit = 100) {
   }
   return { ok: false, errors };
 }
+// Core three first (zero when missing), then the rest; quantities as strings
+function assetList(tokens) {
+  const bySymbol = new Map(tokens.map(t => [String(t.symbol).toUpperCase(), String(t.quantity)]));
+  const MUST_INCLUDE = ['GUSDT', 'GALA', 'GWETH'];
+  const ensured = MUST_INCLUDE.map(sym => ({ symbol: sym, quantity: bySymbol.get(sym) ?? '0' }));
+  const extras = tokens
+    .filter(t => !MUST_INCLUDE.includes(String(t.symbol).toUpperCase()))
+    .map(t => ({ symbol: String(t.symbol), quantity: String(t.quantity) }));
+  return [...ensured, ...extras];
+}
 // Return the three core balances as strings
 async function fetchCoreBalances() {
   let data;
   try {
-    data = await gswap.assets.getUserAssets(WALLET, 1, 100);
+    data = { tokens: await market.userTokens(WALLET) };
   } catch {
     const out = await fetchAssetsAny(WALLET, 1, 100);
     data = out.ok ? out.norm : { tokens: [] };
@@ -222,68 +287,51 @@ async function fetchCoreBalances() {
   };
 }
 
-// ---------------------- Explorer helpers (tx scanning + timestamps) ----------------------
-// (unchanged helpers omitted for brevity — logic unchanged)
-
-// ---------------------- Historical pricing (Coingecko) ----------------------
-const CG_IDS = { GALA: 'gala', ETH: 'ethereum', GWETH: 'ethereum' };
-const priceCache = new Map(); // key = `cg:<id>:<hourBucket>` -> number
-
-async function coingeckoPriceAtMs(id, tMs) {
-  const bucket = Math.floor(tMs / (60 * 60 * 1000)); // 1h buckets
-  const key = `cg:${id}:${bucket}`;
-  if (priceCache.has(key)) return priceCache.get(key);
-
-  const from = Math.floor((tMs - 60 * 60 * 1000) / 1000); // t-1h
-  const to   = Math.floor((tMs + 60 * 60 * 1000) / 1000); // t+1h
-  const url  = `${COINGECKO_BASE}/coins/${encodeURIComponent(id)}/market_chart/range?vs_currency=usd&from=${from}&to=${to}`;
-
-  const j = await tryFetch(url);
-  const arr = Array.isArray(j?.prices) ? j.prices : [];
-  let best = null, bestDt = 1e15;
-  for (const row of arr) {
-    const t = Number(row[0]);
-    const p = Number(row[1]);
-    const dt = Math.abs(t - tMs);
-    if (Number.isFinite(t) && Number.isFinite(p) && dt < bestDt) {
-      bestDt = dt; best = p;
-    }
-  }
-  if (!Number.isFinite(best)) throw new Error('No historical price data');
-  priceCache.set(key, best);
-  if (priceCache.size > 500) priceCache.delete(priceCache.keys().next().value);
-  return best;
-}
-async function historicalUSD(symbol, tMs) {
-  const s = String(symbol).toUpperCase();
-  if (s === 'USDT' || s === 'GUSDT') return 1;
-  if (s === 'GALA') return coingeckoPriceAtMs(CG_IDS.GALA, tMs);
-  if (s === 'ETH' || s === 'GWETH') return coingeckoPriceAtMs(CG_IDS.ETH, tMs);
-  throw new Error(`Unsupported symbol for historical price: ${symbol}`);
-}
+// ---------------------- Historical pricing (lib/price-history.cjs) ----------------------
+// Providers in PRICE_PROVIDERS order over the hourly price archive in the state store; CoinGecko goes
+// through the shared client (rate limit, retries, metrics), spot only prices times close to now
+const priceHistory = createPriceHistory({
+  store: stateStore,
+  fetchJson: (url) => market.request('coingecko', url, () => tryFetch(url), { bucket: cgBucket }),
+  spot: (symbol) => priceInUSDT(symbol),
+});
+// P&L and returns replayed from the trade journal over those prices (lib/performance.cjs)
+const perf = createPerformance({ journal, prices: priceHistory });
 
-// ---------------------- Simple in-memory TX log ----------------------
-const TX_LOG = []; // newest appended at end; capped to 500 entries
-function pushTx(after, meta, tsOverride) {
-  const entry = {
-    ts: normEpochMs(tsOverride) || Date.now(),
-    after: {
-      GUSDT: String(after?.GUSDT ?? after?.USDT ?? '0'),
-      GALA:  String(after?.GALA  ?? '0'),
-      GWETH: String(after?.GWETH ?? after?.WETH ?? '0'),
-    },
-    meta: meta || {}
+// ---------------------- Balance snapshots (paper txs, /txs/usd) ----------------------
+function coreAfter(after) {
+  return {
+    GUSDT: String(after?.GUSDT ?? after?.USDT ?? '0'),
+    GALA:  String(after?.GALA  ?? '0'),
+    GWETH: String(after?.GWETH ?? after?.WETH ?? '0'),
+  };
+}
+const CONFIDENCE_RANK = { none: 0, medium: 1, high: 2 };
+// USD value of a balance snapshot at tMs. Every held token's price carries its source / confidence;
+// the total is null (confidence none) when any held token has no price, rather than a guess.
+async function snapshotUsd(balances, tMs, { debug = false } = {}) {
+  const pricesAt = {};
+  let total = 0, confidence = 'high';
+  for (const [symbol, qty] of Object.entries(balances || {})) {
+    if (!(Number(qty) > 0)) continue;
+    const p = await priceHistory.priceAt(symbol, tMs);
+    pricesAt[symbol] = { price: p.price, source: p.source, confidence: p.confidence, pointTs: p.pointTs, ...(debug ? { tried: p.tried } : {}) };
+    if (CONFIDENCE_RANK[p.confidence] < CONFIDENCE_RANK[confidence]) confidence = p.confidence;
+    total += p.price == null ? NaN : Number(qty) * p.price;
+  }
+  return {
+    usdTotalAt: Number.isFinite(total) ? Number(total.toFixed(8)) : null,
+    priceConfidence: confidence,
+    priceSources: [...new Set(Object.values(pricesAt).map(p => p.source).filter(Boolean))],
+    pricesAt,
   };
-  TX_LOG.push(entry);
-  if (TX_LOG.length > 500) TX_LOG.splice(0, TX_LOG.length - 500);
-  return entry;
 }
 
 // ---------------------- Routes: basics ----------------------
 app.get('/', (_req, res) => res.json({
   ok: true,
   wallet: WALLET || null,
-  swapEnabled: Boolean(PRIVATE_KEY),
+  swapEnabled: SWAP_ENABLED,
   env: {
     gateway: GATEWAY_BASE_URL,
     dexBackend: DEX_BACKEND_BASE_URL,
@@ -292,7 +340,7 @@ app.get('/', (_req, res) => res.json({
 }));
 app.get('/whoami', (_req, res) => res.json({
   wallet: WALLET || null,
-  swapEnabled: Boolean(PRIVATE_KEY)
+  swapEnabled: SWAP_ENABLED
 }));
 app.get('/debug', (_req, res) => res.json({
   wallet: WALLET,
@@ -301,13 +349,14 @@ app.get('/debug', (_req, res) => res.json({
   gateway: GATEWAY_BASE_URL,
   dexBackend: DEX_BACKEND_BASE_URL,
   bundler: BUNDLER_BASE_URL,
-  explorer: { base: EXPLORER_BASE_URL, channels: EXPLORER_CHANNELS, lookback: EXPLORER_LOOKBACK },
+  explorer: { base: explorer.config.baseUrl, channels: explorer.config.channels, lookback: explorer.config.lookback },
   paths: {
     dexContractBasePath: '/api/asset/dexv3-contract',
     tokenContractBasePath: '/api/asset/token-contract',
     bundlingAPIBasePath: '/bundle'
   }
 }));
+app.get('/metrics', (_req, res) => res.json(market.metrics()));
 app.get('/prices', async (_req, res) => {
   try {
     const [gala, eth, usdt] = await Promise.all([
@@ -315,6 +364,8 @@ app.get('/prices', async (_req, res) => {
       priceInUSDT('ETH'),
       priceInUSDT('USDT'),
     ]);
+    // Live quotes feed the archive's galaswap provider
+    await Promise.all([priceHistory.record('GALA', gala), priceHistory.record('ETH', eth)]).catch(() => {});
     res.json({ updatedAt: Date.now(), prices: { GALA: gala, ETH: eth, USDT: usdt } });
   } catch (e) {
     res.status(400).json({ error: e?.message || String(e) });
@@ -322,138 +373,353 @@ app.get('/prices', async (_req, res) => {
 });
 
 // ---------------------- Assets (UI) ----------------------
-app.get('/assets', async (req, res) => {
+async function realAssets(strict) {
+  let data;
   try {
-    if (!WALLET) return res.status(400).json({ error: 'WALLET_ADDRESS not set or invalid' });
-
-    const strict = req.query.strict === '1';
-    let data;
+    const tokens = await market.userTokens(WALLET);
+    data = { tokens, count: tokens.length };
+  } catch (e1) {
+    if (strict) throw e1;
     try {
-      data = await gswap.assets.getUserAssets(WALLET, 1, 100);
-    } catch (e1) {
-      if (strict) return res.status(400).json({ error: e1?.message || String(e1) });
-      try {
-        const out = await fetchAssetsAny(WALLET, 1, 100);
-        if (out.ok) data = out.norm; else data = { tokens: [], count: 0 };
-      } catch {
-        data = { tokens: [], count: 0 };
-      }
+      const out = await fetchAssetsAny(WALLET, 1, 100);
+      if (out.ok) data = out.norm; else data = { tokens: [], count: 0 };
+    } catch {
+      data = { tokens: [], count: 0 };
     }
+  }
+  const tokens = Array.isArray(data?.tokens) ? data.tokens : [];
+  return { wallet: WALLET, tokens: assetList(tokens) };
+}
+async function paperAssets() {
+  const w = await paperAccount();
+  if (!w) return { wallet: PAPER.name, paper: true, seeded: false, tokens: assetList([]) };
+  const tokens = Object.entries(w.balances).map(([symbol, quantity]) => ({ symbol, quantity }));
+  return { wallet: PAPER.name, paper: true, seeded: true, seededAt: w.seededAt, seededFrom: w.seededFrom, start: w.start, tokens: assetList(tokens) };
+}
 
-    const tokens = Array.isArray(data?.tokens) ? data.tokens : [];
-    const bySymbol = new Map(tokens.map(t => [String(t.symbol).toUpperCase(), String(t.quantity)]));
-
-    const MUST_INCLUDE = ['GUSDT', 'GALA', 'GWETH'];
-    const ensured = MUST_INCLUDE.map(sym => ({ symbol: sym, quantity: bySymbol.get(sym) ?? '0' }));
-    const extras = tokens
-      .filter(t => !MUST_INCLUDE.includes(String(t.symbol).toUpperCase()))
-      .map(t => ({ symbol: String(t.symbol), quantity: String(t.quantity) }));
-
-    res.json({ wallet: WALLET, tokens: [...ensured, ...extras] });
+app.get('/assets', async (req, res) => {
+  try {
+    const account = accountOf(req);
+    if (account === 'paper') return res.json(await paperAssets());
+    if (!WALLET) return res.status(400).json({ error: 'WALLET_ADDRESS not set or invalid' });
+    const real = await realAssets(req.query.strict === '1');
+    if (account === 'both') return res.json({ real, paper: await paperAssets() });
+    res.json(real);
   } catch (e) {
     res.status(400).json({ error: e?.message || String(e) });
   }
 });
 
 // ---------------------- Transactions (raw + USD) ----------------------
+// Paper swaps as { ts, after, meta }, newest first
+async function paperTxs(limit) {
+  const w = await paperAccount();
+  const txs = (w?.txs || []).slice(-limit).reverse().map(({ ts, after, ...meta }) => ({ ts, after: coreAfter(after), meta: { paper: true, ...meta } }));
+  return { wallet: PAPER.name, paper: true, count: txs.length, txs };
+}
+
+const JOURNAL_FILTERS = ['token', 'strategy', 'bot', 'status', 'trade', 'since', 'until'];
+const journalQuery = (q) => Object.fromEntries(JOURNAL_FILTERS.filter(k => q[k] != null && q[k] !== '').map(k => [k, String(q[k])]));
+
+// Journal trades, newest first: ?cursor= (nextCursor of the last page) &limit= and the filters above
 app.get('/txs', async (req, res) => {
   try {
+    const account = accountOf(req);
     const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 50));
-    const doSeed = (req.query.seed ?? '1') !== '0'; // default seed on
-    if (doSeed && TX_LOG.length === 0) {
-      try {
-        const after = await fetchCoreBalances();
-        pushTx(after, { seeded: true });
-      } catch { /* ignore seed failure */ }
-    }
-    const out = TX_LOG.slice(-limit).reverse();
-    res.json({ wallet: WALLET || null, count: out.length, txs: out });
+    if (account === 'paper') return res.json(await paperTxs(limit));
+    const page = await journal.list({ cursor: req.query.cursor || null, limit, ...journalQuery(req.query) });
+    const real = { wallet: WALLET || null, count: page.entries.length, txs: page.entries, nextCursor: page.nextCursor };
+    if (account === 'both') return res.json({ real, paper: await paperTxs(limit) });
+    res.json(real);
   } catch (e) {
     res.status(400).json({ error: e?.message || String(e) });
   }
 });
+
+// Balance snapshots (bot runs, /swap), newest first; an empty journal is seeded with the current balances
+async function snapshotsPage(query, maxLimit) {
+  const limit = Math.max(1, Math.min(maxLimit, Number(query.limit) || 50));
+  const filters = { cursor: query.cursor || null, limit, bot: query.bot || null, since: query.since, until: query.until };
+  let page = await journal.listSnapshots(filters);
+  if (!page.snapshots.length && !filters.cursor && (query.seed ?? '1') !== '0' && WALLET) {
+    try {
+      await journal.snapshot({ balances: await fetchCoreBalances(), bot: 'sidecar', source: 'seed' });
+      page = await journal.listSnapshots(filters);
+    } catch { /* ignore seed failure */ }
+  }
+  return page;
+}
+app.get('/txs/snapshots', async (req, res) => {
+  try {
+    const page = await snapshotsPage(req.query, 500);
+    res.json({ wallet: WALLET || null, count: page.snapshots.length, snapshots: page.snapshots, nextCursor: page.nextCursor });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+// Snapshots valued in USD at their time
 app.get('/txs/usd', async (req, res) => {
   try {
-    const limit = Math.max(1, Math.min(200, Number(req.query.limit) || 50));
-    const resolveTimes = (req.query.resolve ?? '1') !== '0';
-
-    if (TX_LOG.length === 0) {
-      try {
-        const after = await fetchCoreBalances();
-        pushTx(after, { seeded: true });
-      } catch {}
-    }
-
-    const list = TX_LOG.slice(-limit).reverse().map(x => ({ ...x, after: { ...x.after }, meta: { ...(x.meta||{}) } }));
-
-    if (resolveTimes) {
-      for (const tx of list) {
-        const raw = tx.ts || tx.meta?.timestamp;
-        if (!normEpochMs(raw)) {
-          const id = tx.meta?.txId || tx.meta?.hash;
-          if (id) {
-            try {
-              const found = await findTxTimestamp(id);
-              if (found?.timestamp) {
-                tx.ts = found.timestamp;
-                tx.meta.resolvedChannel = found.channel;
-                tx.meta.block = found.block;
-              }
-            } catch {}
-          }
-        }
-      }
+    const page = await snapshotsPage(req.query, 200);
+    // One CoinGecko range per token for the whole page, not one call per uncached hour
+    const held = page.snapshots.flatMap(snap => Object.entries(snap.balances || {}).filter(([, q]) => Number(q) > 0).map(([sym]) => sym));
+    const times = page.snapshots.map(snap => snap.ts);
+    if (held.length) await priceHistory.prefetch(held, Math.min(...times), Math.max(...times));
+    const snapshots = [];
+    for (const snap of page.snapshots) {
+      snapshots.push({ ...snap, ...(await snapshotUsd(snap.balances, snap.ts, { debug: (req.query.debug || '') === '1' })) });
     }
-
-    for (const tx of list) {
-      const tMs = normEpochMs(tx.ts || tx.meta?.timestamp) || Date.now();
-      const usdt = Number(tx.after?.GUSDT ?? tx.after?.USDT ?? '0') || 0;
-      const galaQ = Number(tx.after?.GALA ?? '0') || 0;
-      const wethQ = Number(tx.after?.GWETH ?? tx.after?.WETH ?? '0') || 0;
-
-      let pGala = null, pEth = null;
-      try { pGala = await historicalUSD('GALA', tMs); } catch {}
-      try { pEth  = await historicalUSD('ETH',  tMs); } catch {}
-
-      if (!Number.isFinite(pGala) || !Number.isFinite(pEth)) {
-        const [spotGala, spotEth] = await Promise.all([
-          priceInUSDT('GALA').then(Number).catch(() => 0),
-          priceInUSDT('ETH').then(Number).catch(() => 0),
-        ]);
-        if (!Number.isFinite(pGala)) pGala = spotGala || 0;
-        if (!Number.isFinite(pEth))  pEth  = spotEth  || 0;
-      }
-
-      const total = usdt + galaQ * pGala + wethQ * pEth;
-      tx.usdTotalAt = Number.isFinite(total) ? Number(total.toFixed(8)) : null;
-
-      if ((req.query.debug || '') === '1') {
-        tx.pricesAt = { GALA: pGala, ETH: pEth, USDT: 1, ts: tMs };
-      }
-    }
-
-    res.json({ wallet: WALLET || null, count: list.length, txs: list });
+    res.json({ wallet: WALLET || null, count: snapshots.length, snapshots, nextCursor: page.nextCursor });
   } catch (e) {
     res.status(400).json({ error: e?.message || String(e) });
   }
 });
 
-// ---------------------- /swaps, /tx-time, /price-at, /quote, /swap ----------------------
-// Only symbol checks changed where applicable
+// ---------------------- /tx-time, /explorer, /price-at ----------------------
+// On-chain time of a tx id / hash: the explorer index, else one explorer lookup (then indexed)
+app.get('/tx-time', async (req, res) => {
+  try {
+    const txId = String(req.query.txId || req.query.hash || '').trim();
+    if (!txId) return res.status(400).json({ error: 'txId required' });
+    const found = await explorer.txTime(txId);
+    if (!found) return res.status(404).json({ error: `transaction ${txId} not found` });
+    res.json({ ...found, timestamp: found.ts });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+// Scan cursor per channel, indexed tx count and journal imports (scans run with npm run explorer -- scan)
+app.get('/explorer/status', async (_req, res) => {
+  try {
+    res.json(await explorer.status());
+  } catch (e) {
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
 app.get('/price-at', async (req, res) => {
   try {
     const symbol = String(req.query.symbol || '').toUpperCase();
     const ts = normEpochMs(req.query.ts);
-    if (!symbol) return res.status(400).json({ error: 'symbol required (GALA|ETH|USDT)' });
+    if (!symbol) return res.status(400).json({ error: 'symbol required (GALA|ETH|USDT|…)' });
     if (!ts) return res.status(400).json({ error: 'ts required (epoch seconds/ms or ISO string)' });
-    const p = await historicalUSD(symbol, ts);
-    res.json({ symbol, ts, price: p });
+    const p = await priceHistory.priceAt(symbol, ts);
+    // { symbol, ts, price, source, confidence, pointTs, tried }; no provider had a price → 404, price null
+    res.status(p.price == null ? 404 : 200).json(p);
   } catch (e) {
     res.status(400).json({ error: e?.message || String(e) });
   }
 });
 
-// (rest of explorer/scan and swap endpoints remain unchanged except using CLASS.GUSDT where needed)
+// ---------------------- /pnl, /performance ----------------------
+// Realized / unrealized P&L (FIFO cost lots), fees and cash flows of the journaled wallet; ?since=&until=&opening=snapshot|empty
+const pnlQuery = (q) => ({ since: q.since || null, until: q.until || null, opening: q.opening || undefined });
+app.get('/pnl', async (req, res) => {
+  try {
+    res.json({ wallet: WALLET || null, ...(await perf.pnl(pnlQuery(req.query))) });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+// /pnl + time- and money-weighted returns and the daily equity series; &days= limits the window
+app.get('/performance', async (req, res) => {
+  try {
+    res.json({ wallet: WALLET || null, ...(await perf.performance({ ...pnlQuery(req.query), days: req.query.days || null })) });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------------- Trading: /quote, /swap ----------------------
+const STABLES = ['GUSDT', 'GUSDC'];
+const FEE_TIERS = [500, 3000, 10000];
+const symOf = (key) => String(key).split('|')[0].toUpperCase();
+// "GALA" → "GALA|Unit|none|none"; full class keys pass through
+const tokenKey = (t) => { const s = String(t || '').trim(); return !s || s.includes('|') ? s : `${s.toUpperCase()}|Unit|none|none`; };
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+function positiveAmount(v, name) {
+  if (v == null || v === '') return null;
+  const n = new BigNumber(String(v));
+  if (!n.isFinite() || !n.gt(0)) throw httpError(400, `${name} must be a positive number`);
+  return n.toString(10);
+}
+function feeTierOf(v) {
+  if (v == null || v === '') return undefined;
+  if (!FEE_TIERS.includes(Number(v))) throw httpError(400, `feeTier must be one of ${FEE_TIERS.join(', ')}`);
+  return Number(v);
+}
+// amount less (or, up = true, plus) bps, 8 decimals rounded toward the safe side
+const withSlippage = (amount, bps, up = false) => new BigNumber(amount).times(up ? 10000 + bps : 10000 - bps).div(10000)
+  .decimalPlaces(8, up ? BigNumber.ROUND_UP : BigNumber.ROUND_DOWN).toString(10);
+
+// Exact-in (amountIn) or exact-out (amountOut) quote; minOut / maxIn carry slippageBps
+async function quoteTrade({ tokenIn, tokenOut, amountIn, amountOut, feeTier, slippageBps = SWAP_SLIPPAGE_BPS }) {
+  const tIn = tokenKey(tokenIn), tOut = tokenKey(tokenOut);
+  if (!tIn || !tOut) throw httpError(400, 'tokenIn and tokenOut required (symbol like GALA or a class key)');
+  if (tIn === tOut) throw httpError(400, 'tokenIn and tokenOut must differ');
+  const exactIn = positiveAmount(amountIn, 'amountIn'), exactOut = positiveAmount(amountOut, 'amountOut');
+  if (Boolean(exactIn) === Boolean(exactOut)) throw httpError(400, 'give exactly one of amountIn (exact input) or amountOut (exact output)');
+  const fee = feeTierOf(feeTier);
+  const bps = Number(slippageBps);
+  if (!(bps >= 0 && bps < 10000)) throw httpError(400, 'slippageBps must be in [0, 10000)');
+  let q;
+  try {
+    q = exactIn
+      ? await market.quoteExactInput(tIn, tOut, exactIn, fee)
+      : await market.quoteExactOutput(tIn, tOut, exactOut, fee);
+  } catch (e) {
+    throw httpError(classifyError(e) === 'transient' ? 502 : 422, `quote failed: ${e?.message || e}`);
+  }
+  const inAmt = new BigNumber(q.inTokenAmount.toString()), outAmt = new BigNumber(q.outTokenAmount.toString());
+  return {
+    tokenIn: tIn, tokenOut: tOut, exact: exactIn ? 'in' : 'out', feeTier: q.feeTier,
+    amountIn: inAmt.toString(10), amountOut: outAmt.toString(10),
+    price: inAmt.gt(0) ? outAmt.div(inAmt).toString(10) : null, // tokenOut per tokenIn, fees included
+    priceImpact: q.priceImpact != null ? q.priceImpact.toString() : null, // percent, from the SDK
+    slippageBps: bps,
+    minOut: exactIn ? withSlippage(outAmt, bps) : outAmt.toString(10),
+    maxIn: exactIn ? inAmt.toString(10) : withSlippage(inAmt, bps, true),
+  };
+}
+
+// USD notional of `amount` token (stables at par, the rest via a GUSDT quote)
+async function usdValueOf(token, amount) {
+  if (STABLES.includes(symOf(token))) return Number(amount);
+  try {
+    return Number((await market.quoteExactInput(token, CLASS.GUSDT, String(amount))).outTokenAmount);
+  } catch (e) {
+    throw httpError(422, `cannot value ${symOf(token)} in USD for the swap limits: ${e?.message || e}`);
+  }
+}
+
+// /swap body → { quoteId, tokenIn, tokenOut, feeTier, exact, amountIn, amountOut, minOut, maxIn, quotedOut }.
+// With a quoteId the quote's bounds apply unless minOut / maxIn are given; without one, an exact-in
+// swap needs minOut and an exact-out swap maxIn (feeTier optional: the best tier is quoted).
+async function swapRequest(body) {
+  const minOut = positiveAmount(body.minOut, 'minOut'), maxIn = positiveAmount(body.maxIn, 'maxIn');
+  if (body.quoteId) {
+    const got = await tradeApi.getQuote(String(body.quoteId));
+    if (got.error) throw httpError(got.status, got.error);
+    const q = got.quote;
+    return {
+      quoteId: q.quoteId, tokenIn: q.tokenIn, tokenOut: q.tokenOut, feeTier: q.feeTier, exact: q.exact,
+      amountIn: q.exact === 'in' ? q.amountIn : null, amountOut: q.exact === 'out' ? q.amountOut : null,
+      minOut: q.exact === 'in' ? (minOut || q.minOut) : null, maxIn: q.exact === 'out' ? (maxIn || q.maxIn) : null,
+      quotedOut: q.amountOut,
+    };
+  }
+  const amountIn = positiveAmount(body.amountIn, 'amountIn'), amountOut = positiveAmount(body.amountOut, 'amountOut');
+  if (amountIn && !minOut) throw httpError(400, 'exact-in swap needs minOut (or a quoteId)');
+  if (amountOut && !maxIn) throw httpError(400, 'exact-out swap needs maxIn (or a quoteId)');
+  const q = await quoteTrade({ tokenIn: body.tokenIn, tokenOut: body.tokenOut, amountIn, amountOut, feeTier: body.feeTier });
+  return {
+    quoteId: null, tokenIn: q.tokenIn, tokenOut: q.tokenOut, feeTier: q.feeTier, exact: q.exact,
+    amountIn, amountOut, minOut: amountIn ? minOut : null, maxIn: amountOut ? maxIn : null,
+    quotedOut: q.amountOut,
+  };
+}
+
+// Risk gate → submit → wait for the tx id → trade journal entry + balance snapshot.
+// submitted = false: nothing reached the chain.
+async function executeSwap(r, { usd, apiKey, idempotencyKey, strategy }) {
+  const gate = risk.check({ tokenIn: r.tokenIn, tokenOut: r.tokenOut, notionalUsd: usd }, null);
+  if (!gate.ok) return { statusCode: 403, submitted: false, body: { status: 'rejected', reason: gate.reason, request: r, usd } };
+
+  const amounts = r.exact === 'in'
+    ? { exactIn: r.amountIn, amountOutMinimum: r.minOut }
+    : { exactOut: r.amountOut, amountInMaximum: r.maxIn };
+  await connectTxEvents(sdkOpts.bundlerBaseUrl); // before submit, so the tx id is tracked
+  let pending = null, outcome;
+  try {
+    pending = await gswap.swaps.swap(r.tokenIn, r.tokenOut, r.feeTier, amounts, WALLET);
+  } catch (e) {
+    outcome = { status: 'failed', txId: null, reason: e?.message || String(e) };
+  }
+  if (pending) {
+    risk.record({ tokenIn: r.tokenIn, tokenOut: r.tokenOut, notionalUsd: usd, txId: pending.transactionId });
+    outcome = await awaitTxOutcome(pending, { timeoutMs: SWAP_TX_WAIT_MS, lookup: txLookup });
+    if (outcome.status === 'failed') risk.release(pending.transactionId); // reverted: counts for nothing
+  }
+  const { receipt, ...result } = outcome;
+  const num = (v) => (v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+  const tx = await journal.record({
+    bot: 'sidecar-api', runId: null, strategy, trade: 'API_SWAP', via: 'api', apiKey, idempotencyKey, quoteId: r.quoteId,
+    tokenIn: r.tokenIn, tokenOut: r.tokenOut, feeTier: r.feeTier,
+    amountIn: num(result.fill?.amountIn ?? r.amountIn ?? r.maxIn), amountOut: num(result.fill?.amountOut ?? null),
+    quotedOut: num(r.quotedOut), minOut: num(r.minOut), gasGala: pending ? SWAP_GAS_GALA : 0, notionalUsd: usd,
+    txId: result.txId || null, hash: result.hash || null, status: result.status, reason: result.reason || null,
+  });
+  try {
+    await journal.snapshot({ balances: await fetchCoreBalances(), bot: 'sidecar-api', source: 'swap' });
+  } catch { /* balances are best effort */ }
+  const statusCode = result.status === 'confirmed' ? 200 : result.status === 'unknown' ? 202 : 502;
+  return { statusCode, submitted: Boolean(pending), body: { ...result, request: r, usd, tx } };
+}
+
+app.get('/quote', async (req, res) => {
+  try {
+    const q = await quoteTrade({
+      tokenIn: req.query.tokenIn, tokenOut: req.query.tokenOut,
+      amountIn: req.query.amountIn, amountOut: req.query.amountOut,
+      feeTier: req.query.feeTier, slippageBps: req.query.slippageBps ?? SWAP_SLIPPAGE_BPS,
+    });
+    // Quote ids only where /swap can use them
+    res.json(SWAP_ENABLED ? await tradeApi.saveQuote(q) : q);
+  } catch (e) {
+    res.status(e.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+app.post('/swap', async (req, res) => {
+  if (!SIGNER_READY) return res.status(503).json({ error: 'swaps are disabled: PRIVATE_KEY is not configured on this deployment' });
+  if (!tradeApi.enabled) return res.status(503).json({ error: 'swaps are disabled: no SWAP_API_KEYS configured' });
+  if (!WALLET) return res.status(503).json({ error: 'WALLET_ADDRESS not set or invalid' });
+  const auth = authenticate({ headers: req.headers, method: req.method, path: req.path, rawBody: req.rawBody }, tradeApi.config);
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+
+  const body = req.body || {};
+  const idempotencyKey = req.get('idempotency-key') || body.idempotencyKey || null;
+  try {
+    const prev = await tradeApi.replayOf({ auth, idempotencyKey, body });
+    if (prev?.replay) return res.set('Idempotent-Replayed', 'true').status(prev.replay.statusCode).json(prev.replay.body);
+    if (prev) return res.status(prev.status).json({ error: prev.error });
+
+    const request = await swapRequest(body);
+    const usd = await usdValueOf(request.tokenIn, request.exact === 'in' ? request.amountIn : request.maxIn);
+    const gate = await tradeApi.begin({ auth, idempotencyKey, body, request, usd });
+    if (gate.replay) return res.set('Idempotent-Replayed', 'true').status(gate.replay.statusCode).json(gate.replay.body);
+    if (!gate.ok) return res.status(gate.status).json({ error: gate.error });
+
+    let result;
+    try {
+      const strategy = body.strategy ? String(body.strategy).slice(0, 64) : 'api';
+      result = await executeSwap(request, { usd, apiKey: auth.key.id, idempotencyKey, strategy });
+    } catch (e) {
+      // Unexpected: the swap may or may not have been submitted, so the usage stays booked
+      result = { statusCode: 500, submitted: true, body: { status: 'error', reason: e?.message || String(e), request, usd } };
+    }
+    await tradeApi.finish({ auth, idempotencyKey, ticket: gate.ticket, request, statusCode: result.statusCode, body: result.body, refund: !result.submitted });
+    res.status(result.statusCode).json(result.body);
+  } catch (e) {
+    res.status(e.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// This key's usage against its limits
+app.get('/swap/usage', async (req, res) => {
+  if (!tradeApi.enabled) return res.status(503).json({ error: 'swaps are disabled: no SWAP_API_KEYS configured' });
+  const auth = authenticate({ headers: req.headers, method: req.method, path: req.path, rawBody: '' }, tradeApi.config);
+  if (!auth.ok) return res.status(auth.status).json({ error: auth.error });
+  try {
+    res.json(await tradeApi.usage(auth.key));
+  } catch (e) {
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
 
 // ---------------------- Serverless export ----------------------
 module.exports.handler = serverless(app);
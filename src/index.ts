@@ -1,12 +1,52 @@
 // GalaSwap fee-tier arbitrage bot (TypeScript)
-// One-file version with DRY_RUN and resilient wait
+// One-file version with DRY_RUN and leg-aware execution (retry / unwind / resume)
+// Candidates come from the shared cycle scanner (lib/arb-scanner.cjs): by default every
+// TOKEN_IN → TOKEN_OUT → TOKEN_IN round-trip across fee tiers; ARB_TOKENS / ARB_MAX_LEGS widen it.
+// AMOUNT_IN is the probe size; the traded size is searched in [ARB_MIN_AMOUNT, ARB_MAX_AMOUNT]
+// (lib/arb-sizing.cjs), capped by the TOKEN_IN balance and the risk engine's notional headroom.
 // Requires: Node 18+, packages @gala-chain/gswap-sdk dotenv bignumber.js ts-node typescript
+// Each loop iteration is a run: scans, skips (with a reason code), leg submits / outcomes and errors are
+// typed JSON events on stdout and in EVENT_LOG_DIR/fee-tier-arb.jsonl (lib/event-log.cjs, `npm run report`).
 // Tip: set "esModuleInterop": true in tsconfig for the BigNumber default import.
 
 import 'dotenv/config';
 import BigNumber from 'bignumber.js';
 import { GSwap, PrivateKeySigner, FEE_TIER } from '@gala-chain/gswap-sdk';
 
+// GSWAP_FAKE / GSWAP_MOCK_URL: simulated chain with a dummy signer (lib/fake-gswap.cjs)
+const { fakeSdkFromEnv } = require('../lib/fake-gswap.cjs');
+const FAKE = fakeSdkFromEnv();
+
+// Structured event log; console lines of the shared modules become events too
+const { createEventLog } = require('../lib/event-log.cjs');
+const ev = createEventLog({ bot: FAKE ? 'fee-tier-arb-fake' : 'fee-tier-arb' });
+ev.captureConsole();
+
+// Webhook alerts (ALERT_WEBHOOKS) for leg fills / failures, cycles and risk halts (lib/notifier.cjs)
+const { stateStoreFromEnv } = require('../lib/state-store.cjs');
+const { createNotifier } = require('../lib/notifier.cjs');
+const stateStore = stateStoreFromEnv(process.env, { writer: 'fee-tier-arb' });
+const notifier = createNotifier({ store: stateStore });
+ev.subscribe(notifier.handle);
+
+// Trade journal (lib/trade-journal.cjs): every leg outcome, behind the sidecar's GET /txs
+const { createTradeJournal } = require('../lib/trade-journal.cjs');
+const journal = createTradeJournal({ store: stateStore });
+ev.subscribe(journal.handle);
+
+// Shared account-level risk engine (plain CJS module used by every bot)
+const { createRiskGuard } = require('../lib/risk.cjs');
+const risk = createRiskGuard({ bot: 'fee-tier-arb' });
+const { scanCycles, gasPerLegInBase, quoterFromSdk } = require('../lib/arb-scanner.cjs');
+const { optimizeCycleSize, capAmount } = require('../lib/arb-sizing.cjs');
+const { executeCycle, resumePartials } = require('../lib/cycle-exec.cjs');
+const { awaitTxOutcome, explorerTxLookup, outcomeSummary } = require('../lib/tx-outcome.cjs');
+const { createExplorer } = require('../lib/explorer.cjs');
+// Leg confirmations poll the explorer by tx id when the bundler socket is not delivering
+const txLookup = explorerTxLookup(createExplorer({ store: stateStore, fetchImpl: FAKE?.chain?.fetch || fetch }));
+const { createOfflineQuoter } = require('../lib/clmm.cjs');
+const { createMarketData } = require('../lib/market-data.cjs');
+
 // ---- ENV & Config ----
 const PRIVATE_KEY = process.env.PRIVATE_KEY!; // 0x...
 const WALLET = process.env.WALLET_ADDRESS!;   // e.g., "eth|0xabc..."
@@ -18,43 +58,140 @@ const AMOUNT_IN  = new BigNumber(process.env.AMOUNT_IN  || '100');
 const MIN_PROFIT = new BigNumber(process.env.MIN_PROFIT_IN_TOKEN || '0.5');
 const SLIPPAGE_BPS = Number(process.env.SLIPPAGE_BPS || '100'); // 100 = 1%
 const DRY_RUN = String(process.env.DRY_RUN || 'false').toLowerCase() === 'true';
+const TX_WAIT_MS = Math.max(1000, Number(process.env.TX_WAIT_MS || 45000)); // per-leg confirmation window
+
+// Stable used to value trades in USD for the risk caps
+const USD_TOKEN = process.env.RISK_USD_TOKEN || 'GUSDC|Unit|none|none';
 
 // DEX fee tiers to test (0.05%, 0.30%, 1.00%)
 const FEES = [FEE_TIER.PERCENT_00_05, FEE_TIER.PERCENT_00_30, FEE_TIER.PERCENT_01_00];
 
+// Cycle graph: base = TOKEN_IN; 2-leg cycles are the classic fee-tier round-trip
+const ARB_TOKENS = process.env.ARB_TOKENS
+  ? process.env.ARB_TOKENS.split(',').map((t) => t.trim()).filter(Boolean)
+  : [TOKEN_IN, TOKEN_OUT];
+const ARB_MAX_LEGS = Math.min(4, Math.max(2, Number(process.env.ARB_MAX_LEGS || 2)));
+const ARB_GAS_GALA_PER_LEG = Math.max(0, Number(process.env.ARB_GAS_GALA_PER_LEG ?? 1));
+
+// Size search bounds, in TOKEN_IN units (default: AMOUNT_IN/20 .. AMOUNT_IN)
+const SIZE_MIN = Number(process.env.ARB_MIN_AMOUNT || AMOUNT_IN.dividedBy(20).toNumber());
+const SIZE_MAX = Number(process.env.ARB_MAX_AMOUNT || AMOUNT_IN.toNumber());
+const SIZE_CANDIDATES = Math.max(1, Number(process.env.ARB_SIZE_CANDIDATES || 3));
+const SIZE_EVALS = Math.max(4, Number(process.env.ARB_SIZE_EVALS || 12));
+
+// Scan + size on pool state simulated in memory (lib/clmm.cjs), one pool fetch per iteration;
+// the first leg is checked against a live quote before anything is submitted
+const CLMM_OFFLINE = String(process.env.CLMM_OFFLINE || 'true').toLowerCase() === 'true';
+const CLMM_MAX_DRIFT_BPS = Math.max(0, Number(process.env.CLMM_MAX_DRIFT_BPS || 10));
+
+// Shared market-data client (lib/market-data.cjs): quote cache, coalescing, rate limit, retries
+type MarketData = ReturnType<typeof createMarketData>;
+
+type ScannedLeg = { tokenIn: string; tokenOut: string; feeTier: number; in: number; out: number };
+type ScannedCycle = { path: string; legs: ScannedLeg[]; finalOut: number; grossProfit: number; gasCost: number; netProfit: number; netBps: number };
+type SizedCycle = ScannedCycle & { amount: number; evals: number };
+
 function minusBps(x: BigNumber, bps: number) {
   return x.multipliedBy(new BigNumber(10_000 - bps)).dividedBy(10_000).decimalPlaces(0);
 }
 
-// Resilient wait: try wait(); on timeout, listen to socket events
-async function resilientWait(pendingTx: any, timeoutMs = 45000) {
+// USD notional of an amount of `token` (1:1 for the USD token itself)
+async function usdValue(market: MarketData, token: string, amount: BigNumber): Promise<number> {
+  if (token === USD_TOKEN) return amount.toNumber();
+  const q = await market.quoteExactInput(token, USD_TOKEN, amount.toFixed());
+  return q.outTokenAmount.toNumber();
+}
+
+// Wallet balance of `token` (null when it cannot be read — the size is then not balance-capped)
+async function tokenBalance(market: MarketData, token: string): Promise<number | null> {
+  const symbol = token.split('|')[0]!.toUpperCase();
   try {
-    return await pendingTx.wait();
-  } catch (err) {
-    const txId = pendingTx.transactionId;
-    console.warn('wait() timed out; falling back to socket. txId=', txId);
-    await GSwap.events.connectEventSocket();
-    return await new Promise((resolve, reject) => {
-      const socket: any = GSwap.events;
-      const timer = setTimeout(() => {
-        socket.off?.('transaction', onTx);
-        reject(new Error('socket wait timeout'));
-      }, timeoutMs);
-      function onTx(id: string, resp: any) {
-        if (id !== txId) return;
-        socket.off?.('transaction', onTx);
-        clearTimeout(timer);
-        if (resp?.status === 'PROCESSED') resolve(resp);
-        else reject(new Error(resp?.error || `tx ${id} failed`));
-      }
-      socket.on?.('transaction', onTx);
-    });
+    return (await market.balancesBySymbol(WALLET))[symbol] || 0;
+  } catch (e: any) {
+    ev.warn('BALANCE-ERR', `Balance read failed: ${e?.message || e}`);
   }
+  return null;
+}
+
+// Holdings of the tokens this bot trades (ARB_TOKENS + the USD token), in USD by symbol; null when a
+// balance or a valuation cannot be read, so a partial mark never trips the drawdown kill switch
+type Portfolio = { totalUsd: number; byAsset: Record<string, number> };
+let PORTFOLIO: Portfolio | null = null; // refreshed each iteration for the risk engine's exposure cap
+
+async function portfolioSnapshot(market: MarketData): Promise<Portfolio | null> {
+  try {
+    const balances = await market.balancesBySymbol(WALLET);
+    const byAsset: Record<string, number> = {};
+    for (const token of new Set([...ARB_TOKENS, USD_TOKEN])) {
+      const symbol = token.split('|')[0]!.toUpperCase();
+      const qty = balances[symbol] || 0;
+      byAsset[symbol] = qty > 0 ? await usdValue(market, token, new BigNumber(qty)) : 0;
+    }
+    return { totalUsd: Object.values(byAsset).reduce((s, v) => s + v, 0), byAsset };
+  } catch (e: any) {
+    ev.warn('RISK', `Incomplete portfolio valuation; equity not marked: ${e?.message || e}`);
+    return null;
+  }
+}
+
+// Options for the leg-aware executor (lib/cycle-exec.cjs); swaps confirm by tx id (lib/tx-outcome.cjs)
+function execOptions(gswap: GSwap, market: MarketData, quote: unknown) {
+  return {
+    bot: 'fee-tier-arb',
+    base: TOKEN_IN,
+    feeTiers: FEES,
+    quote,
+    balanceOf: (token: string) => tokenBalance(market, token),
+    // Parked unknown legs settle by tx id; resumed legs pass the risk engine at their USD value
+    txStatus: async (txId: string) => {
+      const o = await txLookup(txId);
+      return o && { status: o.status, amountOut: o.fill?.amountOut, reason: o.reason };
+    },
+    riskGate: async ({ tag, tokenIn, tokenOut, amountIn, legs }: { tag: string; tokenIn: string; tokenOut: string; amountIn: number; legs: number }) => {
+      const notionalUsd = (await usdValue(market, tokenIn, new BigNumber(amountIn))) * legs;
+      const gate = risk.check({ tokenIn, tokenOut, notionalUsd, legs }, PORTFOLIO);
+      if (!gate.ok) {
+        ev.emit(`${tag}-OUTCOME`, '', { trade: tag, in: tokenIn, out: tokenOut, notionalUsd, legs, status: 'rejected', txId: null, reason: gate.reason, gasGala: 0 });
+        return false;
+      }
+      risk.record({ tokenIn, tokenOut, notionalUsd, legs });
+      return true;
+    },
+    slippageBps: SLIPPAGE_BPS,
+    maxRetries: Number(process.env.ARB_LEG_RETRIES || 1),
+    retrySlippageStepBps: Number(process.env.ARB_RETRY_STEP_BPS || 50),
+    maxSlippageBps: Number(process.env.ARB_MAX_SLIPPAGE_BPS || 300),
+    unwindSlippageBps: Number(process.env.ARB_UNWIND_SLIPPAGE_BPS || 200),
+    swapLeg: async (leg: { tag: string; tokenIn: string; tokenOut: string; feeTier: number; amountIn: number; minOut: number; quotedOut?: number }) => {
+      const trade = {
+        in: leg.tokenIn, out: leg.tokenOut, feeTier: leg.feeTier, exactIn: String(leg.amountIn), amountOutMinimum: String(leg.minOut),
+        quotedOut: leg.quotedOut == null ? null : String(leg.quotedOut), strategy: 'fee-tier-arb',
+      };
+      let pending;
+      try {
+        pending = await gswap.swaps.swap(
+          leg.tokenIn,
+          leg.tokenOut,
+          leg.feeTier,
+          { exactIn: String(leg.amountIn), amountOutMinimum: String(leg.minOut) },
+          WALLET
+        );
+      } catch (e: any) {
+        const failed = { status: 'failed', txId: null, reason: e?.message || String(e) };
+        ev.emit(`${leg.tag}-OUTCOME`, '', { ...outcomeSummary(leg.tag, failed, trade), gasGala: 0 });
+        return failed;
+      }
+      ev.emit(`${leg.tag}-SUBMIT`, `${leg.tag} submitted. txId=${pending.transactionId}`, { trade: leg.tag, txId: pending.transactionId });
+      const outcome = await awaitTxOutcome(pending, { timeoutMs: TX_WAIT_MS, lookup: txLookup });
+      ev.emit(`${leg.tag}-OUTCOME`, '', { ...outcomeSummary(leg.tag, outcome, trade), gasGala: ARB_GAS_GALA_PER_LEG });
+      return { ...outcome, amountOut: outcome.fill?.amountOut };
+    },
+  };
 }
 
 async function main() {
   // 1) Initialize SDK with signer for write operations (swaps)
-  const gswap = new GSwap({ signer: new PrivateKeySigner(PRIVATE_KEY), walletAddress: WALLET });
+  const gswap = new GSwap({ walletAddress: WALLET, ...(FAKE ? FAKE.sdk : { signer: new PrivateKeySigner(PRIVATE_KEY) }) });
 
   // 2) Connect event socket so tx.wait() can confirm on-chain
   await GSwap.events.connectEventSocket();
@@ -63,86 +200,124 @@ async function main() {
   if (DRY_RUN) console.log('🧪 DRY_RUN=true — swaps will be simulated/logged only.');
 
   // 3) Polling loop
+  const market = createMarketData({ gswap });
+  const clmm = createOfflineQuoter({ gswap: market.sdk });
+  const liveQuote = quoterFromSdk(market.sdk);
   while (true) {
+    ev.startRun({ mode: DRY_RUN ? 'dry' : 'live', fake: Boolean(FAKE) });
+    let status = 'done';
     try {
-      // Gather candidate round-trips across fee tiers
-      const cands: { feeA: number; feeB: number; leg1Out: BigNumber; outBack: BigNumber }[] = [];
-      for (const feeA of FEES) {
-        try {
-          // Quote leg 1: TOKEN_IN -> TOKEN_OUT on feeA
-          const q1 = await gswap.quoting.quoteExactInput(TOKEN_IN, TOKEN_OUT, AMOUNT_IN.toFixed(), feeA);
-
-          for (const feeB of FEES) {
-            if (feeB === feeA) continue; // must be different tier for intra-pair arb
-            try {
-              // Quote leg 2: TOKEN_OUT -> TOKEN_IN on feeB
-              const q2 = await gswap.quoting.quoteExactInput(TOKEN_OUT, TOKEN_IN, q1.outTokenAmount, feeB);
-              cands.push({ feeA, feeB, leg1Out: q1.outTokenAmount, outBack: q2.outTokenAmount });
-            } catch {}
-          }
-        } catch {}
+      // Portfolio mark → drawdown kill switch (stops the loop until `node lib/risk.cjs rearm`)
+      PORTFOLIO = await portfolioSnapshot(market);
+      const mark = PORTFOLIO == null ? { halted: Boolean(risk.isHalted()) } : risk.markEquity(PORTFOLIO.totalUsd);
+      if (PORTFOLIO != null) ev.debug('RISK', '', { equityUsd: PORTFOLIO.totalUsd, drawdownPct: mark.drawdownPct });
+      if (mark.halted) {
+        ev.emit('RISK-HALTED', 'Kill switch engaged; stopping the arbitrage loop.', { reason: 'kill-switch' });
+        break;
       }
 
-      if (!cands.length) {
-        console.log('No fee-tier combos found (pools may not exist). Sleeping…');
+      clmm.refresh();
+      const quote = CLMM_OFFLINE ? clmm.quote : liveQuote;
+
+      // Finish or liquidate cycles an earlier iteration (or run) left half-done
+      if (!DRY_RUN) {
+        const resumed = await resumePartials(execOptions(gswap, market, liveQuote));
+        if (resumed.length) ev.emit('CYCLE-RESUME', `${resumed.length} parked cycle(s)`, { resumed });
+      }
+
+      // Rank every cycle through TOKEN_IN (net of estimated gas, in TOKEN_IN units)
+      const gasPerLegBase = await gasPerLegInBase(quote, TOKEN_IN, ARB_GAS_GALA_PER_LEG, FEES);
+      const ranked: ScannedCycle[] = await scanCycles({
+        quote, base: TOKEN_IN, tokens: ARB_TOKENS, feeTiers: FEES, maxLegs: ARB_MAX_LEGS,
+        startAmount: AMOUNT_IN.toNumber(), gasPerLegBase,
+      });
+
+      if (!ranked.length) {
+        ev.emit('ARB-SKIP', 'No fee-tier combos found (pools may not exist). Sleeping…', { reason: 'no-pools' });
         await new Promise((r) => setTimeout(r, 3000));
         continue;
       }
 
-      // Pick best round-trip by maximum amount returned to TOKEN_IN
-      cands.sort((a, b) => b.outBack.minus(a.outBack).toNumber());
-      const [best] = cands;
-      if (!best) { await new Promise(r=>setTimeout(r, 3000)); continue; }
+      // Size the top cycles that are profitable before gas (impact only grows with size);
+      // cap by balance and by the notional the risk engine will still accept
+      const balance = await tokenBalance(market, TOKEN_IN);
+      const usdPerToken = await usdValue(market, TOKEN_IN, new BigNumber(1));
+      let best: SizedCycle | null = null;
+      for (const c of ranked.filter((c) => c.grossProfit > 0).slice(0, SIZE_CANDIDATES)) {
+        const riskCap = usdPerToken > 0 ? risk.headroomUsd() / c.legs.length / usdPerToken : null;
+        const maxAmount = capAmount(SIZE_MAX, balance, riskCap);
+        if (!(maxAmount >= SIZE_MIN)) continue;
+        const sized = await optimizeCycleSize({
+          quote, cycle: c, minAmount: SIZE_MIN, maxAmount, gasPerLegBase, maxEvals: SIZE_EVALS,
+        });
+        if (sized && (!best || sized.netProfit > best.netProfit)) best = { ...sized, path: c.path };
+      }
+      if (!best) {
+        const [top] = ranked;
+        ev.emit('ARB-SKIP', `Best ${top!.path}: loses before gas at ${AMOUNT_IN.toFixed()} (${top!.grossProfit}); nothing to size.`,
+          { reason: 'unprofitable', path: top!.path, grossProfit: top!.grossProfit });
+        await new Promise((r) => setTimeout(r, 2500));
+        continue;
+      }
 
-      const profit = best.outBack.minus(AMOUNT_IN);
-      console.log(`Best ${best.feeA}→${best.feeB}: back=${best.outBack.toString()} profit=${profit.toString()} (${TOKEN_IN.split('|')[0]})`);
+      const profit = new BigNumber(best.netProfit);
+      const size = new BigNumber(best.amount.toPrecision(12));
+      ev.emit('ARB-QUOTE', `Best ${best.path}: size=${size.toFixed()} back=${best.finalOut} gas=${best.gasCost} net profit=${profit.toString()} (${TOKEN_IN.split('|')[0]}, ${best.evals} evals)`,
+        { path: best.path, amount: size.toNumber(), finalOut: best.finalOut, gasCost: best.gasCost, netProfit: best.netProfit, netBps: best.netBps, evals: best.evals });
+      if (CLMM_OFFLINE) ev.emit('CLMM', '', clmm.stats());
+      ev.emit('MARKET', '', { metrics: market.metricsSummary() });
 
       // 4) Execute if profitable after threshold
       if (profit.isGreaterThan(MIN_PROFIT)) {
-        console.log('Threshold met — executing two legs with slippage protection…');
+        if (CLMM_OFFLINE) {
+          const leg = best.legs[0]!;
+          const v = await clmm.verify(leg.tokenIn, leg.tokenOut, size.toNumber(), leg.feeTier, CLMM_MAX_DRIFT_BPS);
+          if (!v.ok) {
+            ev.emit('CLMM-DRIFT', `offline ${v.offline} vs live ${v.live} (${v.diffBps.toFixed(2)} bps > ${CLMM_MAX_DRIFT_BPS}) — rescanning`,
+              { kind: 'skip', reason: 'clmm-drift', offline: v.offline, live: v.live, diffBps: v.diffBps });
+            await new Promise(r=>setTimeout(r, 1000));
+            continue;
+          }
+        }
+        ev.emit('ARB-EXEC', `Threshold met — executing ${best.legs.length} legs with slippage protection…`, { path: best.path });
 
         if (DRY_RUN) {
-          console.log('🧪 DRY RUN: would execute', {
-            feeA: best.feeA, feeB: best.feeB,
-            amountIn: AMOUNT_IN.toFixed(),
-            leg1Min: minusBps(best.leg1Out, SLIPPAGE_BPS).toFixed()
+          ev.emit('CYCLE-DRY', `🧪 DRY RUN: would execute ${best.path} with ${size.toFixed()}`, {
+            path: best.path,
+            amountIn: size.toFixed(),
+            leg1Min: minusBps(new BigNumber(best.legs[0]!.out), SLIPPAGE_BPS).toFixed()
           });
           await new Promise(r=>setTimeout(r, 1500));
           continue;
         }
 
-        // Leg 1: IN -> OUT on feeA (with amountOutMinimum)
-        const minOut1 = minusBps(best.leg1Out, SLIPPAGE_BPS);
-        const leg1 = await gswap.swaps.swap(
-          TOKEN_IN,
-          TOKEN_OUT,
-          best.feeA,
-          { exactIn: AMOUNT_IN.toFixed(), amountOutMinimum: minOut1.toFixed() },
-          WALLET
-        );
-        console.log('leg1 submitted. txId=', leg1.transactionId);
-        const leg1Done = await resilientWait(leg1, 45000);
-        console.log('leg1 processed:', leg1Done);
-
-        // Re-quote based on conservative amount actually targeted for leg1
-        const q2Min = await gswap.quoting.quoteExactInput(TOKEN_OUT, TOKEN_IN, minOut1.toFixed(), best.feeB);
-        const minOut2 = minusBps(q2Min.outTokenAmount, SLIPPAGE_BPS);
-
-        // Leg 2: OUT -> IN on feeB
-        const leg2 = await gswap.swaps.swap(
-          TOKEN_OUT,
-          TOKEN_IN,
-          best.feeB,
-          { exactIn: minOut1.toFixed(), amountOutMinimum: minOut2.toFixed() },
-          WALLET
-        );
-        console.log('leg2 submitted. txId=', leg2.transactionId);
-        const leg2Done = await resilientWait(leg2, 45000);
-        console.log('leg2 processed:', leg2Done);
+        // All legs pass the shared risk engine as one cycle (kill switch, notional & count caps)
+        const legs = best.legs.length;
+        const legUsd = await usdValue(market, TOKEN_IN, size);
+        const gate = risk.check({ tokenIn: TOKEN_IN, tokenOut: TOKEN_IN, notionalUsd: legUsd * legs, legs }, PORTFOLIO);
+        if (!gate.ok) {
+          ev.emit('CYCLE-OUTCOME', '', { trade: 'CYCLE', in: TOKEN_IN, out: TOKEN_IN, notionalUsd: legUsd * legs, legs, status: 'rejected', txId: null, reason: gate.reason, gasGala: 0 });
+          await new Promise(r=>setTimeout(r, 2500));
+          continue;
+        }
+        risk.record({ tokenIn: TOKEN_IN, tokenOut: TOKEN_IN, notionalUsd: legUsd * legs, legs });
+
+        // Leg-aware execution: each leg re-quoted from the previous fill, failed legs retried
+        // then unwound to TOKEN_IN, unfinished cycles parked for the next iteration
+        const r = await executeCycle({ ...execOptions(gswap, market, liveQuote), cycle: { ...best, amount: size.toNumber() } });
+        ev.emit('CYCLE-DONE', `Cycle ${r.status}: ${best.path} ${r.startAmount} → ${r.finalAmount ?? '-'}`,
+          { status: r.status, path: best.path, start: r.startAmount, final: r.finalAmount, held: r.held, reason: r.reason, partialId: r.partialId });
+      } else {
+        ev.emit('ARB-SKIP', `net profit ${profit.toString()} ≤ MIN_PROFIT_IN_TOKEN ${MIN_PROFIT.toString()}`, { reason: 'below-min-profit', netProfit: best.netProfit });
       }
     } catch (e: any) {
-      console.error('Loop error:', e?.message || e);
+      status = 'failed';
+      ev.error('LOOP-ERROR', `Loop error: ${e?.message || e}`);
       await new Promise(r=>setTimeout(r, 5000));
+    } finally {
+      await journal.flush();
+      await notifier.flush();
+      ev.endRun(status);
     }
 
     // small delay to avoid hammering
@@ -0,0 +1,91 @@
+// lib/allocator.cjs: policy choice, realized / horizon scoring, loss-streak cooldown and shadow strategies.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { allocatorConfigFromEnv, choose, createAllocator } = require('../lib/allocator.cjs');
+
+const STRATEGIES = ['MOMENTUM', 'MEAN_REVERT', 'FIBONACCI'];
+const MIN = 60 * 1000;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alloc-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let n = 0;
+function allocator(env = {}, rng = () => 0.99) {
+  return createAllocator({
+    strategies: STRATEGIES, file: path.join(dir, `alloc_${++n}.json`),
+    config: allocatorConfigFromEnv(env), rng, log: () => {},
+  });
+}
+
+test('an unknown policy is refused', () => {
+  assert.throws(() => allocatorConfigFromEnv({ ALLOC_POLICY: 'greedy' }), /Unknown ALLOC_POLICY/);
+});
+
+test('untried strategies go first, then the best mean wins', () => {
+  const cfg = allocatorConfigFromEnv({ ALLOC_EPSILON: '0' });
+  const stats = {
+    A: { trades: 2, sumBps: 40, wins: 2, losses: 0 },
+    B: { trades: 2, sumBps: 100, wins: 1, losses: 1 },
+    C: { trades: 0, sumBps: 0, wins: 0, losses: 0 },
+  };
+  assert.equal(choose('epsilon-greedy', cfg, stats, ['A', 'B', 'C'], () => 0.5), 'C');
+  assert.equal(choose('epsilon-greedy', cfg, stats, ['A', 'B'], () => 0.5), 'B');
+  assert.equal(choose('ucb', { ...cfg, ucbC: 0 }, stats, ['A', 'B'], () => 0.5), 'B');
+  assert.equal(choose('epsilon-greedy', cfg, stats, [], () => 0.5), null);
+});
+
+test('a realized outcome scores the strategy and a pick counts', () => {
+  const a = allocator({ ALLOC_EPSILON: '0' });
+  a.recordOutcome({ strategy: 'MOMENTUM', pnlUsd: 0.5, notionalUsd: 10 });
+  a.recordOutcome({ strategy: 'MEAN_REVERT', pnlUsd: 0.1, notionalUsd: 10 });
+  a.recordOutcome({ strategy: 'FIBONACCI', pnlUsd: -0.2, notionalUsd: 10 });
+  assert.equal(a.recordOutcome({ strategy: 'MOMENTUM', pnlUsd: 1, notionalUsd: 0 }), null);
+
+  const { live, shadow } = a.pick();
+  assert.equal(live, 'MOMENTUM');
+  assert.deepEqual(shadow, []);
+  const s = a.status().strategies.MOMENTUM;
+  assert.equal(s.trades, 1);
+  assert.equal(s.meanBps, 500);
+  assert.equal(s.picks, 1);
+});
+
+test('live signals only count slippage; shadow signals are marked at the horizon', () => {
+  const a = allocator({ ALLOC_HORIZON_MIN: '30' });
+  const t0 = Date.now();
+  a.recordSignal({ strategy: 'MOMENTUM', action: 'BUY', price: 0.02, notionalUsd: 10, fill: { expectedOut: 500, filledOut: 495 } }, t0);
+  a.recordSignal({ strategy: 'FIBONACCI', action: 'SELL', price: 0.02, notionalUsd: 10, shadow: true }, t0);
+  assert.equal(a.recordSignal({ strategy: 'FIBONACCI', action: 'HOLD', price: 0.02, notionalUsd: 10, shadow: true }, t0), null);
+
+  assert.deepEqual(a.settle(0.019, t0 + 29 * MIN), []);
+  assert.equal(a.settle(0.019, t0 + 30 * MIN).length, 1);
+  const st = a.status(t0 + 30 * MIN);
+  assert.equal(st.pending, 0);
+  assert.equal(st.strategies.MOMENTUM.trades, 0);
+  assert.equal(st.strategies.MOMENTUM.slippageBps, 100);
+  assert.equal(st.strategies.FIBONACCI.trades, 1);
+  assert.ok(Math.abs(st.strategies.FIBONACCI.pnlUsd - 0.5) < 1e-9); // a short through a 5% drop
+});
+
+test('a loss streak benches the strategy into shadow for the cooldown', () => {
+  const a = allocator({ ALLOC_COOLDOWN_LOSSES: '2', ALLOC_COOLDOWN_MIN: '60' });
+  const t0 = Date.now();
+  a.recordOutcome({ strategy: 'MOMENTUM', pnlUsd: -1, notionalUsd: 10 }, t0);
+  a.recordOutcome({ strategy: 'MOMENTUM', pnlUsd: -1, notionalUsd: 10 }, t0);
+  assert.deepEqual(a.shadowed(t0 + MIN), ['MOMENTUM']);
+  assert.notEqual(a.pick(t0 + MIN).live, 'MOMENTUM');
+  assert.deepEqual(a.shadowed(t0 + 61 * MIN), []);
+});
+
+test('shadowed() lists the shadow strategies without counting a pick', () => {
+  const a = allocator({ ALLOC_SHADOW: 'fibonacci' });
+  assert.deepEqual(a.shadowed(), ['FIBONACCI']);
+  for (const s of Object.values(a.status().strategies)) assert.equal(s.picks, 0);
+  const { live, shadow } = a.pick();
+  assert.notEqual(live, 'FIBONACCI');
+  assert.deepEqual(shadow, ['FIBONACCI']);
+});
@@ -0,0 +1,35 @@
+// lib/backtest.cjs: every strategy opens on the same equity snapshot, and the arb's ARB_*_USD bounds
+// are sized in base units at the row's price.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backtestConfigFromEnv, normalizeRow, runBacktest } = require('../lib/backtest.cjs');
+
+const HOUR = 3600e3;
+const T0 = Date.parse('2026-03-01T00:00:00Z');
+
+// GALA at $0.02 and WETH at $2000, with GALA cheap on the GALA/GWETH pool: GALA → USDC → WETH → GALA pays
+const rows = [0, 1, 2, 3].map(i => normalizeRow({
+  t: T0 + i * HOUR, GALA: 0.02, GWETH: 2000,
+  'GALA/GUSDC/3000': 0.02, 'GWETH/GUSDC/3000': 2000, 'GALA/GWETH/3000': 0.000011,
+}));
+const cfg = backtestConfigFromEnv({
+  BT_START: 'GUSDC:100,GALA:1000', BT_EXEC_DRIFT_BPS: '0',
+  ARB_PATH: 'GALA-USDC-WETH-GALA', ARB_FEE_TIERS: '3000', ARB_START_USD: '1', ARB_MIN_USD: '0.5', ARB_MAX_USD: '5',
+});
+
+test('every strategy starts from the opening snapshot, before its first step trades', async () => {
+  for (const strategy of ['flipflop', 'momentum', 'arb']) {
+    const r = await runBacktest(rows, { strategy, cfg });
+    assert.deepEqual(r.equity[0], { t: T0, equityUsd: 100 + 1000 * 0.02 }, strategy);
+    assert.equal(r.equity.length, rows.length + 1);
+  }
+});
+
+test('a GALA-based arb converts its USD size bounds to GALA', async () => {
+  const r = await runBacktest(rows, { strategy: 'arb', cfg });
+  assert.ok(r.trades.length > 0);
+  const first = r.trades[0];
+  assert.equal(first.amountIn, 5 / 0.02); // ARB_MAX_USD of GALA, not 5 GALA
+  assert.equal(first.notionalUsd, 5);
+});
@@ -0,0 +1,183 @@
+// bot.cjs once against the in-process fake chain (GSWAP_FAKE): gas top-up, the FIFO sell threshold and pending lots.
+// Each run gets its own temp cwd, so no .env, ledger or state from the checkout leaks in.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { decodeDocument } = require('../lib/state-store.cjs');
+const { DEFAULT_SCENARIO, createFakeChain, serveMockGateway } = require('../lib/fake-gswap.cjs');
+
+const BOT = path.join(__dirname, '..', 'bot.cjs');
+const WALLET = 'eth|' + 'a'.repeat(40);
+
+const dirs = [];
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-test-'));
+  dirs.push(dir);
+  return dir;
+}
+test.after(() => { for (const d of dirs) fs.rmSync(d, { recursive: true, force: true }); });
+
+function runBot(dir, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BOT, 'once'], {
+      cwd: dir,
+      timeout: 60000,
+      env: {
+        PATH: process.env.PATH, HOME: dir,
+        GSWAP_FAKE: 'default', DRY_RUN: 'false', WALLET_ADDRESS: WALLET,
+        TX_WAIT_MS: '5000', TX_POLL_MS: '250', EVENT_LOG_STDOUT: 'off',
+        ...env,
+      },
+    }, (err, stdout, stderr) => resolve({ err, stdout, stderr, events: readEvents(dir) }));
+  });
+}
+
+function readEvents(dir) {
+  const file = path.join(dir, '.bot-events', 'flipflop-fake.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+}
+
+function readLedger(dir) {
+  return decodeDocument(fs.readFileSync(path.join(dir, 'bot_ledger.json'), 'utf8')).data;
+}
+
+function seedLedger(dir, lots) {
+  const ledger = { version: 1, nextId: lots.length + 1, lots: lots.map((l, i) => ({ id: i + 1, remaining: l.qty, feeStable: 0, feeGala: 0, ts: Date.now() - 3600e3, ...l })), closed: [], realized: {} };
+  fs.writeFileSync(path.join(dir, 'bot_ledger.json'), JSON.stringify(ledger));
+}
+
+const ofType = (events, type) => events.filter(e => e.type === type);
+
+test('tops up GALA gas from the stable when under the reserve and books a gas-topup lot', async () => {
+  const dir = tempDir();
+  const scenario = path.join(dir, 'scenario.json');
+  fs.writeFileSync(scenario, JSON.stringify({ ...DEFAULT_SCENARIO, balances: { ...DEFAULT_SCENARIO.balances, GALA: 1.5 } }));
+
+  const { err, events } = await runBot(dir, { GSWAP_FAKE: scenario });
+  assert.ifError(err);
+  const [gas] = ofType(events, 'GAS-CONFIRMED');
+  assert.ok(gas, 'GAS-CONFIRMED emitted');
+  assert.equal(gas.usd, 2);
+  assert.ok(gas.got > 100, `2 USD buys > 100 GALA at 0.016 (got ${gas.got})`);
+
+  const lot = readLedger(dir).lots.find(l => l.source === 'gas-topup');
+  assert.ok(lot, 'gas-topup lot recorded');
+  assert.equal(lot.token, 'GALA');
+  assert.equal(lot.txId, gas.txId);
+  assert.equal(lot.qty, gas.got);
+  assert.notEqual(lot.confirmed, false);
+});
+
+test('skips a GALA sell whose proceeds do not clear the FIFO lot cost + MIN_PROFIT_BPS', async () => {
+  const dir = tempDir();
+  seedLedger(dir, [{ token: 'GALA', qty: 500, stableSpent: 100, txId: 'seed-1', source: 'seed' }]);
+
+  const { err, events } = await runBot(dir);
+  assert.ifError(err);
+  const skip = ofType(events, 'SELL-SKIP').find(e => e.token === 'GALA');
+  assert.equal(skip?.reason, 'below-threshold');
+  assert.equal(skip.qty, 500);
+  assert.ok(skip.cost >= 100 && skip.net < skip.cost);
+  assert.equal(ofType(events, 'SELL-CONFIRMED').length, 0);
+  assert.equal(readLedger(dir).lots.find(l => l.txId === 'seed-1').remaining, 500);
+});
+
+test('sells only the open lot quantity above the threshold and closes the lots FIFO', async () => {
+  const dir = tempDir();
+  seedLedger(dir, [
+    { token: 'GALA', qty: 300, stableSpent: 1, txId: 'seed-1', source: 'seed' },
+    { token: 'GALA', qty: 200, stableSpent: 1, txId: 'seed-2', source: 'seed' },
+  ]);
+
+  const { err, events } = await runBot(dir);
+  assert.ifError(err);
+  const [sold] = ofType(events, 'SELL-CONFIRMED');
+  assert.ok(sold, 'SELL-CONFIRMED emitted');
+  assert.equal(sold.qty, 500); // 998 GALA above the reserve, but only 500 have a known cost
+
+  const ledger = readLedger(dir);
+  assert.deepEqual(ledger.closed.map(s => [s.buyTxId, s.qty, s.sellTxId]), [['seed-1', 300, sold.txId], ['seed-2', 200, sold.txId]]);
+  assert.equal(ledger.lots.filter(l => l.token === 'GALA' && l.source === 'seed').length, 0);
+  assert.ok(ledger.realized.GALA > 0);
+});
+
+test('keeps a lot whose tx never settled out of the sell', async () => {
+  const dir = tempDir();
+  seedLedger(dir, [{ token: 'GALA', qty: 500, stableSpent: 1, txId: 'fake-unsettled', source: 'seed', confirmed: false }]);
+
+  const { err, events } = await runBot(dir);
+  assert.ifError(err);
+  assert.ok(ofType(events, 'LEDGER-PENDING').length >= 1);
+  assert.equal(ofType(events, 'SELL-SKIP').find(e => e.token === 'GALA')?.reason, 'no-lots');
+  const lot = readLedger(dir).lots.find(l => l.txId === 'fake-unsettled');
+  assert.equal(lot.confirmed, false);
+  assert.equal(lot.remaining, 500);
+});
+
+// Unknown sells have to be settled by a later run, so these share one chain over the mock gateway.
+// Swaps confirm after 1.5 s, past TX_WAIT_MS: the bot sees no outcome, the explorer does later.
+async function slowChain(t, failures = []) {
+  const chain = createFakeChain({ ...DEFAULT_SCENARIO, confirmMs: 1500, failures });
+  const server = await serveMockGateway(chain, { port: 0, log: () => {} });
+  t.after(() => new Promise(r => server.close(r)));
+  return { chain, env: { GSWAP_FAKE: '', GSWAP_MOCK_URL: `http://127.0.0.1:${server.address().port}`, TX_WAIT_MS: '1000', BOT_USD_CENTS: '0' } };
+}
+
+async function settled(chain, txId) {
+  for (let i = 0; i < 100 && !chain.txs().some(x => x.txId === txId); i++) await new Promise(r => setTimeout(r, 50));
+  return chain.txs().find(x => x.txId === txId);
+}
+
+test('an unknown sell holds its lots and a later run closes them at the real fill', async (t) => {
+  const dir = tempDir();
+  const { chain, env } = await slowChain(t);
+  seedLedger(dir, [{ token: 'GALA', qty: 500, stableSpent: 1, txId: 'seed-1', source: 'seed' }]);
+
+  const first = await runBot(dir, env);
+  assert.ifError(first.err);
+  const [unknown] = ofType(first.events, 'SELL-UNKNOWN');
+  assert.ok(unknown, 'SELL-UNKNOWN emitted');
+  let ledger = readLedger(dir);
+  assert.equal(ledger.lots.length, 0);
+  assert.deepEqual(ledger.pendingSells.map(p => [p.txId, p.qty]), [[unknown.txId, 500]]);
+  assert.equal(ledger.closed.length, 0);
+  assert.equal((await settled(chain, unknown.txId)).status, 'PROCESSED');
+
+  const second = await runBot(dir, { ...env, RUN_FORCE: 'true' });
+  assert.ifError(second.err);
+  const booked = ofType(second.events, 'LEDGER').find(e => e.txId === unknown.txId);
+  assert.equal(booked?.status, 'confirmed');
+  ledger = readLedger(dir);
+  assert.equal(ledger.pendingSells.length, 0);
+  assert.deepEqual(ledger.closed.map(s => [s.buyTxId, s.qty, s.sellTxId]), [['seed-1', 500, unknown.txId]]);
+  assert.ok(Math.abs(booked.proceeds - chain.txs().find(x => x.txId === unknown.txId).amountOut) < 0.1); // fill less the fee estimate
+  assert.equal(ofType(second.events, 'SELL-SKIP').find(e => e.token === 'GALA')?.reason, 'no-lots');
+});
+
+test('an unknown sell that failed on chain puts its lots back', async (t) => {
+  const dir = tempDir();
+  const { chain, env } = await slowChain(t, [{ op: 'swap', kind: 'revert', match: 'GALA', times: 1 }]);
+  seedLedger(dir, [{ token: 'GALA', qty: 500, stableSpent: 1, txId: 'seed-1', source: 'seed' }]);
+
+  const first = await runBot(dir, env);
+  assert.ifError(first.err);
+  const [unknown] = ofType(first.events, 'SELL-UNKNOWN');
+  assert.ok(unknown, 'SELL-UNKNOWN emitted');
+  assert.equal(readLedger(dir).lots.length, 0);
+  assert.equal((await settled(chain, unknown.txId)).status, 'FAILED');
+
+  // A threshold no sell can clear, so the restored lot is left as it is
+  const second = await runBot(dir, { ...env, RUN_FORCE: 'true', MIN_PROFIT_BPS: '1000000' });
+  assert.ifError(second.err);
+  assert.equal(ofType(second.events, 'LEDGER').find(e => e.txId === unknown.txId)?.status, 'failed');
+  const ledger = readLedger(dir);
+  assert.equal(ledger.pendingSells.length, 0);
+  assert.equal(ledger.closed.length, 0);
+  assert.deepEqual(ledger.lots.map(l => [l.txId, l.remaining]), [['seed-1', 500]]);
+  assert.equal(ofType(second.events, 'SELL-SKIP').find(e => e.token === 'GALA')?.reason, 'below-threshold');
+});
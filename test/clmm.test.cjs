@@ -0,0 +1,88 @@
+// lib/clmm.cjs: tick bitmap, in-range swaps against the constant-product closed form, tick crossing,
+// and the offline quoter's cache / live fallback over a stub SDK.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sqrtAtTick, tickAtSqrt, initializedTicks, poolFromData, nextTick, simulateExactInput, createOfflineQuoter } = require('../lib/clmm.cjs');
+
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+const near = (a, b, rel = 1e-9) => Math.abs(a - b) <= rel * Math.max(1, Math.abs(b));
+
+// GALA (token0) / GUSDC (token1) at 0.02 (tick −39123), fee 1%, ticks initialized at −40000 and −38000
+const DATA = {
+  token0ClassKey: GALA, token1ClassKey: GUSDC, fee: 10000, tickSpacing: 200,
+  sqrtPrice: String(Math.sqrt(0.02)), liquidity: '100000',
+  bitmap: { '-1': ((1n << 56n) | (1n << 66n)).toString() }, // (−256 + 56) × 200, (−256 + 66) × 200
+};
+
+test('ticks come from the bitmap words and tick ↔ sqrtPrice round-trips', () => {
+  assert.deepEqual(initializedTicks(DATA.bitmap, 200), [-40000, -38000]);
+  assert.deepEqual(initializedTicks({ '-1': '-1' }, 1).slice(-2), [-2, -1]); // negative words are two's complement
+  assert.equal(tickAtSqrt(sqrtAtTick(1234) * (1 + 1e-12)), 1234);
+  const pool = poolFromData(DATA, 0);
+  assert.equal(pool.tick, tickAtSqrt(Math.sqrt(0.02)));
+  assert.deepEqual(nextTick(pool, pool.tick, true), { tick: -40000, initialized: true });
+  assert.deepEqual(nextTick(pool, pool.tick, false), { tick: -38000, initialized: true });
+  assert.equal(nextTick(pool, -40001, true).initialized, false);
+});
+
+test('inside one range a swap is the constant-product fill after the fee', () => {
+  const pool = poolFromData(DATA, 0);
+  const L = 100000, s = Math.sqrt(0.02);
+  const x = L / s, y = L * s; // virtual reserves
+  const sell = simulateExactInput(pool, true, 1000); // GALA → GUSDC
+  assert.equal(sell.status, 'ok');
+  assert.equal(sell.crossed, 0);
+  assert.ok(near(sell.amountOut, y - (x * y) / (x + 1000 * 0.99)));
+  const buy = simulateExactInput(pool, false, 10); // GUSDC → GALA
+  assert.ok(near(buy.amountOut, x - (x * y) / (y + 10 * 0.99)));
+});
+
+test('crossing a tick needs its liquidityNet, then continues with the new liquidity', () => {
+  const pool = poolFromData(DATA, 0);
+  const big = 2e6;
+  const need = simulateExactInput(pool, true, big);
+  assert.equal(need.status, 'need-tick');
+  assert.equal(need.tick, -40000);
+  assert.ok(need.grossToTick > 0 && need.grossToTick < big);
+
+  pool.liquidityNet.set(-40000, 50000); // half the liquidity ends at −40000 going down
+  const half = simulateExactInput(pool, true, need.grossToTick + 100);
+  assert.equal(half.status, 'ok');
+  assert.equal(half.crossed, 1);
+  assert.ok(half.sqrtPriceAfter < sqrtAtTick(-40000));
+  const same = poolFromData(DATA, 0);
+  same.liquidityNet.set(-40000, 0);
+  const full = simulateExactInput(same, true, need.grossToTick + 100);
+  assert.ok(half.sqrtPriceAfter < full.sqrtPriceAfter); // thinner range: the same input moves the price further
+  assert.ok(half.amountOut < full.amountOut);
+
+  pool.liquidityNet.set(-40000, 100000); // all of it: nothing below
+  const dry = simulateExactInput(pool, true, big);
+  assert.equal(dry.status, 'no-liquidity');
+  assert.ok(near(dry.amountOut, 100000 * (Math.sqrt(0.02) - sqrtAtTick(-40000))));
+});
+
+test('the offline quoter fetches each pool once per refresh and falls back to live quotes', async () => {
+  const calls = { pool: 0, quote: 0 };
+  const gswap = {
+    pools: { getPoolData: async (a, b) => { calls.pool++; if (a === 'X|Unit|none|none' || b === 'X|Unit|none|none') throw new Error('no pool'); return DATA; } },
+    quoting: { quoteExactInput: async () => { calls.quote++; return { outTokenAmount: '42', newPoolSqrtPrice: '0', inTokenAmount: '0' }; } },
+  };
+  const q = createOfflineQuoter({ gswap, maxProbesPerQuote: 0, log: () => {} });
+  const a = await q.quote(GALA, GUSDC, 1000, 10000);
+  const b = await q.quote(GUSDC, GALA, 10, 10000);
+  assert.ok(a > 19 && a < 20);
+  assert.ok(b > 490 && b < 500);
+  assert.equal(calls.pool, 1);
+  assert.equal(calls.quote, 0);
+
+  assert.equal(await q.quote(GALA, GUSDC, 2e6, 10000), 42); // needs a tick probe it may not make → live
+  await assert.rejects(q.quote('X|Unit|none|none', GUSDC, 1, 10000), /no pool/);
+  assert.deepEqual(q.stats(), { poolFetches: 2, probes: 0, offline: 2, fallbacks: 1, pools: 2 });
+
+  q.refresh();
+  await q.quote(GALA, GUSDC, 1000, 10000);
+  assert.equal(calls.pool, 3);
+});
@@ -0,0 +1,155 @@
+// lib/cycle-exec.cjs with the real SDK over the in-process fake chain: legs re-quoted from fills,
+// failed legs retried then unwound, unknown legs parked and settled by tx id on resume.
+
+process.env.GSWAP_FAKE = 'default';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GSwap } = require('@gala-chain/gswap-sdk');
+const { fakeSdkFromEnv } = require('../lib/fake-gswap.cjs');
+const { quoterFromSdk } = require('../lib/arb-scanner.cjs');
+const { executeCycle, resumePartials, loadPartials } = require('../lib/cycle-exec.cjs');
+const { connectTxEvents, disconnectTxEvents, awaitTxOutcome, explorerTxLookup } = require('../lib/tx-outcome.cjs');
+const { createExplorer } = require('../lib/explorer.cjs');
+const { createStateStore, createMemoryBackend } = require('../lib/state-store.cjs');
+
+const WALLET = 'eth|' + 'b'.repeat(40);
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+const GUSDT = 'GUSDT|Unit|none|none';
+
+const { chain, sdk } = fakeSdkFromEnv(process.env, { log: () => {} });
+const gswap = new GSwap({ walletAddress: WALLET, ...sdk });
+const txLookup = explorerTxLookup(createExplorer({
+  store: createStateStore(createMemoryBackend(), { writer: 'test', log: { log() {}, warn() {}, error() {} } }),
+  fetchImpl: chain.fetch, log: () => {},
+}));
+
+// GALA → GUSDC → GUSDT → GALA
+const CYCLE = {
+  path: 'GALA>GUSDC>GUSDT>GALA',
+  amount: 100,
+  legs: [
+    { tokenIn: GALA, tokenOut: GUSDC, feeTier: 10000, in: 100 },
+    { tokenIn: GUSDC, tokenOut: GUSDT, feeTier: 500 },
+    { tokenIn: GUSDT, tokenOut: GALA, feeTier: 3000 },
+  ],
+};
+const LEG2 = 'GUSDC|Unit|none|none/GUSDT|Unit|none|none';
+
+// Submit → bundler event (or nothing within the short window → unknown), as the bots do
+async function swapLeg({ tokenIn, tokenOut, feeTier, amountIn, minOut }) {
+  await connectTxEvents('http://fake-bundler');
+  let pending;
+  try {
+    pending = await gswap.swaps.swap(tokenIn, tokenOut, feeTier, { exactIn: String(amountIn), amountOutMinimum: String(minOut) }, WALLET);
+  } catch (e) {
+    return { status: 'failed', txId: null, reason: e?.message || String(e) };
+  }
+  const o = await awaitTxOutcome(pending, { timeoutMs: 500 });
+  return { ...o, amountOut: o.fill?.amountOut };
+}
+
+const dirs = [];
+function options(extra = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cycle-test-'));
+  dirs.push(dir);
+  return { bot: 'test', base: GALA, quote: quoterFromSdk(gswap), swapLeg, file: path.join(dir, 'arb_partials.json'), log: () => {}, ...extra };
+}
+test.after(() => {
+  disconnectTxEvents();
+  for (const d of dirs) fs.rmSync(d, { recursive: true, force: true });
+});
+
+const txsSince = (n) => chain.txs().slice(n);
+
+test('runs every leg from the previous fill and completes back in the base token', async () => {
+  const before = chain.txs().length;
+  const r = await executeCycle({ ...options(), cycle: CYCLE });
+  assert.equal(r.status, 'completed');
+  assert.equal(r.held, GALA);
+  assert.ok(r.finalAmount > 90 && r.finalAmount < 101, `final ${r.finalAmount}`);
+
+  const txs = txsSince(before);
+  assert.deepEqual(txs.map(t => t.status), ['PROCESSED', 'PROCESSED', 'PROCESSED']);
+  assert.equal(Number(txs[1].amount), txs[0].amountOut); // leg 2 spends exactly what leg 1 filled
+  assert.equal(Number(txs[2].amount), txs[1].amountOut);
+});
+
+test('retries a reverted leg with a fresh quote and still completes', async () => {
+  const before = chain.txs().length;
+  chain.fail({ op: 'swap', kind: 'revert', match: LEG2, times: 1 });
+  const r = await executeCycle({ ...options(), cycle: CYCLE });
+  assert.equal(r.status, 'completed');
+  assert.deepEqual(txsSince(before).map(t => t.status), ['PROCESSED', 'FAILED', 'PROCESSED', 'PROCESSED']);
+});
+
+test('unwinds the stranded token to base once the retries are used up', async () => {
+  const before = chain.txs().length;
+  chain.fail({ op: 'swap', kind: 'revert', match: LEG2, times: 2 });
+  const r = await executeCycle({ ...options(), cycle: CYCLE, maxRetries: 1 });
+  assert.equal(r.status, 'unwound');
+  assert.equal(r.held, GALA);
+  const txs = txsSince(before);
+  assert.deepEqual(txs.map(t => t.status), ['PROCESSED', 'FAILED', 'FAILED', 'PROCESSED']);
+  assert.equal(txs[3].tokenIn, GUSDC);
+  assert.equal(txs[3].tokenOut, GALA);
+});
+
+test('parks a leg that times out and resumes it once its tx id settles', async () => {
+  const opts = options();
+  const before = chain.txs().length;
+  chain.fail({ op: 'swap', kind: 'timeout', match: LEG2, times: 1 });
+  const r = await executeCycle({ ...opts, cycle: CYCLE });
+  assert.equal(r.status, 'parked');
+  assert.equal(r.held, GUSDC);
+
+  const [entry] = loadPartials(opts.file).open;
+  assert.equal(entry.id, r.partialId);
+  assert.equal(entry.legIndex, 1);
+  const legTx = txsSince(before)[1];
+  assert.equal(entry.unknownLeg.txId, legTx.txId);
+  assert.equal(legTx.status, 'PROCESSED'); // it did land, the event just never came
+
+  // Without a tx lookup nothing is traded on a guess
+  const blind = await resumePartials(opts);
+  assert.deepEqual(blind.map(x => x.status), ['parked']);
+  assert.equal(chain.txs().length, before + 2);
+
+  const [resumed] = await resumePartials({ ...opts, txStatus: async (txId) => {
+    const o = await txLookup(txId);
+    return o && { status: o.status, amountOut: o.fill?.amountOut, reason: o.reason };
+  } });
+  assert.equal(resumed.status, 'completed');
+  assert.equal(resumed.held, GALA);
+  const last = chain.txs()[before + 2];
+  assert.equal(last.tokenIn, GUSDT);
+  assert.equal(Number(last.amount), legTx.amountOut); // finished from the real fill of the parked leg
+
+  const p = loadPartials(opts.file);
+  assert.equal(p.open.length, 0);
+  assert.equal(p.closed.find(e => e.id === r.partialId).status, 'completed');
+});
+
+test('keeps a parked cycle open when the risk gate refuses the resumed legs', async () => {
+  const opts = options();
+  chain.fail({ op: 'swap', kind: 'timeout', match: LEG2, times: 1 });
+  const r = await executeCycle({ ...opts, cycle: CYCLE });
+  assert.equal(r.status, 'parked');
+
+  const before = chain.txs().length;
+  const gated = [];
+  const [res] = await resumePartials({
+    ...opts,
+    txStatus: async (txId) => { const o = await txLookup(txId); return o && { status: o.status, amountOut: o.fill?.amountOut }; },
+    riskGate: async (req) => { gated.push(req); return false; },
+  });
+  assert.equal(res.status, 'parked');
+  assert.equal(res.held, GUSDT);
+  assert.equal(chain.txs().length, before);
+  assert.equal(gated[0].tokenIn, GUSDT);
+  assert.equal(loadPartials(opts.file).open[0].reason, 'rejected by the risk gate');
+});
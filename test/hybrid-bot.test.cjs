@@ -0,0 +1,56 @@
+// hybrid-bot.cjs rebalance against the in-process fake chain (GSWAP_FAKE) in a scratch cwd.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { decodeDocument } = require('../lib/state-store.cjs');
+const { DEFAULT_SCENARIO } = require('../lib/fake-gswap.cjs');
+
+const BOT = path.join(__dirname, '..', 'hybrid-bot.cjs');
+const WALLET = 'eth|' + 'e'.repeat(40);
+
+const dirs = [];
+test.after(() => { for (const d of dirs) fs.rmSync(d, { recursive: true, force: true }); });
+
+function runHybrid(args, env) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hybrid-test-'));
+  dirs.push(dir);
+  const scenario = path.join(dir, 'scenario.json');
+  fs.writeFileSync(scenario, JSON.stringify(env.scenario || DEFAULT_SCENARIO));
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BOT, ...args], {
+      cwd: dir,
+      timeout: 60000,
+      env: {
+        PATH: process.env.PATH, HOME: dir,
+        GSWAP_FAKE: scenario, DRY_RUN: 'false', WALLET_ADDRESS: WALLET,
+        TX_WAIT_MS: '3000', TX_POLL_MS: '250', EVENT_LOG_STDOUT: 'off',
+        ...env.vars,
+      },
+    }, (err) => {
+      const file = path.join(dir, '.bot-events', 'hybrid-fake.jsonl');
+      const events = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l)) : [];
+      const state = decodeDocument(fs.readFileSync(path.join(dir, 'hybrid_state.json'), 'utf8')).data;
+      resolve({ err, events, state });
+    });
+  });
+}
+
+test('a swap confirmed by polling the explorer (no socket event) is booked like any other', async () => {
+  // Every swap settles on chain without a bundler event: only the tx id lookup can confirm it
+  const scenario = { ...DEFAULT_SCENARIO, failures: [{ op: 'swap', kind: 'timeout', times: 0 }] };
+  const { err, events, state } = await runHybrid(['rebalance', '--force'], { scenario, vars: { REBALANCE_TARGETS: 'USDC:50,GALA:50' } });
+  assert.ifError(err);
+
+  const outcome = events.find(e => e.type === 'REBALANCE-OUTCOME');
+  assert.equal(outcome?.status, 'confirmed');
+  assert.equal(outcome.via, 'poll');
+  const confirmed = events.find(e => e.type === 'REBALANCE-CONFIRMED');
+  assert.equal(confirmed?.txId, outcome.txId);
+  assert.equal(confirmed.hash, outcome.hash);
+  assert.equal(events.filter(e => e.type === 'REBALANCE-ERR').length, 0);
+  assert.deepEqual(state.rebalance.last.done.map(d => [d.from, d.to, d.txId]), [['USDC', 'GALA', outcome.txId]]);
+});
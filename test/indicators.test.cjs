@@ -0,0 +1,58 @@
+// lib/indicators.cjs on small hand-checked series.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { last, sma, ema, rsi, macd, bollinger, atr, vwap } = require('../lib/indicators.cjs');
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('sma and ema are null until the period is filled; ema is seeded with the sma', () => {
+  assert.deepEqual(sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  const e = ema([1, 2, 3, 4, 5], 3);
+  assert.deepEqual(e.slice(0, 3), [null, null, 2]);
+  assert.equal(e[3], 3); // 4 × 0.5 + 2 × 0.5
+  assert.equal(e[4], 4);
+  assert.deepEqual(ema([1, 2], 3), [null, null]);
+  assert.equal(last(e), 4);
+  assert.equal(last([]), null);
+});
+
+test('rsi is 100 on a steady rise, 0 on a steady fall, 50 when flat', () => {
+  const up = Array.from({ length: 20 }, (_, i) => 1 + i * 0.01);
+  assert.equal(rsi(up, 14)[13], null);
+  assert.equal(last(rsi(up, 14)), 100);
+  assert.equal(last(rsi(up.slice().reverse(), 14)), 0);
+  assert.equal(last(rsi(new Array(20).fill(1), 14)), 50);
+  // Wilder: equal average gains and losses over the seed window → 50
+  assert.ok(close(rsi([1, 2, 1, 2, 1], 4)[4], 50));
+});
+
+test('macd signal and histogram start once the line has signalPeriod values', () => {
+  const values = Array.from({ length: 40 }, (_, i) => 100 + Math.sin(i / 3) * 5);
+  const { macd: line, signal, hist } = macd(values, 12, 26, 9);
+  assert.equal(line.findIndex(v => v != null), 25);
+  assert.equal(signal.findIndex(v => v != null), 33);
+  assert.ok(close(hist[39], line[39] - signal[39]));
+});
+
+test('bollinger bands sit mult population deviations around the sma', () => {
+  const { mid, upper, lower, width } = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+  assert.equal(mid[7], 5);
+  assert.equal(upper[7], 9); // population sd = 2
+  assert.equal(lower[7], 1);
+  assert.equal(width[7], 1.6);
+  assert.equal(upper[6], null);
+});
+
+test('atr uses the true range across gaps', () => {
+  const candles = [{ h: 10, l: 8, c: 9 }, { h: 12, l: 11, c: 11.5 }, { h: 11, l: 10, c: 10.5 }];
+  // true ranges 2, 3 (gap from 9 up to 12), 1.5
+  assert.deepEqual(atr(candles, 2), [null, 2.5, 2]);
+});
+
+test('vwap weighs by quoted size, unsized samples weigh 1', () => {
+  assert.equal(vwap([{ p: 1, v: 3 }, { p: 2, v: 1 }]), 1.25);
+  assert.equal(vwap([{ p: 1 }, { p: 2 }, { p: 4 }], 2), 3);
+  assert.equal(vwap([{ pv: 10, v: 4 }, { pv: 2, v: 1 }]), 2.4);
+  assert.equal(vwap([]), null);
+});
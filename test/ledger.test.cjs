@@ -0,0 +1,80 @@
+// lib/ledger.cjs: FIFO lots, cost basis and realized P&L; lots and sells waiting on an unknown tx.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  emptyLedger, unitCost, addLot, openLots, openQty, pendingLots, settleLot, fifoCost, closeLots, holdLots, settleSell,
+} = require('../lib/ledger.cjs');
+
+function ledgerWith(lots) {
+  const ledger = emptyLedger();
+  lots.forEach((l, i) => addLot(ledger, { token: 'GALA', ts: 1000 + i, ...l }));
+  return ledger;
+}
+
+test('a lot costs what was spent plus its fee', () => {
+  const ledger = emptyLedger();
+  const lot = addLot(ledger, { token: 'GALA', qty: 100, stableSpent: 2, feeStable: 0.5, txId: 'a' });
+  assert.equal(lot.id, 1);
+  assert.equal(lot.remaining, 100);
+  assert.equal(unitCost(lot), 0.025);
+  assert.throws(() => addLot(ledger, { token: 'GALA', qty: 0, stableSpent: 1 }), /invalid lot/);
+});
+
+test('lots are consumed oldest first', () => {
+  const ledger = ledgerWith([{ qty: 100, stableSpent: 1, ts: 2000, txId: 'new' }, { qty: 100, stableSpent: 3, ts: 1000, txId: 'old' }]);
+  assert.deepEqual(openLots(ledger, 'GALA').map(l => l.txId), ['old', 'new']);
+  assert.deepEqual(fifoCost(ledger, 'GALA', 150), { cost: 3.5, covered: 150 });
+  assert.deepEqual(fifoCost(ledger, 'GALA', 300), { cost: 4, covered: 200 });
+  assert.equal(openQty(ledger, 'USDC'), 0);
+});
+
+test('a sell closes lot slices FIFO and books realized P&L', () => {
+  const ledger = ledgerWith([{ qty: 100, stableSpent: 1, txId: 'a' }, { qty: 100, stableSpent: 2, txId: 'b' }]);
+  const r = closeLots(ledger, 'GALA', 150, { proceeds: 3, ts: 5000, txId: 'sell' });
+  assert.equal(r.cost, 2);
+  assert.equal(r.realized, 1);
+  assert.deepEqual(r.slices.map(s => [s.buyTxId, s.qty, s.proceeds, s.sellTxId]), [['a', 100, 2, 'sell'], ['b', 50, 1, 'sell']]);
+  assert.deepEqual(ledger.lots.map(l => [l.txId, l.remaining]), [['b', 50]]);
+  assert.equal(ledger.closed.length, 2);
+  assert.equal(ledger.realized.GALA, 1);
+
+  assert.deepEqual(closeLots(ledger, 'USDC', 1, { proceeds: 1 }), { realized: 0, cost: 0, slices: [] });
+});
+
+test('a lot booked from a quote stays out of the FIFO until its tx settles', () => {
+  const ledger = ledgerWith([{ qty: 100, stableSpent: 1, txId: 'quoted', confirmed: false }, { qty: 100, stableSpent: 1, txId: 'lost', confirmed: false }]);
+  assert.equal(openQty(ledger, 'GALA'), 0);
+  assert.equal(pendingLots(ledger).length, 2);
+
+  assert.equal(settleLot(ledger, 'quoted', { status: 'unknown' }), null);
+  assert.equal(settleLot(ledger, 'quoted', { status: 'confirmed', qty: 98 }).remaining, 98);
+  assert.equal(settleLot(ledger, 'lost', { status: 'failed' }).dropped, true);
+  assert.equal(settleLot(ledger, 'lost', { status: 'failed' }), null);
+  assert.deepEqual(ledger.lots.map(l => [l.txId, l.qty, l.confirmed]), [['quoted', 98, true]]);
+});
+
+test('an unknown sell holds its units until it settles at the real fill', () => {
+  const ledger = ledgerWith([{ qty: 100, stableSpent: 1, txId: 'a' }, { qty: 100, stableSpent: 2, txId: 'b' }]);
+  const p = holdLots(ledger, 'GALA', 150, { txId: 'sell', proceeds: 3, feeStable: 0.5 });
+  assert.equal(p.qty, 150);
+  assert.equal(openQty(ledger, 'GALA'), 50); // not sold twice
+  assert.equal(holdLots(ledger, 'USDC', 1, { txId: 'x' }), null);
+
+  assert.equal(settleSell(ledger, 'sell', { status: 'unknown' }), null);
+  const r = settleSell(ledger, 'sell', { status: 'confirmed', amountOut: 4.5, ts: 5000 });
+  assert.equal(r.proceeds, 4);
+  assert.equal(r.realized, 2);
+  assert.equal(ledger.pendingSells.length, 0);
+  assert.deepEqual(ledger.closed.map(s => [s.buyTxId, s.qty, s.sellTxId]), [['a', 100, 'sell'], ['b', 50, 'sell']]);
+  assert.equal(ledger.realized.GALA, 2);
+});
+
+test('a failed sell puts its units back into their lots', () => {
+  const ledger = ledgerWith([{ qty: 100, stableSpent: 1, txId: 'a' }, { qty: 100, stableSpent: 2, txId: 'b' }]);
+  holdLots(ledger, 'GALA', 150, { txId: 'sell', proceeds: 3 });
+  assert.equal(settleSell(ledger, 'sell', { status: 'failed' }).restored, true);
+  assert.deepEqual(openLots(ledger, 'GALA').map(l => [l.id, l.txId, l.remaining]), [[1, 'a', 100], [2, 'b', 100]]);
+  assert.equal(ledger.closed.length, 0);
+  assert.equal(settleSell(ledger, 'sell', { status: 'failed' }), null);
+});
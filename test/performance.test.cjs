@@ -0,0 +1,80 @@
+// lib/performance.cjs over a trade journal on the memory state store and a fixed daily GALA price:
+// FIFO realized / unrealized P&L, gas, time-weighted and money-weighted returns around a deposit.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore, createMemoryBackend } = require('../lib/state-store.cjs');
+const { createTradeJournal } = require('../lib/trade-journal.cjs');
+const { irr, createPerformance } = require('../lib/performance.cjs');
+
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2026-03-01T00:00:00Z');
+const near = (a, b, eps = 1e-6) => Math.abs(a - b) <= eps;
+
+// GALA at 0.02 on day 0, 0.03 on day 1, 0.024 on day 2
+const PRICES = [0.02, 0.03, 0.024];
+const prices = {
+  config: { stables: ['GUSDC', 'GUSDT', 'USDC', 'USDT'] },
+  async priceAt(sym, ts) {
+    if (sym !== 'GALA') return { price: null, confidence: 'none', source: null };
+    return { price: PRICES[Math.min(PRICES.length - 1, Math.floor((ts - T0) / DAY))], confidence: 'high', source: 'test' };
+  },
+};
+
+async function books() {
+  const store = createStateStore(createMemoryBackend(), { writer: 'test', log: { log() {}, warn() {}, error() {} } });
+  const journal = createTradeJournal({ store, log: () => {} });
+  const perf = createPerformance({ journal, prices, now: () => T0 + 2.5 * DAY });
+  const swap = (ts, tokenIn, tokenOut, amountIn, amountOut, extra = {}) => journal.record({
+    ts, bot: 'test', strategy: 'flipflop', trade: 'BUY', tokenIn, tokenOut, amountIn, amountOut, gasGala: 0, txId: `tx-${ts}`, status: 'confirmed', ...extra,
+  });
+  await journal.snapshot({ ts: T0 + 3600e3, balances: { GUSDC: 100 }, bot: 'test' });
+  await swap(T0 + 0.5 * DAY, GUSDC, GALA, 50, 2500);
+  await perf.recordCashFlow({ kind: 'deposit', token: 'GUSDC', amount: 100, ts: T0 + 1.5 * DAY });
+  return { journal, perf, swap };
+}
+
+test('P&L splits into realized, unrealized and fees on FIFO lots', async () => {
+  const { perf, swap } = await books();
+  await swap(T0 + 2 * DAY, GALA, GUSDC, 1000, 24, { trade: 'SELL', gasGala: 10 }); // 1000 GALA sold at 0.024
+  const r = await perf.pnl();
+  assert.equal(r.opening.usd, 100);
+  assert.equal(r.netFlowsUsd, 200);
+  // the gas GALA leaves the first lot too, at its market value: it is booked as a fee, not as a loss
+  assert.ok(near(r.realizedUsd, (24 - 1000 * 0.02) + 10 * (0.024 - 0.02)));
+  assert.ok(near(r.unrealizedUsd, 1490 * (0.024 - 0.02)));
+  assert.ok(near(r.feesUsd, 10 * 0.024));
+  assert.equal(r.feesGala, 10);
+  assert.ok(near(r.equityUsd, 174 + 1490 * 0.024));
+  assert.ok(near(r.pnlUsd, r.realizedUsd + r.unrealizedUsd - r.feesUsd));
+  assert.ok(near(r.pnlUsd, r.equityChangeUsd));
+  assert.equal(r.byStrategy.flipflop.trades, 2);
+  assert.deepEqual(r.cashFlows.map(f => [f.kind, f.usd]), [['opening', 100], ['DEPOSIT', 100]]);
+});
+
+test('TWR chains the daily returns with the deposit at the start of its day; MWR solves the flows', async () => {
+  const { perf } = await books();
+  const r = await perf.performance();
+  // day 0: 50 + 2500 × 0.02 = 100 on the 100 opening; day 1: 150 + 75 = 225 on 100 + 100; day 2: 150 + 60 = 210
+  assert.deepEqual(r.dailyEquity.map(d => [d.date, d.equityUsd, d.flowUsd]), [
+    ['2026-03-01', 100, 100], ['2026-03-02', 225, 100], ['2026-03-03', 210, 0],
+  ]);
+  assert.deepEqual(r.dailyEquity.map(d => d.return), [0, 0.125, Number((210 / 225 - 1).toFixed(8))]);
+  assert.ok(near(r.twr, 1.125 * (210 / 225) - 1));
+  assert.equal(r.pnlUsd, 10);
+
+  // MWR: −100 at the opening, −100 at the deposit, +210 at the close discount to zero
+  const years = (ts) => (ts - (T0 + 3600e3)) / (365 * DAY);
+  const npv = (rate) => -100 - 100 / Math.pow(1 + rate, years(T0 + 1.5 * DAY)) + 210 / Math.pow(1 + rate, years(T0 + 2.5 * DAY));
+  assert.ok(r.mwr.annualized > 0);
+  assert.ok(Math.abs(npv(r.mwr.annualized)) < 1e-4);
+  assert.ok(near(r.mwr.period, Math.pow(1 + r.mwr.annualized, years(T0 + 2.5 * DAY)) - 1, 1e-6));
+});
+
+test('irr needs flows of both signs', () => {
+  assert.equal(irr([{ ts: 0, usd: -100 }, { ts: DAY, usd: -1 }]), null);
+  const r = irr([{ ts: 0, usd: -100 }, { ts: 365 * DAY, usd: 110 }]);
+  assert.ok(near(r, 0.1, 1e-6));
+});
@@ -0,0 +1,64 @@
+// lib/rebalancer.cjs: target parsing, triggers and the fewest-swaps plan.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTargets, rebalanceConfigFromEnv, dueTrigger, measure, planRebalance } = require('../lib/rebalancer.cjs');
+
+const ALIASES = ['USDC', 'GALA', 'WETH'];
+const cfg = (env) => rebalanceConfigFromEnv({ GAS_MIN_GALA: '0', REBALANCE_MIN_TRADE_USD: '1', ...env }, ALIASES);
+const holdings = (usdc, gala, weth) => ({ USDC: { qty: usdc, priceUsd: 1 }, GALA: { qty: gala, priceUsd: 0.02 }, WETH: { qty: weth, priceUsd: 2000 } });
+
+test('targets are normalized and checked against the known assets', () => {
+  assert.deepEqual(parseTargets('usdc:2, gala:1, weth:1', ALIASES), { USDC: 0.5, GALA: 0.25, WETH: 0.25 });
+  assert.deepEqual(parseTargets('', ALIASES), {});
+  assert.throws(() => parseTargets('DOGE:1', ALIASES), /unknown asset/);
+  assert.throws(() => parseTargets('USDC:x', ALIASES), /bad weight/);
+  assert.throws(() => parseTargets('USDC:0', ALIASES), /sum to 0/);
+  assert.throws(() => cfg({ REBALANCE_MODE: 'daily' }), /REBALANCE_MODE/);
+});
+
+test('threshold fires on drift, periodic on time, both on either', () => {
+  const now = 10 * 24 * 3600e3;
+  const c = (mode) => cfg({ REBALANCE_TARGETS: 'USDC:1', REBALANCE_MODE: mode, REBALANCE_PERIOD_MIN: '60' });
+  assert.equal(dueTrigger(c('threshold'), { outOfBand: true, now }), 'threshold');
+  assert.equal(dueTrigger(c('threshold'), { outOfBand: false, lastAt: 0, now }), null);
+  assert.equal(dueTrigger(c('periodic'), { outOfBand: true, lastAt: now - 30 * 60e3, now }), null);
+  assert.equal(dueTrigger(c('periodic'), { outOfBand: false, lastAt: now - 60 * 60e3, now }), 'periodic');
+  assert.equal(dueTrigger(c('both'), { outOfBand: false, lastAt: now - 60 * 60e3, now }), 'periodic');
+});
+
+test('the GALA gas reserve is left out of the weights', () => {
+  const c = cfg({ REBALANCE_TARGETS: 'USDC:50,GALA:50', GAS_MIN_GALA: '500' });
+  const m = measure(holdings(10, 1000, 0), c);
+  assert.equal(m.totalUsd, 20);
+  assert.equal(m.assets.GALA.qty, 500);
+  assert.equal(m.assets.GALA.weight, 0.5);
+  assert.equal(m.outOfBand, false);
+});
+
+test('an out-of-band asset goes to target, funded by the largest drift the other way', () => {
+  const c = cfg({ REBALANCE_TARGETS: 'USDC:50,GALA:30,WETH:20', REBALANCE_BAND_PCT: '5' });
+  // $100: USDC 70 (+20, out of band), GALA 26 (−4, in band), WETH 4 (−16, out of band)
+  const plan = planRebalance(holdings(70, 1300, 0.002), c);
+  assert.deepEqual(plan.trades.map(t => [t.from, t.to, Math.round(t.usd * 100) / 100]), [['USDC', 'WETH', 16], ['USDC', 'GALA', 4]]);
+  assert.deepEqual(plan.dropped, []);
+});
+
+test('a full plan moves in-band assets too, and drops swaps under the minimum', () => {
+  const c = cfg({ REBALANCE_TARGETS: 'USDC:50,GALA:50', REBALANCE_BAND_PCT: '5', REBALANCE_MIN_TRADE_USD: '2' });
+  const h = holdings(51.5, 2425, 0); // USDC 51.5 %, 1.5 points over: in band
+  assert.deepEqual(planRebalance(h, c).trades, []);
+  const full = planRebalance(h, c, { full: true });
+  assert.deepEqual(full.trades, []);
+  assert.deepEqual(full.dropped.map(t => [t.from, t.to, t.usd]), [['USDC', 'GALA', 1.5]]);
+});
+
+test('nothing to plan on an empty portfolio', () => {
+  const plan = planRebalance(holdings(0, 0, 0), cfg({ REBALANCE_TARGETS: 'USDC:50,GALA:50' }));
+  assert.equal(plan.totalUsd, 0);
+  assert.deepEqual(plan.trades, []);
+});
+
+test('the GALA reserve defaults to 2, as in bot.cjs', () => {
+  assert.equal(rebalanceConfigFromEnv({}, ALIASES).galaReserve, 2);
+});
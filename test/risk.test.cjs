@@ -0,0 +1,86 @@
+// lib/risk.cjs: notional / trade-count / exposure caps and the drawdown kill switch, on a temp state file.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { riskLimitsFromEnv, createRiskGuard, rearmRisk } = require('../lib/risk.cjs');
+
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let n = 0;
+function guard(env, bot = 'test') {
+  const file = path.join(dir, `risk_${++n}.json`);
+  return createRiskGuard({ bot, file, limits: riskLimitsFromEnv(env), log: () => {} });
+}
+
+test('unset limits allow anything', () => {
+  const risk = guard({});
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 1e9 }).ok, true);
+  assert.equal(risk.headroomUsd(), Infinity);
+});
+
+test('the daily notional cap counts recorded swaps and persists the rejection', () => {
+  const risk = guard({ RISK_DAILY_NOTIONAL_USD: '100' });
+  risk.record({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 60, txId: 'a' });
+  assert.equal(risk.headroomUsd(), 40);
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 40 }).ok, true);
+  const res = risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 41 });
+  assert.equal(res.ok, false);
+  assert.match(res.reason, /daily notional cap/);
+  assert.equal(risk.load().rejections.length, 1);
+});
+
+test('a cycle counts each leg against the trade-count cap', () => {
+  const risk = guard({ RISK_MAX_TRADES: '4' });
+  risk.record({ tokenIn: GALA, tokenOut: GALA, notionalUsd: 3, legs: 3 });
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 1 }).ok, true);
+  assert.match(risk.check({ tokenIn: GALA, tokenOut: GALA, notionalUsd: 2, legs: 2 }).reason, /trade count cap/);
+});
+
+test('a released swap no longer counts', () => {
+  const risk = guard({ RISK_DAILY_NOTIONAL_USD: '100', RISK_MAX_TRADES: '1' });
+  risk.record({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 100, txId: 'reverted' });
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 1 }).ok, false);
+  assert.equal(risk.release('reverted'), true);
+  assert.equal(risk.release('reverted'), false);
+  assert.equal(risk.release(null), false);
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 100 }).ok, true);
+
+  const ref = risk.record({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 100 }); // gated before it had a txId
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 1 }).ok, false);
+  assert.equal(risk.release(ref), true);
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 100 }).ok, true);
+});
+
+test('the exposure cap applies to buys of non-stables and only with a portfolio', () => {
+  const risk = guard({ RISK_MAX_ASSET_PCT: '50' });
+  const portfolio = { totalUsd: 100, byAsset: { GALA: 40, GUSDC: 60 } };
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 10 }, portfolio).ok, true);
+  assert.match(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 11 }, portfolio).reason, /exposure cap: GALA/);
+  assert.equal(risk.check({ tokenIn: GALA, tokenOut: GUSDC, notionalUsd: 90 }, portfolio).ok, true);
+  assert.equal(risk.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 11 }, null).ok, true);
+});
+
+test('a drawdown past the limit halts every bot until re-armed', () => {
+  const env = { RISK_MAX_DRAWDOWN_PCT: '10' };
+  const a = guard(env, 'a');
+  const b = createRiskGuard({ bot: 'b', file: a.file, limits: a.limits, log: () => {} });
+  assert.equal(a.markEquity(100).halted, false);
+  assert.equal(a.markEquity(0).halted, false); // a failed balance read, not a wipe-out
+  assert.equal(a.markEquity(95).halted, false);
+  const mark = a.markEquity(89);
+  assert.equal(mark.halted, true);
+  assert.equal(mark.drawdownPct, 11);
+  assert.match(b.check({ tokenIn: GUSDC, tokenOut: GALA, notionalUsd: 1 }).reason, /kill switch/);
+  assert.equal(b.headroomUsd(), 0);
+
+  assert.ok(rearmRisk(a.file, 'test'));
+  assert.equal(b.isHalted(), null);
+  assert.equal(a.markEquity(89).halted, false); // peak tracking restarts from here
+});
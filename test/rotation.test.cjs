@@ -0,0 +1,55 @@
+// lib/rotation.cjs: config parsing and the round-robin / weighted-random / deficit picks with USD caps.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_ROTATION, normalizeRotation, loadRotation, eligibleTokens, pickRotationToken } = require('../lib/rotation.cjs');
+
+const GALA = 'GALA|Unit|none|none';
+const GWETH = 'GWETH|Unit|none|none';
+const GUSDT = 'GUSDT|Unit|none|none';
+
+const rotation = (mode, tokens) => normalizeRotation({ mode, tokens });
+
+test('without config the rotation is GALA, GWETH round-robin', () => {
+  const r = loadRotation({});
+  assert.equal(r.mode, 'round-robin');
+  assert.deepEqual(r.tokens.map(t => t.classKey), DEFAULT_ROTATION.tokens.map(t => t.classKey));
+  assert.deepEqual([0, 1, 2, 3].map(slot => pickRotationToken(r, { slot }).symbol), ['GALA', 'GWETH', 'GALA', 'GWETH']);
+});
+
+test('BUY_ROTATION is parsed and BUY_ROTATION_MODE overrides its mode', () => {
+  const r = loadRotation({
+    BUY_ROTATION: JSON.stringify({ mode: 'deficit', tokens: [{ classKey: GALA, weight: '2', maxUsd: 250, usdCents: 500 }, GUSDT] }),
+    BUY_ROTATION_MODE: 'weighted-random',
+  });
+  assert.equal(r.mode, 'weighted-random');
+  assert.deepEqual(r.tokens[0], { classKey: GALA, symbol: 'GALA', weight: 2, maxUsd: 250, slippageBps: null, usdCents: 500 });
+  assert.equal(r.tokens[1].symbol, 'GUSDT');
+  assert.equal(r.tokens[1].weight, 1);
+});
+
+test('a bad mode or a partial class key is refused', () => {
+  assert.throws(() => rotation('random', [GALA]), /Unknown rotation mode/);
+  assert.throws(() => rotation('round-robin', ['GALA']), /full class key/);
+});
+
+test('capped tokens are skipped without reshuffling the round-robin', () => {
+  const r = rotation('round-robin', [{ classKey: GALA, maxUsd: 10 }, GWETH, GUSDT]);
+  const valuesUsd = { GALA: 10 };
+  assert.deepEqual(eligibleTokens(r, valuesUsd).map(t => t.symbol), ['GWETH', 'GUSDT']);
+  assert.deepEqual([0, 1, 2].map(slot => pickRotationToken(r, { slot, valuesUsd }).symbol), ['GWETH', 'GWETH', 'GUSDT']);
+  assert.equal(pickRotationToken(rotation('round-robin', [{ classKey: GALA, maxUsd: 10 }]), { valuesUsd }), null);
+});
+
+test('weighted-random follows the weights', () => {
+  const r = rotation('weighted-random', [{ classKey: GALA, weight: 3 }, { classKey: GWETH, weight: 1 }]);
+  assert.equal(pickRotationToken(r, { rng: () => 0.74 }).symbol, 'GALA');
+  assert.equal(pickRotationToken(r, { rng: () => 0.75 }).symbol, 'GWETH');
+});
+
+test('deficit buys the token furthest below its target share', () => {
+  const r = rotation('deficit', [{ classKey: GALA, weight: 1 }, { classKey: GWETH, weight: 1 }]);
+  assert.equal(pickRotationToken(r, { valuesUsd: { GALA: 70, GWETH: 30 } }).symbol, 'GWETH');
+  assert.equal(pickRotationToken(r, { valuesUsd: { GALA: 20, GWETH: 30 } }).symbol, 'GALA');
+  assert.equal(pickRotationToken(r, {}).symbol, 'GALA');
+});
@@ -0,0 +1,76 @@
+// lib/run-lock.cjs over the file and memory stores: one run per bot at a time, lease expiry,
+// finished slots skipped, crashed runs reported.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileLockStore, createMemoryLockStore, beginRun } = require('../lib/run-lock.cjs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-lock-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let n = 0;
+const STORES = {
+  file: () => createFileLockStore(path.join(dir, `runs-${++n}`)),
+  memory: () => createMemoryLockStore(),
+};
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+for (const [kind, make] of Object.entries(STORES)) {
+  test(`${kind}: a second run of the same bot is skipped while the first holds the lock`, async () => {
+    const store = make();
+    const a = await beginRun({ store, bot: 'b', slot: 1, log: () => {} });
+    assert.equal(a.skip, false);
+    const b = await beginRun({ store, bot: 'b', slot: 2, log: () => {} });
+    assert.equal(b.skip, true);
+    assert.match(b.reason, new RegExp(`locked by run ${a.runId}`));
+    assert.equal((await beginRun({ store, bot: 'other', slot: 1, log: () => {} })).skip, false);
+    await a.finish();
+    assert.equal((await beginRun({ store, bot: 'b', slot: 2, log: () => {} })).skip, false);
+  });
+
+  test(`${kind}: an expired lease is taken over and the dead run reported as crashed`, async () => {
+    const store = make();
+    const logs = [];
+    const dead = await beginRun({ store, bot: 'b', slot: 1, ttlMs: 50, log: () => {} });
+    const id = await dead.planSwap({ tag: 'BUY' });
+    await dead.markSubmitted(id, 'tx-1');
+    await sleep(80); // never finishes
+
+    const next = await beginRun({ store, bot: 'b', slot: 2, log: (m) => logs.push(m) });
+    assert.equal(next.skip, false);
+    assert.match(logs.join('\n'), /RUN-LOCK\] Took over expired lock/);
+    assert.match(logs.join('\n'), /RUN-CRASHED\] b slot=1 .*1 swap\(s\) submitted without outcome.*tx-1/);
+    assert.deepEqual(next.crashed.map(e => [e.runId, e.status]), [[dead.runId, 'crashed']]);
+  });
+
+  test(`${kind}: a slot that finished or sent a swap is not run again unless forced`, async () => {
+    const store = make();
+    const first = await beginRun({ store, bot: 'b', slot: 7, log: () => {} });
+    const id = await first.planSwap({ tag: 'SELL' });
+    await first.markSubmitted(id, 'tx-7');
+    await first.markOutcome(id, { status: 'confirmed' });
+    await first.finish();
+
+    const again = await beginRun({ store, bot: 'b', slot: 7, log: () => {} });
+    assert.equal(again.skip, true);
+    assert.match(again.reason, /slot 7 already executed/);
+    const forced = await beginRun({ store, bot: 'b', slot: 7, force: true, log: () => {} });
+    assert.equal(forced.skip, false);
+    await forced.finish();
+
+    const slot = await store.getJournal('b', 7);
+    assert.equal(slot.runId, forced.runId);
+    assert.equal(slot.previous, first.runId);
+  });
+}
+
+test('a slot whose run only planned swaps before failing can run again', async () => {
+  const store = createMemoryLockStore();
+  const first = await beginRun({ store, bot: 'b', slot: 3, log: () => {} });
+  await first.planSwap({ tag: 'BUY' });
+  await first.finish('failed');
+  assert.equal((await beginRun({ store, bot: 'b', slot: 3, log: () => {} })).skip, false);
+});
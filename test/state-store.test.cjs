@@ -0,0 +1,114 @@
+// lib/state-store.cjs: the same store contract over the file, memory, kv and sqlite backends —
+// envelopes and revs, legacy files, corrupt documents restored from .bak, migrations, leases.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createFileBackend, createSqliteBackend, createKvBackend, createMemoryBackend, createStateStore, decodeDocument, serveKv,
+} = require('../lib/state-store.cjs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+let kvServer = null;
+test.after(async () => {
+  if (kvServer) await new Promise(r => kvServer.close(r));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const quiet = { log() {}, warn() {}, error() {} };
+let hasSqlite = true;
+try { require('node:sqlite'); } catch { hasSqlite = false; }
+
+let n = 0;
+const BACKENDS = {
+  file: async () => createFileBackend({ dir: path.join(dir, `file-${++n}`) }),
+  memory: async () => createMemoryBackend(),
+  kv: async () => {
+    kvServer ||= await serveKv({ port: 0, token: 'kv-token' });
+    return createKvBackend({ url: `http://127.0.0.1:${kvServer.address().port}`, token: 'kv-token', prefix: `t${++n}:` });
+  },
+  sqlite: async () => createSqliteBackend({ file: path.join(dir, `state-${++n}.sqlite`) }),
+};
+
+for (const [kind, make] of Object.entries(BACKENDS)) {
+  const skip = kind === 'sqlite' && !hasSqlite && `node:sqlite needs Node ≥ 22.5 (this is ${process.versions.node})`;
+
+  test(`${kind}: saves count up revs in a checksummed envelope`, { skip }, async () => {
+    const backend = await make();
+    const store = createStateStore(backend, { writer: 'test', log: quiet });
+    assert.deepEqual(await store.load('doc', { defaults: () => ({ a: 0 }) }), { a: 0 });
+    assert.equal(await store.save('doc', { a: 1 }), 1);
+    assert.equal(await store.save('doc', { a: 2 }), 2);
+
+    const doc = decodeDocument(await backend.get('doc'));
+    assert.equal(doc.status, 'ok');
+    assert.equal(doc.rev, 2);
+    assert.deepEqual(doc.data, { a: 2 });
+    assert.equal(decodeDocument(await backend.get('doc.bak')).rev, 1);
+    // a second store (another process) picks up the rev from the document
+    const other = createStateStore(backend, { writer: 'other', log: quiet });
+    assert.equal(await other.save('doc', { a: 3 }), 3);
+  });
+
+  test(`${kind}: a corrupt document falls back to the last good snapshot`, { skip }, async () => {
+    const backend = await make();
+    const warnings = [];
+    const store = createStateStore(backend, { writer: 'test', log: { ...quiet, warn: (m) => warnings.push(m) } });
+    await store.save('doc', { a: 1 });
+    await store.save('doc', { a: 2 });
+    const text = await backend.get('doc');
+    await backend.put('doc', text.replace('"a": 2', '"a": 5')); // checksum no longer matches
+    assert.deepEqual(await store.load('doc'), { a: 1 });
+    assert.match(warnings.join('\n'), /STATE-CORRUPT[\s\S]*STATE-RESTORED/);
+
+    await backend.put('doc.bak', '{ not json');
+    assert.deepEqual(await store.load('doc', { defaults: () => ({ fresh: true }) }), { fresh: true });
+    assert.match(warnings.join('\n'), /STATE-LOST/);
+  });
+
+  test(`${kind}: a bare legacy document loads as schema 0 and is migrated`, { skip }, async () => {
+    const backend = await make();
+    const store = createStateStore(backend, { writer: 'test', log: quiet });
+    await backend.put('doc', JSON.stringify({ prices: [1, 2] }));
+    const migrations = { 1: (d) => ({ ...d, migrated: 1 }), 2: (d) => ({ ...d, migrated: 2 }) };
+    assert.deepEqual(await store.load('doc', { schema: 2, migrations }), { prices: [1, 2], migrated: 2 });
+  });
+
+  test(`${kind}: a lease excludes other owners until it is released or expires`, { skip }, async () => {
+    const backend = await make();
+    assert.equal((await backend.acquireLease('doc', 'a', 60000)).ok, true);
+    const refused = await backend.acquireLease('doc', 'b', 60000);
+    assert.equal(refused.ok, false);
+    assert.equal(refused.holder.owner, 'a');
+    await backend.releaseLease('doc', 'b'); // not the owner: no effect
+    assert.equal((await backend.acquireLease('doc', 'b', 60000)).ok, false);
+    await backend.releaseLease('doc', 'a');
+    assert.equal((await backend.acquireLease('doc', 'b', 50)).ok, true);
+    await new Promise(r => setTimeout(r, 80));
+    assert.equal((await backend.acquireLease('doc', 'c', 60000)).ok, true); // b's lease expired
+  });
+
+  test(`${kind}: update() serializes read-modify-write`, { skip }, async () => {
+    const backend = await make();
+    // one store per writer process: the lease owner is the store
+    const stores = ['a', 'b', 'c', 'd'].map(writer => createStateStore(backend, { writer, log: quiet }));
+    await Promise.all(stores.map(store => store.update('counter', async (d) => {
+      const next = { n: (d.n || 0) + 1 };
+      await new Promise(r => setTimeout(r, 20));
+      return next;
+    }, { waitMs: 5000 })));
+    assert.deepEqual(await stores[0].load('counter'), { n: 4 });
+  });
+}
+
+test('a held lock times out with the holder', async () => {
+  const backend = createMemoryBackend();
+  const a = createStateStore(backend, { writer: 'a', log: quiet });
+  const b = createStateStore(backend, { writer: 'b', log: quiet });
+  const release = await a.lock('doc');
+  await assert.rejects(b.lock('doc', { waitMs: 0 }), /STATE-LOCKED.*held by a:/);
+  await release();
+  await (await b.lock('doc', { waitMs: 0 }))();
+});
@@ -0,0 +1,110 @@
+// lib/trade-api.cjs over the memory state store: key and HMAC auth, one-shot quotes, per-key limits,
+// and Idempotency-Key replays.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore, createMemoryBackend } = require('../lib/state-store.cjs');
+const { parseApiKeys, tradeApiConfigFromEnv, signRequest, authenticate, createTradeApi } = require('../lib/trade-api.cjs');
+
+const SECRET = 'testsecret0123456789';
+const quiet = { log() {}, warn() {}, error() {} };
+
+function api(env = {}, clock = { t: Date.parse('2026-03-01T00:00:00Z') }) {
+  const config = tradeApiConfigFromEnv({ SWAP_API_KEYS: `t:${SECRET}`, ...env });
+  const store = createStateStore(createMemoryBackend(), { writer: 'test', log: quiet });
+  return { clock, config, api: createTradeApi({ store, config, now: () => clock.t }) };
+}
+
+test('keys parse from the short and JSON forms, with the env limits as defaults', () => {
+  assert.deepEqual(parseApiKeys(`a:${SECRET}`, { maxUsdPerSwap: 5 }).map(k => [k.id, k.maxSwapsPerHour, k.maxUsdPerSwap]), [['a', 10, 5]]);
+  assert.equal(parseApiKeys(JSON.stringify([{ id: 'b', secret: SECRET, maxUsdPerDay: 0 }]))[0].maxUsdPerDay, 0);
+  assert.throws(() => parseApiKeys('a:short'), /shorter than 16/);
+  assert.throws(() => parseApiKeys(`a:${SECRET},a:${SECRET}x`), /Duplicate/);
+  assert.throws(() => tradeApiConfigFromEnv({ SWAP_AUTH: 'token' }), /SWAP_AUTH/);
+  assert.equal(createTradeApi({ store: null, config: tradeApiConfigFromEnv({}) }).enabled, false);
+});
+
+test('a key authenticates by bearer or header; an HMAC signature must be fresh and match the body', () => {
+  const { config } = api();
+  const now = Date.parse('2026-03-01T00:00:00Z');
+  assert.equal(authenticate({ headers: { authorization: `Bearer ${SECRET}` } }, config, now).key.id, 't');
+  assert.equal(authenticate({ headers: { 'x-api-key': SECRET } }, config, now).ok, true);
+  assert.equal(authenticate({ headers: { 'x-api-key': 'nope' } }, config, now).status, 401);
+  assert.match(authenticate({ headers: {} }, config, now).error, /missing credentials/);
+
+  const body = '{"quoteId":"q_1"}';
+  const signed = (over = {}) => ({
+    method: 'POST', path: '/swap', rawBody: body,
+    headers: { 'x-key-id': 't', 'x-timestamp': String(now), 'x-signature': signRequest({ secret: SECRET, timestamp: now, body }), ...over },
+  });
+  const ok = authenticate(signed(), config, now);
+  assert.equal(ok.ok, true);
+  assert.ok(ok.signature);
+  assert.match(authenticate({ ...signed(), rawBody: '{"quoteId":"q_2"}' }, config, now).error, /bad X-Signature/);
+  assert.match(authenticate(signed(), config, now + 10 * 60e3).error, /X-Timestamp/);
+  assert.match(authenticate(signed({ 'x-key-id': 'other' }), config, now).error, /unknown X-Key-Id/);
+  assert.match(authenticate({ headers: { 'x-api-key': SECRET } }, { ...config, auth: 'hmac' }, now).error, /SWAP_AUTH=hmac/);
+});
+
+test('a quote serves one swap before it expires', async () => {
+  const { api: t, clock, config } = api({ SWAP_QUOTE_TTL_MS: '5000' });
+  const auth = { ok: true, key: config.keys[0] };
+  const q = await t.saveQuote({ tokenIn: 'GUSDC', tokenOut: 'GALA', amountIn: 1 });
+  assert.deepEqual((await t.getQuote(q.quoteId)).quote, q);
+  assert.equal((await t.getQuote('q_missing')).status, 404);
+
+  const request = { quoteId: q.quoteId };
+  const first = await t.begin({ auth, body: request, request, usd: 1 });
+  assert.equal(first.ok, true);
+  assert.match((await t.begin({ auth, body: request, request, usd: 1 })).error, /already used/);
+  // nothing submitted: the quote is handed back
+  await t.finish({ auth, ticket: first.ticket, request, refund: true });
+  assert.equal((await t.begin({ auth, body: request, request, usd: 1 })).ok, true);
+
+  const late = await t.saveQuote({ tokenIn: 'GUSDC', tokenOut: 'GALA', amountIn: 1 });
+  clock.t += 6000;
+  assert.equal((await t.getQuote(late.quoteId)).status, 410);
+  assert.equal((await t.begin({ auth, body: { quoteId: late.quoteId }, request: { quoteId: late.quoteId }, usd: 1 })).status, 410);
+});
+
+test('per-key limits: size per swap, swaps per hour, USD per day; a refund gives the usage back', async () => {
+  const { api: t, clock, config } = api({ SWAP_MAX_USD_PER_SWAP: '10', SWAP_MAX_PER_HOUR: '2', SWAP_MAX_USD_PER_DAY: '25' });
+  const auth = { ok: true, key: config.keys[0] };
+  const go = (usd) => t.begin({ auth, body: { usd }, request: {}, usd });
+  assert.equal((await go(11)).status, 403);
+  const a = await go(9);
+  assert.equal((await go(9)).ok, true);
+  assert.match((await go(1)).error, /rate limit: 2 swaps/);
+  await t.finish({ auth, ticket: a.ticket, request: {}, refund: true });
+  assert.equal((await go(9)).ok, true);
+
+  clock.t += 61 * 60e3;
+  assert.match((await go(9)).error, /daily limit/);
+  assert.deepEqual(await t.usage(auth.key), {
+    key: 't', swapsLastHour: 0, usdLast24h: 18, limits: { maxSwapsPerHour: 2, maxUsdPerSwap: 10, maxUsdPerDay: 25 },
+  });
+  clock.t += 24 * 60 * 60e3;
+  assert.equal((await go(9)).ok, true);
+});
+
+test('an Idempotency-Key replays the stored response, and conflicts on another body or while in progress', async () => {
+  const { api: t, config } = api();
+  const auth = { ok: true, key: config.keys[0] };
+  const body = { tokenIn: 'GUSDC', tokenOut: 'GALA', amountIn: '1' };
+  const idempotencyKey = 'k-1';
+  assert.equal(await t.replayOf({ auth, idempotencyKey, body }), null);
+
+  const first = await t.begin({ auth, idempotencyKey, body, request: body, usd: 1 });
+  assert.equal(first.ok, true);
+  assert.match((await t.replayOf({ auth, idempotencyKey, body })).error, /still in progress/);
+  assert.equal((await t.begin({ auth, idempotencyKey, body, request: body, usd: 1 })).status, 409);
+
+  await t.finish({ auth, idempotencyKey, ticket: first.ticket, request: body, statusCode: 200, body: { txId: 'tx-1' } });
+  const replay = { statusCode: 200, body: { txId: 'tx-1' } };
+  assert.deepEqual(await t.replayOf({ auth, idempotencyKey, body: { ...body } }), { replay });
+  assert.deepEqual(await t.begin({ auth, idempotencyKey, body, request: body, usd: 1 }), { replay });
+  const other = await t.replayOf({ auth, idempotencyKey, body: { ...body, amountIn: '2' } });
+  assert.equal(other.status, 409);
+  assert.match(other.error, /different request/);
+  assert.equal((await t.usage(auth.key)).swapsLastHour, 1); // replays are not new swaps
+});
@@ -0,0 +1,70 @@
+// lib/tx-outcome.cjs over the in-process fake chain: confirmation by event socket, or by polling the
+// explorer by tx id when the socket does not deliver. Either way a confirmed outcome carries
+// txId / hash / fill (the bots read those, never the raw socket receipt).
+
+process.env.GSWAP_FAKE = 'default';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GSwap } = require('@gala-chain/gswap-sdk');
+const { fakeSdkFromEnv } = require('../lib/fake-gswap.cjs');
+const { connectTxEvents, disconnectTxEvents, awaitTxOutcome, explorerTxLookup } = require('../lib/tx-outcome.cjs');
+const { createExplorer } = require('../lib/explorer.cjs');
+const { createStateStore, createMemoryBackend } = require('../lib/state-store.cjs');
+
+const WALLET = 'eth|' + 'd'.repeat(40);
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+
+const { chain, sdk } = fakeSdkFromEnv(process.env, { log: () => {} });
+const gswap = new GSwap({ walletAddress: WALLET, ...sdk });
+const lookup = explorerTxLookup(createExplorer({
+  store: createStateStore(createMemoryBackend(), { writer: 'test', log: { log() {}, warn() {}, error() {} } }),
+  fetchImpl: chain.fetch, log: () => {},
+}));
+
+const buy = (minOut = '10') => gswap.swaps.swap(GUSDC, GALA, 10000, { exactIn: '1', amountOutMinimum: minOut }, WALLET);
+
+test.afterEach(() => disconnectTxEvents());
+
+test('confirms over the event socket with the fill', async () => {
+  await connectTxEvents('http://fake-bundler');
+  const pending = await buy();
+  const o = await awaitTxOutcome(pending, { timeoutMs: 2000, lookup, pollMs: 1000 });
+  assert.equal(o.status, 'confirmed');
+  assert.equal(o.via, undefined);
+  assert.equal(o.txId, pending.transactionId);
+  assert.ok(o.hash);
+  assert.equal(o.fill.tokenOut, GALA);
+  assert.ok(o.fill.amountOut > 0);
+});
+
+test('confirms by tx id when the socket wait() rejects, with txId, hash and fill but no receipt', async () => {
+  const pending = await buy(); // socket not connected: wait() rejects with SOCKET_CONNECTION_REQUIRED
+  await assert.rejects(pending.wait(), { code: 'SOCKET_CONNECTION_REQUIRED' });
+
+  const o = await awaitTxOutcome(pending, { timeoutMs: 2000, lookup, pollMs: 50 });
+  assert.equal(o.status, 'confirmed');
+  assert.equal(o.via, 'poll');
+  assert.equal(o.txId, pending.transactionId);
+  assert.equal(o.receipt, undefined);
+  const tx = chain.txs().find(x => x.txId === pending.transactionId);
+  assert.equal(o.hash, tx.hash);
+  assert.equal(o.fill.amountOut, tx.amountOut);
+  assert.equal(o.fill.amountIn, 1);
+});
+
+test('reports a polled failure with its reason', async () => {
+  const pending = await buy('1000000');
+  const o = await awaitTxOutcome(pending, { timeoutMs: 2000, lookup, pollMs: 50 });
+  assert.equal(o.status, 'failed');
+  assert.equal(o.via, 'poll');
+  assert.match(o.reason, /amountOutMinimum/);
+});
+
+test('stays unknown without a socket or a lookup', async () => {
+  const pending = await buy();
+  const o = await awaitTxOutcome(pending, { timeoutMs: 200 });
+  assert.equal(o.status, 'unknown');
+  assert.match(o.reason, /SOCKET_CONNECTION_REQUIRED/);
+});